@@ -0,0 +1,118 @@
+/**
+ * Authentication & Authorization Middleware
+ * Verifies JWTs minted by /api/auth and enforces roles and wallet ownership
+ */
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const ROLES = {
+    USER: 'user',
+    KYC_VERIFIER: 'kyc_verifier',
+    POOL_ADMIN: 'pool_admin',
+    BOUNTY_ADMIN: 'bounty_admin',
+    ORACLE_OPERATOR: 'oracle_operator',
+    ADMIN: 'admin' // Platform operator, implicitly holds every role
+};
+
+// Wallets that are always treated as platform admins (bootstraps the first role grants)
+const adminWallets = (process.env.ADMIN_WALLETS || '')
+    .split(',')
+    .map((address) => address.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Check whether an authenticated user holds a role
+ * @param {Object} user - req.user as set by authenticate
+ * @param {string} role - One of ROLES
+ */
+const hasRole = (user, role) => {
+    if (!user) return false;
+    if (adminWallets.includes(user.walletAddress)) return true;
+    return user.roles.includes(ROLES.ADMIN) || user.roles.includes(role);
+};
+
+/**
+ * Require a valid `Authorization: Bearer <token>` header.
+ * Roles are read from the database on every request so revocations apply immediately.
+ */
+const authenticate = async (req, res, next) => {
+    try {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+        } catch (error) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+
+        const user = await User.findById(payload.userId).select('walletAddress roles');
+        if (!user || user.walletAddress !== payload.walletAddress) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+
+        req.user = {
+            id: user._id,
+            walletAddress: user.walletAddress,
+            roles: user.roles && user.roles.length > 0 ? user.roles : [ROLES.USER]
+        };
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Require the authenticated user to hold at least one of the given roles
+ * @param {...string} roles - Accepted roles
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!roles.some((role) => hasRole(req.user, role))) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    next();
+};
+
+/**
+ * Require the request to act on the authenticated user's own wallet
+ * @param {string|Function} source - Route param name, or a function returning the address from req
+ * @param {...string} bypassRoles - Roles allowed to act on any wallet
+ */
+const requireSelf = (source, ...bypassRoles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const address = typeof source === 'function' ? source(req) : req.params[source];
+
+    if (address && address.toLowerCase() === req.user.walletAddress) {
+        return next();
+    }
+
+    if (bypassRoles.some((role) => hasRole(req.user, role))) {
+        return next();
+    }
+
+    return res.status(403).json({ error: 'Not authorized for this wallet' });
+};
+
+module.exports = {
+    ROLES,
+    adminWallets,
+    hasRole,
+    authenticate,
+    requireRole,
+    requireSelf
+};
@@ -0,0 +1,44 @@
+/**
+ * Privacy-Policy Consent Middleware
+ * Blocks data-processing requests until the wallet has accepted the PrivacyCompliance
+ * policy in force on-chain (GDPR Art. 6(1)(a) / 7)
+ */
+
+const { ethers } = require('ethers');
+const consentService = require('../services/consentService');
+
+/**
+ * Require the acting wallet to have accepted the current privacy policy
+ * @param {Function} [source] - Returns the wallet from req; defaults to the authenticated user
+ */
+const requirePolicyConsent = (source) => async (req, res, next) => {
+    if (!consentService.isEnforced()) {
+        return next();
+    }
+
+    const address = source ? source(req) : req.user && req.user.walletAddress;
+    if (typeof address !== 'string' || !ethers.isAddress(address)) {
+        return res.status(400).json({ error: 'Valid wallet address is required' });
+    }
+
+    try {
+        const status = await consentService.getStatus(address);
+        if (status.hasConsent) {
+            return next();
+        }
+
+        return res.status(403).json({
+            error: 'Accept the current privacy policy before submitting personal data',
+            code: 'POLICY_CONSENT_REQUIRED',
+            requiredVersion: status.requiredVersion,
+            acceptedVersion: status.acceptedVersion
+        });
+    } catch (error) {
+        console.error('Consent check error:', error.message);
+        return res.status(503).json({ error: 'Could not verify privacy policy consent' });
+    }
+};
+
+module.exports = {
+    requirePolicyConsent
+};
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const authNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+// Let MongoDB drop challenges that were never redeemed
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
@@ -49,6 +49,13 @@ const bugReportSchema = new mongoose.Schema({
   publiclyDisclosed: {
     type: Boolean,
     default: false
+  },
+  // Set by the chain indexer: block that created / last updated this document
+  createdBlock: {
+    type: Number
+  },
+  syncedBlock: {
+    type: Number
   }
 }, {
   timestamps: true
@@ -80,6 +87,13 @@ const researcherSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set by the chain indexer: block that created / last updated this document
+  createdBlock: {
+    type: Number
+  },
+  syncedBlock: {
+    type: Number
   }
 }, {
   timestamps: true
@@ -11,6 +11,7 @@ const claimSchema = new mongoose.Schema({
   amount: String,
   description: String,
   documents: String, // IPFS hash
+  documentsErasedAt: Date, // Evidence removed on a data deletion request
   status: {
     type: String,
     enum: ['PENDING', 'APPROVED', 'REJECTED', 'PAID']
@@ -20,10 +21,39 @@ const claimSchema = new mongoose.Schema({
   votes: [{
     voter: String,
     approve: Boolean,
-    timestamp: Date
+    timestamp: Date,
+    eventId: String,
+    blockNumber: Number
   }],
+  paidAmount: String,
+  // Schelling-point rewards allocated by InsurancePool._allocateVotingRewards
+  rewardPoolAllocated: String,
+  rewards: [{
+    voter: String,
+    amount: String,
+    claimed: Boolean,
+    claimedAt: Date,
+    eventId: String,
+    blockNumber: Number
+  }],
+  // Mirrors the claim's ClaimOracle verification (see OracleRequest for the job itself)
+  oracleVerification: {
+    status: {
+      type: String,
+      enum: ['PENDING', 'VERIFYING', 'VERIFIED', 'REJECTED', 'FAILED']
+    },
+    method: String,
+    adapter: String, // attestation adapter that checked the documents, if any
+    requestId: String,
+    proof: String,
+    verifier: String,
+    verifiedAt: Date
+  },
   submittedAt: Date,
-  processedAt: Date
+  processedAt: Date,
+  // Set by the chain indexer: block that created / last updated this document
+  createdBlock: Number,
+  syncedBlock: Number
 }, { timestamps: true });
 
 module.exports = mongoose.model('Claim', claimSchema);
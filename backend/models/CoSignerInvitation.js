@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A borrower's request for a wallet to co-sign a MicroLoan. The co-signer reviews the
+// quoted terms and their liability, then accepts by sending MicroLoan.approveCoSigning
+// (which requestCoSignedLoan requires) or declines. USED once the loan is requested.
+const coSignerInvitationSchema = new mongoose.Schema({
+  invitationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  borrower: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  coSigner: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  // Loan terms, in ETH and days, and the quote the co-signer reviews
+  amount: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: true
+  },
+  purpose: String,
+  message: String, // note from the borrower
+  interestRate: Number, // basis points
+  totalOwed: String, // what the co-signer owes at most if the loan defaults unpaid
+  status: {
+    type: String,
+    enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'CANCELLED', 'USED'],
+    default: 'PENDING',
+    index: true
+  },
+  // Until when the co-signer's on-chain approval holds
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  approvalTxHash: String,
+  loanId: Number
+}, { timestamps: true });
+
+module.exports = mongoose.model('CoSignerInvitation', coSignerInvitationSchema);
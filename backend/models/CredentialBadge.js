@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A shareable link to one verified ZKPVerifier proof. It discloses the proven
+// statement (e.g. "credit score >= 700"), never the underlying value, and stops
+// verifying once it expires or the holder revokes it.
+const credentialBadgeSchema = new mongoose.Schema({
+  badgeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  holder: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  proofId: {
+    type: Number,
+    required: true
+  },
+  proofType: {
+    type: String,
+    enum: ['CREDIT_SCORE_RANGE', 'AGE_RANGE', 'NO_RECENT_DEFAULTS'],
+    required: true
+  },
+  // The proof's public inputs when the badge was issued, e.g. { minThreshold: 700 }
+  statement: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model('CredentialBadge', credentialBadgeSchema);
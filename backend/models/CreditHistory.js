@@ -10,7 +10,9 @@ const creditHistorySchema = new mongoose.Schema({
   scoreHistory: [{
     score: Number,
     timestamp: Date,
-    reason: String
+    reason: String,
+    eventId: String,
+    blockNumber: Number
   }],
   factors: {
     totalLoans: Number,
@@ -23,7 +25,10 @@ const creditHistorySchema = new mongoose.Schema({
   tier: {
     type: String,
     enum: ['Excellent', 'Good', 'Fair', 'Poor', 'Very Poor', 'Critical']
-  }
+  },
+  // Set by the chain indexer: block that created / last updated this document
+  createdBlock: Number,
+  syncedBlock: Number
 }, { timestamps: true });
 
 module.exports = mongoose.model('CreditHistory', creditHistorySchema);
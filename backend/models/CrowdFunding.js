@@ -40,6 +40,13 @@ const contributionSchema = new mongoose.Schema({
   refunded: {
     type: Boolean,
     default: false
+  },
+  // Set by the chain indexer
+  eventId: {
+    type: String
+  },
+  blockNumber: {
+    type: Number
   }
 });
 
@@ -55,6 +62,13 @@ const approvalVoteSchema = new mongoose.Schema({
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  // Set by the chain indexer
+  eventId: {
+    type: String
+  },
+  blockNumber: {
+    type: Number
   }
 });
 
@@ -130,6 +144,13 @@ const crowdFundingSchema = new mongoose.Schema({
       type: String,
       default: '0'
     }
+  },
+  // Set by the chain indexer: block that created / last updated this campaign
+  createdBlock: {
+    type: Number
+  },
+  syncedBlock: {
+    type: Number
   }
 }, {
   timestamps: true
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const auditEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true // e.g. REQUESTED, UNPINNED, SCRUBBED, CONFIRMED, FAILED
+  },
+  detail: String,
+  actor: String, // wallet, 'system' or 'chain'
+  txHash: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A GDPR Article 17 request emitted by PrivacyCompliance.requestDataDeletion
+const dataDeletionRequestSchema = new mongoose.Schema({
+  recordId: {
+    type: String, // bytes32 PrivacyCompliance record id
+    required: true,
+    unique: true
+  },
+  user: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  dataType: String,
+  ipfsHash: String,
+  status: {
+    type: String,
+    enum: ['REQUESTED', 'PROCESSING', 'SCRUBBED', 'CONFIRMED', 'FAILED'],
+    default: 'REQUESTED',
+    index: true
+  },
+  requestedAt: Date,
+  requestTxHash: String,
+  dueAt: Date, // requestedAt + the response deadline (PRIVACY_DELETION_SLA_DAYS)
+  // What was erased, kept without the erased values themselves
+  erased: {
+    unpinned: [String],
+    fields: [String],
+    claims: [Number],
+    vaultDocuments: Number
+  },
+  scrubbedAt: Date,
+  confirmedAt: Date,
+  confirmTxHash: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  auditLog: [auditEntrySchema],
+  // Set by the chain indexer: block that created / last updated this document
+  createdBlock: Number,
+  syncedBlock: Number
+}, { timestamps: true });
+
+module.exports = mongoose.model('DataDeletionRequest', dataDeletionRequestSchema);
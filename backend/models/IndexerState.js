@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const indexerStateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastBlock: {
+    type: Number,
+    default: -1
+  },
+  // Hashes of recently processed blocks, used to find the common ancestor after a reorg
+  recentBlocks: [{
+    number: Number,
+    hash: String
+  }],
+  lastReorgAt: Date,
+  lastError: String
+}, { timestamps: true });
+
+module.exports = mongoose.model('IndexerState', indexerStateSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One loan the keeper found past its grace period, and what happened to it
+const keeperActionSchema = new mongoose.Schema({
+  loanId: {
+    type: Number,
+    required: true
+  },
+  borrower: String,
+  loanType: String,
+  dueDate: Date,
+  outcome: {
+    type: String,
+    enum: ['WOULD_DEFAULT', 'DEFAULTED', 'UNCONFIRMED', 'FAILED'],
+    required: true
+  },
+  // Consequence markDefault must emit for the loan type, and what was emitted
+  expectedEvent: String,
+  events: [String],
+  amount: String, // ETH: collateral seized, co-signer liability or insurance loss
+  coSigner: String,
+  status: String, // Loan.status after the indexer ingested the transaction
+  txHash: String,
+  error: String
+}, { _id: false });
+
+// A pass of the default keeper (services/keeperService.js) over ACTIVE loans
+const keeperRunSchema = new mongoose.Schema({
+  dryRun: {
+    type: Boolean,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['SCHEDULE', 'MANUAL'],
+    required: true
+  },
+  requestedBy: String, // wallet that started a MANUAL run
+  chainTime: Date, // latest block time the grace periods were checked against
+  scanned: {
+    type: Number,
+    default: 0
+  },
+  actions: [keeperActionSchema],
+  error: String,
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  finishedAt: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model('KeeperRun', keeperRunSchema);
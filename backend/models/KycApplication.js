@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const historyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true // SUBMITTED, APPROVED, REJECTED or REVOKED
+  },
+  actor: String, // applicant or reviewing verifier
+  reason: String,
+  txHash: String,
+  // Set for decisions read from UserRegistry events
+  eventId: String,
+  blockNumber: Number,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A wallet's KYC application; decisions mirror UserRegistry.verifyKYC / revokeKYC
+const kycApplicationSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED', 'REVOKED'],
+    default: 'PENDING',
+    index: true
+  },
+  // Vault document CIDs, encrypted for the applicant and the KYC verifiers
+  documents: [String],
+  bundleHash: String, // IPFS bundle of the CIDs, registered on-chain with registerUser
+  documentsErasedAt: Date,
+  submittedAt: Date,
+  reviewedBy: String,
+  reviewedAt: Date,
+  decisionTxHash: String,
+  reason: String,
+  history: [historyEntrySchema],
+  // Set by the chain indexer: block that created / last updated this document
+  createdBlock: Number,
+  syncedBlock: Number
+}, { timestamps: true });
+
+module.exports = mongoose.model('KycApplication', kycApplicationSchema);
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// A MicroLoan.repayLoan payment, classified against the repayment schedule
+// (services/amortizationService.js) as MicroLoan reports it to CreditScore
+const repaymentSchema = new mongoose.Schema({
+  amount: String, // ETH
+  timestamp: Date, // block time
+  installment: Number, // earliest installment the payment went toward
+  onTime: Boolean, // that installment was not past due
+  txHash: String,
+  eventId: String,
+  blockNumber: Number
+}, { _id: false });
+
 const loanSchema = new mongoose.Schema({
   loanId: {
     type: Number,
@@ -13,17 +25,34 @@ const loanSchema = new mongoose.Schema({
   amountRepaid: String,
   status: {
     type: String,
-    enum: ['PENDING', 'ACTIVE', 'REPAID', 'DEFAULTED']
+    enum: ['PENDING', 'ACTIVE', 'REPAID', 'DEFAULTED', 'LIQUIDATED']
+  },
+  loanType: {
+    type: String,
+    enum: ['UNSECURED', 'COLLATERALIZED', 'COSIGNED', 'POOL_BACKED'],
+    default: 'UNSECURED'
   },
   purpose: String,
   documents: String, // IPFS hash
   startDate: Date,
   dueDate: Date,
-  repayments: [{
-    amount: String,
-    timestamp: Date,
-    onTime: Boolean
-  }]
+  defaultedAt: Date, // block time of LoanDefaulted
+  // COLLATERALIZED: ETH locked with the request, returned on repayment
+  collateralAmount: String,
+  // COSIGNED: co-signer and what they owe once the loan defaults
+  coSigner: {
+    type: String,
+    lowercase: true,
+    index: true
+  },
+  coSignerLiability: String,
+  // POOL_BACKED: insurance pool covering the loan and the reserve held on approval
+  insurancePoolId: Number,
+  insuranceReserve: String,
+  repayments: [repaymentSchema],
+  // Set by the chain indexer: block that created / last updated this document
+  createdBlock: Number,
+  syncedBlock: Number
 }, { timestamps: true });
 
 module.exports = mongoose.model('Loan', loanSchema);
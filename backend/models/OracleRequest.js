@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const historyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true // e.g. QUEUED, DISPATCHED, RETRY_SCHEDULED, CALLBACK, ATTESTED, FULFILLED, TIMED_OUT, FAILED
+  },
+  detail: String,
+  txHash: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A claim verification job for ClaimOracle. status mirrors ClaimOracle.VerificationStatus:
+// PENDING until the request is sent on-chain, VERIFYING until the oracle answers,
+// then VERIFIED or REJECTED. FAILED is recorded here only, when the job runs out of
+// attempts or the oracle does not answer before timeoutAt.
+const oracleRequestSchema = new mongoose.Schema({
+  claimId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  claimant: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  ipfsHash: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['CHAINLINK_API', 'ZK_EMAIL', 'SIMULATION'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'VERIFYING', 'VERIFIED', 'REJECTED', 'FAILED'],
+    default: 'PENDING',
+    index: true
+  },
+  requestedBy: String, // wallet that queued the job
+  // Attestation adapter picked from the document bundle; when set, the backend checks the
+  // documents itself and answers ClaimOracle instead of waiting for a node or an admin
+  adapter: String,
+  attestationAttempts: {
+    type: Number,
+    default: 0
+  },
+  requestId: {
+    type: String, // bytes32 from OracleRequestSent (Chainlink requests only)
+    index: true
+  },
+  requestTxHash: String,
+  dispatchedAt: Date,
+  timeoutAt: Date, // dispatchedAt + ORACLE_REQUEST_TIMEOUT_MS
+  // Retry with exponential backoff: the worker skips the job until nextAttemptAt
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  lastError: String,
+  // Signed callback from a registered oracle node; set once, so a replayed callback is refused
+  callbackAt: Date,
+  callbackNode: String,
+  fulfillTxHash: String,
+  // Copied from ClaimOracle.getVerificationDetails once fulfilled
+  verifiedAt: Date,
+  verificationProof: String,
+  verifier: String,
+  history: [historyEntrySchema]
+}, { timestamps: true });
+
+module.exports = mongoose.model('OracleRequest', oracleRequestSchema);
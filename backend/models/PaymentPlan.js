@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const paymentPlanSchema = new mongoose.Schema({
+  planType: {
+    type: String,
+    enum: ['BNPL', 'SNPL'],
+    required: true
+  },
+  planId: {
+    type: Number,
+    required: true
+  },
+  user: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  purpose: String,
+  ipfsHash: String,
+  startDate: Date,
+  // BNPL fields (amounts in ETH)
+  totalAmount: String,
+  paidAmount: String,
+  installmentAmount: String,
+  numberOfInstallments: Number,
+  paidInstallments: Number,
+  nextDueDate: Date,
+  interestRate: Number, // Basis points
+  isActive: Boolean,
+  // SNPL fields (amounts in ETH)
+  targetAmount: String,
+  savedAmount: String,
+  monthlyDeposit: String,
+  targetDate: Date,
+  lastDepositDate: Date,
+  isCompleted: Boolean,
+  // BNPLPayment / SNPLDeposit events
+  payments: [{
+    amount: String,
+    timestamp: Date,
+    eventId: String,
+    blockNumber: Number
+  }],
+  // LateFeeCharged events
+  lateFees: [{
+    amount: String,
+    timestamp: Date,
+    eventId: String,
+    blockNumber: Number
+  }],
+  // Set by the chain indexer: block that created / last updated this document
+  createdBlock: Number,
+  syncedBlock: Number
+}, { timestamps: true });
+
+paymentPlanSchema.index({ planType: 1, planId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentPlan', paymentPlanSchema);
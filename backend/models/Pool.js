@@ -14,20 +14,27 @@ const poolSchema = new mongoose.Schema({
     enum: ['HEALTH', 'LIFE', 'ACCIDENT', 'CRITICAL_ILLNESS']
   },
   targetAmount: String,
+  minContribution: String,
   currentAmount: String,
+  rewardPool: String,
   memberCount: Number,
   maxMembers: Number,
   isActive: Boolean,
   members: [{
     address: String,
     contribution: String,
-    joinedAt: Date
+    joinedAt: Date,
+    eventId: String,
+    blockNumber: Number
   }],
   analytics: {
     totalClaims: Number,
     approvedClaims: Number,
     totalPaidOut: String
-  }
+  },
+  // Set by the chain indexer: block that created / last updated this document
+  createdBlock: Number,
+  syncedBlock: Number
 }, { timestamps: true });
 
 module.exports = mongoose.model('Pool', poolSchema);
@@ -22,9 +22,19 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Verifier wallet behind the last UserRegistry KYC decision, mirrored by the indexer
+  kycReviewedBy: String,
+  kycReviewedAt: Date,
   kycDocuments: {
     type: String, // IPFS hash
   },
+  roles: {
+    type: [{
+      type: String,
+      enum: ['user', 'kyc_verifier', 'pool_admin', 'bounty_admin', 'oracle_operator', 'admin']
+    }],
+    default: ['user']
+  },
   profileImage: String,
   createdAt: {
     type: Date,
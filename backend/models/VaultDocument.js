@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const grantSchema = new mongoose.Schema({
+  grantee: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: ['OWNER', 'VIEWER', 'ORACLE'],
+    default: 'VIEWER'
+  },
+  // Document key encrypted to the grantee's vault key (ECDH on secp256k1 + AES-256-GCM)
+  wrappedKey: {
+    ephemeralPublicKey: String,
+    iv: String,
+    ciphertext: String
+  },
+  grantedBy: String,
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  lastAccessedAt: Date
+}, { _id: false });
+
+const vaultDocumentSchema = new mongoose.Schema({
+  cid: {
+    type: String, // IPFS CID of the ciphertext
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  fileName: String,
+  mimeType: String,
+  size: Number,
+  // Content is encrypted client-side with a random per-document key
+  algorithm: {
+    type: String,
+    default: 'AES-256-GCM'
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    default: 'general' // e.g. claim-evidence
+  },
+  poolId: Number,
+  grants: [grantSchema]
+}, { timestamps: true });
+
+vaultDocumentSchema.index({ 'grants.grantee': 1 });
+
+module.exports = mongoose.model('VaultDocument', vaultDocumentSchema);
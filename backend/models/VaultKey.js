@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Public half of a wallet's document-vault key; document keys are wrapped to it
+const vaultKeySchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  publicKey: {
+    type: String, // Compressed secp256k1 public key (0x02/0x03...)
+    required: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('VaultKey', vaultKeySchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A zero-knowledge proof generated by the backend and/or submitted to ZKPVerifier.
+// Proofs generated for a wallet start as GENERATED; the chain indexer attaches the
+// proofId and status once the wallet submits one on-chain.
+const zkProofSchema = new mongoose.Schema({
+  proofId: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
+  prover: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  proofType: {
+    type: String,
+    enum: ['CREDIT_SCORE_RANGE', 'AGE_RANGE', 'MEDICAL_CONDITION', 'INCOME_RANGE', 'NO_RECENT_DEFAULTS'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['GENERATED', 'PENDING', 'VERIFIED', 'REJECTED'],
+    default: 'GENERATED'
+  },
+  proofHash: {
+    type: String,
+    index: true
+  },
+  metadata: String, // IPFS hash of the proof and its public inputs
+  // Public signals by name, e.g. { minThreshold, commitment, holder }; never the private value
+  publicInputs: mongoose.Schema.Types.Mixed,
+  // Groth16 proof and raw public signals, kept so anyone can re-verify; absent for simulated proofs
+  proof: mongoose.Schema.Types.Mixed,
+  publicSignals: [String],
+  // Opens publicInputs.commitment; reused so a new proof keeps an already attested commitment
+  salt: {
+    type: String,
+    select: false
+  },
+  simulation: Boolean,
+  snarkVerified: Boolean, // checked on-chain by the generated Groth16 verifier
+  generatedAt: Date, // set when this backend generated the proof
+  submittedAt: Date,
+  verifiedAt: Date,
+  txHash: String,
+  // Set by the chain indexer: block that created / last updated this document
+  createdBlock: Number,
+  syncedBlock: Number
+}, { timestamps: true });
+
+module.exports = mongoose.model('ZkProof', zkProofSchema);
@@ -2,65 +2,149 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ethers } = require('ethers');
 const User = require('../models/User');
+const AuthNonce = require('../models/AuthNonce');
+const siweService = require('../services/siweService');
+const kycService = require('../services/kycService');
+const { ROLES, authenticate, requireRole, requireSelf } = require('../middleware/auth');
+const { requirePolicyConsent } = require('../middleware/consent');
 
-// Register
-router.post('/register', async (req, res) => {
+/**
+ * Redeem a signed Sign-In With Ethereum challenge. The nonce is consumed up front so a
+ * challenge can only be redeemed once.
+ * @returns {Promise<Object>} { address } or { status, error }
+ */
+const redeemSignIn = async (message, signature) => {
+  if (!message || !signature) {
+    return { status: 400, error: 'Message and signature required' };
+  }
+
+  const fields = siweService.parseMessage(message);
+  if (!fields) {
+    return { status: 400, error: 'Malformed sign-in message' };
+  }
+
+  const challenge = await AuthNonce.findOneAndDelete({ nonce: fields.nonce });
+  if (!challenge || challenge.walletAddress !== fields.address.toLowerCase()) {
+    return { status: 401, error: 'Unknown or already used nonce' };
+  }
+
+  const result = siweService.verify(message, signature, challenge);
+  if (!result.success) {
+    return { status: 401, error: result.error };
+  }
+  return { address: result.address };
+};
+
+// JWT and profile summary returned on sign-in
+const session = (user) => ({
+  token: jwt.sign(
+    { userId: user._id, walletAddress: user.walletAddress },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+  ),
+  user: {
+    id: user._id,
+    walletAddress: user.walletAddress,
+    fullName: user.fullName,
+    email: user.email,
+    isKYCVerified: user.isKYCVerified,
+    roles: user.roles
+  }
+});
+
+// Register with a signed challenge (POST /nonce): the profile and token go to the signing wallet
+router.post(
+  '/register',
+  requirePolicyConsent((req) => {
+    const fields = siweService.parseMessage(req.body.message);
+    return fields && fields.address;
+  }),
+  async (req, res) => {
+    try {
+      const { message, signature, email, password, fullName, phone } = req.body;
+
+      const signIn = await redeemSignIn(message, signature);
+      if (signIn.error) {
+        return res.status(signIn.status).json({ error: signIn.error });
+      }
+
+      // Check if user exists
+      let user = await User.findOne({ walletAddress: signIn.address });
+      if (user) {
+        return res.status(400).json({ error: 'User already registered' });
+      }
+
+      // Hash password if provided
+      let hashedPassword;
+      if (password) {
+        hashedPassword = await bcrypt.hash(password, 10);
+      }
+
+      // Create user
+      user = new User({
+        walletAddress: signIn.address,
+        email,
+        password: hashedPassword,
+        fullName,
+        phone
+      });
+
+      await user.save();
+
+      res.json(session(user));
+    } catch (error) {
+      console.error('Registration error:', error);
+      res.status(500).json({ error: 'Registration failed' });
+    }
+  }
+);
+
+// Issue a Sign-In With Ethereum challenge
+router.post('/nonce', async (req, res) => {
   try {
-    const { walletAddress, email, password, fullName, phone } = req.body;
+    const { walletAddress, domain, uri } = req.body;
     
-    // Check if user exists
-    let user = await User.findOne({ walletAddress: walletAddress.toLowerCase() });
-    if (user) {
-      return res.status(400).json({ error: 'User already registered' });
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Valid wallet address required' });
     }
     
-    // Hash password if provided
-    let hashedPassword;
-    if (password) {
-      hashedPassword = await bcrypt.hash(password, 10);
+    if (!domain || !uri || !siweService.isAllowedDomain(domain)) {
+      return res.status(400).json({ error: 'Domain not allowed' });
     }
     
-    // Create user
-    user = new User({
+    const challenge = siweService.createChallenge({ address: walletAddress, domain, uri });
+    
+    await AuthNonce.create({
+      nonce: challenge.nonce,
       walletAddress: walletAddress.toLowerCase(),
-      email,
-      password: hashedPassword,
-      fullName,
-      phone
+      message: challenge.message,
+      expiresAt: challenge.expiresAt
     });
     
-    await user.save();
-    
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id, walletAddress: user.walletAddress },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-    
     res.json({
-      token,
-      user: {
-        id: user._id,
-        walletAddress: user.walletAddress,
-        fullName: user.fullName,
-        email: user.email,
-        isKYCVerified: user.isKYCVerified
-      }
+      message: challenge.message,
+      nonce: challenge.nonce,
+      expiresAt: challenge.expiresAt
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    console.error('Nonce error:', error);
+    res.status(500).json({ error: 'Failed to issue sign-in challenge' });
   }
 });
 
-// Login with wallet
-router.post('/login/wallet', async (req, res) => {
+// Login with a signed challenge
+router.post('/login/verify', async (req, res) => {
   try {
-    const { walletAddress } = req.body;
+    const { message, signature } = req.body;
+    
+    const signIn = await redeemSignIn(message, signature);
+    if (signIn.error) {
+      return res.status(signIn.status).json({ error: signIn.error });
+    }
     
-    let user = await User.findOne({ walletAddress: walletAddress.toLowerCase() });
+    const user = await User.findOne({ walletAddress: signIn.address });
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -69,22 +153,7 @@ router.post('/login/wallet', async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
     
-    const token = jwt.sign(
-      { userId: user._id, walletAddress: user.walletAddress },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-    
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        walletAddress: user.walletAddress,
-        fullName: user.fullName,
-        email: user.email,
-        isKYCVerified: user.isKYCVerified
-      }
-    });
+    res.json(session(user));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
@@ -92,7 +161,7 @@ router.post('/login/wallet', async (req, res) => {
 });
 
 // Get user profile
-router.get('/profile/:walletAddress', async (req, res) => {
+router.get('/profile/:walletAddress', authenticate, requireSelf('walletAddress', ROLES.KYC_VERIFIER), async (req, res) => {
   try {
     const user = await User.findOne({ 
       walletAddress: req.params.walletAddress.toLowerCase() 
@@ -110,7 +179,7 @@ router.get('/profile/:walletAddress', async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile/:walletAddress', async (req, res) => {
+router.put('/profile/:walletAddress', authenticate, requireSelf('walletAddress'), requirePolicyConsent(), async (req, res) => {
   try {
     const { fullName, email, phone, dateOfBirth, kycDocuments } = req.body;
     
@@ -133,4 +202,42 @@ router.put('/profile/:walletAddress', async (req, res) => {
   }
 });
 
+// Grant or revoke roles (admin only)
+router.put('/roles/:walletAddress', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { roles } = req.body;
+    const validRoles = Object.values(ROLES);
+    
+    if (!Array.isArray(roles) || !roles.every((role) => validRoles.includes(role))) {
+      return res.status(400).json({ error: `Roles must be an array of: ${validRoles.join(', ')}` });
+    }
+    
+    const user = await User.findOneAndUpdate(
+      { walletAddress: req.params.walletAddress.toLowerCase() },
+      { roles: Array.from(new Set([ROLES.USER, ...roles])) },
+      { new: true }
+    ).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // verifyKYC / revokeKYC only accept wallets on UserRegistry's verifier list
+    let kycVerifierSync;
+    try {
+      kycVerifierSync = await kycService.syncVerifier(
+        user.walletAddress,
+        roles.includes(ROLES.KYC_VERIFIER) || roles.includes(ROLES.ADMIN)
+      );
+    } catch (error) {
+      kycVerifierSync = { success: false, error: error.message };
+    }
+    
+    res.json({ ...user.toObject(), kycVerifierSync });
+  } catch (error) {
+    console.error('Role update error:', error);
+    res.status(500).json({ error: 'Failed to update roles' });
+  }
+});
+
 module.exports = router;
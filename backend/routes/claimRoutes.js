@@ -1,6 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const Claim = require('../models/Claim');
+const Pool = require('../models/Pool');
+const VaultDocument = require('../models/VaultDocument');
+const claimService = require('../services/claimService');
+const ipfsService = require('../services/ipfsService');
+const attestationService = require('../services/attestationService');
+const indexerService = require('../services/indexerService');
+const blockchainService = require('../services/blockchainService');
+const { authenticate } = require('../middleware/auth');
+const { requirePolicyConsent } = require('../middleware/consent');
+
+// Claims, votes and rewards are written by the chain indexer (services/indexerService.js).
+// Write endpoints take the hash of a transaction the wallet already sent and ingest it.
+
+const MAX_DOCUMENTS = 10;
+
+const isTxHash = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
 
 router.get('/', async (req, res) => {
   try {
@@ -16,26 +32,198 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+/**
+ * POST /api/claims/documents
+ * Pin a bundle listing encrypted vault documents (uploaded through /api/ipfs/vault/documents);
+ * the bundle hash is what goes into InsurancePool.submitClaim as the claim's ipfsHash.
+ * An optional `attestation` names where the oracle can check the documents, e.g.
+ * { provider: 'hospital-ehr', encounterId } (see services/attestationService.js)
+ */
+router.post('/documents', authenticate, requirePolicyConsent(), async (req, res) => {
   try {
-    const claim = new Claim(req.body);
-    await claim.save();
-    res.json(claim);
+    const cids = Array.isArray(req.body.documents) ? [...new Set(req.body.documents)] : [];
+    if (cids.length === 0) {
+      return res.status(400).json({ error: 'No documents provided' });
+    }
+    if (cids.length > MAX_DOCUMENTS) {
+      return res.status(400).json({ error: `At most ${MAX_DOCUMENTS} documents per claim` });
+    }
+
+    const documents = await VaultDocument.find({ cid: { $in: cids }, owner: req.user.walletAddress });
+    if (documents.length !== cids.length) {
+      return res.status(400).json({ error: 'Documents must be vault documents you own' });
+    }
+
+    let attestation;
+    if (req.body.attestation !== undefined) {
+      const checked = attestationService.validate(req.body.attestation, cids);
+      if (!checked.success) {
+        return res.status(400).json({ error: checked.error });
+      }
+      attestation = checked.attestation;
+    }
+
+    // Names and types stay in the vault, visible only to grantees
+    const files = cids.map((cid) => ({ ipfsHash: cid, encrypted: true }));
+    const bundle = await ipfsService.uploadJSON({
+      type: 'claim-documents',
+      encrypted: true,
+      uploadedBy: req.user.walletAddress,
+      uploadedAt: new Date().toISOString(),
+      files,
+      ...(attestation && { attestation })
+    });
+    if (!bundle.success) {
+      return res.status(502).json({ error: 'Failed to upload document bundle' });
+    }
+
+    res.status(201).json({ ipfsHash: bundle.ipfsHash, files, attestation });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to create claim' });
+    console.error('Claim document upload error:', error);
+    res.status(500).json({ error: 'Failed to upload documents' });
   }
 });
 
-router.put('/:claimId', async (req, res) => {
+/**
+ * POST /api/claims
+ * Register a claim from a mined submitClaim transaction sent by the caller
+ */
+router.post('/', authenticate, requirePolicyConsent(), async (req, res) => {
   try {
-    const claim = await Claim.findOneAndUpdate(
-      { claimId: req.params.claimId },
-      req.body,
-      { new: true }
+    const { txHash } = req.body;
+    if (!isTxHash(txHash)) {
+      return res.status(400).json({ error: 'Valid txHash is required' });
+    }
+
+    const events = await blockchainService.getTransactionEvents(txHash, 'InsurancePool');
+    const submitted = events.find((event) =>
+      event.name === 'ClaimSubmitted' && event.args.claimant.toLowerCase() === req.user.walletAddress
     );
-    res.json(claim);
+    if (!submitted) {
+      return res.status(400).json({ error: 'Transaction did not submit a claim from your wallet' });
+    }
+
+    await indexerService.ingestTransaction(txHash);
+
+    const claim = await Claim.findOne({ claimId: Number(submitted.args.claimId) });
+    res.status(201).json(claim);
+  } catch (error) {
+    console.error('Claim submission error:', error);
+    res.status(500).json({ error: 'Failed to register claim', message: error.message });
+  }
+});
+
+/**
+ * GET /api/claims/review/:address
+ * Pending claims in the wallet's pools with live tallies and vote eligibility
+ */
+router.get('/review/:address', async (req, res) => {
+  try {
+    const pools = await claimService.getReviewQueue(req.params.address);
+    res.json(pools);
+  } catch (error) {
+    console.error('Review queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+});
+
+/**
+ * GET /api/claims/rewards/:address
+ * Voting rewards a wallet earned across all claims it voted on
+ */
+router.get('/rewards/:address', async (req, res) => {
+  try {
+    const rewards = await claimService.getVoterRewards(req.params.address);
+    res.json(rewards);
+  } catch (error) {
+    console.error('Voter rewards error:', error);
+    res.status(500).json({ error: 'Failed to fetch voting rewards' });
+  }
+});
+
+/**
+ * GET /api/claims/:claimId
+ * Claim with its vote tally and projected 60% outcome
+ */
+router.get('/:claimId', async (req, res) => {
+  try {
+    const claim = await Claim.findOne({ claimId: req.params.claimId });
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    const pool = await Pool.findOne({ poolId: claim.poolId }, 'name memberCount');
+    res.json({ claim, pool, tally: claimService.getTally(claim, pool) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch claim' });
+  }
+});
+
+/**
+ * GET /api/claims/:claimId/eligibility
+ * Whether the caller may vote: pool member, not the claimant, not voted yet
+ */
+router.get('/:claimId/eligibility', authenticate, async (req, res) => {
+  try {
+    const claim = await Claim.findOne({ claimId: req.params.claimId });
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    const pool = await Pool.findOne({ poolId: claim.poolId }, 'members');
+    res.json(claimService.checkVoteEligibility(claim, pool, req.user.walletAddress));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to check eligibility' });
+  }
+});
+
+/**
+ * POST /api/claims/:claimId/votes
+ * Record the caller's mined voteClaim transaction and return the new tally
+ */
+router.post('/:claimId/votes', authenticate, async (req, res) => {
+  try {
+    const claimId = Number(req.params.claimId);
+    const { txHash } = req.body;
+    if (!isTxHash(txHash)) {
+      return res.status(400).json({ error: 'Valid txHash is required' });
+    }
+
+    const events = await blockchainService.getTransactionEvents(txHash, 'InsurancePool');
+    const voted = events.find((event) =>
+      event.name === 'ClaimVoted' &&
+      Number(event.args.claimId) === claimId &&
+      event.args.voter.toLowerCase() === req.user.walletAddress
+    );
+    if (!voted) {
+      return res.status(400).json({ error: 'Transaction does not contain your vote on this claim' });
+    }
+
+    await indexerService.ingestTransaction(txHash);
+
+    const claim = await Claim.findOne({ claimId });
+    const pool = await Pool.findOne({ poolId: claim.poolId }, 'name memberCount');
+    res.json({ claim, pool, tally: claimService.getTally(claim, pool) });
+  } catch (error) {
+    console.error('Claim vote error:', error);
+    res.status(500).json({ error: 'Failed to record vote', message: error.message });
+  }
+});
+
+/**
+ * GET /api/claims/:claimId/rewards
+ * Schelling-point reward of every voter on a resolved claim
+ */
+router.get('/:claimId/rewards', async (req, res) => {
+  try {
+    const claim = await Claim.findOne({ claimId: req.params.claimId });
+    if (!claim) {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+
+    res.json(claimService.getRewards(claim));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update claim' });
+    res.status(500).json({ error: 'Failed to fetch claim rewards' });
   }
 });
 
@@ -1,6 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const CreditHistory = require('../models/CreditHistory');
+const creditService = require('../services/creditService');
+
+// Read-only: documents are written by the chain indexer (services/indexerService.js)
+
+/**
+ * GET /api/credit/:userAddress/explain
+ * Current on-chain score broken down into the points each CreditScore factor contributes
+ */
+router.get('/:userAddress/explain', async (req, res) => {
+  try {
+    const result = await creditService.explain(req.params.userAddress);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result.explanation);
+  } catch (error) {
+    console.error('Credit explain error:', error);
+    res.status(500).json({ error: 'Failed to explain credit score', message: error.message });
+  }
+});
+
+/**
+ * GET /api/credit/:userAddress/simulate?repayLoans=3,5&payments=6&latePayments=1
+ * Score after paying off the given active loans and making more payments now, step by step
+ */
+router.get('/:userAddress/simulate', async (req, res) => {
+  try {
+    const { repayLoans = '', payments = '0', latePayments = '0' } = req.query;
+    const result = await creditService.simulate(req.params.userAddress, {
+      repayLoans: String(repayLoans).split(',').filter(Boolean).map(Number),
+      payments: Number(payments),
+      latePayments: Number(latePayments)
+    });
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ error: result.error });
+    }
+
+    res.json(result.simulation);
+  } catch (error) {
+    console.error('Credit simulation error:', error);
+    res.status(500).json({ error: 'Failed to simulate credit score', message: error.message });
+  }
+});
 
 router.get('/:userAddress', async (req, res) => {
   try {
@@ -8,6 +52,7 @@ router.get('/:userAddress', async (req, res) => {
       userAddress: req.params.userAddress.toLowerCase() 
     });
     
+    // No on-chain credit activity yet - report the contract's default score
     if (!credit) {
       credit = new CreditHistory({
         userAddress: req.params.userAddress.toLowerCase(),
@@ -23,7 +68,6 @@ router.get('/:userAddress', async (req, res) => {
         },
         scoreHistory: [{ score: 450, timestamp: new Date(), reason: 'Initial score' }]
       });
-      await credit.save();
     }
     
     res.json(credit);
@@ -32,17 +76,4 @@ router.get('/:userAddress', async (req, res) => {
   }
 });
 
-router.put('/:userAddress', async (req, res) => {
-  try {
-    const credit = await CreditHistory.findOneAndUpdate(
-      { userAddress: req.params.userAddress.toLowerCase() },
-      req.body,
-      { new: true, upsert: true }
-    );
-    res.json(credit);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to update credit score' });
-  }
-});
-
 module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const CrowdFunding = require('../models/CrowdFunding');
-const User = require('../models/User');
+
+// Read-only: campaigns, contributions, votes and milestones are written by the
+// chain indexer (services/indexerService.js). Only off-chain analytics live here.
 
 // GET all campaigns with filters
 router.get('/', async (req, res) => {
@@ -64,239 +66,14 @@ router.get('/', async (req, res) => {
 router.get('/:campaignId', async (req, res) => {
   try {
     const { campaignId } = req.params;
-    const campaign = await CrowdFunding.findOne({ campaignId: parseInt(campaignId) });
-
-    if (!campaign) {
-      return res.status(404).json({
-        success: false,
-        message: 'Campaign not found'
-      });
-    }
-
-    // Increment view count
-    campaign.analytics.viewCount += 1;
-    await campaign.save();
-
-    res.json({
-      success: true,
-      campaign
-    });
-  } catch (error) {
-    console.error('Error fetching campaign:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching campaign',
-      error: error.message
-    });
-  }
-});
-
-// POST create new campaign
-router.post('/create', async (req, res) => {
-  try {
-    const {
-      campaignId,
-      creator,
-      title,
-      description,
-      category,
-      goalAmount,
-      deadline,
-      documents,
-      allOrNothing,
-      milestones
-    } = req.body;
-
-    // Validate required fields
-    if (!campaignId || !creator || !title || !description || !category || !goalAmount || !deadline) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields'
-      });
-    }
-
-    // Check if user is KYC verified
-    const user = await User.findOne({ walletAddress: creator.toLowerCase() });
-    if (!user || !user.isKYCVerified) {
-      return res.status(403).json({
-        success: false,
-        message: 'KYC verification required'
-      });
-    }
-
-    // Check if campaign ID already exists
-    const existingCampaign = await CrowdFunding.findOne({ campaignId: parseInt(campaignId) });
-    if (existingCampaign) {
-      return res.status(400).json({
-        success: false,
-        message: 'Campaign ID already exists'
-      });
-    }
-
-    const newCampaign = new CrowdFunding({
-      campaignId: parseInt(campaignId),
-      creator: creator.toLowerCase(),
-      title,
-      description,
-      category,
-      goalAmount,
-      deadline: new Date(deadline),
-      documents: documents || [],
-      allOrNothing: allOrNothing !== undefined ? allOrNothing : true,
-      milestones: milestones || []
-    });
-
-    await newCampaign.save();
-
-    res.status(201).json({
-      success: true,
-      message: 'Campaign created successfully',
-      campaign: newCampaign
-    });
-  } catch (error) {
-    console.error('Error creating campaign:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error creating campaign',
-      error: error.message
-    });
-  }
-});
-
-// POST contribute to campaign
-router.post('/:campaignId/contribute', async (req, res) => {
-  try {
-    const { campaignId } = req.params;
-    const { contributor, amount, transactionHash } = req.body;
-
-    if (!contributor || !amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields'
-      });
-    }
-
-    const campaign = await CrowdFunding.findOne({ campaignId: parseInt(campaignId) });
-
-    if (!campaign) {
-      return res.status(404).json({
-        success: false,
-        message: 'Campaign not found'
-      });
-    }
-
-    // Check if this is a new contributor
-    const existingContribution = campaign.contributors.find(
-      c => c.contributor.toLowerCase() === contributor.toLowerCase()
-    );
-
-    if (!existingContribution) {
-      campaign.contributorsCount += 1;
-    }
-
-    // Add contribution
-    campaign.contributors.push({
-      contributor: contributor.toLowerCase(),
-      amount,
-      transactionHash,
-      timestamp: new Date()
-    });
-
-    // Update raised amount
-    const currentRaised = parseFloat(campaign.raisedAmount || '0');
-    const contributionAmount = parseFloat(amount);
-    campaign.raisedAmount = (currentRaised + contributionAmount).toString();
-
-    // Calculate average contribution
-    const totalContributions = campaign.contributors.reduce(
-      (sum, c) => sum + parseFloat(c.amount),
-      0
-    );
-    campaign.analytics.averageContribution = (totalContributions / campaign.contributors.length).toString();
-
-    await campaign.save();
-
-    res.json({
-      success: true,
-      message: 'Contribution recorded successfully',
-      campaign
-    });
-  } catch (error) {
-    console.error('Error recording contribution:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error recording contribution',
-      error: error.message
-    });
-  }
-});
-
-// POST vote for campaign approval
-router.post('/:campaignId/approve', async (req, res) => {
-  try {
-    const { campaignId } = req.params;
-    const { voter, approved } = req.body;
-
-    if (!voter || approved === undefined) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields'
-      });
-    }
-
-    const campaign = await CrowdFunding.findOne({ campaignId: parseInt(campaignId) });
-
-    if (!campaign) {
-      return res.status(404).json({
-        success: false,
-        message: 'Campaign not found'
-      });
-    }
 
-    // Check if already voted
-    const hasVoted = campaign.approvalVotes.some(
-      v => v.voter.toLowerCase() === voter.toLowerCase()
+    // Increment view count atomically so it never overwrites indexed fields
+    const campaign = await CrowdFunding.findOneAndUpdate(
+      { campaignId: parseInt(campaignId) },
+      { $inc: { 'analytics.viewCount': 1 } },
+      { new: true }
     );
 
-    if (hasVoted) {
-      return res.status(400).json({
-        success: false,
-        message: 'Already voted for this campaign'
-      });
-    }
-
-    // Add vote
-    campaign.approvalVotes.push({
-      voter: voter.toLowerCase(),
-      approved,
-      timestamp: new Date()
-    });
-
-    await campaign.save();
-
-    res.json({
-      success: true,
-      message: 'Vote recorded successfully',
-      campaign
-    });
-  } catch (error) {
-    console.error('Error recording vote:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error recording vote',
-      error: error.message
-    });
-  }
-});
-
-// PUT update campaign
-router.put('/:campaignId', async (req, res) => {
-  try {
-    const { campaignId } = req.params;
-    const updates = req.body;
-
-    const campaign = await CrowdFunding.findOne({ campaignId: parseInt(campaignId) });
-
     if (!campaign) {
       return res.status(404).json({
         success: false,
@@ -304,81 +81,15 @@ router.put('/:campaignId', async (req, res) => {
       });
     }
 
-    // Only allow updates if campaign is pending approval or has no contributions
-    if (campaign.status !== 'PENDING_APPROVAL' && campaign.contributorsCount > 0) {
-      return res.status(403).json({
-        success: false,
-        message: 'Cannot update campaign with contributions'
-      });
-    }
-
-    // Update allowed fields
-    const allowedUpdates = ['title', 'description', 'documents', 'status', 'isApproved'];
-    Object.keys(updates).forEach(key => {
-      if (allowedUpdates.includes(key)) {
-        campaign[key] = updates[key];
-      }
-    });
-
-    await campaign.save();
-
     res.json({
       success: true,
-      message: 'Campaign updated successfully',
       campaign
     });
   } catch (error) {
-    console.error('Error updating campaign:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error updating campaign',
-      error: error.message
-    });
-  }
-});
-
-// POST release milestone
-router.post('/:campaignId/milestone/:milestoneIndex/release', async (req, res) => {
-  try {
-    const { campaignId, milestoneIndex } = req.params;
-    const { proofIpfsHash } = req.body;
-
-    const campaign = await CrowdFunding.findOne({ campaignId: parseInt(campaignId) });
-
-    if (!campaign) {
-      return res.status(404).json({
-        success: false,
-        message: 'Campaign not found'
-      });
-    }
-
-    const index = parseInt(milestoneIndex);
-    if (index < 0 || index >= campaign.milestones.length) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid milestone index'
-      });
-    }
-
-    const milestone = campaign.milestones[index];
-    milestone.isReleased = true;
-    milestone.releaseDate = new Date();
-    if (proofIpfsHash) {
-      milestone.proofIpfsHash = proofIpfsHash;
-    }
-
-    await campaign.save();
-
-    res.json({
-      success: true,
-      message: 'Milestone released successfully',
-      milestone
-    });
-  } catch (error) {
-    console.error('Error releasing milestone:', error);
+    console.error('Error fetching campaign:', error);
     res.status(500).json({
       success: false,
-      message: 'Error releasing milestone',
+      message: 'Error fetching campaign',
       error: error.message
     });
   }
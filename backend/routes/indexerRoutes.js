@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const indexerService = require('../services/indexerService');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * POST /api/indexer/sync
+ * Ingest a mined transaction immediately so the UI does not wait for the next poll
+ */
+router.post('/sync', authenticate, async (req, res) => {
+    try {
+        const { txHash } = req.body;
+
+        if (!txHash || !/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+            return res.status(400).json({ error: 'Valid txHash is required' });
+        }
+
+        const result = await indexerService.ingestTransaction(txHash);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Indexer sync error:', error);
+        res.status(500).json({ error: 'Failed to sync transaction', message: error.message });
+    }
+});
+
+/**
+ * GET /api/indexer/status
+ * Checkpoint, chain head and lag of the indexer
+ */
+router.get('/status', async (req, res) => {
+    try {
+        const status = await indexerService.getStatus();
+        res.json(status);
+    } catch (error) {
+        console.error('Indexer status error:', error);
+        res.status(500).json({ error: 'Failed to get indexer status' });
+    }
+});
+
+module.exports = router;
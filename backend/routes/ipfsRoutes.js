@@ -1,12 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const path = require('path');
 const ipfsService = require('../services/ipfsService');
+const vaultService = require('../services/vaultService');
+const VaultDocument = require('../models/VaultDocument');
+const { authenticate } = require('../middleware/auth');
+const { requirePolicyConsent } = require('../middleware/consent');
 
 const upload = multer({ storage: multer.memoryStorage() });
 
-// Upload file to IPFS
-router.post('/upload', upload.single('file'), async (req, res) => {
+// Upload file to IPFS (public and unencrypted - medical documents go through /vault)
+router.post('/upload', authenticate, requirePolicyConsent(), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -29,7 +34,7 @@ router.post('/upload', upload.single('file'), async (req, res) => {
 });
 
 // Upload JSON to IPFS
-router.post('/upload-json', async (req, res) => {
+router.post('/upload-json', authenticate, requirePolicyConsent(), async (req, res) => {
   try {
     const result = await ipfsService.uploadJSON(req.body);
     
@@ -44,6 +49,242 @@ router.post('/upload-json', async (req, res) => {
   }
 });
 
+// ===== Encrypted document vault =====
+
+// Register or rotate the caller's vault public key
+router.put('/vault/key', authenticate, async (req, res) => {
+  try {
+    const result = await vaultService.registerKey(req.user.walletAddress, req.body.publicKey);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ address: result.key.address, publicKey: result.key.publicKey });
+  } catch (error) {
+    console.error('Vault key error:', error);
+    res.status(500).json({ error: 'Failed to register vault key' });
+  }
+});
+
+// Vault keys to wrap a document key for: ?addresses=0x..,0x.. and/or ?poolId=1 (all members)
+router.get('/vault/recipients', authenticate, async (req, res) => {
+  try {
+    const addresses = (req.query.addresses || '').split(',').map((address) => address.trim()).filter(Boolean);
+    const poolId = req.query.poolId !== undefined ? Number(req.query.poolId) : undefined;
+
+    res.json(await vaultService.getRecipients({ addresses, poolId }));
+  } catch (error) {
+    console.error('Vault recipients error:', error);
+    res.status(500).json({ error: 'Failed to fetch vault keys' });
+  }
+});
+
+// Pin an encrypted file with its key grants; the owner must grant itself
+router.post('/vault/documents', authenticate, requirePolicyConsent(), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    let metadata;
+    try {
+      metadata = JSON.parse(req.body.metadata || '{}');
+    } catch (error) {
+      return res.status(400).json({ error: 'metadata must be JSON' });
+    }
+
+    const owner = req.user.walletAddress;
+    if (!/^0x[0-9a-fA-F]{24}$/.test(metadata.iv || '')) {
+      return res.status(400).json({ error: 'A 12-byte AES-GCM iv is required' });
+    }
+
+    const grants = vaultService.normalizeGrants(metadata.grants, owner);
+    if (!grants.success) {
+      return res.status(400).json({ error: grants.error });
+    }
+    if (!grants.grants.some((grant) => grant.grantee === owner)) {
+      return res.status(400).json({ error: 'The document key must be wrapped for the owner' });
+    }
+
+    // Pinned under an opaque name so the file name does not leak through Pinata metadata
+    const result = await ipfsService.uploadFile(req.file.buffer, `vault-${Date.now()}.bin`);
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+
+    const document = await VaultDocument.findOneAndUpdate(
+      { cid: result.ipfsHash },
+      {
+        $setOnInsert: {
+          cid: result.ipfsHash,
+          owner,
+          fileName: metadata.fileName,
+          mimeType: metadata.mimeType,
+          size: metadata.size,
+          iv: metadata.iv,
+          purpose: metadata.purpose,
+          poolId: metadata.poolId,
+          grants: grants.grants
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    if (document.owner !== owner) {
+      return res.status(409).json({ error: 'Document already registered by another wallet' });
+    }
+
+    res.status(201).json(vaultService.serialize(document, owner));
+  } catch (error) {
+    console.error('Vault upload error:', error);
+    res.status(500).json({ error: 'Upload failed' });
+  }
+});
+
+// Documents the caller owns or has an active grant on
+router.get('/vault/documents', authenticate, async (req, res) => {
+  try {
+    const address = req.user.walletAddress;
+    const documents = await VaultDocument.find({
+      $or: [
+        { owner: address },
+        { grants: { $elemMatch: { grantee: address, revokedAt: null } } }
+      ]
+    }).sort({ createdAt: -1 });
+
+    res.json(documents.map((document) => vaultService.serialize(document, address)));
+  } catch (error) {
+    console.error('Vault list error:', error);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+router.get('/vault/documents/:cid', authenticate, async (req, res) => {
+  try {
+    const address = req.user.walletAddress;
+    const document = await VaultDocument.findOne({ cid: req.params.cid });
+
+    if (!document || (document.owner !== address && !vaultService.getActiveGrant(document, address))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(vaultService.serialize(document, address));
+  } catch (error) {
+    console.error('Vault document error:', error);
+    res.status(500).json({ error: 'Failed to fetch document' });
+  }
+});
+
+// The caller's wrapped copy of the document key
+router.get('/vault/documents/:cid/key', authenticate, async (req, res) => {
+  try {
+    const address = req.user.walletAddress;
+    const document = await VaultDocument.findOne({ cid: req.params.cid });
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const grant = vaultService.getActiveGrant(document, address);
+    if (!grant) {
+      return res.status(403).json({ error: 'You do not have access to this document' });
+    }
+
+    await VaultDocument.updateOne(
+      { cid: document.cid, 'grants.grantee': address },
+      { $set: { 'grants.$.lastAccessedAt': new Date() } }
+    );
+
+    res.json({
+      cid: document.cid,
+      algorithm: document.algorithm,
+      iv: document.iv,
+      fileName: document.fileName,
+      mimeType: document.mimeType,
+      wrappedKey: grant.wrappedKey
+    });
+  } catch (error) {
+    console.error('Vault key fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch document key' });
+  }
+});
+
+// Owner grants (or re-grants) access by wrapping the document key for more wallets
+router.post('/vault/documents/:cid/grants', authenticate, async (req, res) => {
+  try {
+    const owner = req.user.walletAddress;
+    const document = await VaultDocument.findOne({ cid: req.params.cid });
+    if (!document || document.owner !== owner) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const result = vaultService.normalizeGrants(req.body.grants, owner);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    for (const grant of result.grants) {
+      const index = document.grants.findIndex((existing) => existing.grantee === grant.grantee);
+      if (index === -1) {
+        document.grants.push(grant);
+      } else {
+        document.grants.set(index, grant);
+      }
+    }
+    await document.save();
+
+    res.json(vaultService.serialize(document, owner));
+  } catch (error) {
+    console.error('Vault grant error:', error);
+    res.status(500).json({ error: 'Failed to grant access' });
+  }
+});
+
+// Owner revokes a grant. Wallets that already fetched the key keep what they
+// decrypted; re-upload under a new key to cut them off from future versions.
+router.delete('/vault/documents/:cid/grants/:grantee', authenticate, async (req, res) => {
+  try {
+    const owner = req.user.walletAddress;
+    const grantee = req.params.grantee.toLowerCase();
+
+    const document = await VaultDocument.findOne({ cid: req.params.cid });
+    if (!document || document.owner !== owner) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (grantee === owner) {
+      return res.status(400).json({ error: 'The owner grant cannot be revoked' });
+    }
+
+    const grant = vaultService.getActiveGrant(document, grantee);
+    if (!grant) {
+      return res.status(404).json({ error: 'No active grant for this wallet' });
+    }
+
+    grant.revokedAt = new Date();
+    await document.save();
+
+    res.json(vaultService.serialize(document, owner));
+  } catch (error) {
+    console.error('Vault revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke access' });
+  }
+});
+
+// Serve content through the active storage provider (the gateway for the local store)
+router.get('/content/:cid', async (req, res) => {
+  try {
+    const result = await ipfsService.getContent(req.params.cid);
+    if (!result.success) {
+      return res.status(404).json({ error: result.error });
+    }
+
+    res.type(result.fileName ? path.extname(result.fileName) || 'application/octet-stream' : 'application/octet-stream');
+    res.send(result.data);
+  } catch (error) {
+    console.error('IPFS content error:', error);
+    res.status(500).json({ error: 'Failed to fetch content' });
+  }
+});
+
 // Get IPFS URL
 router.get('/url/:hash', (req, res) => {
   res.json({ url: ipfsService.getUrl(req.params.hash) });
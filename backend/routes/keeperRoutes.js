@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const keeperService = require('../services/keeperService');
+const KeeperRun = require('../models/KeeperRun');
+const { ROLES, authenticate, requireRole } = require('../middleware/auth');
+
+// The default keeper (services/keeperService.js) calls MicroLoan.markDefault for loans past
+// their grace period. Its reports list every loan it acted on.
+
+/**
+ * GET /api/keeper/status
+ * Schedule, mode and the latest run
+ */
+router.get('/status', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    res.json(await keeperService.getStatus());
+  } catch (error) {
+    console.error('Keeper status error:', error);
+    res.status(500).json({ error: 'Failed to get keeper status', message: error.message });
+  }
+});
+
+/**
+ * POST /api/keeper/run
+ * Run the keeper now: { dryRun? } (default: KEEPER_DRY_RUN). A dry run only simulates markDefault.
+ */
+router.post('/run', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { dryRun } = req.body;
+    if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+      return res.status(400).json({ error: 'dryRun must be a boolean' });
+    }
+
+    const result = await keeperService.run({ dryRun, requestedBy: req.user.walletAddress });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result.run);
+  } catch (error) {
+    console.error('Keeper run error:', error);
+    res.status(500).json({ error: 'Failed to run keeper', message: error.message });
+  }
+});
+
+/**
+ * GET /api/keeper/runs
+ * Keeper reports, newest first. ?actedOnly=true skips runs that found nothing to do.
+ */
+router.get('/runs', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const query = req.query.actedOnly === 'true' ? { 'actions.0': { $exists: true } } : {};
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const runs = await KeeperRun.find(query).sort({ startedAt: -1 }).limit(limit);
+    res.json(runs);
+  } catch (error) {
+    console.error('Keeper runs error:', error);
+    res.status(500).json({ error: 'Failed to fetch keeper runs', message: error.message });
+  }
+});
+
+/**
+ * GET /api/keeper/loans/:loanId
+ * Every keeper action on one loan
+ */
+router.get('/loans/:loanId', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const loanId = Number(req.params.loanId);
+    if (!Number.isInteger(loanId) || loanId < 0) {
+      return res.status(400).json({ error: 'Invalid loan id' });
+    }
+
+    const runs = await KeeperRun.find({ 'actions.loanId': loanId }).sort({ startedAt: -1 });
+
+    res.json(runs.map((run) => ({
+      runId: run._id,
+      dryRun: run.dryRun,
+      startedAt: run.startedAt,
+      ...run.actions.find((action) => action.loanId === loanId).toObject()
+    })));
+  } catch (error) {
+    console.error('Keeper loan history error:', error);
+    res.status(500).json({ error: 'Failed to fetch keeper history', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const { ethers } = require('ethers');
+const KycApplication = require('../models/KycApplication');
+const kycService = require('../services/kycService');
+const indexerService = require('../services/indexerService');
+const blockchainService = require('../services/blockchainService');
+const { authenticate, requireRole, requireSelf, ROLES } = require('../middleware/auth');
+const { requirePolicyConsent } = require('../middleware/consent');
+
+// KYC applications. Applicants submit vault documents encrypted for the verifiers; decisions
+// are UserRegistry transactions sent by the verifier and mirrored by the chain indexer.
+
+const isTxHash = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
+
+/**
+ * Find the KYC event a verifier's transaction emitted for an applicant
+ */
+const findDecision = async (txHash, eventName, applicant, verifier) => {
+  const events = await blockchainService.getTransactionEvents(txHash, 'UserRegistry');
+  return events.find((event) =>
+    event.name === eventName &&
+    event.args.userAddress.toLowerCase() === applicant &&
+    event.args.verifier.toLowerCase() === verifier
+  );
+};
+
+/**
+ * GET /api/kyc/recipients
+ * Vault keys of the verifiers to encrypt KYC documents for
+ */
+router.get('/recipients', authenticate, async (req, res) => {
+  try {
+    res.json(await kycService.getRecipients());
+  } catch (error) {
+    console.error('KYC recipients error:', error);
+    res.status(500).json({ error: 'Failed to fetch KYC verifiers' });
+  }
+});
+
+/**
+ * POST /api/kyc/applications
+ * Submit (or resubmit after a rejection) KYC vault documents: { documents: [cid] }.
+ * The response's bundleHash is what the applicant registers with UserRegistry.registerUser.
+ */
+router.post('/applications', authenticate, requirePolicyConsent(), async (req, res) => {
+  try {
+    const result = await kycService.submit(req.user.walletAddress, req.body.documents);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const chain = await kycService.getChainStatus(req.user.walletAddress);
+    res.status(201).json(kycService.describe(result.application, chain));
+  } catch (error) {
+    console.error('KYC submission error:', error);
+    res.status(500).json({ error: 'Failed to submit KYC application' });
+  }
+});
+
+/**
+ * GET /api/kyc/applications?status=PENDING
+ * Review queue, oldest submission first (KYC verifiers)
+ */
+router.get('/applications', authenticate, requireRole(ROLES.KYC_VERIFIER), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const applications = await KycApplication.find(filter).sort({ submittedAt: 1 }).limit(100);
+
+    // Only registered applicants can be approved on-chain
+    const described = await Promise.all(applications.map(async (application) =>
+      kycService.describe(application, await kycService.getChainStatus(application.walletAddress))
+    ));
+
+    res.json({
+      applications: described,
+      reviewerIsChainVerifier: await kycService.isChainVerifier(req.user.walletAddress)
+    });
+  } catch (error) {
+    console.error('KYC queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch KYC applications' });
+  }
+});
+
+/**
+ * GET /api/kyc/applications/:address
+ * An application and its on-chain state (the applicant or a verifier)
+ */
+router.get('/applications/:address', authenticate, requireSelf('address', ROLES.KYC_VERIFIER), async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    const walletAddress = req.params.address.toLowerCase();
+    const [application, chain] = await Promise.all([
+      KycApplication.findOne({ walletAddress }),
+      kycService.getChainStatus(walletAddress)
+    ]);
+    if (!application) {
+      return res.status(404).json({ error: 'No KYC application', chain });
+    }
+
+    res.json(kycService.describe(application, chain));
+  } catch (error) {
+    console.error('KYC application error:', error);
+    res.status(500).json({ error: 'Failed to fetch KYC application' });
+  }
+});
+
+/**
+ * POST /api/kyc/applications/:address/approve
+ * Register a mined UserRegistry.verifyKYC transaction sent by the reviewing verifier
+ */
+router.post('/applications/:address/approve', authenticate, requireRole(ROLES.KYC_VERIFIER), async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    const { txHash } = req.body;
+    if (!isTxHash(txHash)) {
+      return res.status(400).json({ error: 'Valid txHash is required' });
+    }
+
+    const walletAddress = req.params.address.toLowerCase();
+    const decision = await findDecision(txHash, 'KYCVerified', walletAddress, req.user.walletAddress);
+    if (!decision) {
+      return res.status(400).json({ error: 'Transaction did not verify this applicant from your wallet' });
+    }
+
+    await indexerService.ingestTransaction(txHash);
+
+    const application = await KycApplication.findOne({ walletAddress });
+    res.json(kycService.describe(application, await kycService.getChainStatus(walletAddress)));
+  } catch (error) {
+    console.error('KYC approval error:', error);
+    res.status(500).json({ error: 'Failed to record KYC approval', message: error.message });
+  }
+});
+
+/**
+ * POST /api/kyc/applications/:address/reject
+ * Register a mined UserRegistry.revokeKYC transaction with the reason shown to the applicant:
+ * { txHash, reason }. Applicants not registered on-chain are rejected without a transaction.
+ */
+router.post('/applications/:address/reject', authenticate, requireRole(ROLES.KYC_VERIFIER), async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    const { txHash, reason } = req.body;
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const walletAddress = req.params.address.toLowerCase();
+    const chain = await kycService.getChainStatus(walletAddress);
+
+    if (!chain.registered) {
+      const application = await kycService.rejectUnregistered(walletAddress, req.user.walletAddress, reason.trim());
+      if (!application) {
+        return res.status(404).json({ error: 'No pending KYC application' });
+      }
+      return res.json(kycService.describe(application, chain));
+    }
+
+    if (!isTxHash(txHash)) {
+      return res.status(400).json({ error: 'Valid txHash is required' });
+    }
+
+    const decision = await findDecision(txHash, 'KYCRevoked', walletAddress, req.user.walletAddress);
+    if (!decision) {
+      return res.status(400).json({ error: 'Transaction did not revoke this applicant from your wallet' });
+    }
+
+    await indexerService.ingestTransaction(txHash);
+    await kycService.recordReason(walletAddress, txHash.toLowerCase(), reason.trim());
+
+    const application = await KycApplication.findOne({ walletAddress });
+    res.json(kycService.describe(application, await kycService.getChainStatus(walletAddress)));
+  } catch (error) {
+    console.error('KYC rejection error:', error);
+    res.status(500).json({ error: 'Failed to record KYC rejection', message: error.message });
+  }
+});
+
+module.exports = router;
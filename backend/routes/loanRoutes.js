@@ -1,13 +1,30 @@
 const express = require('express');
+const { ethers } = require('ethers');
 const router = express.Router();
 const Loan = require('../models/Loan');
+const loanService = require('../services/loanService');
+const amortizationService = require('../services/amortizationService');
+const indexerService = require('../services/indexerService');
+const blockchainService = require('../services/blockchainService');
+const { authenticate } = require('../middleware/auth');
+
+// Loans are written by the chain indexer (services/indexerService.js).
+// Origination is quoted here, sent by the borrower's wallet, then registered by tx hash.
+
+const isTxHash = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
+
+// Service failures: 404 for a missing invitation or loan, 400 otherwise
+const sendFailure = (res, result) =>
+  res.status(result.notFound ? 404 : 400).json({ error: result.error });
 
 router.get('/', async (req, res) => {
   try {
-    const { borrower } = req.query;
+    const { borrower, coSigner, loanType } = req.query;
     let query = {};
     if (borrower) query.borrower = borrower.toLowerCase();
-    
+    if (coSigner) query.coSigner = coSigner.toLowerCase();
+    if (loanType) query.loanType = loanType;
+
     const loans = await Loan.find(query).sort({ createdAt: -1 });
     res.json(loans);
   } catch (error) {
@@ -15,26 +32,219 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
+/**
+ * GET /api/loans/terms
+ * Amount and duration bounds, minimum credit score and the rules of each loan type
+ */
+router.get('/terms', async (req, res) => {
   try {
-    const loan = new Loan(req.body);
-    await loan.save();
-    res.json(loan);
+    res.json(await loanService.getTerms());
+  } catch (error) {
+    console.error('Loan terms error:', error);
+    res.status(500).json({ error: 'Failed to fetch loan terms', message: error.message });
+  }
+});
+
+/**
+ * POST /api/loans/quote
+ * Validate a loan request for the caller and quote its rate:
+ * { loanType, amount, duration, purpose?, documents?, coSigner?, poolId? }.
+ * The response's `submission` is the MicroLoan call (and ETH value) to send from the same wallet.
+ */
+router.post('/quote', authenticate, async (req, res) => {
+  try {
+    const result = await loanService.quote(req.user.walletAddress, req.body);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ quote: result.quote, submission: result.submission });
+  } catch (error) {
+    console.error('Loan quote error:', error);
+    res.status(500).json({ error: 'Failed to quote loan', message: error.message });
+  }
+});
+
+/**
+ * POST /api/loans/invitations
+ * Invite a wallet to co-sign a loan for the caller: { coSigner, amount, duration, purpose?, message? }.
+ * Once they accept, request the loan with POST /api/loans/quote (loanType COSIGNED).
+ */
+router.post('/invitations', authenticate, async (req, res) => {
+  try {
+    const result = await loanService.createInvitation(req.user.walletAddress, req.body);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.status(201).json(loanService.serializeInvitation(result.invitation));
+  } catch (error) {
+    console.error('Co-signer invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation', message: error.message });
+  }
+});
+
+/**
+ * GET /api/loans/invitations
+ * Co-signer invitations the caller sent and received
+ */
+router.get('/invitations', authenticate, async (req, res) => {
+  try {
+    res.json(await loanService.getInvitations(req.user.walletAddress));
+  } catch (error) {
+    console.error('Co-signer invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations', message: error.message });
+  }
+});
+
+/**
+ * POST /api/loans/invitations/:invitationId/accept
+ * Accept as the invited co-signer after sending the invitation's `submission`
+ * (MicroLoan.approveCoSigning): { txHash }
+ */
+router.post('/invitations/:invitationId/accept', authenticate, async (req, res) => {
+  try {
+    const { txHash } = req.body;
+    if (!isTxHash(txHash)) {
+      return res.status(400).json({ error: 'Valid txHash is required' });
+    }
+
+    const result = await loanService.acceptInvitation(req.params.invitationId, req.user.walletAddress, txHash);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json(loanService.serializeInvitation(result.invitation));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to create loan' });
+    console.error('Co-signer acceptance error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation', message: error.message });
   }
 });
 
-router.put('/:loanId', async (req, res) => {
+/**
+ * POST /api/loans/invitations/:invitationId/decline
+ * Decline as the invited co-signer. An accepted invitation also needs the
+ * MicroLoan.revokeCoSigning transaction: { txHash }
+ */
+router.post('/invitations/:invitationId/decline', authenticate, async (req, res) => {
   try {
-    const loan = await Loan.findOneAndUpdate(
-      { loanId: req.params.loanId },
-      req.body,
-      { new: true }
+    const { txHash } = req.body;
+    if (txHash !== undefined && !isTxHash(txHash)) {
+      return res.status(400).json({ error: 'Invalid txHash' });
+    }
+
+    const result = await loanService.declineInvitation(req.params.invitationId, req.user.walletAddress, txHash);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json(loanService.serializeInvitation(result.invitation));
+  } catch (error) {
+    console.error('Co-signer decline error:', error);
+    res.status(500).json({ error: 'Failed to decline invitation', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/loans/invitations/:invitationId
+ * Withdraw an unused invitation the caller sent
+ */
+router.delete('/invitations/:invitationId', authenticate, async (req, res) => {
+  try {
+    const result = await loanService.cancelInvitation(req.params.invitationId, req.user.walletAddress);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json(loanService.serializeInvitation(result.invitation));
+  } catch (error) {
+    console.error('Co-signer invitation cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel invitation', message: error.message });
+  }
+});
+
+/**
+ * GET /api/loans/cosigner/:address
+ * Loans a wallet co-signed, its exposure on active loans and obligations called after defaults
+ */
+router.get('/cosigner/:address', async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    res.json(await loanService.getCoSignerExposure(req.params.address));
+  } catch (error) {
+    console.error('Co-signer exposure error:', error);
+    res.status(500).json({ error: 'Failed to fetch co-signer exposure', message: error.message });
+  }
+});
+
+/**
+ * POST /api/loans
+ * Register a loan from a mined MicroLoan request transaction sent by the caller: { txHash }
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { txHash } = req.body;
+    if (!isTxHash(txHash)) {
+      return res.status(400).json({ error: 'Valid txHash is required' });
+    }
+
+    const events = await blockchainService.getTransactionEvents(txHash, 'MicroLoan');
+    const requested = events.find((event) =>
+      event.name === 'LoanRequested' && event.args.borrower.toLowerCase() === req.user.walletAddress
     );
+    if (!requested) {
+      return res.status(400).json({ error: 'Transaction did not request a loan from your wallet' });
+    }
+
+    await indexerService.ingestTransaction(txHash);
+
+    const loan = await Loan.findOne({ loanId: Number(requested.args.loanId) });
+    if (loan && loan.loanType === 'COSIGNED') {
+      await loanService.markInvitationUsed(loan);
+    }
+    res.status(201).json(loan);
+  } catch (error) {
+    console.error('Loan registration error:', error);
+    res.status(500).json({ error: 'Failed to register loan', message: error.message });
+  }
+});
+
+/**
+ * GET /api/loans/:loanId/schedule
+ * Repayment schedule with each repayment tracked against it and late payments flagged.
+ * ?payment=<ETH> adds a payoff projection for paying that amount every installment period.
+ */
+router.get('/:loanId/schedule', async (req, res) => {
+  try {
+    const loanId = Number(req.params.loanId);
+    if (!Number.isInteger(loanId) || loanId < 0) {
+      return res.status(400).json({ error: 'Invalid loan id' });
+    }
+
+    const result = await amortizationService.getSchedule(loanId, { payment: req.query.payment });
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    res.json(result.schedule);
+  } catch (error) {
+    console.error('Loan schedule error:', error);
+    res.status(500).json({ error: 'Failed to build repayment schedule', message: error.message });
+  }
+});
+
+router.get('/:loanId', async (req, res) => {
+  try {
+    const loan = await Loan.findOne({ loanId: Number(req.params.loanId) });
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
     res.json(loan);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update loan' });
+    res.status(500).json({ error: 'Failed to fetch loan' });
   }
 });
 
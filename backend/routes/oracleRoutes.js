@@ -6,30 +6,43 @@
 const express = require('express');
 const router = express.Router();
 const oracleService = require('../services/oracleService');
+const attestationService = require('../services/attestationService');
+const OracleRequest = require('../models/OracleRequest');
+const Claim = require('../models/Claim');
+const { ROLES, authenticate, requireRole, hasRole } = require('../middleware/auth');
 
 /**
  * POST /api/oracle/verify-claim
- * Request claim verification
+ * Queue verification of your claim's documents: { claimId, ipfsHash?, method? }
  */
-router.post('/verify-claim', async (req, res) => {
+router.post('/verify-claim', authenticate, async (req, res) => {
     try {
         const { claimId, ipfsHash, method } = req.body;
 
-        if (!claimId || !ipfsHash) {
+        if (!claimId) {
             return res.status(400).json({
-                error: 'Missing required fields: claimId, ipfsHash'
+                error: 'Missing required field: claimId'
             });
         }
 
+        const claim = await Claim.findOne({ claimId: Number(claimId) }, 'claimant');
+        if (claim && claim.claimant !== req.user.walletAddress && !hasRole(req.user, ROLES.ORACLE_OPERATOR)) {
+            return res.status(403).json({ error: 'Only the claimant or an oracle operator can request verification' });
+        }
+
         const result = await oracleService.requestVerification(
-            claimId,
+            Number(claimId),
             ipfsHash,
-            method || 'simulation'
+            method || 'simulation',
+            req.user.walletAddress
         );
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
 
-        res.json({
+        res.status(202).json({
             success: true,
-            ...result
+            ...(await oracleService.getVerificationStatus(claimId))
         });
     } catch (error) {
         console.error('Oracle verification error:', error);
@@ -49,6 +62,9 @@ router.get('/verification-status/:claimId', async (req, res) => {
         const { claimId } = req.params;
 
         const status = await oracleService.getVerificationStatus(claimId);
+        if (!status) {
+            return res.status(404).json({ error: 'No verification requested for this claim' });
+        }
 
         res.json({
             success: true,
@@ -63,11 +79,37 @@ router.get('/verification-status/:claimId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/oracle/adapters
+ * Attestation providers a claim's document bundle can name
+ */
+router.get('/adapters', (req, res) => {
+    res.json({ adapters: attestationService.listAdapters() });
+});
+
+/**
+ * GET /api/oracle/requests
+ * Verification queue, optionally filtered by ?status=
+ */
+router.get('/requests', authenticate, requireRole(ROLES.ORACLE_OPERATOR), async (req, res) => {
+    try {
+        const query = req.query.status ? { status: req.query.status } : {};
+        const requests = await OracleRequest.find(query).sort({ createdAt: -1 }).limit(100);
+
+        res.json(requests);
+    } catch (error) {
+        console.error('Oracle queue error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch verification requests'
+        });
+    }
+});
+
 /**
  * POST /api/oracle/simulate-verification
  * Admin endpoint to manually verify claim in simulation mode
  */
-router.post('/simulate-verification', async (req, res) => {
+router.post('/simulate-verification', authenticate, requireRole(ROLES.ORACLE_OPERATOR), async (req, res) => {
     try {
         const { claimId, isVerified, proof } = req.body;
 
@@ -78,15 +120,15 @@ router.post('/simulate-verification', async (req, res) => {
         }
 
         const result = await oracleService.simulateManualVerification(
-            claimId,
-            isVerified,
+            Number(claimId),
+            Boolean(isVerified),
             proof
         );
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
 
-        res.json({
-            success: true,
-            ...result
-        });
+        res.json(result);
     } catch (error) {
         console.error('Simulation error:', error);
         res.status(500).json({
@@ -98,22 +140,28 @@ router.post('/simulate-verification', async (req, res) => {
 
 /**
  * POST /api/oracle/webhook
- * Chainlink oracle callback endpoint
- * Called by Chainlink node when verification completes
+ * Answer from a registered oracle node: { requestId, data: { verified, proof } }, signed
+ * with the node's secret (X-Oracle-Node, X-Oracle-Timestamp, X-Oracle-Signature headers).
+ * The answer is submitted to ClaimOracle.fulfillVerification.
  */
 router.post('/webhook', async (req, res) => {
     try {
-        const { requestId, data } = req.body;
-
-        // In production, verify request is from authorized Chainlink node
-        // using signature or API key
+        const auth = oracleService.authenticateCallback({
+            node: req.get('X-Oracle-Node'),
+            timestamp: req.get('X-Oracle-Timestamp'),
+            signature: req.get('X-Oracle-Signature')
+        }, req.rawBody);
+        if (!auth.success) {
+            return res.status(401).json({ error: auth.error });
+        }
 
-        const result = await oracleService.handleChainlinkCallback(requestId, data);
+        const { requestId, data } = req.body;
+        const result = await oracleService.handleChainlinkCallback(requestId, data, auth.node);
+        if (!result.success) {
+            return res.status(result.replay ? 409 : 400).json({ error: result.error });
+        }
 
-        res.json({
-            success: true,
-            ...result
-        });
+        res.json(result);
     } catch (error) {
         console.error('Webhook error:', error);
         res.status(500).json({
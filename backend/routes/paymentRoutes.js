@@ -1,20 +1,25 @@
 const express = require('express');
 const router = express.Router();
+const paymentPlanService = require('../services/paymentPlanService');
+const { authenticate, requireSelf } = require('../middleware/auth');
 
-router.get('/bnpl/:userAddress', async (req, res) => {
+// Plans are read from the PaymentPlan contract and mirrored into MongoDB
+router.get('/bnpl/:userAddress', authenticate, requireSelf('userAddress'), async (req, res) => {
   try {
-    // Fetch BNPL plans from database or blockchain
-    res.json({ plans: [] });
+    const plans = await paymentPlanService.getUserPlans(req.params.userAddress, 'BNPL');
+    res.json({ plans });
   } catch (error) {
+    console.error('Error fetching BNPL plans:', error);
     res.status(500).json({ error: 'Failed to fetch BNPL plans' });
   }
 });
 
-router.get('/snpl/:userAddress', async (req, res) => {
+router.get('/snpl/:userAddress', authenticate, requireSelf('userAddress'), async (req, res) => {
   try {
-    // Fetch SNPL plans from database or blockchain
-    res.json({ plans: [] });
+    const plans = await paymentPlanService.getUserPlans(req.params.userAddress, 'SNPL');
+    res.json({ plans });
   } catch (error) {
+    console.error('Error fetching SNPL plans:', error);
     res.status(500).json({ error: 'Failed to fetch SNPL plans' });
   }
 });
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const Pool = require('../models/Pool');
 
+// Read-only: documents are written by the chain indexer (services/indexerService.js)
+
 router.get('/', async (req, res) => {
   try {
     const pools = await Pool.find().sort({ createdAt: -1 });
@@ -21,27 +23,4 @@ router.get('/:poolId', async (req, res) => {
   }
 });
 
-router.post('/', async (req, res) => {
-  try {
-    const pool = new Pool(req.body);
-    await pool.save();
-    res.json(pool);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to create pool' });
-  }
-});
-
-router.put('/:poolId', async (req, res) => {
-  try {
-    const pool = await Pool.findOneAndUpdate(
-      { poolId: req.params.poolId },
-      req.body,
-      { new: true }
-    );
-    res.json(pool);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to update pool' });
-  }
-});
-
 module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const { ethers } = require('ethers');
+const DataDeletionRequest = require('../models/DataDeletionRequest');
+const privacyService = require('../services/privacyService');
+const dataExportService = require('../services/dataExportService');
+const consentService = require('../services/consentService');
+const indexerService = require('../services/indexerService');
+const blockchainService = require('../services/blockchainService');
+const { authenticate, requireRole, requireSelf, hasRole, ROLES } = require('../middleware/auth');
+
+// Data subject rights. Policy consent is read from PrivacyCompliance on demand and exports are
+// built on request; deletion requests are created by the chain indexer from
+// PrivacyCompliance.DataDeletionRequested and fulfilled by services/privacyService.js.
+
+const isTxHash = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
+
+/**
+ * GET /api/privacy/policy
+ * The policy in force, the latest published version and any not yet effective
+ */
+router.get('/policy', async (req, res) => {
+  try {
+    const state = await consentService.getPolicyState();
+    res.json({ enforced: consentService.isEnforced(), ...state });
+  } catch (error) {
+    console.error('Privacy policy error:', error);
+    res.status(500).json({ error: 'Failed to fetch privacy policy' });
+  }
+});
+
+/**
+ * POST /api/privacy/policy
+ * Pin a new policy document and publish it with updatePrivacyPolicy. Users are asked
+ * to accept it again once effectiveDate passes.
+ */
+router.post('/policy', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { content } = req.body;
+    // The contract rejects dates in the past, so "now" is pushed past the next block
+    const effectiveDate = req.body.effectiveDate ? new Date(req.body.effectiveDate) : new Date(Date.now() + 5 * 60 * 1000);
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Policy content is required' });
+    }
+    if (Number.isNaN(effectiveDate.getTime()) || effectiveDate.getTime() <= Date.now()) {
+      return res.status(400).json({ error: 'effectiveDate must be in the future' });
+    }
+
+    const result = await consentService.publishPolicy(content, effectiveDate);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Privacy policy publish error:', error);
+    res.status(500).json({ error: 'Failed to publish privacy policy', message: error.message });
+  }
+});
+
+/**
+ * GET /api/privacy/consent/:address
+ * Whether a wallet has accepted the policy in force (public, acceptance is on-chain)
+ */
+router.get('/consent/:address', async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    res.json(await consentService.getStatus(req.params.address));
+  } catch (error) {
+    console.error('Consent status error:', error);
+    res.status(500).json({ error: 'Failed to fetch consent status' });
+  }
+});
+
+/**
+ * GET /api/privacy/export/:walletAddress
+ * Everything held about the caller's wallet as a signed ZIP of JSON and CSV files
+ * (GDPR Art. 15 / 20). Only the wallet itself may export its data.
+ */
+router.get('/export/:walletAddress', authenticate, requireSelf('walletAddress'), async (req, res) => {
+  try {
+    const { fileName, archive, signature } = await dataExportService.buildArchive(req.params.walletAddress);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'X-Export-Signer': signature.signer || 'unsigned'
+    });
+    res.send(archive);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+/**
+ * POST /api/privacy/deletions
+ * Register a mined requestDataDeletion transaction sent by the caller
+ */
+router.post('/deletions', authenticate, async (req, res) => {
+  try {
+    const { txHash } = req.body;
+    if (!isTxHash(txHash)) {
+      return res.status(400).json({ error: 'Valid txHash is required' });
+    }
+
+    const events = await blockchainService.getTransactionEvents(txHash, 'PrivacyCompliance');
+    const requested = events.find((event) =>
+      event.name === 'DataDeletionRequested' && event.args.user.toLowerCase() === req.user.walletAddress
+    );
+    if (!requested) {
+      return res.status(400).json({ error: 'Transaction did not request a deletion from your wallet' });
+    }
+
+    await indexerService.ingestTransaction(txHash);
+
+    const request = await DataDeletionRequest.findOne({ recordId: requested.args.recordId });
+    res.status(201).json(privacyService.describe(request));
+  } catch (error) {
+    console.error('Deletion request error:', error);
+    res.status(500).json({ error: 'Failed to register deletion request', message: error.message });
+  }
+});
+
+/**
+ * GET /api/privacy/deletions/summary
+ * SLA dashboard figures: counts by status, overdue and due-soon requests, completion times
+ */
+router.get('/deletions/summary', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    res.json(await privacyService.getSummary());
+  } catch (error) {
+    console.error('Deletion summary error:', error);
+    res.status(500).json({ error: 'Failed to fetch deletion summary' });
+  }
+});
+
+/**
+ * GET /api/privacy/deletions?status=FAILED&overdue=true
+ * All deletion requests, oldest deadline first
+ */
+router.get('/deletions', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.overdue === 'true') {
+      filter.status = { $ne: 'CONFIRMED' };
+      filter.dueAt = { $lt: new Date() };
+    }
+
+    const requests = await DataDeletionRequest.find(filter).sort({ dueAt: 1 });
+    res.json(requests.map((request) => privacyService.describe(request)));
+  } catch (error) {
+    console.error('Deletion list error:', error);
+    res.status(500).json({ error: 'Failed to fetch deletion requests' });
+  }
+});
+
+/**
+ * GET /api/privacy/deletions/user/:address
+ * A data subject's own requests and their progress
+ */
+router.get('/deletions/user/:address', authenticate, requireSelf('address', ROLES.ADMIN), async (req, res) => {
+  try {
+    const requests = await DataDeletionRequest.find({ user: req.params.address.toLowerCase() }).sort({ requestedAt: -1 });
+    res.json(requests.map((request) => privacyService.describe(request)));
+  } catch (error) {
+    console.error('Deletion list error:', error);
+    res.status(500).json({ error: 'Failed to fetch deletion requests' });
+  }
+});
+
+/**
+ * GET /api/privacy/deletions/:recordId
+ * One request with its audit trail (admin or the data subject)
+ */
+router.get('/deletions/:recordId', authenticate, async (req, res) => {
+  try {
+    const request = await DataDeletionRequest.findOne({ recordId: req.params.recordId.toLowerCase() });
+    if (!request || (request.user !== req.user.walletAddress && !hasRole(req.user, ROLES.ADMIN))) {
+      return res.status(404).json({ error: 'Deletion request not found' });
+    }
+
+    res.json(privacyService.describe(request));
+  } catch (error) {
+    console.error('Deletion request error:', error);
+    res.status(500).json({ error: 'Failed to fetch deletion request' });
+  }
+});
+
+/**
+ * POST /api/privacy/deletions/:recordId/retry
+ * Queue a failed or unconfirmed request for the worker again
+ */
+router.post('/deletions/:recordId/retry', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await privacyService.retry(req.params.recordId.toLowerCase(), req.user.walletAddress);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(privacyService.describe(result.request));
+  } catch (error) {
+    console.error('Deletion retry error:', error);
+    res.status(500).json({ error: 'Failed to retry deletion' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,625 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const ZkProof = require('../models/ZkProof');
+const CredentialBadge = require('../models/CredentialBadge');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const zkpService = require('../services/zkpService');
+const ipfsService = require('../services/ipfsService');
+const indexerService = require('../services/indexerService');
+const blockchainService = require('../services/blockchainService');
+const { authenticate } = require('../middleware/auth');
+const { requirePolicyConsent } = require('../middleware/consent');
+
+// Zero-knowledge proofs. The backend proves from the wallet's private data (credit score,
+// date of birth, loan history), the wallet submits the proof to ZKPVerifier itself, and
+// anyone can check on-chain what a proof established without learning the underlying value.
+// Badges are expiring share links to one verified proof.
+
+// ZKPVerifier.ProofType order
+const PROOF_TYPES = ['CREDIT_SCORE_RANGE', 'AGE_RANGE', 'MEDICAL_CONDITION', 'INCOME_RANGE', 'NO_RECENT_DEFAULTS'];
+const PROOF_STATUSES = ['PENDING', 'VERIFIED', 'REJECTED'];
+const MAX_CREDIT_SCORE = 900;
+const MAX_AGE = 150;
+const MAX_DEFAULT_WINDOW_MONTHS = 60;
+const MAX_BADGE_DAYS = 365;
+const BADGE_PROOF_TYPES = ['CREDIT_SCORE_RANGE', 'AGE_RANGE', 'NO_RECENT_DEFAULTS'];
+const MAX_PROOFS_PER_HOUR = 10;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Wallets with a proof being generated; proving is slow and may wait on an attestation
+const generating = new Set();
+
+const isTxHash = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
+
+const describe = (proof) => ({
+  proofId: proof.proofId,
+  prover: proof.prover,
+  proofType: proof.proofType,
+  status: proof.status,
+  proofHash: proof.proofHash,
+  metadata: proof.metadata,
+  publicInputs: proof.publicInputs,
+  simulation: proof.simulation,
+  snarkVerified: proof.snarkVerified,
+  generatedAt: proof.generatedAt,
+  submittedAt: proof.submittedAt,
+  verifiedAt: proof.verifiedAt,
+  txHash: proof.txHash
+});
+
+/**
+ * A proof as ZKPVerifier reports it, with the public inputs recorded off-chain when known
+ */
+const readProof = async (proofId, record) => {
+  const zkpVerifier = blockchainService.getContract('ZKPVerifier');
+  const [proof, verified] = await Promise.all([
+    zkpVerifier.getProof(proofId),
+    zkpVerifier.isProofVerified(proofId)
+  ]);
+  if (proof.proofId === 0n) return null;
+
+  return {
+    ...(record ? describe(record) : {}),
+    proofId: Number(proof.proofId),
+    prover: proof.prover.toLowerCase(),
+    proofType: PROOF_TYPES[Number(proof.proofType)],
+    status: PROOF_STATUSES[Number(proof.result)],
+    proofHash: proof.proofHash,
+    submittedAt: new Date(Number(proof.submittedAt) * 1000),
+    verified
+  };
+};
+
+/**
+ * Whether a wallet defaulted on a loan within windowMonths before asOf
+ */
+const hasRecentDefault = async (walletAddress, windowMonths, asOf = new Date()) => {
+  const since = new Date(asOf);
+  since.setMonth(since.getMonth() - windowMonths);
+
+  const defaulted = await Loan.find(
+    { borrower: walletAddress, status: { $in: ['DEFAULTED', 'LIQUIDATED'] } },
+    'defaultedAt dueDate'
+  );
+  // Loans indexed before defaultedAt was recorded fall back to their due date
+  return defaulted.some((loan) => (loan.defaultedAt || loan.dueDate) >= since);
+};
+
+/**
+ * Record on ZKPVerifier, from the operator wallet (a trusted prover), that a credit score
+ * proof's commitment is to the wallet's CreditScore score as of its update at scoreUpdatedAt
+ */
+const attestScore = async (walletAddress, commitment, scoreUpdatedAt) => {
+  const operator = blockchainService.getOperator();
+  if (!operator) {
+    return { success: false, error: 'OPERATOR_PRIVATE_KEY is not configured' };
+  }
+
+  try {
+    const tx = await blockchainService.getContract('ZKPVerifier', operator)
+      .attestScoreCommitment(walletAddress, commitment, scoreUpdatedAt);
+    await tx.wait();
+    return { success: true, txHash: tx.hash };
+  } catch (error) {
+    return { success: false, error: error.shortMessage || error.message };
+  }
+};
+
+/**
+ * Prove a statement about the wallet's own data
+ * @returns {Promise<{ generated?: Object, error?: string }>}
+ */
+const generate = async (proofType, walletAddress, body) => {
+  if (proofType === 'CREDIT_SCORE_RANGE') {
+    const minThreshold = Number(body.minThreshold);
+    if (!Number.isInteger(minThreshold) || minThreshold < 0 || minThreshold > MAX_CREDIT_SCORE) {
+      return { error: `minThreshold must be an integer between 0 and ${MAX_CREDIT_SCORE}` };
+    }
+
+    // Score, the update it comes from and the commitment attested for it, read at the same block
+    const creditScore = blockchainService.getContract('CreditScore');
+    const blockTag = await blockchainService.provider.getBlockNumber();
+    const [score, data, attested] = await Promise.all([
+      creditScore.getCreditScore(walletAddress, { blockTag }),
+      creditScore.getCreditData(walletAddress, { blockTag }),
+      blockchainService.getContract('ZKPVerifier').scoreCommitments(walletAddress, { blockTag })
+    ]);
+
+    // While the score is unchanged, commit to it with the salt of the attested commitment:
+    // no new attestation, and proofs generated earlier stay submittable
+    const current = attested.commitment !== 0n && attested.scoreUpdatedAt === data.lastUpdated
+      ? attested.commitment.toString()
+      : null;
+    const previous = current && await ZkProof.findOne(
+      { prover: walletAddress, proofType, 'publicInputs.commitment': current },
+      '+salt'
+    );
+    const generated = await zkpService.generateCreditScoreProof(
+      Number(score),
+      minThreshold,
+      walletAddress,
+      previous ? previous.salt : undefined
+    );
+
+    // submitCreditScoreProof only accepts the commitment we attest to be the wallet's real score
+    if (generated.isValid && generated.calldata && generated.publicInputs.commitment !== current) {
+      const attestation = await attestScore(walletAddress, generated.publicInputs.commitment, data.lastUpdated);
+      if (!attestation.success) {
+        return { error: `Could not attest your credit score: ${attestation.error}` };
+      }
+    }
+    return { generated, publicInputs: { minThreshold } };
+  }
+
+  if (proofType === 'AGE_RANGE') {
+    const minAge = Number(body.minAge);
+    if (!Number.isInteger(minAge) || minAge < 1 || minAge > MAX_AGE) {
+      return { error: `minAge must be an integer between 1 and ${MAX_AGE}` };
+    }
+
+    const user = await User.findOne({ walletAddress }, 'dateOfBirth');
+    if (!user || !user.dateOfBirth) {
+      return { error: 'Add your date of birth to your profile first' };
+    }
+    const generated = await zkpService.generateAgeProof(user.dateOfBirth, minAge, walletAddress);
+    return { generated, publicInputs: { minAge } };
+  }
+
+  if (proofType === 'NO_RECENT_DEFAULTS') {
+    // Loan history has no circuit: the statement is attested by the operator, a trusted prover
+    const windowMonths = body.windowMonths === undefined ? 12 : Number(body.windowMonths);
+    if (!Number.isInteger(windowMonths) || windowMonths < 1 || windowMonths > MAX_DEFAULT_WINDOW_MONTHS) {
+      return { error: `windowMonths must be an integer between 1 and ${MAX_DEFAULT_WINDOW_MONTHS}` };
+    }
+
+    const asOf = new Date();
+    if (await hasRecentDefault(walletAddress, windowMonths, asOf)) {
+      return { error: `You defaulted on a loan in the last ${windowMonths} months` };
+    }
+    const publicInputs = { windowMonths, asOf: asOf.toISOString(), holder: ethers.getAddress(walletAddress) };
+    return {
+      generated: {
+        proofType,
+        proofHash: ethers.id(JSON.stringify({ proofType, ...publicInputs })),
+        isValid: true,
+        simulation: false
+      },
+      publicInputs
+    };
+  }
+
+  return { error: 'proofType must be CREDIT_SCORE_RANGE, AGE_RANGE or NO_RECENT_DEFAULTS' };
+};
+
+/**
+ * The ZKPVerifier call that submits a generated proof from the prover's wallet
+ */
+const submissionFor = (proof, calldata) => {
+  if (proof.proofType === 'CREDIT_SCORE_RANGE' && calldata) {
+    const { a, b, c, input } = calldata;
+    return { contract: 'ZKPVerifier', method: 'submitCreditScoreProof', args: [a, b, c, input] };
+  }
+  return {
+    contract: 'ZKPVerifier',
+    method: 'submitProof',
+    args: [PROOF_TYPES.indexOf(proof.proofType), proof.proofHash, proof.metadata]
+  };
+};
+
+/**
+ * Proofs without an on-chain verifier (simulated proofs, age proofs, attestations) stay
+ * PENDING until a trusted prover votes. The operator wallet records the result of
+ * checking them here. `generated` is the record this backend generated with the same hash;
+ * a submission claiming another proof type than it was generated for is rejected.
+ */
+const vouch = async (proof, generated = proof) => {
+  const operator = blockchainService.getOperator();
+  if (!operator) {
+    return { success: false, error: 'OPERATOR_PRIVATE_KEY is not configured' };
+  }
+
+  let valid;
+  if (generated.proofType !== proof.proofType) {
+    valid = false;
+  } else if (proof.proofType === 'NO_RECENT_DEFAULTS') {
+    const { windowMonths, asOf } = proof.publicInputs;
+    valid = !(await hasRecentDefault(proof.prover, windowMonths, new Date(asOf)));
+  } else if (proof.simulation) {
+    valid = Boolean(await zkpService.verifyProof({ proofHash: proof.proofHash }));
+  } else {
+    valid = await zkpService.verifyProof({ proofType: proof.proofType, proof: proof.proof, publicSignals: proof.publicSignals });
+  }
+
+  try {
+    const tx = await blockchainService.getContract('ZKPVerifier', operator).verifyProof(proof.proofId, valid);
+    await tx.wait();
+    await indexerService.ingestTransaction(tx.hash);
+    return { success: true, valid, txHash: tx.hash };
+  } catch (error) {
+    // The submission stays PENDING; the owner or a trusted prover can still verify it
+    console.error('Proof verification transaction failed:', error.message);
+    return { success: false, valid, error: error.message };
+  }
+};
+
+/**
+ * A badge as a verifier sees it: the statement, and whether its ZKPVerifier proof still
+ * establishes it for the holder
+ */
+const checkBadge = async (badge) => {
+  const record = await ZkProof.findOne({ proofId: badge.proofId });
+  const proof = await readProof(badge.proofId, record);
+
+  let holds = Boolean(
+    record && record.generatedAt &&
+    proof && proof.verified && proof.prover === badge.holder && proof.proofType === badge.proofType
+  );
+  if (holds && badge.proofType === 'CREDIT_SCORE_RANGE') {
+    // Groth16 proofs store the threshold they established on-chain
+    const claim = await blockchainService.getContract('ZKPVerifier').creditScoreClaims(badge.proofId);
+    if (claim.snarkVerified) {
+      holds = Number(claim.minThreshold) >= badge.statement.minThreshold;
+    }
+  }
+
+  const expired = badge.expiresAt <= new Date();
+  return {
+    badgeId: badge.badgeId,
+    holder: badge.holder,
+    proofType: badge.proofType,
+    statement: badge.statement,
+    issuedAt: badge.createdAt,
+    expiresAt: badge.expiresAt,
+    expired,
+    revoked: Boolean(badge.revokedAt),
+    proof: proof && {
+      proofId: proof.proofId,
+      status: proof.status,
+      verified: proof.verified,
+      snarkVerified: proof.snarkVerified,
+      simulation: proof.simulation,
+      proofHash: proof.proofHash,
+      metadata: proof.metadata,
+      submittedAt: proof.submittedAt,
+      verifiedAt: proof.verifiedAt
+    },
+    valid: holds && !expired && !badge.revokedAt
+  };
+};
+
+/**
+ * POST /api/zkp/proofs
+ * Generate a proof about the caller's own data:
+ * { proofType: 'CREDIT_SCORE_RANGE', minThreshold }, { proofType: 'AGE_RANGE', minAge } or
+ * { proofType: 'NO_RECENT_DEFAULTS', windowMonths } (windowMonths defaults to 12).
+ * The response's `submission` is the ZKPVerifier call to send from the same wallet.
+ * A wallet can generate one proof at a time and MAX_PROOFS_PER_HOUR per hour.
+ */
+router.post('/proofs', authenticate, requirePolicyConsent(), async (req, res) => {
+  const walletAddress = req.user.walletAddress;
+  if (generating.has(walletAddress)) {
+    return res.status(429).json({ error: 'A proof is already being generated for your wallet' });
+  }
+
+  generating.add(walletAddress);
+  try {
+    const { proofType } = req.body;
+
+    const recent = await ZkProof.countDocuments({
+      prover: walletAddress,
+      generatedAt: { $gte: new Date(Date.now() - HOUR_MS) }
+    });
+    if (recent >= MAX_PROOFS_PER_HOUR) {
+      return res.status(429).json({ error: `You can generate at most ${MAX_PROOFS_PER_HOUR} proofs per hour` });
+    }
+
+    const { generated, publicInputs, error } = await generate(proofType, walletAddress, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!generated.isValid) {
+      return res.status(400).json({ error: generated.error || 'The statement does not hold for your data' });
+    }
+
+    const generatedAt = new Date();
+    const inputs = generated.publicInputs || { ...publicInputs, holder: ethers.getAddress(walletAddress) };
+    const upload = await ipfsService.uploadJSON({
+      type: 'zk-proof',
+      proofType,
+      prover: walletAddress,
+      publicInputs: inputs,
+      proof: generated.proof,
+      publicSignals: generated.publicSignals,
+      simulation: generated.simulation,
+      generatedAt: generatedAt.toISOString()
+    });
+    if (!upload.success) {
+      return res.status(500).json({ error: 'Failed to upload proof metadata' });
+    }
+
+    const proof = await ZkProof.create({
+      prover: walletAddress,
+      proofType,
+      status: 'GENERATED',
+      proofHash: generated.proofHash,
+      metadata: upload.ipfsHash,
+      publicInputs: inputs,
+      proof: generated.proof,
+      publicSignals: generated.publicSignals,
+      simulation: generated.simulation,
+      salt: generated.salt,
+      generatedAt
+    });
+
+    res.status(201).json({
+      ...describe(proof),
+      submission: submissionFor(proof, generated.calldata)
+    });
+  } catch (error) {
+    console.error('Proof generation error:', error);
+    res.status(500).json({ error: 'Failed to generate proof', message: error.message });
+  } finally {
+    generating.delete(walletAddress);
+  }
+});
+
+/**
+ * POST /api/zkp/proofs/submit
+ * Register a mined ZKPVerifier.submitProof / submitCreditScoreProof transaction sent by the
+ * prover: { txHash }. Proofs generated here that need a trusted prover are verified right away.
+ */
+router.post('/proofs/submit', authenticate, async (req, res) => {
+  try {
+    const { txHash } = req.body;
+    if (!isTxHash(txHash)) {
+      return res.status(400).json({ error: 'Valid txHash is required' });
+    }
+
+    const events = await blockchainService.getTransactionEvents(txHash, 'ZKPVerifier');
+    const submitted = events.find((event) =>
+      event.name === 'ProofSubmitted' &&
+      event.args.prover.toLowerCase() === req.user.walletAddress
+    );
+    if (!submitted) {
+      return res.status(400).json({ error: 'Transaction did not submit a proof from your wallet' });
+    }
+
+    await indexerService.ingestTransaction(txHash);
+
+    const proofId = Number(submitted.args.proofId);
+    let proof = await ZkProof.findOne({ proofId });
+    let verification;
+    if (proof && proof.status === 'PENDING') {
+      // The indexer only joins a submission to what was generated here when the proof types agree
+      const generated = proof.generatedAt ? proof : await ZkProof.findOne({
+        proofHash: proof.proofHash,
+        prover: proof.prover,
+        generatedAt: { $exists: true },
+        proofId: { $exists: false }
+      });
+      if (generated) {
+        verification = await vouch(proof, generated);
+        proof = await ZkProof.findOne({ proofId });
+      }
+    }
+
+    res.json({ ...(await readProof(proofId, proof)), verification });
+  } catch (error) {
+    console.error('Proof submission error:', error);
+    res.status(500).json({ error: 'Failed to record proof submission', message: error.message });
+  }
+});
+
+/**
+ * GET /api/zkp/proofs
+ * The caller's proofs, including generated ones not submitted yet
+ */
+router.get('/proofs', authenticate, async (req, res) => {
+  try {
+    const proofs = await ZkProof.find({ prover: req.user.walletAddress }).sort({ createdAt: -1 }).limit(100);
+    res.json(proofs.map(describe));
+  } catch (error) {
+    console.error('Proof list error:', error);
+    res.status(500).json({ error: 'Failed to fetch proofs' });
+  }
+});
+
+/**
+ * GET /api/zkp/proofs/:proofId
+ * An on-chain proof and whether ZKPVerifier considers it verified (public)
+ */
+router.get('/proofs/:proofId', async (req, res) => {
+  try {
+    const proofId = parseInt(req.params.proofId, 10);
+    if (!Number.isInteger(proofId) || proofId < 1) {
+      return res.status(400).json({ error: 'Invalid proof ID' });
+    }
+
+    const proof = await readProof(proofId, await ZkProof.findOne({ proofId }));
+    if (!proof) {
+      return res.status(404).json({ error: 'Proof not found' });
+    }
+    res.json(proof);
+  } catch (error) {
+    console.error('Proof lookup error:', error);
+    res.status(500).json({ error: 'Failed to fetch proof' });
+  }
+});
+
+/**
+ * GET /api/zkp/provers/:address/proofs
+ * Every proof a wallet submitted to ZKPVerifier (public)
+ */
+router.get('/provers/:address/proofs', async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    const ids = (await blockchainService.getContract('ZKPVerifier').getProverProofs(req.params.address)).map(Number);
+    const records = await ZkProof.find({ proofId: { $in: ids } });
+    const byId = new Map(records.map((record) => [record.proofId, record]));
+
+    const proofs = await Promise.all(ids.map((id) => readProof(id, byId.get(id))));
+    res.json(proofs.filter(Boolean).reverse());
+  } catch (error) {
+    console.error('Prover proofs error:', error);
+    res.status(500).json({ error: 'Failed to fetch proofs' });
+  }
+});
+
+/**
+ * GET /api/zkp/provers/:address/credit-score?minThreshold=700
+ * Whether a wallet has a verified proof that its credit score is at least minThreshold,
+ * for lenders and pool creators (public; the score itself is never returned)
+ */
+router.get('/provers/:address/credit-score', async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+    const minThreshold = Number(req.query.minThreshold);
+    if (!Number.isInteger(minThreshold) || minThreshold < 0) {
+      return res.status(400).json({ error: 'minThreshold must be a non-negative integer' });
+    }
+
+    const meetsThreshold = await blockchainService.getContract('ZKPVerifier')
+      .verifyCreditScoreRange(req.params.address, minThreshold);
+
+    res.json({ walletAddress: req.params.address.toLowerCase(), minThreshold, meetsThreshold });
+  } catch (error) {
+    console.error('Credit score range check error:', error);
+    res.status(500).json({ error: 'Failed to check credit score proof' });
+  }
+});
+
+/**
+ * POST /api/zkp/verify
+ * Check a Groth16 proof off-chain against the circuit's verification key (public):
+ * { proofType, proof, publicSignals }
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { proofType, proof, publicSignals } = req.body;
+    if (!proof || !Array.isArray(publicSignals)) {
+      return res.status(400).json({ error: 'proof and publicSignals are required' });
+    }
+
+    const valid = await zkpService.verifyProof({ proofType, proof, publicSignals });
+    res.json({
+      valid,
+      publicInputs: valid ? zkpService.decodePublicSignals(proofType, publicSignals) : undefined
+    });
+  } catch (error) {
+    console.error('Proof verification error:', error);
+    res.status(500).json({ error: 'Failed to verify proof' });
+  }
+});
+
+/**
+ * POST /api/zkp/badges
+ * Share one of your verified proofs as an expiring badge: { proofId, expiresInDays }
+ */
+router.post('/badges', authenticate, async (req, res) => {
+  try {
+    const proofId = Number(req.body.proofId);
+    const expiresInDays = req.body.expiresInDays === undefined ? 30 : Number(req.body.expiresInDays);
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_BADGE_DAYS) {
+      return res.status(400).json({ error: `expiresInDays must be an integer between 1 and ${MAX_BADGE_DAYS}` });
+    }
+
+    const proof = await ZkProof.findOne({ proofId, prover: req.user.walletAddress });
+    if (!proof || proof.status !== 'VERIFIED') {
+      return res.status(400).json({ error: 'Badges can only be issued for your own verified proofs' });
+    }
+    // Proofs sent straight to the contract only reach us through the indexer, unchecked against our data
+    if (!proof.generatedAt) {
+      return res.status(400).json({ error: 'Badges can only be issued for proofs generated by this service' });
+    }
+    if (!BADGE_PROOF_TYPES.includes(proof.proofType)) {
+      return res.status(400).json({ error: `${proof.proofType} proofs cannot be shared as badges` });
+    }
+
+    // Only the proven statement is disclosed, never the commitment to the private value
+    const { commitment, holder, ...statement } = proof.publicInputs || {};
+
+    const badge = await CredentialBadge.create({
+      badgeId: crypto.randomBytes(16).toString('base64url'),
+      holder: req.user.walletAddress,
+      proofId,
+      proofType: proof.proofType,
+      statement,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    res.status(201).json(await checkBadge(badge));
+  } catch (error) {
+    console.error('Badge creation error:', error);
+    res.status(500).json({ error: 'Failed to create badge', message: error.message });
+  }
+});
+
+/**
+ * GET /api/zkp/badges
+ * Badges you issued
+ */
+router.get('/badges', authenticate, async (req, res) => {
+  try {
+    const badges = await CredentialBadge.find({ holder: req.user.walletAddress }).sort({ createdAt: -1 }).limit(100);
+    res.json(badges.map((badge) => ({
+      badgeId: badge.badgeId,
+      proofId: badge.proofId,
+      proofType: badge.proofType,
+      statement: badge.statement,
+      issuedAt: badge.createdAt,
+      expiresAt: badge.expiresAt,
+      revoked: Boolean(badge.revokedAt)
+    })));
+  } catch (error) {
+    console.error('Badge list error:', error);
+    res.status(500).json({ error: 'Failed to fetch badges' });
+  }
+});
+
+/**
+ * GET /api/zkp/badges/:badgeId
+ * Verify a shared badge against ZKPVerifier (public)
+ */
+router.get('/badges/:badgeId', async (req, res) => {
+  try {
+    const badge = await CredentialBadge.findOne({ badgeId: req.params.badgeId });
+    if (!badge) {
+      return res.status(404).json({ error: 'Badge not found' });
+    }
+    res.json(await checkBadge(badge));
+  } catch (error) {
+    console.error('Badge verification error:', error);
+    res.status(500).json({ error: 'Failed to verify badge' });
+  }
+});
+
+/**
+ * DELETE /api/zkp/badges/:badgeId
+ * Revoke a badge you issued before it expires
+ */
+router.delete('/badges/:badgeId', authenticate, async (req, res) => {
+  try {
+    const badge = await CredentialBadge.findOneAndUpdate(
+      { badgeId: req.params.badgeId, holder: req.user.walletAddress, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!badge) {
+      return res.status(404).json({ error: 'Badge not found' });
+    }
+    res.json({ badgeId: badge.badgeId, revoked: true });
+  } catch (error) {
+    console.error('Badge revocation error:', error);
+    res.status(500).json({ error: 'Failed to revoke badge' });
+  }
+});
+
+module.exports = router;
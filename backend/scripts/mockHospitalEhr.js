@@ -0,0 +1,123 @@
+/**
+ * Mock Hospital
+ * Stands in for a hospital during local development of claim attestation. Serves the
+ * EHR API read by the hospital-ehr adapter, FHIR R4 Claim/ExplanationOfBenefit resources
+ * read by the fhir adapter, and signs PDF invoices for the signed-pdf adapter.
+ *
+ *   npm run hospital:mock
+ *
+ * Point the backend at it with EHR_API_URL=http://localhost:7001 and
+ * FHIR_BASE_URL=http://localhost:7001/fhir, and list MOCK_HOSPITAL_SIGNER_KEY's address
+ * in INVOICE_SIGNERS to accept its invoices.
+ *
+ *   POST /encounters { patientWallet, status? }  record a visit (plus a FHIR Claim and
+ *                                                ExplanationOfBenefit with the same id)
+ *   POST /invoices/sign { sha256, patientWallet } sign an invoice PDF's SHA-256
+ *
+ * MOCK_HOSPITAL_PORT         default: 7001
+ * MOCK_HOSPITAL_ID           issuer id invoices are signed as (default: mock-hospital)
+ * MOCK_HOSPITAL_SIGNER_KEY   private key invoices are signed with
+ * EHR_API_KEY                X-Api-Key required on EHR reads, when set
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const express = require('express');
+const { ethers } = require('ethers');
+const FhirAdapter = require('../services/attestation/fhirAdapter');
+const SignedInvoiceAdapter = require('../services/attestation/signedInvoiceAdapter');
+
+const port = parseInt(process.env.MOCK_HOSPITAL_PORT || '7001', 10);
+const hospitalId = process.env.MOCK_HOSPITAL_ID || 'mock-hospital';
+const apiKey = process.env.EHR_API_KEY;
+const signer = process.env.MOCK_HOSPITAL_SIGNER_KEY ? new ethers.Wallet(process.env.MOCK_HOSPITAL_SIGNER_KEY) : null;
+
+// encounterId => encounter
+const encounters = new Map();
+let nextId = 1001;
+
+const patientReference = (encounter) => ({
+    reference: `Patient/${encounter.patient.id}`,
+    identifier: { system: FhirAdapter.WALLET_IDENTIFIER_SYSTEM, value: encounter.patient.walletAddress }
+});
+
+const toFhir = (resourceType, encounter) => ({
+    resourceType,
+    id: encounter.id,
+    status: encounter.status === 'cancelled' ? 'cancelled' : 'active',
+    patient: patientReference(encounter),
+    created: encounter.period.end,
+    provider: { display: encounter.facility },
+    ...(resourceType === 'Claim'
+        ? { use: 'claim', total: { value: encounter.billedAmount, currency: encounter.currency } }
+        : { outcome: encounter.status === 'finished' ? 'complete' : 'queued' })
+});
+
+const app = express();
+app.use(express.json());
+
+app.post('/encounters', (req, res) => {
+    const { patientWallet, status = 'finished' } = req.body;
+    if (!ethers.isAddress(patientWallet)) {
+        return res.status(400).json({ error: 'Valid patientWallet is required' });
+    }
+
+    const id = `enc-${nextId++}`;
+    const now = new Date();
+    const encounter = {
+        id,
+        status,
+        facility: 'Mock General Hospital',
+        period: { start: new Date(now.getTime() - 2 * 24 * 60 * 60 * 1000).toISOString(), end: now.toISOString() },
+        patient: { id: `pat-${patientWallet.slice(2, 10).toLowerCase()}`, walletAddress: patientWallet.toLowerCase() },
+        billedAmount: 1250,
+        currency: 'USD'
+    };
+    encounters.set(id, encounter);
+    console.log(`→ Encounter ${id} (${status}) for ${encounter.patient.walletAddress}`);
+    res.status(201).json(encounter);
+});
+
+app.get('/encounters/:id', (req, res) => {
+    if (apiKey && req.get('X-Api-Key') !== apiKey) {
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+    const encounter = encounters.get(req.params.id);
+    if (!encounter) {
+        return res.status(404).json({ error: 'Encounter not found' });
+    }
+    res.json(encounter);
+});
+
+app.get('/fhir/:resourceType(Claim|ExplanationOfBenefit)/:id', (req, res) => {
+    const encounter = encounters.get(req.params.id);
+    res.type('application/fhir+json');
+    if (!encounter) {
+        return res.status(404).json({
+            resourceType: 'OperationOutcome',
+            issue: [{ severity: 'error', code: 'not-found' }]
+        });
+    }
+    res.json(toFhir(req.params.resourceType, encounter));
+});
+
+app.post('/invoices/sign', async (req, res) => {
+    const { sha256, patientWallet } = req.body;
+    if (!signer) {
+        return res.status(503).json({ error: 'MOCK_HOSPITAL_SIGNER_KEY is not configured' });
+    }
+    if (!/^[0-9a-fA-F]{64}$/.test(sha256 || '') || !ethers.isAddress(patientWallet)) {
+        return res.status(400).json({ error: 'sha256 (hex) and a valid patientWallet are required' });
+    }
+
+    const signature = await signer.signMessage(SignedInvoiceAdapter.invoiceMessage(sha256, patientWallet));
+    res.json({ issuer: hospitalId, signer: signer.address, signature });
+});
+
+app.listen(port, () => {
+    console.log(`Mock hospital listening on http://localhost:${port}`);
+    console.log(signer
+        ? `Signing invoices as ${hospitalId} (${signer.address}): INVOICE_SIGNERS=${hospitalId}:${signer.address}\n`
+        : 'Set MOCK_HOSPITAL_SIGNER_KEY to sign invoices\n');
+});
@@ -0,0 +1,130 @@
+/**
+ * Mock Oracle Node
+ * Stands in for a Chainlink node during local development: it watches ClaimOracle for
+ * OracleRequestSent, "checks" the documents after a short delay and posts a signed
+ * answer to the backend webhook, which fulfils the request on-chain.
+ *
+ *   npm run oracle:mock
+ *
+ * The backend must list this node in ORACLE_NODE_SECRETS and run with
+ * ORACLE_SIMULATION_MODE=false (ClaimOracle only issues request ids outside simulation mode).
+ *
+ * MOCK_ORACLE_NODE_ID    node id to sign as (default: mock-node)
+ * MOCK_ORACLE_SECRET     its secret (default: the node's entry in ORACLE_NODE_SECRETS)
+ * MOCK_ORACLE_DECISION   verify | reject | random (default: verify)
+ * MOCK_ORACLE_DELAY_MS   simulated hospital API latency (default: 2000)
+ * ORACLE_WEBHOOK_URL     default: http://localhost:$PORT/api/oracle/webhook
+ */
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const crypto = require('crypto');
+const axios = require('axios');
+const blockchainService = require('../services/blockchainService');
+
+const POLL_INTERVAL_MS = 3000;
+const VERIFYING = 1; // ClaimOracle.VerificationStatus
+
+const nodeId = process.env.MOCK_ORACLE_NODE_ID || 'mock-node';
+const secret = process.env.MOCK_ORACLE_SECRET || (process.env.ORACLE_NODE_SECRETS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .find((entry) => entry.startsWith(`${nodeId}:`))
+    ?.slice(nodeId.length + 1);
+const decision = process.env.MOCK_ORACLE_DECISION || 'verify';
+const delayMs = parseInt(process.env.MOCK_ORACLE_DELAY_MS || '2000', 10);
+const webhookUrl = process.env.ORACLE_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/oracle/webhook`;
+
+// requestId => { claimId, dueAt }
+const pending = new Map();
+
+const decide = () => (decision === 'random' ? Math.random() < 0.5 : decision !== 'reject');
+
+/**
+ * Post a signed answer; true when the backend will not need it again
+ */
+async function answer(requestId, claimId, verified, ipfsHash) {
+    const body = JSON.stringify({
+        requestId,
+        data: { verified, proof: `mock-oracle:${nodeId}:${ipfsHash}` }
+    });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+    const response = await axios.post(webhookUrl, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Oracle-Node': nodeId,
+            'X-Oracle-Timestamp': timestamp,
+            'X-Oracle-Signature': `sha256=${signature}`
+        },
+        validateStatus: () => true
+    });
+
+    if (response.status < 300) {
+        console.log(`✓ Claim ${claimId}: ${response.data.status} (tx ${response.data.txHash})`);
+        return true;
+    }
+    console.log(`✗ Claim ${claimId}: ${response.status} ${response.data.error || ''}`);
+    // Server errors are retried on the next poll; anything else will not change
+    return response.status < 500;
+}
+
+async function main() {
+    if (!secret) {
+        throw new Error(`No secret for ${nodeId}: set MOCK_ORACLE_SECRET or add it to ORACLE_NODE_SECRETS`);
+    }
+
+    const contract = blockchainService.getContract('ClaimOracle');
+    let fromBlock = await blockchainService.provider.getBlockNumber();
+    console.log(`Mock oracle node ${nodeId} watching ClaimOracle at ${await contract.getAddress()} from block ${fromBlock}`);
+    console.log(`Answering "${decision}" to ${webhookUrl}\n`);
+
+    const poll = async () => {
+        try {
+            const latest = await blockchainService.provider.getBlockNumber();
+            if (latest >= fromBlock) {
+                const events = await contract.queryFilter('OracleRequestSent', fromBlock, latest);
+                for (const event of events) {
+                    const { claimId, requestId } = event.args;
+                    console.log(`→ Request ${requestId} for claim ${claimId}`);
+                    pending.set(requestId, { claimId, dueAt: Date.now() + delayMs });
+                }
+                fromBlock = latest + 1;
+            }
+
+            for (const [requestId, { claimId, dueAt }] of pending) {
+                if (dueAt > Date.now()) continue;
+
+                const details = await contract.getVerificationDetails(claimId);
+                // Answered some other way in the meantime
+                if (Number(details.status) !== VERIFYING) {
+                    pending.delete(requestId);
+                    continue;
+                }
+
+                try {
+                    if (await answer(requestId, claimId, decide(), details.ipfsHash)) {
+                        pending.delete(requestId);
+                    }
+                } catch (error) {
+                    console.log(`✗ Claim ${claimId}: ${error.message} (retrying)`);
+                }
+            }
+        } catch (error) {
+            console.error('Poll failed:', error.message);
+        }
+    };
+
+    const timer = setInterval(poll, POLL_INTERVAL_MS);
+    process.on('SIGINT', () => {
+        clearInterval(timer);
+        process.exit(0);
+    });
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -14,17 +14,45 @@ const aiRoutes = require('./routes/aiRoutes');
 const bugBountyRoutes = require('./routes/bugBountyRoutes');
 const crowdFundingRoutes = require('./routes/crowdFundingRoutes');
 const oracleRoutes = require('./routes/oracleRoutes');
+const indexerRoutes = require('./routes/indexerRoutes');
+const privacyRoutes = require('./routes/privacyRoutes');
+const kycRoutes = require('./routes/kycRoutes');
+const zkpRoutes = require('./routes/zkpRoutes');
+const keeperRoutes = require('./routes/keeperRoutes');
+const indexerService = require('./services/indexerService');
+const privacyService = require('./services/privacyService');
+const oracleService = require('./services/oracleService');
+const keeperService = require('./services/keeperService');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the exact bytes of JSON bodies for signed webhooks (see /api/oracle/webhook)
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nishkama')
-.then(() => console.log('✅ MongoDB connected'))
+.then(() => {
+  console.log('✅ MongoDB connected');
+  // The chain indexer is the only writer for on-chain collections
+  if (process.env.INDEXER_ENABLED !== 'false') {
+    indexerService.start();
+  }
+  // Fulfils data deletion requests the indexer picks up from PrivacyCompliance
+  if (process.env.PRIVACY_WORKER_ENABLED !== 'false') {
+    privacyService.start();
+  }
+  // Sends queued claim verifications to ClaimOracle and tracks the oracle's answers
+  if (process.env.ORACLE_WORKER_ENABLED !== 'false') {
+    oracleService.start();
+  }
+  // Calls MicroLoan.markDefault for loans past their grace period
+  if (process.env.KEEPER_ENABLED !== 'false') {
+    keeperService.start();
+  }
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Routes
@@ -39,6 +67,11 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/bug-bounty', bugBountyRoutes);
 app.use('/api/crowdfunding', crowdFundingRoutes);
 app.use('/api/oracle', oracleRoutes);
+app.use('/api/indexer', indexerRoutes);
+app.use('/api/privacy', privacyRoutes);
+app.use('/api/kyc', kycRoutes);
+app.use('/api/zkp', zkpRoutes);
+app.use('/api/keeper', keeperRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -0,0 +1,253 @@
+/**
+ * Amortization Service
+ * Repayment schedules for MicroLoan loans. The total owed (MicroLoan.calculateTotalOwed) is
+ * split into equal installments, one every INSTALLMENT_PERIOD_DAYS from the loan's start and
+ * the last on its due date, exactly as MicroLoan.getRepaymentSchedule does. Repayments are
+ * applied to installments oldest first; a payment is on time when the earliest installment
+ * it goes toward is not past due, which is what repayLoan reports to CreditScore.recordPayment.
+ *
+ * Interest is fixed at origination, so paying early shortens the loan but does not lower
+ * the total owed.
+ */
+
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchainService');
+const Loan = require('../models/Loan');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INSTALLMENT_PERIOD_DAYS = 30; // MicroLoan.INSTALLMENT_PERIOD
+const GRACE_PERIOD_DAYS = 7; // MicroLoan.GRACE_PERIOD
+const MAX_PROJECTED_PAYMENTS = 120;
+
+class AmortizationService {
+    /**
+     * Installments of a loan
+     * @param {Object} loan - { startDate, dueDate, duration }
+     * @param {bigint} totalOwed - MicroLoan.calculateTotalOwed, in wei
+     * @returns {Array<{number: number, dueDate: Date, amount: bigint, amountDue: bigint}>}
+     *   amountDue is cumulative: what must be repaid in total by dueDate
+     */
+    buildInstallments(loan, totalOwed) {
+        if (!loan.startDate || loan.startDate.getTime() === 0) return [];
+
+        const count = Math.ceil(loan.duration / INSTALLMENT_PERIOD_DAYS);
+        const installments = [];
+        let previous = 0n;
+        for (let number = 1; number <= count; number++) {
+            const amountDue = (totalOwed * BigInt(number)) / BigInt(count);
+            installments.push({
+                number,
+                dueDate: number === count
+                    ? loan.dueDate
+                    : new Date(loan.startDate.getTime() + number * INSTALLMENT_PERIOD_DAYS * DAY_MS),
+                amount: amountDue - previous,
+                amountDue
+            });
+            previous = amountDue;
+        }
+        return installments;
+    }
+
+    /**
+     * Earliest installment not covered by what has been repaid
+     * @param {Array} installments - From buildInstallments
+     * @param {bigint} repaid - Amount repaid so far, in wei
+     * @returns {Object|null} null once the loan is paid off
+     */
+    nextInstallment(installments, repaid) {
+        return installments.find((installment) => repaid < installment.amountDue) || null;
+    }
+
+    /**
+     * Classify a repayment the way MicroLoan.repayLoan does
+     * @param {Array} installments - From buildInstallments
+     * @param {bigint} repaidBefore - Amount repaid before this payment, in wei
+     * @param {Date} timestamp - Block time of the payment
+     * @returns {{installment: number|null, onTime: boolean}}
+     */
+    classifyRepayment(installments, repaidBefore, timestamp) {
+        const next = this.nextInstallment(installments, repaidBefore);
+        if (!next) {
+            return { installment: null, onTime: true };
+        }
+        return { installment: next.number, onTime: timestamp <= next.dueDate };
+    }
+
+    /**
+     * Apply repayments to installments, oldest first
+     * @param {Array} installments - From buildInstallments
+     * @param {Array<{amount: bigint, timestamp: Date}>} repayments - In payment order
+     * @param {Date} now - Reference time for DUE / OVERDUE
+     */
+    applyRepayments(installments, repayments, now) {
+        let repaid = 0n;
+        const paidAt = {};
+        for (const repayment of repayments) {
+            repaid += repayment.amount;
+            for (const installment of installments) {
+                if (!paidAt[installment.number] && repaid >= installment.amountDue) {
+                    paidAt[installment.number] = repayment.timestamp;
+                }
+            }
+        }
+
+        const next = this.nextInstallment(installments, repaid);
+        return installments.map((installment) => {
+            const covered = repaid >= installment.amountDue
+                ? installment.amount
+                : repaid > installment.amountDue - installment.amount
+                    ? repaid - (installment.amountDue - installment.amount)
+                    : 0n;
+
+            let status;
+            if (paidAt[installment.number]) {
+                status = paidAt[installment.number] > installment.dueDate ? 'PAID_LATE' : 'PAID';
+            } else if (installment.dueDate < now) {
+                status = 'OVERDUE';
+            } else if (next && next.number === installment.number) {
+                status = covered > 0n ? 'PARTIAL' : 'DUE';
+            } else {
+                status = 'UPCOMING';
+            }
+
+            return {
+                ...installment,
+                paid: covered,
+                outstanding: installment.amount - covered,
+                paidAt: paidAt[installment.number] || null,
+                status
+            };
+        });
+    }
+
+    /**
+     * Payoff projection for paying a fixed amount every installment period, starting now
+     * @param {Array} installments - From buildInstallments
+     * @param {bigint} repaid - Amount repaid so far, in wei
+     * @param {bigint} payment - Amount paid per period, in wei
+     * @param {Date} now - Date of the first projected payment
+     */
+    project(installments, repaid, payment, now) {
+        const totalOwed = installments.length > 0 ? installments[installments.length - 1].amountDue : 0n;
+        const payments = [];
+        let balance = repaid;
+        let date = now;
+
+        while (balance < totalOwed && payments.length < MAX_PROJECTED_PAYMENTS) {
+            const amount = totalOwed - balance < payment ? totalOwed - balance : payment;
+            const { installment, onTime } = this.classifyRepayment(installments, balance, date);
+            balance += amount;
+            payments.push({ date, amount, installment, onTime, remaining: totalOwed - balance });
+            date = new Date(date.getTime() + INSTALLMENT_PERIOD_DAYS * DAY_MS);
+        }
+
+        const paidOff = balance >= totalOwed;
+        const payoffDate = paidOff && payments.length > 0 ? payments[payments.length - 1].date : null;
+        const dueDate = installments.length > 0 ? installments[installments.length - 1].dueDate : null;
+        return {
+            payment,
+            payments,
+            paidOff,
+            payoffDate,
+            latePayments: payments.filter((projected) => !projected.onTime).length,
+            // Still owing after the due date plus grace: MicroLoan.markDefault can be called
+            defaultRisk: dueDate !== null &&
+                (!payoffDate || payoffDate.getTime() > dueDate.getTime() + GRACE_PERIOD_DAYS * DAY_MS)
+        };
+    }
+
+    /**
+     * Schedule of an indexed loan with its repayments tracked against it
+     * @param {number} loanId - Loan id
+     * @param {Object} [options]
+     * @param {string} [options.payment] - ETH per period to project a payoff for
+     * @returns {Promise<Object>} { success, schedule } or { success: false, error }
+     */
+    async getSchedule(loanId, { payment } = {}) {
+        const loan = await Loan.findOne({ loanId });
+        if (!loan) {
+            return { success: false, notFound: true, error: 'Loan not found' };
+        }
+
+        let projectedPayment = null;
+        if (payment !== undefined) {
+            try {
+                projectedPayment = ethers.parseEther(String(payment));
+            } catch (error) {
+                return { success: false, error: 'payment must be an ETH amount' };
+            }
+            if (projectedPayment <= 0n) {
+                return { success: false, error: 'payment must be positive' };
+            }
+        }
+
+        const totalOwed = await blockchainService.getContract('MicroLoan').calculateTotalOwed(loanId);
+        const installments = this.buildInstallments(loan, totalOwed);
+        const repayments = loan.repayments.map((repayment) => ({
+            amount: ethers.parseEther(repayment.amount),
+            timestamp: repayment.timestamp
+        }));
+        const repaid = ethers.parseEther(loan.amountRepaid || '0');
+        const now = new Date();
+
+        const tracked = this.applyRepayments(installments, repayments, now);
+        const next = tracked.find((installment) => installment.outstanding > 0n) || null;
+        const open = ['ACTIVE', 'PENDING'].includes(loan.status);
+
+        const schedule = {
+            loanId: loan.loanId,
+            status: loan.status,
+            totalOwed: ethers.formatEther(totalOwed),
+            amountRepaid: ethers.formatEther(repaid),
+            remaining: ethers.formatEther(totalOwed > repaid ? totalOwed - repaid : 0n),
+            installmentPeriodDays: INSTALLMENT_PERIOD_DAYS,
+            installments: tracked.map((installment) => this._formatInstallment(installment)),
+            nextInstallment: open && next ? this._formatInstallment(next) : null,
+            // Covers every installment that is past due, so the next payment counts as on time
+            amountToCatchUp: ethers.formatEther(
+                tracked
+                    .filter((installment) => installment.status === 'OVERDUE')
+                    .reduce((total, installment) => total + installment.outstanding, 0n)
+            ),
+            overdueInstallments: tracked.filter((installment) => installment.status === 'OVERDUE').length,
+            repayments: loan.repayments.map((repayment) => ({
+                amount: repayment.amount,
+                timestamp: repayment.timestamp,
+                installment: repayment.installment,
+                onTime: repayment.onTime,
+                txHash: repayment.txHash
+            })),
+            latePayments: loan.repayments.filter((repayment) => repayment.onTime === false).length
+        };
+
+        if (projectedPayment !== null && open) {
+            const projection = this.project(installments, repaid, projectedPayment, now);
+            schedule.projection = {
+                ...projection,
+                payment: ethers.formatEther(projection.payment),
+                payments: projection.payments.map((projected) => ({
+                    ...projected,
+                    amount: ethers.formatEther(projected.amount),
+                    remaining: ethers.formatEther(projected.remaining)
+                }))
+            };
+        }
+
+        return { success: true, schedule };
+    }
+
+    _formatInstallment(installment) {
+        return {
+            number: installment.number,
+            dueDate: installment.dueDate,
+            amount: ethers.formatEther(installment.amount),
+            amountDue: ethers.formatEther(installment.amountDue),
+            paid: ethers.formatEther(installment.paid),
+            outstanding: ethers.formatEther(installment.outstanding),
+            paidAt: installment.paidAt,
+            status: installment.status
+        };
+    }
+}
+
+module.exports = new AmortizationService();
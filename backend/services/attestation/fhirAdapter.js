@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const RECORD_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+const RESOURCE_TYPES = ['Claim', 'ExplanationOfBenefit'];
+
+// Hospitals record a patient's linked wallet as an identifier on the patient reference
+const WALLET_IDENTIFIER_SYSTEM = 'urn:nishkama:wallet';
+
+// Checks a claim against a FHIR R4 server: reads the hospital's Claim or
+// ExplanationOfBenefit resource and requires it to be active, adjudicated (for an
+// ExplanationOfBenefit) and issued for the claimant's wallet.
+class FhirAdapter {
+  constructor({ baseUrl, accessToken }) {
+    this.name = 'fhir';
+    this.baseUrl = baseUrl;
+    this.accessToken = accessToken;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  validate(attestation) {
+    if (!RESOURCE_TYPES.includes(attestation.resourceType)) {
+      return { error: `attestation.resourceType must be one of ${RESOURCE_TYPES.join(', ')}` };
+    }
+    if (!RECORD_ID.test(attestation.resourceId || '')) {
+      return { error: 'attestation.resourceId is required' };
+    }
+    return {
+      attestation: {
+        provider: this.name,
+        resourceType: attestation.resourceType,
+        resourceId: attestation.resourceId
+      }
+    };
+  }
+
+  async verify({ claim, attestation }) {
+    const { resourceType, resourceId } = attestation;
+    const res = await axios.get(`${this.baseUrl}/${resourceType}/${encodeURIComponent(resourceId)}`, {
+      headers: {
+        Accept: 'application/fhir+json',
+        ...(this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {})
+      },
+      timeout: 10000,
+      validateStatus: (status) => status < 300 || status === 404 || status === 410
+    });
+    if (res.status !== 200) {
+      return { verified: false, reason: `${resourceType}/${resourceId} not found on the FHIR server` };
+    }
+
+    const resource = res.data;
+    const evidence = {
+      resource: `${resourceType}/${resourceId}`,
+      recordHash: crypto.createHash('sha256').update(JSON.stringify(resource)).digest('hex')
+    };
+
+    if (resource.resourceType !== resourceType) {
+      return { verified: false, reason: `Server returned a ${resource.resourceType}`, evidence };
+    }
+    if (resource.status !== 'active') {
+      return { verified: false, reason: `${resourceType} is ${resource.status}`, evidence };
+    }
+    if (resourceType === 'ExplanationOfBenefit' && !['complete', 'partial'].includes(resource.outcome)) {
+      return { verified: false, reason: `Adjudication outcome is ${resource.outcome}`, evidence };
+    }
+
+    const identifier = resource.patient && resource.patient.identifier;
+    const wallet = identifier && identifier.system === WALLET_IDENTIFIER_SYSTEM ? identifier.value : null;
+    if (!wallet || wallet.toLowerCase() !== claim.claimant) {
+      return { verified: false, reason: `${resourceType} was issued for a different patient`, evidence };
+    }
+    return { verified: true, evidence };
+  }
+}
+
+FhirAdapter.WALLET_IDENTIFIER_SYSTEM = WALLET_IDENTIFIER_SYSTEM;
+
+module.exports = FhirAdapter;
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const RECORD_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+
+// Checks a claim against the hospital's EHR REST API (scripts/mockHospitalEhr.js serves
+// the same shape for development): GET {apiUrl}/encounters/{encounterId} with X-Api-Key.
+// The encounter must be finished and belong to the patient whose portal account is
+// linked to the claimant's wallet.
+class HospitalEhrAdapter {
+  constructor({ apiUrl, apiKey }) {
+    this.name = 'hospital-ehr';
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiUrl);
+  }
+
+  validate(attestation) {
+    if (!RECORD_ID.test(attestation.encounterId || '')) {
+      return { error: 'attestation.encounterId is required' };
+    }
+    return { attestation: { provider: this.name, encounterId: attestation.encounterId } };
+  }
+
+  async verify({ claim, attestation }) {
+    const res = await axios.get(`${this.apiUrl}/encounters/${encodeURIComponent(attestation.encounterId)}`, {
+      headers: this.apiKey ? { 'X-Api-Key': this.apiKey } : {},
+      timeout: 10000,
+      // Anything but a missing record is worth retrying
+      validateStatus: (status) => status < 300 || status === 404
+    });
+    if (res.status === 404) {
+      return { verified: false, reason: 'Encounter not found at the hospital' };
+    }
+
+    const encounter = res.data;
+    const evidence = {
+      encounterId: attestation.encounterId,
+      recordHash: crypto.createHash('sha256').update(JSON.stringify(encounter)).digest('hex')
+    };
+
+    if (encounter.status !== 'finished') {
+      return { verified: false, reason: `Encounter is ${encounter.status}`, evidence };
+    }
+    const wallet = encounter.patient && encounter.patient.walletAddress;
+    if (!wallet || wallet.toLowerCase() !== claim.claimant) {
+      return { verified: false, reason: 'Encounter belongs to a different patient', evidence };
+    }
+    return { verified: true, evidence };
+  }
+}
+
+module.exports = HospitalEhrAdapter;
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const ISSUER_ID = /^[A-Za-z0-9\-_.]{1,64}$/;
+const SIGNATURE = /^0x[0-9a-fA-F]{130}$/;
+const PDF_MAGIC = Buffer.from('%PDF-');
+
+/**
+ * What a hospital signs (EIP-191 personal_sign) to vouch for an invoice it issued to a patient
+ * @param {string} digest - Hex SHA-256 of the PDF
+ * @param {string} patient - Patient's wallet address
+ */
+const invoiceMessage = (digest, patient) =>
+  `Nishkama invoice\nsha256: ${digest.toLowerCase()}\npatient: ${patient.toLowerCase()}`;
+
+// Checks a PDF invoice signed by a registered hospital key. The PDF is one of the claim's
+// encrypted vault documents, shared with the oracle so it can be decrypted server-side;
+// the hospital's signature binds the exact file to the claimant's wallet.
+class SignedInvoiceAdapter {
+  constructor({ signers, openDocument }) {
+    this.name = 'signed-pdf';
+    this.signers = signers; // issuer id => lowercase signing address
+    this.openDocument = openDocument;
+  }
+
+  isConfigured() {
+    return Object.keys(this.signers).length > 0;
+  }
+
+  validate(attestation, { files }) {
+    if (!files.includes(attestation.document)) {
+      return { error: 'attestation.document must be one of the claim documents' };
+    }
+    if (!ISSUER_ID.test(attestation.issuer || '') || !this.signers[attestation.issuer]) {
+      return { error: `attestation.issuer must be one of ${Object.keys(this.signers).join(', ')}` };
+    }
+    if (!SIGNATURE.test(attestation.signature || '')) {
+      return { error: 'attestation.signature must be a 65 byte hex signature' };
+    }
+    return {
+      attestation: {
+        provider: this.name,
+        document: attestation.document,
+        issuer: attestation.issuer,
+        signature: attestation.signature
+      }
+    };
+  }
+
+  async verify({ claim, attestation }) {
+    const signer = this.signers[attestation.issuer];
+    if (!signer) {
+      return { verified: false, reason: `Issuer ${attestation.issuer} is no longer registered` };
+    }
+
+    const opened = await this.openDocument(attestation.document);
+    if (!opened.success) {
+      if (opened.shared === false) {
+        return { verified: false, reason: 'The invoice was not shared with the oracle' };
+      }
+      throw new Error(opened.error);
+    }
+
+    const digest = crypto.createHash('sha256').update(opened.data).digest('hex');
+    const evidence = { document: attestation.document, issuer: attestation.issuer, sha256: digest };
+
+    if (!opened.data.subarray(0, PDF_MAGIC.length).equals(PDF_MAGIC)) {
+      return { verified: false, reason: 'The invoice is not a PDF', evidence };
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(invoiceMessage(digest, claim.claimant), attestation.signature).toLowerCase();
+    } catch (error) {
+      recovered = null;
+    }
+    if (recovered !== signer) {
+      return { verified: false, reason: `Signature does not match ${attestation.issuer} for this invoice and patient`, evidence };
+    }
+    return { verified: true, evidence };
+  }
+}
+
+SignedInvoiceAdapter.invoiceMessage = invoiceMessage;
+
+module.exports = SignedInvoiceAdapter;
@@ -0,0 +1,157 @@
+/**
+ * Attestation Service
+ * Verifies claim evidence with the hospital that produced it, so ClaimOracle can be
+ * answered without a manual admin decision. The claim's document bundle
+ * (POST /api/claims/documents) names its source:
+ *
+ *   { type: 'claim-documents', files: [...], attestation: { provider: 'fhir', resourceType: 'Claim', resourceId: '42' } }
+ *
+ * and the adapter registered under that provider checks it. Every adapter implements:
+ *
+ *   name                                   provider key used in the bundle
+ *   isConfigured()                         whether its environment is set up
+ *   validate(attestation, { files })       { attestation } normalized metadata, or { error }
+ *   verify({ claim, attestation })         { verified, reason?, evidence? }; throws when worth retrying
+ *
+ * Results are pinned as an attestation report (hashes and record references only, no
+ * medical details) whose URI becomes the on-chain verification proof.
+ */
+
+const ipfsService = require('./ipfsService');
+const vaultService = require('./vaultService');
+const HospitalEhrAdapter = require('./attestation/hospitalEhrAdapter');
+const FhirAdapter = require('./attestation/fhirAdapter');
+const SignedInvoiceAdapter = require('./attestation/signedInvoiceAdapter');
+
+/**
+ * Registered invoice signers from INVOICE_SIGNERS ("hospital-id:0xaddress,other-id:0xaddress")
+ */
+const parseSigners = (value) => Object.fromEntries(
+    value.split(',')
+        .map((entry) => entry.trim())
+        .filter((entry) => entry.includes(':'))
+        .map((entry) => [entry.slice(0, entry.indexOf(':')), entry.slice(entry.indexOf(':') + 1).toLowerCase()])
+);
+
+// An adapter is enabled when its configuration is present
+const ADAPTERS = {
+    'hospital-ehr': () => new HospitalEhrAdapter({
+        apiUrl: process.env.EHR_API_URL,
+        apiKey: process.env.EHR_API_KEY
+    }),
+    fhir: () => new FhirAdapter({
+        baseUrl: process.env.FHIR_BASE_URL,
+        accessToken: process.env.FHIR_ACCESS_TOKEN
+    }),
+    'signed-pdf': () => new SignedInvoiceAdapter({
+        signers: parseSigners(process.env.INVOICE_SIGNERS || ''),
+        openDocument: (cid) => vaultService.openAsOracle(cid)
+    })
+};
+
+class AttestationService {
+    constructor() {
+        this.adapters = Object.fromEntries(
+            Object.entries(ADAPTERS)
+                .map(([name, create]) => [name, create()])
+                .filter(([, adapter]) => adapter.isConfigured())
+        );
+    }
+
+    /**
+     * Names of the enabled adapters
+     */
+    listAdapters() {
+        return Object.keys(this.adapters);
+    }
+
+    /**
+     * Check attestation metadata before it is pinned into a claim's document bundle
+     * @param {Object} attestation - { provider, ...adapter specific fields }
+     * @param {string[]} files - CIDs of the bundle's documents
+     */
+    validate(attestation, files) {
+        if (!attestation || typeof attestation !== 'object') {
+            return { success: false, error: 'attestation must be an object' };
+        }
+
+        const adapter = this.adapters[attestation.provider];
+        if (!adapter) {
+            const enabled = this.listAdapters();
+            return {
+                success: false,
+                error: enabled.length
+                    ? `attestation.provider must be one of ${enabled.join(', ')}`
+                    : 'No attestation providers are configured'
+            };
+        }
+
+        const result = adapter.validate(attestation, { files });
+        if (result.error) {
+            return { success: false, error: result.error };
+        }
+        return { success: true, attestation: result.attestation };
+    }
+
+    /**
+     * Attestation metadata of a claim document bundle and the adapter that handles it
+     * @param {string} ipfsHash - Bundle hash
+     * @returns {Promise<{adapter: Object, attestation: Object}|null>} null for bundles
+     *   without attestation metadata (left to the oracle nodes or manual review)
+     */
+    async resolve(ipfsHash) {
+        const content = await ipfsService.getContent(ipfsHash);
+        if (!content.success) return null;
+
+        let bundle;
+        try {
+            bundle = JSON.parse(Buffer.from(content.data).toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        if (!bundle || bundle.type !== 'claim-documents' || !bundle.attestation) return null;
+
+        const adapter = this.adapters[bundle.attestation.provider];
+        return adapter ? { adapter, attestation: bundle.attestation } : null;
+    }
+
+    /**
+     * Run a claim's documents through their adapter and pin the report
+     * @param {Object} claim - Claim ({ claimId, claimant })
+     * @param {string} ipfsHash - Document bundle hash
+     * @returns {Promise<{adapter: string, verified: boolean, reason?: string, proof: string}>}
+     */
+    async attest(claim, ipfsHash) {
+        const route = await this.resolve(ipfsHash);
+        if (!route) {
+            throw new Error('Claim documents have no usable attestation metadata');
+        }
+
+        const { adapter, attestation } = route;
+        const result = await adapter.verify({ claim, attestation });
+
+        const report = await ipfsService.uploadJSON({
+            type: 'claim-attestation',
+            claimId: claim.claimId,
+            documents: ipfsHash,
+            adapter: adapter.name,
+            verified: result.verified,
+            reason: result.reason,
+            evidence: result.evidence,
+            checkedAt: new Date().toISOString()
+        });
+        if (!report.success) {
+            throw new Error(`Failed to pin attestation report: ${report.error}`);
+        }
+
+        return {
+            adapter: adapter.name,
+            verified: result.verified,
+            reason: result.reason,
+            proof: `ipfs://${report.ipfsHash}`
+        };
+    }
+}
+
+module.exports = new AttestationService();
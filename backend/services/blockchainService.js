@@ -0,0 +1,173 @@
+/**
+ * Blockchain Service
+ * Shared JSON-RPC provider and contract handles for backend services
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const ARTIFACTS_DIR = path.join(__dirname, '../../artifacts/contracts');
+const DEPLOYMENTS_DIR = path.join(__dirname, '../../deployments');
+
+// Contract name => suffix of its NEXT_PUBLIC_CONTRACT_ADDRESS_* variable (fallback when there is no manifest)
+const ADDRESS_ENV_KEYS = {
+    UserRegistry: 'REGISTRY',
+    CreditScore: 'CREDIT',
+    InsurancePool: 'POOL',
+    MicroLoan: 'LOAN',
+    PaymentPlan: 'PAYMENT',
+    BugBounty: 'BUGBOUNTY',
+    CrowdFunding: 'CROWDFUNDING',
+    ClaimOracle: 'ORACLE',
+    ZKPVerifier: 'ZKP',
+    PrivacyCompliance: 'PRIVACY'
+};
+
+class BlockchainService {
+    constructor() {
+        this.rpcUrl = process.env.RPC_URL || 'http://127.0.0.1:8545';
+        this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
+        this.network = process.env.DEPLOYMENT_NETWORK || 'localhost';
+        this.abiCache = {};
+        this.manifest = this.loadManifest();
+    }
+
+    /**
+     * Read deployments/<network>.json written by scripts/deploy.js
+     * @returns {Object|null} Manifest, or null when the network has not been deployed
+     */
+    loadManifest() {
+        const manifestPath = path.join(DEPLOYMENTS_DIR, `${this.network}.json`);
+        if (!fs.existsSync(manifestPath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        } catch (error) {
+            console.error(`Invalid deployment manifest ${manifestPath}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Manifest entry for a contract ({ address, deployBlock, txHash, abi, ... }) or null
+     * @param {string} name - Contract name
+     */
+    getDeployment(name) {
+        return (this.manifest && this.manifest.contracts[name]) || null;
+    }
+
+    /**
+     * Earliest block any manifest contract was deployed in, or null without a manifest
+     */
+    getDeployBlock() {
+        const blocks = Object.values((this.manifest && this.manifest.contracts) || {})
+            .map((deployment) => deployment.deployBlock)
+            .filter((block) => Number.isInteger(block));
+        return blocks.length > 0 ? Math.min(...blocks) : null;
+    }
+
+    /**
+     * Names of all contracts the backend knows about
+     */
+    getContractNames() {
+        return Object.keys(ADDRESS_ENV_KEYS);
+    }
+
+    /**
+     * Contract ABI from the deployment manifest, falling back to the Hardhat artifacts directory
+     * @param {string} name - Contract name, e.g. "InsurancePool"
+     */
+    getAbi(name) {
+        const deployment = this.getDeployment(name);
+        if (deployment && deployment.abi) {
+            return deployment.abi;
+        }
+
+        if (!this.abiCache[name]) {
+            const artifactPath = path.join(ARTIFACTS_DIR, `${name}.sol`, `${name}.json`);
+            if (!fs.existsSync(artifactPath)) {
+                throw new Error(`ABI for ${name} not found. Run \`npx hardhat compile\` first.`);
+            }
+            this.abiCache[name] = JSON.parse(fs.readFileSync(artifactPath, 'utf8')).abi;
+        }
+        return this.abiCache[name];
+    }
+
+    /**
+     * Deployed address of a contract from the manifest (or env), null when not configured
+     * @param {string} name - Contract name
+     */
+    getAddress(name) {
+        const key = ADDRESS_ENV_KEYS[name];
+        if (!key) throw new Error(`Unknown contract: ${name}`);
+
+        const deployment = this.getDeployment(name);
+        const address = deployment ? deployment.address : process.env[`NEXT_PUBLIC_CONTRACT_ADDRESS_${key}`];
+        return address && ethers.isAddress(address) ? ethers.getAddress(address) : null;
+    }
+
+    /**
+     * Get a contract instance connected to the provider (read-only) or a signer
+     * @param {string} name - Contract name
+     * @param {ethers.Signer} [runner] - Optional signer for write calls
+     */
+    getContract(name, runner) {
+        const address = this.getAddress(name);
+        if (!address) {
+            throw new Error(`Address for ${name} not configured`);
+        }
+        return new ethers.Contract(address, this.getAbi(name), runner || this.provider);
+    }
+
+    /**
+     * Wallet the platform sends owner-only transactions from (OPERATOR_PRIVATE_KEY),
+     * null when not configured
+     */
+    getOperator() {
+        if (!process.env.OPERATOR_PRIVATE_KEY) return null;
+        if (!this.operator) {
+            this.operator = new ethers.Wallet(process.env.OPERATOR_PRIVATE_KEY, this.provider);
+        }
+        return this.operator;
+    }
+
+    /**
+     * Decode the events a mined transaction emitted from one contract
+     * @param {string} txHash - Transaction hash
+     * @param {string} name - Contract name
+     * @returns {Promise<Array<ethers.LogDescription>>}
+     */
+    async getTransactionEvents(txHash, name) {
+        const receipt = await this.provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            throw new Error('Transaction not mined yet');
+        }
+
+        const address = this.getAddress(name);
+        const iface = this.getInterface(name);
+
+        return receipt.logs
+            .filter((log) => address && log.address.toLowerCase() === address.toLowerCase())
+            .map((log) => {
+                try {
+                    return iface.parseLog(log);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Get an ethers Interface for decoding logs
+     * @param {string} name - Contract name
+     */
+    getInterface(name) {
+        return new ethers.Interface(this.getAbi(name));
+    }
+}
+
+module.exports = new BlockchainService();
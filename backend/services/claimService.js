@@ -0,0 +1,178 @@
+/**
+ * Claim Service
+ * Mirrors the InsurancePool voting rules so the API can explain a claim:
+ * who may vote, how close it is to resolving and what each voter earned
+ */
+
+const { ethers } = require('ethers');
+const Claim = require('../models/Claim');
+const Pool = require('../models/Pool');
+
+// InsurancePool.APPROVAL_THRESHOLD
+const APPROVAL_THRESHOLD = 60;
+
+class ClaimService {
+    /**
+     * Tally votes and project the outcome the way InsurancePool.voteClaim does:
+     * the claim resolves once (memberCount - 1) / 2 votes are in, and is approved
+     * when at least APPROVAL_THRESHOLD percent of them approve
+     * @param {Object} claim - Claim document
+     * @param {Object} pool - Pool document of the claim
+     */
+    getTally(claim, pool) {
+        const approvals = claim.approvalCount || 0;
+        const rejections = claim.rejectionCount || 0;
+        const totalVotes = approvals + rejections;
+
+        // The claimant is a member but cannot vote
+        const eligibleVoters = Math.max(((pool && pool.memberCount) || 0) - 1, 0);
+        const requiredVotes = Math.floor(eligibleVoters / 2);
+        const approvalPercent = totalVotes > 0 ? Math.floor((approvals * 100) / totalVotes) : 0;
+
+        let outcome = null;
+        if (claim.status !== 'PENDING') {
+            outcome = claim.status === 'REJECTED' ? 'REJECTED' : 'APPROVED';
+        }
+
+        return {
+            approvals,
+            rejections,
+            totalVotes,
+            eligibleVoters,
+            requiredVotes,
+            votesNeeded: outcome ? 0 : Math.max(requiredVotes - totalVotes, 0),
+            approvalPercent,
+            threshold: APPROVAL_THRESHOLD,
+            resolved: outcome !== null,
+            leading: totalVotes > 0 ? (approvalPercent >= APPROVAL_THRESHOLD ? 'APPROVED' : 'REJECTED') : null,
+            outcome
+        };
+    }
+
+    /**
+     * Check the voteClaim requirements for a wallet: pool member, claim pending,
+     * not the claimant and no earlier vote
+     * @param {Object} claim - Claim document
+     * @param {Object} pool - Pool document of the claim
+     * @param {string} voter - Wallet address
+     * @returns {{eligible: boolean, reason: string|null}}
+     */
+    checkVoteEligibility(claim, pool, voter) {
+        const address = voter.toLowerCase();
+
+        if (claim.status !== 'PENDING') {
+            return { eligible: false, reason: 'Voting on this claim has closed' };
+        }
+        if (claim.claimant === address) {
+            return { eligible: false, reason: 'You cannot vote on your own claim' };
+        }
+        if (!pool || !(pool.members || []).some((member) => member.address === address)) {
+            return { eligible: false, reason: `Only members of pool #${claim.poolId} can vote on this claim` };
+        }
+        if ((claim.votes || []).some((vote) => vote.voter === address)) {
+            return { eligible: false, reason: 'You have already voted on this claim' };
+        }
+
+        return { eligible: true, reason: null };
+    }
+
+    /**
+     * Per-voter Schelling-point rewards, as allocated by InsurancePool._allocateVotingRewards:
+     * voters who sided with the outcome split the claim's reward allocation by contribution
+     * @param {Object} claim - Claim document
+     */
+    getRewards(claim) {
+        const tally = this.getTally(claim, null);
+        const consensus = tally.outcome ? tally.outcome === 'APPROVED' : null;
+        const rewards = claim.rewards || [];
+
+        const voters = (claim.votes || []).map((vote) => {
+            const reward = rewards.find((entry) => entry.voter === vote.voter);
+            return {
+                voter: vote.voter,
+                approve: vote.approve,
+                votedAt: vote.timestamp,
+                votedWithConsensus: consensus === null ? null : vote.approve === consensus,
+                reward: reward ? reward.amount : '0',
+                claimed: Boolean(reward && reward.claimed),
+                claimedAt: reward ? reward.claimedAt : undefined
+            };
+        });
+
+        return {
+            claimId: claim.claimId,
+            status: claim.status,
+            consensus: consensus === null ? null : (consensus ? 'APPROVE' : 'REJECT'),
+            rewardPoolAllocated: claim.rewardPoolAllocated || '0',
+            voters
+        };
+    }
+
+    /**
+     * Pending claims in every pool a wallet belongs to, grouped by pool,
+     * each with its tally and whether the wallet can still vote on it
+     * @param {string} member - Wallet address
+     */
+    async getReviewQueue(member) {
+        const address = member.toLowerCase();
+        const pools = await Pool.find({ 'members.address': address }, 'poolId name memberCount members').sort({ poolId: 1 });
+        const claims = await Claim.find({
+            poolId: { $in: pools.map((pool) => pool.poolId) },
+            status: 'PENDING'
+        }).sort({ submittedAt: 1 });
+
+        return pools.map((pool) => ({
+            poolId: pool.poolId,
+            name: pool.name,
+            memberCount: pool.memberCount,
+            claims: claims
+                .filter((claim) => claim.poolId === pool.poolId)
+                .map((claim) => ({
+                    ...claim.toObject(),
+                    tally: this.getTally(claim, pool),
+                    eligibility: this.checkVoteEligibility(claim, pool, address)
+                }))
+        }));
+    }
+
+    /**
+     * Every claim a wallet voted on with its reward and claim status
+     * @param {string} voter - Wallet address
+     */
+    async getVoterRewards(voter) {
+        const address = voter.toLowerCase();
+        const claims = await Claim.find({ 'votes.voter': address }).sort({ claimId: -1 });
+
+        let earned = 0n;
+        let claimed = 0n;
+
+        const entries = claims.map((claim) => {
+            const { consensus, voters } = this.getRewards(claim);
+            const entry = voters.find((item) => item.voter === address);
+            const amount = ethers.parseEther(entry.reward);
+
+            earned += amount;
+            if (entry.claimed) claimed += amount;
+
+            return {
+                claimId: claim.claimId,
+                poolId: claim.poolId,
+                status: claim.status,
+                consensus,
+                ...entry
+            };
+        });
+
+        return {
+            voter: address,
+            totals: {
+                earned: ethers.formatEther(earned),
+                claimed: ethers.formatEther(claimed),
+                unclaimed: ethers.formatEther(earned - claimed)
+            },
+            claims: entries
+        };
+    }
+}
+
+module.exports = new ClaimService();
@@ -0,0 +1,167 @@
+/**
+ * Consent Service
+ * Privacy-policy versions and acceptances from PrivacyCompliance.
+ *
+ * updatePrivacyPolicy bumps currentPolicyVersion as soon as it is mined, even when the
+ * new policy only takes effect later. Until its effective date the previous version is
+ * the one users must have accepted; accepting the upcoming version early also counts,
+ * since acceptPrivacyPolicy always records the latest version.
+ */
+
+const blockchainService = require('./blockchainService');
+const ipfsService = require('./ipfsService');
+
+const POLICY_CACHE_MS = 60 * 1000;
+
+const toDate = (seconds) => new Date(Number(seconds) * 1000);
+
+class ConsentService {
+    constructor() {
+        this.enforced = process.env.PRIVACY_CONSENT_REQUIRED !== 'false';
+
+        this.policies = null;
+        this.policiesFetchedAt = 0;
+        // Wallet -> last accepted version. Only acceptances are cached, so a fresh
+        // acceptance is seen on the next check and a new effective version re-prompts.
+        this.accepted = new Map();
+    }
+
+    /**
+     * Whether data processing is gated on consent (needs PrivacyCompliance deployed)
+     */
+    isEnforced() {
+        return this.enforced && Boolean(blockchainService.getAddress('PrivacyCompliance'));
+    }
+
+    /**
+     * Every published policy version, oldest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async getPolicies() {
+        if (this.policies && Date.now() - this.policiesFetchedAt < POLICY_CACHE_MS) {
+            return this.policies;
+        }
+
+        const contract = blockchainService.getContract('PrivacyCompliance');
+        const latest = Number(await contract.currentPolicyVersion());
+        // A redeployed contract starts over at version 1
+        const known = this.policies && this.policies.length <= latest ? this.policies : [];
+
+        // Published versions never change, only new ones are read
+        const added = await Promise.all(
+            Array.from({ length: latest - known.length }, (_, i) => contract.privacyPolicies(known.length + i + 1))
+        );
+
+        this.policies = known.concat(added.map((policy) => ({
+            version: Number(policy.version),
+            policyHash: policy.policyHash,
+            url: ipfsService.getUrl(policy.policyHash),
+            effectiveDate: toDate(policy.effectiveDate),
+            isActive: policy.isActive
+        })));
+        this.policiesFetchedAt = Date.now();
+        return this.policies;
+    }
+
+    /**
+     * The policy in force now, the latest published one and any not yet effective
+     */
+    async getPolicyState() {
+        const policies = await this.getPolicies();
+        const now = Date.now();
+
+        const effective = policies.filter((policy) => policy.isActive && policy.effectiveDate.getTime() <= now);
+        const current = effective[effective.length - 1] || null;
+        const latest = policies[policies.length - 1] || null;
+
+        return {
+            current,
+            latest,
+            upcoming: policies.filter((policy) => policy.effectiveDate.getTime() > now)
+        };
+    }
+
+    /**
+     * Whether a wallet has accepted the policy currently in force
+     * @param {string} walletAddress - Wallet address
+     */
+    async getStatus(walletAddress) {
+        const wallet = walletAddress.toLowerCase();
+        const { current, latest, upcoming } = await this.getPolicyState();
+        const requiredVersion = current ? current.version : 0;
+
+        let acceptedVersion = this.accepted.get(wallet) || 0;
+        if (acceptedVersion < (latest ? latest.version : 0)) {
+            const contract = blockchainService.getContract('PrivacyCompliance');
+            acceptedVersion = Number(await contract.userAcceptedVersion(wallet));
+            if (acceptedVersion > 0) this.accepted.set(wallet, acceptedVersion);
+        }
+
+        return {
+            walletAddress: wallet,
+            enforced: this.isEnforced(),
+            hasConsent: requiredVersion > 0 && acceptedVersion >= requiredVersion,
+            acceptedVersion,
+            requiredVersion,
+            current,
+            // acceptPrivacyPolicy records this version, so it is the text a user agrees to
+            latest,
+            upcoming,
+            needsUpcomingAcceptance: upcoming.some((policy) => policy.version > acceptedVersion)
+        };
+    }
+
+    /**
+     * Pin a new policy document and publish it on-chain with the operator wallet
+     * @param {string} content - Policy text (Markdown)
+     * @param {Date} effectiveDate - When the policy takes effect
+     */
+    async publishPolicy(content, effectiveDate) {
+        const operator = blockchainService.getOperator();
+        if (!operator) {
+            return { success: false, error: 'OPERATOR_PRIVATE_KEY is not configured' };
+        }
+
+        const contract = blockchainService.getContract('PrivacyCompliance', operator);
+        const nextVersion = Number(await contract.currentPolicyVersion()) + 1;
+
+        const upload = await ipfsService.uploadFile(Buffer.from(content, 'utf8'), `privacy-policy-v${nextVersion}.md`);
+        if (!upload.success) {
+            return { success: false, error: upload.error };
+        }
+
+        const tx = await contract.updatePrivacyPolicy(upload.ipfsHash, Math.floor(effectiveDate.getTime() / 1000));
+        const receipt = await tx.wait();
+        const updated = receipt.logs
+            .map((log) => {
+                try {
+                    return contract.interface.parseLog(log);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .find((event) => event && event.name === 'PrivacyPolicyUpdated');
+
+        this.invalidate();
+        return {
+            success: true,
+            version: updated ? Number(updated.args.version) : nextVersion,
+            policyHash: upload.ipfsHash,
+            url: upload.url,
+            effectiveDate,
+            txHash: receipt.hash
+        };
+    }
+
+    // ===== Indexer handler (PrivacyCompliance.PrivacyPolicyUpdated) =====
+
+    async onPolicyUpdated() {
+        this.invalidate();
+    }
+
+    invalidate() {
+        this.policiesFetchedAt = 0;
+    }
+}
+
+module.exports = new ConsentService();
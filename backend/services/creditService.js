@@ -0,0 +1,305 @@
+/**
+ * Credit Service
+ * Explains and simulates CreditScore scores. Every score update (CreditScore._updateScore)
+ * starts from DEFAULT_SCORE and adds four factors:
+ *
+ *   repayment    40%  repaid / total loans:       rate * 4 - 200   (-200..+200)
+ *   punctuality  30%  on-time / total payments:   rate * 3 - 150   (-150..+150)
+ *   history      20%  days since the previous update: > 365 +100, > 180 +50
+ *   loanCount    10%  repaid loans: >= 10 +50, >= 5 +25
+ *
+ * and clamps the result to MIN_SCORE..MAX_SCORE. Rates are whole percentages, rounded down
+ * as in Solidity. The history factor of the stored score is not kept on-chain, so it is
+ * inferred from what is left once the other factors are accounted for.
+ *
+ * Simulations replay the recordPayment / recordLoan calls MicroLoan would make, all at the
+ * current block time.
+ */
+
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchainService');
+const amortizationService = require('./amortizationService');
+
+const DEFAULT_SCORE = 450; // CreditScore.DEFAULT_SCORE
+const MIN_SCORE = 0; // CreditScore.MIN_SCORE
+const MAX_SCORE = 900; // CreditScore.MAX_SCORE
+const DAY_SECONDS = 24 * 60 * 60;
+const MAX_SIMULATED_PAYMENTS = 120;
+
+const ACTIVE = 1n; // MicroLoan.LoanStatus.ACTIVE
+
+// CreditScore.getCreditTier thresholds, highest first
+const TIERS = [
+    { name: 'Excellent', min: 750 },
+    { name: 'Good', min: 600 },
+    { name: 'Fair', min: 450 },
+    { name: 'Poor', min: 300 },
+    { name: 'Very Poor', min: 150 },
+    { name: 'Critical', min: 0 }
+];
+
+const FACTORS = [
+    { key: 'repayment', label: 'Loan repayment rate', weight: 40, min: -200, max: 200 },
+    { key: 'punctuality', label: 'Payment punctuality', weight: 30, min: -150, max: 150 },
+    { key: 'history', label: 'Credit history length', weight: 20, min: 0, max: 100 },
+    { key: 'loanCount', label: 'Successful loans', weight: 10, min: 0, max: 50 }
+];
+
+class CreditService {
+    /**
+     * Tier of a score, as CreditScore.getCreditTier reports it
+     * @param {number} score
+     */
+    tierFor(score) {
+        // getCreditTier reads a stored score of 0 as the default
+        const effective = score === 0 ? DEFAULT_SCORE : score;
+        return TIERS.find((tier) => effective >= tier.min).name;
+    }
+
+    /**
+     * History points _updateScore adds for an update at `now`
+     * @param {number} lastUpdated - CreditData.lastUpdated, in seconds
+     * @param {number} now - Block time, in seconds
+     */
+    historyPoints(lastUpdated, now) {
+        const days = Math.floor((now - lastUpdated) / DAY_SECONDS);
+        if (days > 365) return 100;
+        if (days > 180) return 50;
+        return 0;
+    }
+
+    /**
+     * Points of every factor but history, which depends on when the update happens
+     * @param {Object} data - { totalLoans, repaidLoans, totalPayments, latePayments }
+     */
+    factorPoints(data) {
+        const points = { repayment: 0, punctuality: 0, loanCount: 0 };
+
+        if (data.totalLoans > 0) {
+            const rate = Math.floor((data.repaidLoans * 100) / data.totalLoans);
+            points.repayment = rate * 4 - 200;
+        }
+        if (data.totalPayments > 0) {
+            const rate = Math.floor(((data.totalPayments - data.latePayments) * 100) / data.totalPayments);
+            points.punctuality = rate * 3 - 150;
+        }
+        if (data.repaidLoans >= 10) {
+            points.loanCount = 50;
+        } else if (data.repaidLoans >= 5) {
+            points.loanCount = 25;
+        }
+        return points;
+    }
+
+    /**
+     * Score _updateScore computes for `data` at `now`
+     * @returns {{score: number, raw: number, points: Object}}
+     */
+    computeScore(data, now) {
+        const points = { ...this.factorPoints(data), history: this.historyPoints(data.lastUpdated, now) };
+        const raw = DEFAULT_SCORE + points.repayment + points.punctuality + points.history + points.loanCount;
+        return { score: Math.min(Math.max(raw, MIN_SCORE), MAX_SCORE), raw, points };
+    }
+
+    /**
+     * Current score of a wallet broken down by factor
+     * @param {string} address - Wallet address
+     * @returns {Promise<Object>} { success, explanation } or { success: false, error }
+     */
+    async explain(address) {
+        if (!ethers.isAddress(address)) {
+            return { success: false, error: 'Invalid address' };
+        }
+
+        const [data, now] = await Promise.all([this._getCreditData(address), this._getChainTime()]);
+        return { success: true, explanation: this._explainStored(address, data, now) };
+    }
+
+    /**
+     * Score a wallet would have after repaying loans and making more payments now
+     * @param {string} address - Wallet address
+     * @param {Object} scenario
+     * @param {Array<number>} [scenario.repayLoans] - ACTIVE loans of the wallet repaid in full
+     * @param {number} [scenario.payments] - Further on-time payments
+     * @param {number} [scenario.latePayments] - Further late payments
+     * @returns {Promise<Object>} { success, simulation } or { success: false, error }
+     */
+    async simulate(address, { repayLoans = [], payments = 0, latePayments = 0 } = {}) {
+        if (!ethers.isAddress(address)) {
+            return { success: false, error: 'Invalid address' };
+        }
+        for (const [name, count] of [['payments', payments], ['latePayments', latePayments]]) {
+            if (!Number.isInteger(count) || count < 0 || count > MAX_SIMULATED_PAYMENTS) {
+                return { success: false, error: `${name} must be a whole number from 0 to ${MAX_SIMULATED_PAYMENTS}` };
+            }
+        }
+        if (!repayLoans.every((loanId) => Number.isInteger(loanId) && loanId >= 0)) {
+            return { success: false, error: 'repayLoans must be loan ids' };
+        }
+        if (new Set(repayLoans).size !== repayLoans.length) {
+            return { success: false, error: 'repayLoans contains a loan twice' };
+        }
+
+        const [data, now] = await Promise.all([this._getCreditData(address), this._getChainTime()]);
+        const current = this._explainStored(address, data, now);
+
+        const repayments = [];
+        for (const loanId of repayLoans) {
+            const result = await this._classifyPayoff(address, loanId, now);
+            if (!result.success) return result;
+            repayments.push(result.repayment);
+        }
+
+        const state = { ...data };
+        let computed = null;
+        // One _updateScore call, stamped with the block time like the contract does
+        const update = () => {
+            computed = this.computeScore(state, now);
+            state.score = computed.score;
+            state.lastUpdated = now;
+        };
+
+        // repayLoan: recordPayment, then recordLoan(true) once the loan is paid off
+        const steps = [];
+        for (const repayment of repayments) {
+            state.totalPayments++;
+            if (!repayment.onTime) state.latePayments++;
+            update();
+            state.totalLoans++;
+            state.repaidLoans++;
+            update();
+            steps.push({ action: 'REPAY_LOAN', ...repayment, score: computed.score, tier: this.tierFor(computed.score) });
+        }
+        for (const [count, onTime] of [[payments, true], [latePayments, false]]) {
+            for (let i = 0; i < count; i++) {
+                state.totalPayments++;
+                if (!onTime) state.latePayments++;
+                update();
+                steps.push({ action: 'PAYMENT', onTime, score: computed.score, tier: this.tierFor(computed.score) });
+            }
+        }
+
+        const simulated = computed
+            ? this._describe(address, state, computed.score, computed.points, computed.score - computed.raw, now)
+            : current;
+
+        return {
+            success: true,
+            simulation: {
+                address: current.address,
+                scenario: { repayLoans, payments, latePayments },
+                current,
+                simulated,
+                change: simulated.score - current.score,
+                steps
+            }
+        };
+    }
+
+    /**
+     * Breakdown of the stored score. Its history points are whatever 0 / 50 / 100 makes the
+     * other factors add up to it; anything else was cut off by the MIN_SCORE / MAX_SCORE clamp.
+     */
+    _explainStored(address, data, now) {
+        // No update yet: getCreditScore reports the default
+        if (data.lastUpdated === 0 || (data.totalLoans === 0 && data.totalPayments === 0)) {
+            const points = { repayment: 0, punctuality: 0, history: 0, loanCount: 0 };
+            return this._describe(address, data, DEFAULT_SCORE, points, 0, now);
+        }
+
+        const points = { ...this.factorPoints(data), history: 0 };
+        const withoutHistory = DEFAULT_SCORE + points.repayment + points.punctuality + points.loanCount;
+        const clamp = (raw) => Math.min(Math.max(raw, MIN_SCORE), MAX_SCORE);
+
+        const candidates = [0, 50, 100];
+        points.history = candidates.find((history) => withoutHistory + history === data.score) ??
+            candidates.find((history) => clamp(withoutHistory + history) === data.score) ?? 0;
+
+        return this._describe(address, data, data.score, points, data.score - (withoutHistory + points.history), now);
+    }
+
+    _describe(address, data, score, points, clamped, now) {
+        const onTime = data.totalPayments - data.latePayments;
+        const details = {
+            repayment: data.totalLoans > 0
+                ? `${data.repaidLoans} of ${data.totalLoans} loans repaid (${Math.floor((data.repaidLoans * 100) / data.totalLoans)}%)`
+                : 'No loans closed yet',
+            punctuality: data.totalPayments > 0
+                ? `${onTime} of ${data.totalPayments} payments on time (${Math.floor((onTime * 100) / data.totalPayments)}%)`
+                : 'No payments yet',
+            history: 'Added when a score update comes more than 180 days (+50) or a year (+100) after the previous one',
+            loanCount: data.repaidLoans >= 10
+                ? `${data.repaidLoans} loans repaid`
+                : `${data.repaidLoans} loans repaid, +${data.repaidLoans >= 5 ? 50 : 25} points at ${data.repaidLoans >= 5 ? 10 : 5}`
+        };
+
+        return {
+            address: address.toLowerCase(),
+            score,
+            tier: this.tierFor(score),
+            base: DEFAULT_SCORE,
+            factors: FACTORS.map((factor) => ({ ...factor, points: points[factor.key], detail: details[factor.key] })),
+            // Points cut off by the MIN_SCORE..MAX_SCORE bounds (negative when capped at the top)
+            clamped,
+            data: {
+                totalLoans: data.totalLoans,
+                repaidLoans: data.repaidLoans,
+                defaultedLoans: data.defaultedLoans,
+                totalPayments: data.totalPayments,
+                latePayments: data.latePayments,
+                lastUpdated: data.lastUpdated > 0 ? new Date(data.lastUpdated * 1000) : null
+            },
+            // History points the next update would add if it happened now
+            nextUpdateHistoryPoints: this.historyPoints(data.lastUpdated, now)
+        };
+    }
+
+    /**
+     * Whether paying off a loan now would count as on time (MicroLoan.repayLoan)
+     */
+    async _classifyPayoff(address, loanId, now) {
+        const microLoan = blockchainService.getContract('MicroLoan');
+        const loan = await microLoan.getLoanInfo(loanId);
+        if (loan.borrower.toLowerCase() !== address.toLowerCase()) {
+            return { success: false, notFound: true, error: `Loan ${loanId} is not a loan of this wallet` };
+        }
+        if (loan.status !== ACTIVE) {
+            return { success: false, error: `Loan ${loanId} is not active` };
+        }
+
+        const [dueDates, amountsDue] = await microLoan.getRepaymentSchedule(loanId);
+        const installments = dueDates.map((dueDate, index) => ({
+            number: index + 1,
+            dueDate: new Date(Number(dueDate) * 1000),
+            amountDue: amountsDue[index]
+        }));
+        const { installment, onTime } = amortizationService.classifyRepayment(
+            installments,
+            loan.amountRepaid,
+            new Date(now * 1000)
+        );
+
+        return { success: true, repayment: { loanId, installment, onTime } };
+    }
+
+    async _getCreditData(address) {
+        const data = await blockchainService.getContract('CreditScore').getCreditData(address);
+        return {
+            score: Number(data.score),
+            totalLoans: Number(data.totalLoans),
+            repaidLoans: Number(data.repaidLoans),
+            defaultedLoans: Number(data.defaultedLoans),
+            totalPayments: Number(data.totalPayments),
+            latePayments: Number(data.latePayments),
+            lastUpdated: Number(data.lastUpdated)
+        };
+    }
+
+    // Scores are stamped with block time, which is what the history factor compares
+    async _getChainTime() {
+        const latest = await blockchainService.provider.getBlock('latest');
+        return latest.timestamp;
+    }
+}
+
+module.exports = new CreditService();
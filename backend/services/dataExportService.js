@@ -0,0 +1,306 @@
+/**
+ * Data Export Service
+ * Right of access / data portability (GDPR Art. 15 and 20): everything the
+ * platform holds about a wallet as a ZIP of JSON and CSV files. manifest.json
+ * lists each file's SHA-256 and is signed by the operator wallet (EIP-191), so
+ * the archive can be checked with ethers.verifyMessage(manifestText, signature).
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchainService');
+const User = require('../models/User');
+const CreditHistory = require('../models/CreditHistory');
+const Loan = require('../models/Loan');
+const Claim = require('../models/Claim');
+const Pool = require('../models/Pool');
+const CrowdFunding = require('../models/CrowdFunding');
+const PaymentPlan = require('../models/PaymentPlan');
+const VaultDocument = require('../models/VaultDocument');
+const DataDeletionRequest = require('../models/DataDeletionRequest');
+const KycApplication = require('../models/KycApplication');
+const ZkProof = require('../models/ZkProof');
+const { BugReport, Researcher } = require('../models/BugBounty');
+
+const EXPORT_VERSION = 1;
+
+// Internal bookkeeping that says nothing about the user
+const INTERNAL_FIELDS = new Set(['_id', '__v', 'password', 'eventId', 'createdBlock', 'syncedBlock', 'wrappedKey']);
+
+const clean = (value) => JSON.parse(JSON.stringify(value, (key, field) => (INTERNAL_FIELDS.has(key) ? undefined : field)));
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * RFC 4180 CSV with a header row
+ * @param {Array<Object>} rows - Flat objects
+ * @param {string[]} columns - Keys to write, in order
+ */
+const toCsv = (rows, columns) => {
+    const escape = (value) => {
+        if (value === undefined || value === null) return '';
+        const text = value instanceof Date ? value.toISOString() : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map((row) => columns.map((column) => escape(row[column])).join(','))].join('\r\n') + '\r\n';
+};
+
+// ===== Minimal ZIP writer (stored, no compression) =====
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * @param {Array<{name: string, data: Buffer}>} files
+ * @returns {Buffer}
+ */
+const zip = (files, modified = new Date()) => {
+    const { time, date } = dosDateTime(modified);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const crc = crc32(file.data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(0, 8); // stored
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(file.data.length, 18);
+        local.writeUInt32LE(file.data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(file.data.length, 20);
+        central.writeUInt32LE(file.data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, file.data);
+        centrals.push(central, name);
+        offset += local.length + name.length + file.data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+};
+
+class DataExportService {
+    /**
+     * Collect every record that references a wallet
+     * @param {string} walletAddress - Wallet address
+     */
+    async collect(walletAddress) {
+        const wallet = walletAddress.toLowerCase();
+
+        const [user, credit, loans, claims, votedClaims, pools, campaigns, plans, reports, researcher, vaultDocuments, deletionRequests, kycApplication, zkProofs] =
+            await Promise.all([
+                User.findOne({ walletAddress: wallet }),
+                CreditHistory.findOne({ userAddress: wallet }),
+                Loan.find({ borrower: wallet }).sort({ loanId: 1 }),
+                Claim.find({ claimant: wallet }).sort({ claimId: 1 }),
+                Claim.find({ 'votes.voter': wallet }, 'claimId poolId status votes rewards').sort({ claimId: 1 }),
+                Pool.find({ 'members.address': wallet }, 'poolId name poolType members').sort({ poolId: 1 }),
+                CrowdFunding.find({ $or: [{ creator: wallet }, { 'contributors.contributor': wallet }] }).sort({ campaignId: 1 }),
+                PaymentPlan.find({ user: wallet }).sort({ planType: 1, planId: 1 }),
+                BugReport.find({ researcher: wallet }).sort({ reportId: 1 }),
+                Researcher.findOne({ address: wallet }),
+                VaultDocument.find({ $or: [{ owner: wallet }, { 'grants.grantee': wallet }] }).sort({ createdAt: 1 }),
+                DataDeletionRequest.find({ user: wallet }).sort({ requestedAt: 1 }),
+                KycApplication.findOne({ walletAddress: wallet }),
+                ZkProof.find({ prover: wallet }, '-proof -publicSignals').sort({ createdAt: 1 })
+            ]);
+
+        return {
+            profile: user ? clean(user) : null,
+            creditHistory: credit ? clean(credit) : null,
+            loans: clean(loans),
+            claims: clean(claims),
+            claimVotes: votedClaims.map((claim) => {
+                const vote = claim.votes.find((entry) => entry.voter === wallet);
+                const reward = (claim.rewards || []).find((entry) => entry.voter === wallet);
+                return clean({
+                    claimId: claim.claimId,
+                    poolId: claim.poolId,
+                    claimStatus: claim.status,
+                    approve: vote.approve,
+                    votedAt: vote.timestamp,
+                    reward: reward ? reward.amount : '0',
+                    rewardClaimed: Boolean(reward && reward.claimed)
+                });
+            }),
+            poolMemberships: pools.map((pool) => {
+                const member = pool.members.find((entry) => entry.address === wallet);
+                return clean({ poolId: pool.poolId, name: pool.name, poolType: pool.poolType, ...member.toObject() });
+            }),
+            campaignsCreated: clean(campaigns.filter((campaign) => campaign.creator === wallet)),
+            crowdfundingContributions: campaigns.flatMap((campaign) => campaign.contributors
+                .filter((entry) => entry.contributor === wallet)
+                .map((entry) => clean({ campaignId: campaign.campaignId, title: campaign.title, ...entry.toObject() }))),
+            paymentPlans: clean(plans),
+            bugBounty: {
+                researcher: researcher ? clean(researcher) : null,
+                reports: clean(reports)
+            },
+            vaultDocuments: vaultDocuments.map((document) => clean({
+                cid: document.cid,
+                owner: document.owner,
+                fileName: document.owner === wallet ? document.fileName : undefined,
+                purpose: document.purpose,
+                createdAt: document.createdAt,
+                grants: document.grants.filter((grant) => document.owner === wallet || grant.grantee === wallet)
+            })),
+            deletionRequests: clean(deletionRequests),
+            kycApplication: kycApplication ? clean(kycApplication) : null,
+            zkProofs: clean(zkProofs),
+            onChainDataRecords: await this._getDataRecords(wallet)
+        };
+    }
+
+    /**
+     * PrivacyCompliance records about the wallet (getUserDataRecords + getDataRecord)
+     */
+    async _getDataRecords(wallet) {
+        let contract;
+        try {
+            contract = blockchainService.getContract('PrivacyCompliance');
+        } catch (error) {
+            return { available: false, error: error.message, records: [] };
+        }
+
+        try {
+            const recordIds = await contract.getUserDataRecords(wallet);
+            const records = await Promise.all(recordIds.map(async (recordId) => {
+                const record = await contract.getDataRecord(recordId);
+                return {
+                    recordId,
+                    dataType: record.dataType,
+                    ipfsHash: record.ipfsHash,
+                    timestamp: new Date(Number(record.timestamp) * 1000).toISOString(),
+                    offChainDeleted: record.offChainDeleted
+                };
+            }));
+            return { available: true, contract: await contract.getAddress(), records };
+        } catch (error) {
+            return { available: false, error: error.message, records: [] };
+        }
+    }
+
+    /**
+     * Flatten the export into one CSV per table
+     */
+    toCsvFiles(data) {
+        const profile = data.profile || {};
+        return {
+            'profile.csv': toCsv(
+                Object.entries(profile).map(([field, value]) => ({ field, value: typeof value === 'object' ? JSON.stringify(value) : value })),
+                ['field', 'value']
+            ),
+            'credit_history.csv': toCsv((data.creditHistory && data.creditHistory.scoreHistory) || [], ['timestamp', 'score', 'reason']),
+            'loans.csv': toCsv(data.loans, ['loanId', 'principal', 'interestRate', 'duration', 'amountRepaid', 'status', 'purpose', 'startDate', 'dueDate']),
+            'loan_repayments.csv': toCsv(
+                data.loans.flatMap((loan) => (loan.repayments || []).map((repayment) => ({ loanId: loan.loanId, ...repayment }))),
+                ['loanId', 'timestamp', 'amount', 'onTime']
+            ),
+            'claims.csv': toCsv(data.claims, ['claimId', 'poolId', 'amount', 'description', 'documents', 'status', 'submittedAt', 'processedAt', 'paidAmount']),
+            'claim_votes.csv': toCsv(data.claimVotes, ['claimId', 'poolId', 'claimStatus', 'approve', 'votedAt', 'reward', 'rewardClaimed']),
+            'pool_memberships.csv': toCsv(data.poolMemberships, ['poolId', 'name', 'poolType', 'contribution', 'joinedAt']),
+            'crowdfunding_contributions.csv': toCsv(data.crowdfundingContributions, ['campaignId', 'title', 'amount', 'timestamp', 'refunded']),
+            'payment_plans.csv': toCsv(data.paymentPlans, ['planType', 'planId', 'purpose', 'totalAmount', 'paidAmount', 'targetAmount', 'savedAmount', 'startDate', 'isActive', 'isCompleted']),
+            'bug_reports.csv': toCsv(data.bugBounty.reports, ['reportId', 'title', 'severity', 'status', 'reward', 'submittedAt', 'resolvedAt']),
+            'zk_proofs.csv': toCsv(data.zkProofs, ['proofId', 'proofType', 'status', 'proofHash', 'metadata', 'generatedAt', 'submittedAt', 'verifiedAt']),
+            'onchain_data_records.csv': toCsv(data.onChainDataRecords.records, ['recordId', 'dataType', 'ipfsHash', 'timestamp', 'offChainDeleted'])
+        };
+    }
+
+    /**
+     * Build the signed archive for a wallet
+     * @param {string} walletAddress - Wallet address
+     * @returns {Promise<{fileName: string, archive: Buffer, manifest: Object, signature: Object}>}
+     */
+    async buildArchive(walletAddress) {
+        const wallet = walletAddress.toLowerCase();
+        const generatedAt = new Date();
+        const data = await this.collect(wallet);
+
+        const files = [
+            { name: 'export.json', data: Buffer.from(JSON.stringify(data, null, 2)) },
+            ...Object.entries(this.toCsvFiles(data)).map(([name, csv]) => ({ name: `csv/${name}`, data: Buffer.from(csv) }))
+        ];
+
+        const operator = blockchainService.getOperator();
+        const manifest = {
+            version: EXPORT_VERSION,
+            wallet,
+            generatedAt: generatedAt.toISOString(),
+            network: blockchainService.network,
+            issuer: operator ? operator.address : null,
+            files: files.map((file) => ({ name: file.name, size: file.data.length, sha256: sha256(file.data) }))
+        };
+        const manifestText = JSON.stringify(manifest, null, 2);
+
+        const signature = operator
+            ? {
+                scheme: 'EIP-191 personal_sign over manifest.json',
+                signer: operator.address,
+                signature: await operator.signMessage(manifestText)
+            }
+            : {
+                scheme: 'none',
+                signer: null,
+                signature: null,
+                reason: 'OPERATOR_PRIVATE_KEY is not configured; verify files against manifest.json hashes only'
+            };
+
+        const archive = zip([
+            { name: 'manifest.json', data: Buffer.from(manifestText) },
+            { name: 'signature.json', data: Buffer.from(JSON.stringify(signature, null, 2)) },
+            ...files
+        ], generatedAt);
+
+        return {
+            fileName: `nishkama-export-${ethers.getAddress(wallet)}-${generatedAt.toISOString().slice(0, 10)}.zip`,
+            archive,
+            manifest,
+            signature
+        };
+    }
+}
+
+module.exports = new DataExportService();
@@ -0,0 +1,1050 @@
+/**
+ * Chain Indexer Service
+ * Follows contract events and mirrors on-chain state into MongoDB.
+ *
+ * The indexer is the only writer for Pool, Claim, Loan, CrowdFunding,
+ * BugReport, Researcher, CreditHistory, PaymentPlan and on-chain ZkProof documents (routes may
+ * refresh a document from the contract, never from request data), and creates
+ * DataDeletionRequest documents for services/privacyService.js to fulfil. Handlers re-read the
+ * authoritative contract state for whatever an event touched, so replaying
+ * a block range (after a restart or a reorg) always converges on chain state.
+ */
+
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchainService');
+const paymentPlanService = require('./paymentPlanService');
+const privacyService = require('./privacyService');
+const consentService = require('./consentService');
+const kycService = require('./kycService');
+const amortizationService = require('./amortizationService');
+const Pool = require('../models/Pool');
+const Claim = require('../models/Claim');
+const Loan = require('../models/Loan');
+const CrowdFunding = require('../models/CrowdFunding');
+const CreditHistory = require('../models/CreditHistory');
+const PaymentPlan = require('../models/PaymentPlan');
+const DataDeletionRequest = require('../models/DataDeletionRequest');
+const KycApplication = require('../models/KycApplication');
+const ZkProof = require('../models/ZkProof');
+const IndexerState = require('../models/IndexerState');
+const { BugReport, Researcher } = require('../models/BugBounty');
+
+// Solidity enum index => string stored in MongoDB
+const POOL_TYPES = ['HEALTH', 'LIFE', 'ACCIDENT', 'CRITICAL_ILLNESS'];
+const CLAIM_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'PAID'];
+const LOAN_STATUSES = ['PENDING', 'ACTIVE', 'REPAID', 'DEFAULTED', 'LIQUIDATED'];
+const LOAN_TYPES = ['UNSECURED', 'COLLATERALIZED', 'COSIGNED', 'POOL_BACKED'];
+const CAMPAIGN_STATUSES = ['PENDING_APPROVAL', 'ACTIVE', 'SUCCESSFUL', 'FAILED', 'CANCELLED'];
+const CAMPAIGN_CATEGORIES = ['SURGERY', 'TREATMENT', 'MEDICATION', 'EMERGENCY', 'THERAPY', 'DIAGNOSTICS', 'OTHER'];
+const SEVERITIES = ['INFORMATIONAL', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const REPORT_STATUSES = ['SUBMITTED', 'TRIAGED', 'VERIFIED', 'REJECTED', 'PAID'];
+const PROOF_TYPES = ['CREDIT_SCORE_RANGE', 'AGE_RANGE', 'MEDICAL_CONDITION', 'INCOME_RANGE', 'NO_RECENT_DEFAULTS'];
+const PROOF_STATUSES = ['PENDING', 'VERIFIED', 'REJECTED'];
+
+const INDEXED_CONTRACTS = ['InsurancePool', 'MicroLoan', 'CrowdFunding', 'BugBounty', 'CreditScore', 'PaymentPlan', 'PrivacyCompliance', 'UserRegistry', 'ZKPVerifier'];
+const MAX_RECENT_BLOCKS = 64;
+
+const toDate = (seconds) => (Number(seconds) > 0 ? new Date(Number(seconds) * 1000) : undefined);
+
+class IndexerService {
+    constructor() {
+        this.stateKey = process.env.INDEXER_STATE_KEY || 'default';
+        // Default to the first deploy block in the manifest so a fresh index skips empty history
+        this.startBlock = process.env.INDEXER_START_BLOCK
+            ? parseInt(process.env.INDEXER_START_BLOCK, 10)
+            : blockchainService.getDeployBlock() || 0;
+        this.confirmations = parseInt(process.env.INDEXER_CONFIRMATIONS || '1', 10);
+        this.batchSize = parseInt(process.env.INDEXER_BATCH_SIZE || '2000', 10);
+        this.pollIntervalMs = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '3000', 10);
+
+        this.running = false;
+        this.ticking = false;
+        this.timer = null;
+        this.blockTimes = new Map();
+
+        this.handlers = {
+            InsurancePool: {
+                PoolCreated: (args, ctx) => this._refreshPool(args.poolId, ctx),
+                MemberJoined: (args, ctx) => this._onMemberJoined(args, ctx),
+                ContributionAdded: (args, ctx) => this._onContributionAdded(args, ctx),
+                RewardPoolFunded: (args, ctx) => this._refreshPool(args.poolId, ctx),
+                ClaimSubmitted: (args, ctx) => this._onClaimChanged(args.claimId, ctx),
+                ClaimVoted: (args, ctx) => this._onClaimVoted(args, ctx),
+                ClaimProcessed: (args, ctx) => this._onClaimChanged(args.claimId, ctx),
+                ClaimPaid: (args, ctx) => this._onClaimChanged(args.claimId, ctx, { paidAmount: ethers.formatEther(args.amount) }),
+                VotingRewardClaimed: (args, ctx) => this._onVotingRewardClaimed(args, ctx)
+            },
+            MicroLoan: {
+                LoanRequested: (args, ctx) => this._refreshLoan(args.loanId, ctx),
+                LoanApproved: (args, ctx) => this._refreshLoan(args.loanId, ctx),
+                LoanRepayment: (args, ctx) => this._onLoanRepayment(args, ctx),
+                LoanRepaid: (args, ctx) => this._refreshLoan(args.loanId, ctx),
+                LoanDefaulted: (args, ctx) => this._onLoanDefaulted(args, ctx),
+                CollateralSeized: (args, ctx) => this._refreshLoan(args.loanId, ctx),
+                CoSignerCalled: (args, ctx) => this._refreshLoan(args.loanId, ctx),
+                CoSignerPayment: (args, ctx) => this._refreshLoan(args.loanId, ctx),
+                InsurancePoolClaimed: (args, ctx) => this._refreshLoan(args.loanId, ctx)
+            },
+            CrowdFunding: {
+                CampaignCreated: (args, ctx) => this._refreshCampaign(args.campaignId, ctx),
+                ContributionReceived: (args, ctx) => this._onContributionReceived(args, ctx),
+                CampaignApprovalVote: (args, ctx) => this._onCampaignApprovalVote(args, ctx),
+                CampaignApproved: (args, ctx) => this._refreshCampaign(args.campaignId, ctx),
+                MilestoneReleased: (args, ctx) => this._refreshCampaign(args.campaignId, ctx),
+                RefundIssued: (args, ctx) => this._onRefundIssued(args, ctx),
+                CampaignStatusChanged: (args, ctx) => this._refreshCampaign(args.campaignId, ctx),
+                FundsWithdrawn: (args, ctx) => this._refreshCampaign(args.campaignId, ctx)
+            },
+            BugBounty: {
+                ResearcherRegistered: (args, ctx) => this._refreshResearcher(args.researcher, ctx),
+                ReportSubmitted: (args, ctx) => this._refreshReport(args.reportId, ctx),
+                ReportTriaged: (args, ctx) => this._refreshReport(args.reportId, ctx),
+                ReportVerified: (args, ctx) => this._refreshReport(args.reportId, ctx),
+                ReportRejected: (args, ctx) => this._refreshReport(args.reportId, ctx, { rejectionReason: args.reason }),
+                RewardPaid: (args, ctx) => this._refreshReport(args.reportId, ctx),
+                PublicDisclosure: (args, ctx) => this._refreshReport(args.reportId, ctx)
+            },
+            CreditScore: {
+                CreditScoreUpdated: (args, ctx) => this._onCreditScoreUpdated(args, ctx),
+                PaymentRecorded: (args, ctx) => this._refreshCredit(args.user, ctx),
+                LoanRecorded: (args, ctx) => this._refreshCredit(args.user, ctx)
+            },
+            PaymentPlan: {
+                BNPLCreated: (args, ctx) => paymentPlanService.refreshPlan('BNPL', args.planId, ctx),
+                BNPLPayment: (args, ctx) => this._onPlanPayment('BNPL', args, ctx),
+                BNPLCompleted: (args, ctx) => paymentPlanService.refreshPlan('BNPL', args.planId, ctx),
+                LateFeeCharged: (args, ctx) => this._onLateFeeCharged(args, ctx),
+                SNPLCreated: (args, ctx) => paymentPlanService.refreshPlan('SNPL', args.planId, ctx),
+                SNPLDeposit: (args, ctx) => this._onPlanPayment('SNPL', args, ctx),
+                SNPLCompleted: (args, ctx) => paymentPlanService.refreshPlan('SNPL', args.planId, ctx)
+            },
+            PrivacyCompliance: {
+                DataDeletionRequested: (args, ctx) => privacyService.onDeletionRequested(args, ctx),
+                OffChainDataDeleted: (args, ctx) => privacyService.onOffChainDeleted(args, ctx),
+                PrivacyPolicyUpdated: () => consentService.onPolicyUpdated()
+            },
+            UserRegistry: {
+                KYCVerified: (args, ctx) => kycService.onKYCVerified(args, ctx),
+                KYCRevoked: (args, ctx) => kycService.onKYCRevoked(args, ctx)
+            },
+            ZKPVerifier: {
+                ProofSubmitted: (args, ctx) => this._refreshProof(args.proofId, ctx, { txHash: ctx.txHash }),
+                ProofVerified: (args, ctx) => this._refreshProof(args.proofId, ctx)
+            }
+        };
+    }
+
+    /**
+     * Start polling the chain
+     */
+    start() {
+        if (this.running) return;
+
+        try {
+            this._loadContracts();
+        } catch (error) {
+            console.warn(`[Indexer] Not started: ${error.message}`);
+            return;
+        }
+
+        this.running = true;
+
+        console.log(`[Indexer] Following ${blockchainService.rpcUrl} every ${this.pollIntervalMs}ms`);
+
+        const loop = async () => {
+            await this.tick();
+            if (this.running) {
+                this.timer = setTimeout(loop, this.pollIntervalMs);
+            }
+        };
+        loop();
+    }
+
+    /**
+     * Stop polling the chain
+     */
+    stop() {
+        this.running = false;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Process every confirmed block since the stored checkpoint
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        let state;
+        try {
+            const contracts = this._loadContracts();
+            state = await this._getState();
+
+            await this._checkReorg(state);
+
+            const head = await blockchainService.provider.getBlockNumber();
+            const target = head - this.confirmations;
+            let from = Math.max(state.lastBlock + 1, this.startBlock);
+
+            while (from <= target) {
+                const to = Math.min(from + this.batchSize - 1, target);
+
+                const logs = await blockchainService.provider.getLogs({
+                    address: Object.keys(contracts),
+                    fromBlock: from,
+                    toBlock: to
+                });
+                await this._processLogs(logs, contracts);
+
+                const block = await blockchainService.provider.getBlock(to);
+                state.lastBlock = to;
+                state.recentBlocks.push({ number: to, hash: block.hash });
+                if (state.recentBlocks.length > MAX_RECENT_BLOCKS) {
+                    state.recentBlocks.splice(0, state.recentBlocks.length - MAX_RECENT_BLOCKS);
+                }
+                state.lastError = undefined;
+                await state.save();
+
+                if (logs.length > 0) {
+                    console.log(`[Indexer] Blocks ${from}-${to}: ${logs.length} events`);
+                }
+                from = to + 1;
+            }
+        } catch (error) {
+            console.error('[Indexer] Sync error:', error.message);
+            if (state) {
+                state.lastError = error.message;
+                await state.save().catch(() => {});
+            }
+        } finally {
+            this.blockTimes.clear();
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Ingest a single mined transaction right away instead of waiting for the next poll.
+     * Handlers are idempotent, so the regular sync will skip these events later.
+     * @param {string} txHash - Transaction hash
+     */
+    async ingestTransaction(txHash) {
+        const receipt = await blockchainService.provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            throw new Error('Transaction not mined yet');
+        }
+        if (receipt.status !== 1) {
+            throw new Error('Transaction reverted');
+        }
+
+        const contracts = this._loadContracts();
+        const logs = receipt.logs.filter((log) => contracts[log.address.toLowerCase()]);
+
+        try {
+            await this._processLogs(logs, contracts);
+        } finally {
+            this.blockTimes.clear();
+        }
+
+        return { blockNumber: receipt.blockNumber, events: logs.length };
+    }
+
+    /**
+     * Current checkpoint and chain head
+     */
+    async getStatus() {
+        const state = await this._getState();
+        let head = null;
+        try {
+            head = await blockchainService.provider.getBlockNumber();
+        } catch (error) {
+            // Node unreachable - report checkpoint only
+        }
+
+        return {
+            running: this.running,
+            lastBlock: state.lastBlock,
+            head,
+            lag: head === null ? null : Math.max(head - state.lastBlock, 0),
+            lastReorgAt: state.lastReorgAt,
+            lastError: state.lastError
+        };
+    }
+
+    _loadContracts() {
+        const contracts = {};
+        for (const name of INDEXED_CONTRACTS) {
+            const address = blockchainService.getAddress(name);
+            if (address) {
+                contracts[address.toLowerCase()] = { name, iface: blockchainService.getInterface(name) };
+            }
+        }
+
+        if (Object.keys(contracts).length === 0) {
+            throw new Error('No contract addresses configured');
+        }
+        return contracts;
+    }
+
+    async _getState() {
+        return IndexerState.findOneAndUpdate(
+            { key: this.stateKey },
+            { $setOnInsert: { key: this.stateKey, lastBlock: this.startBlock - 1 } },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * Detect a reorg by comparing stored block hashes with the canonical chain,
+     * roll back to the newest block both agree on, and resume from there.
+     */
+    async _checkReorg(state) {
+        if (state.recentBlocks.length === 0) return;
+
+        const latest = state.recentBlocks[state.recentBlocks.length - 1];
+        const canonical = await blockchainService.provider.getBlock(latest.number);
+        if (canonical && canonical.hash === latest.hash) return;
+
+        let ancestor = this.startBlock - 1;
+        for (let i = state.recentBlocks.length - 2; i >= 0; i--) {
+            const known = state.recentBlocks[i];
+            const block = await blockchainService.provider.getBlock(known.number);
+            if (block && block.hash === known.hash) {
+                ancestor = known.number;
+                break;
+            }
+        }
+
+        console.warn(`[Indexer] Reorg detected at block ${latest.number}, rolling back to ${ancestor}`);
+
+        await this._rollback(ancestor);
+
+        state.lastBlock = ancestor;
+        state.recentBlocks = state.recentBlocks.filter((block) => block.number <= ancestor);
+        state.lastReorgAt = new Date();
+        await state.save();
+    }
+
+    /**
+     * Undo everything derived from blocks after `ancestor`
+     */
+    async _rollback(ancestor) {
+        const orphaned = { $gt: ancestor };
+
+        await Promise.all([
+            Pool.deleteMany({ createdBlock: orphaned }),
+            Claim.deleteMany({ createdBlock: orphaned }),
+            Loan.deleteMany({ createdBlock: orphaned }),
+            CrowdFunding.deleteMany({ createdBlock: orphaned }),
+            BugReport.deleteMany({ createdBlock: orphaned }),
+            Researcher.deleteMany({ createdBlock: orphaned }),
+            CreditHistory.deleteMany({ createdBlock: orphaned }),
+            PaymentPlan.deleteMany({ createdBlock: orphaned }),
+            // Requests already acted on stay: their content is gone and the audit log records why
+            DataDeletionRequest.deleteMany({ createdBlock: orphaned, status: 'REQUESTED' }),
+            // Applications opened by the applicant outlive the decisions read from the chain
+            KycApplication.deleteMany({ createdBlock: orphaned, submittedAt: { $exists: false } }),
+            ZkProof.deleteMany({ createdBlock: orphaned })
+        ]);
+
+        await Promise.all([
+            Pool.updateMany({}, { $pull: { members: { blockNumber: orphaned } } }),
+            Claim.updateMany({}, { $pull: { votes: { blockNumber: orphaned }, rewards: { blockNumber: orphaned } } }),
+            Loan.updateMany({}, { $pull: { repayments: { blockNumber: orphaned } } }),
+            CrowdFunding.updateMany({}, {
+                $pull: {
+                    contributors: { blockNumber: orphaned },
+                    approvalVotes: { blockNumber: orphaned }
+                }
+            }),
+            CreditHistory.updateMany({}, { $pull: { scoreHistory: { blockNumber: orphaned } } }),
+            PaymentPlan.updateMany({}, {
+                $pull: {
+                    payments: { blockNumber: orphaned },
+                    lateFees: { blockNumber: orphaned }
+                }
+            }),
+            KycApplication.updateMany({}, { $pull: { history: { blockNumber: orphaned } } })
+        ]);
+
+        // Anything last touched by an orphaned block is re-read from the canonical chain
+        const ctx = { blockNumber: ancestor };
+        const stale = { syncedBlock: orphaned };
+
+        for (const claim of await Claim.find(stale, 'claimId')) {
+            await this._refreshClaim(claim.claimId, ctx);
+        }
+        for (const pool of await Pool.find(stale, 'poolId')) {
+            await this._refreshPool(pool.poolId, ctx);
+        }
+        for (const loan of await Loan.find(stale, 'loanId')) {
+            await this._refreshLoan(loan.loanId, ctx);
+        }
+        for (const campaign of await CrowdFunding.find(stale, 'campaignId')) {
+            await this._refreshCampaign(campaign.campaignId, ctx);
+        }
+        for (const report of await BugReport.find(stale, 'reportId')) {
+            await this._refreshReport(report.reportId, ctx);
+        }
+        for (const researcher of await Researcher.find(stale, 'address')) {
+            await this._refreshResearcher(researcher.address, ctx);
+        }
+        for (const credit of await CreditHistory.find(stale, 'userAddress')) {
+            await this._refreshCredit(credit.userAddress, ctx);
+        }
+        for (const plan of await PaymentPlan.find(stale, 'planType planId')) {
+            await paymentPlanService.refreshPlan(plan.planType, plan.planId, ctx);
+        }
+        for (const request of await DataDeletionRequest.find(stale, 'recordId')) {
+            await privacyService.refreshRequest(request.recordId, ctx);
+        }
+        for (const application of await KycApplication.find(stale, 'walletAddress')) {
+            await kycService.refresh(application.walletAddress, ctx);
+        }
+        // Proofs generated here whose submission was orphaned fall back to GENERATED
+        for (const proof of await ZkProof.find({ ...stale, proofId: { $exists: true } }, 'proofId')) {
+            await this._refreshProof(proof.proofId, ctx);
+        }
+    }
+
+    async _processLogs(logs, contracts) {
+        const ordered = [...logs].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+        for (const log of ordered) {
+            const entry = contracts[log.address.toLowerCase()];
+            if (!entry) continue;
+
+            let parsed;
+            try {
+                parsed = entry.iface.parseLog(log);
+            } catch (error) {
+                continue;
+            }
+            if (!parsed) continue;
+
+            const handler = this.handlers[entry.name][parsed.name];
+            if (!handler) continue;
+
+            await handler(parsed.args, {
+                eventId: `${log.transactionHash}:${log.index}`,
+                txHash: log.transactionHash,
+                blockNumber: log.blockNumber,
+                timestamp: await this._blockTime(log.blockNumber)
+            });
+        }
+    }
+
+    async _blockTime(blockNumber) {
+        if (!this.blockTimes.has(blockNumber)) {
+            const block = await blockchainService.provider.getBlock(blockNumber);
+            this.blockTimes.set(blockNumber, new Date(block.timestamp * 1000));
+        }
+        return this.blockTimes.get(blockNumber);
+    }
+
+    _contract(name) {
+        return blockchainService.getContract(name);
+    }
+
+    // ===== InsurancePool =====
+
+    async _refreshPool(poolId, ctx) {
+        const id = Number(poolId);
+        const pool = await this._contract('InsurancePool').getPoolInfo(id);
+
+        if (pool.id === 0n) {
+            await Pool.deleteOne({ poolId: id });
+            return;
+        }
+
+        const claims = await Claim.find({ poolId: id }, 'status paidAmount');
+        const totalPaidOut = claims.reduce(
+            (sum, claim) => sum + ethers.parseEther(claim.paidAmount || '0'),
+            0n
+        );
+
+        await Pool.findOneAndUpdate(
+            { poolId: id },
+            {
+                $set: {
+                    name: pool.name,
+                    description: pool.description,
+                    creator: pool.creator.toLowerCase(),
+                    poolType: POOL_TYPES[Number(pool.poolType)],
+                    targetAmount: ethers.formatEther(pool.targetAmount),
+                    minContribution: ethers.formatEther(pool.minContribution),
+                    currentAmount: ethers.formatEther(pool.totalContributed),
+                    rewardPool: ethers.formatEther(pool.rewardPool),
+                    memberCount: Number(pool.memberCount),
+                    maxMembers: Number(pool.maxMembers),
+                    isActive: pool.isActive,
+                    analytics: {
+                        totalClaims: claims.length,
+                        approvedClaims: claims.filter((c) => c.status === 'APPROVED' || c.status === 'PAID').length,
+                        totalPaidOut: ethers.formatEther(totalPaidOut)
+                    },
+                    syncedBlock: ctx.blockNumber
+                },
+                $setOnInsert: { createdBlock: ctx.blockNumber }
+            },
+            { upsert: true }
+        );
+    }
+
+    async _onMemberJoined(args, ctx) {
+        const poolId = Number(args.poolId);
+        await this._refreshPool(poolId, ctx);
+
+        await Pool.updateOne(
+            { poolId, 'members.eventId': { $ne: ctx.eventId } },
+            {
+                $push: {
+                    members: {
+                        address: args.member.toLowerCase(),
+                        contribution: ethers.formatEther(args.contribution),
+                        joinedAt: ctx.timestamp,
+                        eventId: ctx.eventId,
+                        blockNumber: ctx.blockNumber
+                    }
+                }
+            }
+        );
+    }
+
+    async _onContributionAdded(args, ctx) {
+        const poolId = Number(args.poolId);
+        await this._refreshPool(poolId, ctx);
+
+        const member = await this._contract('InsurancePool').getMemberInfo(poolId, args.member);
+        await Pool.updateOne(
+            { poolId, 'members.address': args.member.toLowerCase() },
+            { $set: { 'members.$.contribution': ethers.formatEther(member.contribution) } }
+        );
+    }
+
+    async _refreshClaim(claimId, ctx, extra = {}) {
+        const id = Number(claimId);
+        const claim = await this._contract('InsurancePool').getClaimInfo(id);
+
+        if (claim.id === 0n) {
+            await Claim.deleteOne({ claimId: id });
+            return null;
+        }
+
+        const status = CLAIM_STATUSES[Number(claim.status)];
+        const update = {
+            poolId: Number(claim.poolId),
+            claimant: claim.claimant.toLowerCase(),
+            amount: ethers.formatEther(claim.amount),
+            description: claim.description,
+            documents: claim.ipfsHash,
+            status,
+            approvalCount: Number(claim.approvalCount),
+            rejectionCount: Number(claim.rejectionCount),
+            rewardPoolAllocated: ethers.formatEther(claim.rewardPoolAllocated),
+            submittedAt: toDate(claim.submittedAt),
+            syncedBlock: ctx.blockNumber,
+            ...extra
+        };
+
+        const existing = await Claim.findOne({ claimId: id }, 'processedAt documentsErasedAt');
+        // Evidence erased on a GDPR request stays erased (the hash remains on-chain)
+        if (existing && existing.documentsErasedAt) {
+            delete update.documents;
+        }
+        if (status !== 'PENDING' && !(existing && existing.processedAt) && ctx.timestamp) {
+            update.processedAt = ctx.timestamp;
+        }
+
+        await Claim.findOneAndUpdate(
+            { claimId: id },
+            { $set: update, $setOnInsert: { createdBlock: ctx.blockNumber } },
+            { upsert: true }
+        );
+
+        if (claim.rewardsDistributed) {
+            await this._refreshClaimRewards(id);
+        }
+
+        return update;
+    }
+
+    /**
+     * Rebuild the unclaimed reward entries from votingRewards; claimed entries
+     * come from VotingRewardClaimed (the mapping is zeroed once paid out)
+     */
+    async _refreshClaimRewards(claimId) {
+        const claim = await Claim.findOne({ claimId }, 'votes rewards');
+        const claimed = claim.rewards.filter((reward) => reward.claimed);
+        const contract = this._contract('InsurancePool');
+
+        const unclaimed = [];
+        for (const vote of claim.votes) {
+            if (claimed.some((reward) => reward.voter === vote.voter)) continue;
+
+            const amount = await contract.calculateVotingReward(claimId, vote.voter);
+            if (amount > 0n) {
+                unclaimed.push({ voter: vote.voter, amount: ethers.formatEther(amount), claimed: false });
+            }
+        }
+
+        await Claim.updateOne({ claimId }, { $set: { rewards: [...claimed, ...unclaimed] } });
+    }
+
+    async _onClaimChanged(claimId, ctx, extra) {
+        const claim = await this._refreshClaim(claimId, ctx, extra);
+        if (claim) {
+            await this._refreshPool(claim.poolId, ctx);
+        }
+    }
+
+    async _onClaimVoted(args, ctx) {
+        const claimId = Number(args.claimId);
+        await this._refreshClaim(claimId, ctx);
+
+        await Claim.updateOne(
+            { claimId, 'votes.eventId': { $ne: ctx.eventId } },
+            {
+                $push: {
+                    votes: {
+                        voter: args.voter.toLowerCase(),
+                        approve: args.approve,
+                        timestamp: ctx.timestamp,
+                        eventId: ctx.eventId,
+                        blockNumber: ctx.blockNumber
+                    }
+                }
+            }
+        );
+    }
+
+    async _onVotingRewardClaimed(args, ctx) {
+        const claimId = Number(args.claimId);
+        const voter = args.voter.toLowerCase();
+
+        await Claim.updateOne({ claimId }, { $pull: { rewards: { voter, claimed: { $ne: true } } } });
+        await Claim.updateOne(
+            { claimId, 'rewards.eventId': { $ne: ctx.eventId } },
+            {
+                $push: {
+                    rewards: {
+                        voter,
+                        amount: ethers.formatEther(args.reward),
+                        claimed: true,
+                        claimedAt: ctx.timestamp,
+                        eventId: ctx.eventId,
+                        blockNumber: ctx.blockNumber
+                    }
+                },
+                $set: { syncedBlock: ctx.blockNumber }
+            }
+        );
+    }
+
+    // ===== MicroLoan =====
+
+    async _refreshLoan(loanId, ctx) {
+        const id = Number(loanId);
+        const loan = await this._contract('MicroLoan').getLoanInfo(id);
+
+        if (loan.id === 0n) {
+            await Loan.deleteOne({ loanId: id });
+            return null;
+        }
+
+        const update = {
+            borrower: loan.borrower.toLowerCase(),
+            principal: ethers.formatEther(loan.principal),
+            interestRate: Number(loan.interestRate),
+            duration: Number(loan.duration),
+            amountRepaid: ethers.formatEther(loan.amountRepaid),
+            status: LOAN_STATUSES[Number(loan.status)],
+            loanType: LOAN_TYPES[Number(loan.loanType)],
+            purpose: loan.purpose,
+            documents: loan.ipfsHash,
+            startDate: toDate(loan.startTime),
+            dueDate: toDate(loan.dueDate),
+            collateralAmount: ethers.formatEther(loan.collateralAmount),
+            coSigner: loan.coSigner === ethers.ZeroAddress ? null : loan.coSigner.toLowerCase(),
+            coSignerLiability: ethers.formatEther(loan.coSignerLiability),
+            insurancePoolId: loan.insurancePoolId > 0n ? Number(loan.insurancePoolId) : null,
+            insuranceReserve: ethers.formatEther(loan.insuranceReserve),
+            syncedBlock: ctx.blockNumber
+        };
+
+        await Loan.findOneAndUpdate(
+            { loanId: id },
+            { $set: update, $setOnInsert: { createdBlock: ctx.blockNumber } },
+            { upsert: true }
+        );
+
+        return update;
+    }
+
+    async _onLoanDefaulted(args, ctx) {
+        const loanId = Number(args.loanId);
+        if (await this._refreshLoan(loanId, ctx)) {
+            await Loan.updateOne({ loanId }, { $set: { defaultedAt: ctx.timestamp } });
+        }
+    }
+
+    async _onLoanRepayment(args, ctx) {
+        const loanId = Number(args.loanId);
+        const previous = await Loan.findOne({ loanId }, 'repayments');
+        const loan = await this._refreshLoan(loanId, ctx);
+        if (!loan) return;
+
+        // Classified against what was repaid before this event, as repayLoan does on-chain
+        const repaidBefore = ((previous && previous.repayments) || [])
+            .filter((repayment) => repayment.eventId !== ctx.eventId && repayment.blockNumber <= ctx.blockNumber)
+            .reduce((total, repayment) => total + ethers.parseEther(repayment.amount), 0n);
+        const totalOwed = await this._contract('MicroLoan').calculateTotalOwed(loanId);
+        const { installment, onTime } = amortizationService.classifyRepayment(
+            amortizationService.buildInstallments(loan, totalOwed),
+            repaidBefore,
+            ctx.timestamp
+        );
+
+        await Loan.updateOne(
+            { loanId, 'repayments.eventId': { $ne: ctx.eventId } },
+            {
+                $push: {
+                    repayments: {
+                        amount: ethers.formatEther(args.amount),
+                        timestamp: ctx.timestamp,
+                        installment,
+                        onTime,
+                        txHash: ctx.txHash,
+                        eventId: ctx.eventId,
+                        blockNumber: ctx.blockNumber
+                    }
+                }
+            }
+        );
+    }
+
+    // ===== CrowdFunding =====
+
+    async _refreshCampaign(campaignId, ctx) {
+        const id = Number(campaignId);
+        const crowdFunding = this._contract('CrowdFunding');
+        const campaign = await crowdFunding.getCampaign(id);
+
+        if (campaign.campaignId === 0n) {
+            await CrowdFunding.deleteOne({ campaignId: id });
+            return;
+        }
+
+        const milestones = await crowdFunding.getCampaignMilestones(id);
+
+        await CrowdFunding.findOneAndUpdate(
+            { campaignId: id },
+            {
+                $set: {
+                    creator: campaign.creator.toLowerCase(),
+                    title: campaign.title,
+                    description: campaign.description,
+                    category: CAMPAIGN_CATEGORIES[Number(campaign.category)],
+                    goalAmount: ethers.formatEther(campaign.goalAmount),
+                    raisedAmount: ethers.formatEther(campaign.raisedAmount),
+                    deadline: toDate(campaign.deadline),
+                    documents: [...campaign.documents],
+                    status: CAMPAIGN_STATUSES[Number(campaign.status)],
+                    isApproved: campaign.isApproved,
+                    allOrNothing: campaign.allOrNothing,
+                    contributorsCount: Number(campaign.contributorsCount),
+                    milestones: milestones.map((milestone) => ({
+                        description: milestone.description,
+                        amount: ethers.formatEther(milestone.amount),
+                        isReleased: milestone.isReleased,
+                        releaseDate: toDate(milestone.releaseDate),
+                        proofIpfsHash: milestone.proofIpfsHash
+                    })),
+                    syncedBlock: ctx.blockNumber
+                },
+                $setOnInsert: { createdBlock: ctx.blockNumber }
+            },
+            { upsert: true }
+        );
+    }
+
+    async _onContributionReceived(args, ctx) {
+        const campaignId = Number(args.campaignId);
+        await this._refreshCampaign(campaignId, ctx);
+
+        await CrowdFunding.updateOne(
+            { campaignId, 'contributors.eventId': { $ne: ctx.eventId } },
+            {
+                $push: {
+                    contributors: {
+                        contributor: args.contributor.toLowerCase(),
+                        amount: ethers.formatEther(args.amount),
+                        timestamp: ctx.timestamp,
+                        transactionHash: ctx.txHash,
+                        eventId: ctx.eventId,
+                        blockNumber: ctx.blockNumber
+                    }
+                }
+            }
+        );
+
+        const campaign = await CrowdFunding.findOne({ campaignId }, 'contributors');
+        if (campaign && campaign.contributors.length > 0) {
+            const total = campaign.contributors.reduce((sum, c) => sum + parseFloat(c.amount), 0);
+            await CrowdFunding.updateOne(
+                { campaignId },
+                { $set: { 'analytics.averageContribution': (total / campaign.contributors.length).toString() } }
+            );
+        }
+    }
+
+    async _onCampaignApprovalVote(args, ctx) {
+        const campaignId = Number(args.campaignId);
+        await this._refreshCampaign(campaignId, ctx);
+
+        await CrowdFunding.updateOne(
+            { campaignId, 'approvalVotes.eventId': { $ne: ctx.eventId } },
+            {
+                $push: {
+                    approvalVotes: {
+                        voter: args.voter.toLowerCase(),
+                        approved: args.approved,
+                        timestamp: ctx.timestamp,
+                        eventId: ctx.eventId,
+                        blockNumber: ctx.blockNumber
+                    }
+                }
+            }
+        );
+    }
+
+    async _onRefundIssued(args, ctx) {
+        const campaignId = Number(args.campaignId);
+        await this._refreshCampaign(campaignId, ctx);
+
+        await CrowdFunding.updateOne(
+            { campaignId },
+            { $set: { 'contributors.$[c].refunded': true } },
+            { arrayFilters: [{ 'c.contributor': args.contributor.toLowerCase() }] }
+        );
+    }
+
+    // ===== BugBounty =====
+
+    async _refreshReport(reportId, ctx, extra = {}) {
+        const id = Number(reportId);
+        const report = await this._contract('BugBounty').getReport(id);
+
+        if (report.id === 0n) {
+            await BugReport.deleteOne({ reportId: id });
+            return;
+        }
+
+        await BugReport.findOneAndUpdate(
+            { reportId: id },
+            {
+                $set: {
+                    researcher: report.researcher.toLowerCase(),
+                    title: report.title,
+                    ipfsHash: report.ipfsHash,
+                    severity: SEVERITIES[Number(report.severity)],
+                    status: REPORT_STATUSES[Number(report.status)],
+                    reward: parseFloat(ethers.formatEther(report.reward)),
+                    submittedAt: toDate(report.submittedAt),
+                    resolvedAt: toDate(report.resolvedAt),
+                    publiclyDisclosed: report.publiclyDisclosed,
+                    syncedBlock: ctx.blockNumber,
+                    ...extra
+                },
+                $setOnInsert: { createdBlock: ctx.blockNumber }
+            },
+            { upsert: true }
+        );
+
+        await this._refreshResearcher(report.researcher, ctx);
+    }
+
+    async _refreshResearcher(address, ctx) {
+        const researcher = await this._contract('BugBounty').getResearcher(address);
+
+        if (researcher.researcherAddress === ethers.ZeroAddress) {
+            await Researcher.deleteOne({ address: address.toLowerCase() });
+            return;
+        }
+
+        await Researcher.findOneAndUpdate(
+            { address: address.toLowerCase() },
+            {
+                $set: {
+                    totalReports: Number(researcher.totalReports),
+                    validReports: Number(researcher.validReports),
+                    totalRewards: parseFloat(ethers.formatEther(researcher.totalRewards)),
+                    rank: Number(researcher.rank),
+                    isActive: researcher.isActive,
+                    syncedBlock: ctx.blockNumber
+                },
+                $setOnInsert: { createdBlock: ctx.blockNumber }
+            },
+            { upsert: true }
+        );
+    }
+
+    // ===== CreditScore =====
+
+    async _refreshCredit(userAddress, ctx) {
+        const creditScore = this._contract('CreditScore');
+        const [data, score, tier] = await Promise.all([
+            creditScore.getCreditData(userAddress),
+            creditScore.getCreditScore(userAddress),
+            creditScore.getCreditTier(userAddress)
+        ]);
+
+        await CreditHistory.findOneAndUpdate(
+            { userAddress: userAddress.toLowerCase() },
+            {
+                $set: {
+                    currentScore: Number(score),
+                    tier,
+                    'factors.totalLoans': Number(data.totalLoans),
+                    'factors.repaidLoans': Number(data.repaidLoans),
+                    'factors.defaultedLoans': Number(data.defaultedLoans),
+                    'factors.totalPayments': Number(data.totalPayments),
+                    'factors.latePayments': Number(data.latePayments),
+                    syncedBlock: ctx.blockNumber
+                },
+                $setOnInsert: { createdBlock: ctx.blockNumber }
+            },
+            { upsert: true }
+        );
+    }
+
+    async _onCreditScoreUpdated(args, ctx) {
+        const userAddress = args.user.toLowerCase();
+        await this._refreshCredit(userAddress, ctx);
+
+        await CreditHistory.updateOne(
+            { userAddress, 'scoreHistory.eventId': { $ne: ctx.eventId } },
+            {
+                $push: {
+                    scoreHistory: {
+                        score: Number(args.newScore),
+                        timestamp: ctx.timestamp,
+                        reason: 'On-chain score update',
+                        eventId: ctx.eventId,
+                        blockNumber: ctx.blockNumber
+                    }
+                }
+            }
+        );
+    }
+
+    // ===== PaymentPlan =====
+
+    async _onPlanPayment(planType, args, ctx) {
+        const planId = Number(args.planId);
+        await paymentPlanService.refreshPlan(planType, planId, ctx);
+
+        await PaymentPlan.updateOne(
+            { planType, planId, 'payments.eventId': { $ne: ctx.eventId } },
+            {
+                $push: {
+                    payments: {
+                        amount: ethers.formatEther(args.amount),
+                        timestamp: ctx.timestamp,
+                        eventId: ctx.eventId,
+                        blockNumber: ctx.blockNumber
+                    }
+                }
+            }
+        );
+    }
+
+    // ===== ZKPVerifier =====
+
+    async _refreshProof(proofId, ctx, extra = {}) {
+        const id = Number(proofId);
+        const verifier = this._contract('ZKPVerifier');
+        const proof = await verifier.getProof(id);
+
+        if (proof.proofId === 0n) {
+            await ZkProof.deleteOne({ proofId: id, generatedAt: { $exists: false } });
+            await ZkProof.updateOne(
+                { proofId: id },
+                {
+                    $set: { status: 'GENERATED', syncedBlock: ctx.blockNumber },
+                    $unset: { proofId: 1, submittedAt: 1, verifiedAt: 1, txHash: 1, snarkVerified: 1 }
+                }
+            );
+            return null;
+        }
+
+        const claim = await verifier.creditScoreClaims(id);
+        const prover = proof.prover.toLowerCase();
+        const update = {
+            proofId: id,
+            prover,
+            proofType: PROOF_TYPES[Number(proof.proofType)],
+            status: PROOF_STATUSES[Number(proof.result)],
+            proofHash: proof.proofHash,
+            snarkVerified: claim.snarkVerified,
+            submittedAt: toDate(proof.submittedAt),
+            verifiedAt: toDate(proof.verifiedAt),
+            syncedBlock: ctx.blockNumber,
+            ...extra
+        };
+        if (proof.metadata) {
+            update.metadata = proof.metadata;
+        }
+        if (claim.snarkVerified) {
+            update.publicInputs = {
+                commitment: claim.commitment.toString(),
+                minThreshold: Number(claim.minThreshold),
+                holder: proof.prover
+            };
+        }
+
+        // A proof this backend generated is matched by hash the first time it is seen, and only
+        // when it was submitted as the statement it was generated for
+        const generated = await ZkProof.findOne({ proofId: id }, '_id') ||
+            await ZkProof.findOne({
+                proofHash: update.proofHash,
+                prover,
+                proofType: update.proofType,
+                proofId: { $exists: false }
+            }, '_id');
+
+        if (generated) {
+            await ZkProof.updateOne({ _id: generated._id }, { $set: update });
+        } else {
+            await ZkProof.findOneAndUpdate(
+                { proofId: id },
+                { $set: update, $setOnInsert: { createdBlock: ctx.blockNumber } },
+                { upsert: true }
+            );
+        }
+
+        return update;
+    }
+
+    async _onLateFeeCharged(args, ctx) {
+        // Emitted by payBNPLInstallment before BNPLPayment, so the plan may not be refreshed yet
+        const planId = Number(args.planId);
+        await paymentPlanService.refreshPlan('BNPL', planId, ctx);
+
+        await PaymentPlan.updateOne(
+            { planType: 'BNPL', planId, 'lateFees.eventId': { $ne: ctx.eventId } },
+            {
+                $push: {
+                    lateFees: {
+                        amount: ethers.formatEther(args.feeAmount),
+                        timestamp: ctx.timestamp,
+                        eventId: ctx.eventId,
+                        blockNumber: ctx.blockNumber
+                    }
+                }
+            }
+        );
+    }
+}
+
+module.exports = new IndexerService();
@@ -1,40 +1,42 @@
-const axios = require('axios');
-const FormData = require('form-data');
+const path = require('path');
+const PinataProvider = require('./storage/pinataProvider');
+const KuboProvider = require('./storage/kuboProvider');
+const LocalProvider = require('./storage/localProvider');
+
+// STORAGE_PROVIDER picks where content is pinned; without it Pinata is used
+// when its keys are set and the local filesystem store otherwise
+const PROVIDERS = {
+  pinata: () => new PinataProvider({
+    apiKey: process.env.PINATA_API_KEY,
+    secretKey: process.env.PINATA_SECRET_KEY,
+    gatewayUrl: process.env.IPFS_GATEWAY_URL
+  }),
+  kubo: () => new KuboProvider({
+    apiUrl: process.env.KUBO_API_URL,
+    gatewayUrl: process.env.IPFS_GATEWAY_URL
+  }),
+  local: () => new LocalProvider({
+    directory: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '.ipfs'),
+    gatewayUrl: process.env.IPFS_GATEWAY_URL || `http://localhost:${process.env.PORT || 5000}/api/ipfs/content`
+  })
+};
 
 class IPFSService {
   constructor() {
-    this.pinataApiKey = process.env.PINATA_API_KEY;
-    this.pinataSecretKey = process.env.PINATA_SECRET_KEY;
-    this.pinataUrl = 'https://api.pinata.cloud/pinning/pinFileToIPFS';
+    const name = (process.env.STORAGE_PROVIDER || (process.env.PINATA_API_KEY ? 'pinata' : 'local')).toLowerCase();
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown STORAGE_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    this.provider = PROVIDERS[name]();
   }
-  
+
   async uploadFile(fileBuffer, fileName) {
     try {
-      const formData = new FormData();
-      formData.append('file', fileBuffer, fileName);
-      
-      const metadata = JSON.stringify({
-        name: fileName,
-        keyvalues: {
-          uploadedBy: 'de-medical',
-          timestamp: Date.now().toString()
-        }
-      });
-      formData.append('pinataMetadata', metadata);
-      
-      const res = await axios.post(this.pinataUrl, formData, {
-        maxBodyLength: 'Infinity',
-        headers: {
-          'Content-Type': `multipart/form-data; boundary=${formData._boundary}`,
-          'pinata_api_key': this.pinataApiKey,
-          'pinata_secret_api_key': this.pinataSecretKey
-        }
-      });
-      
+      const ipfsHash = await this.provider.add(fileBuffer, fileName);
       return {
         success: true,
-        ipfsHash: res.data.IpfsHash,
-        pinataUrl: `https://gateway.pinata.cloud/ipfs/${res.data.IpfsHash}`
+        ipfsHash,
+        url: this.getUrl(ipfsHash)
       };
     } catch (error) {
       console.error('IPFS upload error:', error.message);
@@ -44,24 +46,14 @@ class IPFSService {
       };
     }
   }
-  
+
   async uploadJSON(jsonData) {
     try {
-      const res = await axios.post(
-        'https://api.pinata.cloud/pinning/pinJSONToIPFS',
-        jsonData,
-        {
-          headers: {
-            'pinata_api_key': this.pinataApiKey,
-            'pinata_secret_api_key': this.pinataSecretKey
-          }
-        }
-      );
-      
+      const ipfsHash = await this.provider.add(Buffer.from(JSON.stringify(jsonData)), 'data.json');
       return {
         success: true,
-        ipfsHash: res.data.IpfsHash,
-        pinataUrl: `https://gateway.pinata.cloud/ipfs/${res.data.IpfsHash}`
+        ipfsHash,
+        url: this.getUrl(ipfsHash)
       };
     } catch (error) {
       console.error('IPFS JSON upload error:', error.message);
@@ -71,9 +63,41 @@ class IPFSService {
       };
     }
   }
-  
+
+  // Read content back through the active provider
+  async getContent(ipfsHash) {
+    try {
+      const data = await this.provider.cat(ipfsHash);
+      const metadata = this.provider.stat ? await this.provider.stat(ipfsHash).catch(() => null) : null;
+      return {
+        success: true,
+        data,
+        fileName: metadata ? metadata.name : undefined
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.code === 'ENOENT' ? 'Content not found' : error.message
+      };
+    }
+  }
+
+  // Unpin and, where the provider stores it, delete the content (used to honour deletion requests)
+  async unpin(ipfsHash) {
+    try {
+      await this.provider.unpin(ipfsHash);
+      return { success: true, provider: this.provider.name };
+    } catch (error) {
+      console.error('IPFS unpin error:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   getUrl(ipfsHash) {
-    return `https://gateway.pinata.cloud/ipfs/${ipfsHash}`;
+    return this.provider.getUrl(ipfsHash);
   }
 }
 
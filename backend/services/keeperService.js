@@ -0,0 +1,211 @@
+/**
+ * Keeper Service
+ * Defaults loans nobody else does. MicroLoan.markDefault is open to anyone once a loan is
+ * past dueDate + GRACE_PERIOD; the keeper scans ACTIVE loans, calls it for each one past
+ * grace and confirms markDefault ran the consequence for the loan's type:
+ *
+ *   UNSECURED       LoanDefaulted only
+ *   COLLATERALIZED  CollateralSeized      collateral moved to the pool, loan LIQUIDATED
+ *   COSIGNED        CoSignerCalled        co-signer owes the remaining balance
+ *   POOL_BACKED     InsurancePoolClaimed  loss claimed from the pool, loan LIQUIDATED
+ *
+ * The transaction is then ingested by the chain indexer, which updates Loan.status and the
+ * CreditHistory of the borrower (and co-signer). Every run is saved as a KeeperRun report.
+ * In dry-run mode markDefault is only simulated and nothing is sent.
+ */
+
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchainService');
+const indexerService = require('./indexerService');
+const Loan = require('../models/Loan');
+const KeeperRun = require('../models/KeeperRun');
+
+// Event markDefault emits for each loan type, and the loan status it leaves
+const CONSEQUENCES = {
+    UNSECURED: { event: 'LoanDefaulted', status: 'DEFAULTED' },
+    COLLATERALIZED: { event: 'CollateralSeized', status: 'LIQUIDATED' },
+    COSIGNED: { event: 'CoSignerCalled', status: 'DEFAULTED' },
+    POOL_BACKED: { event: 'InsurancePoolClaimed', status: 'LIQUIDATED' }
+};
+
+const ACTIVE = 1n; // MicroLoan.LoanStatus.ACTIVE
+
+class KeeperService {
+    constructor() {
+        this.intervalMs = parseInt(process.env.KEEPER_INTERVAL_MS || '300000', 10);
+        this.dryRun = process.env.KEEPER_DRY_RUN === 'true';
+
+        this.running = false;
+        this.busy = false;
+        this.timer = null;
+        this.gracePeriod = null; // Cached MicroLoan.GRACE_PERIOD, in seconds
+    }
+
+    /**
+     * Run the keeper every KEEPER_INTERVAL_MS
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        if (!this.dryRun && !blockchainService.getOperator()) {
+            console.warn('[Keeper] OPERATOR_PRIVATE_KEY is not set, scheduled runs are dry runs');
+            this.dryRun = true;
+        }
+
+        const loop = async () => {
+            if (!this.running) return;
+            try {
+                const result = await this.run({ trigger: 'SCHEDULE' });
+                if (!result.success) {
+                    console.error('[Keeper] Run failed:', result.error);
+                } else if (result.run.actions.length > 0) {
+                    console.log(`[Keeper] Acted on ${result.run.actions.length} overdue loan(s)${result.run.dryRun ? ' (dry run)' : ''}`);
+                }
+            } catch (error) {
+                console.error('[Keeper] Worker error:', error.message);
+            }
+            this.timer = setTimeout(loop, this.intervalMs);
+        };
+        loop();
+        console.log(`[Keeper] Default keeper started${this.dryRun ? ' in dry-run mode' : ''}`);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Default every ACTIVE loan past its grace period and save the report
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Only simulate markDefault (default: KEEPER_DRY_RUN)
+     * @param {string} [options.trigger] - SCHEDULE or MANUAL
+     * @param {string} [options.requestedBy] - Wallet that started a manual run
+     * @returns {Promise<Object>} { success, run } or { success: false, error }
+     */
+    async run({ dryRun = this.dryRun, trigger = 'MANUAL', requestedBy } = {}) {
+        const operator = blockchainService.getOperator();
+        if (!dryRun && !operator) {
+            return { success: false, error: 'OPERATOR_PRIVATE_KEY is not configured; only dry runs are possible' };
+        }
+        if (this.busy) {
+            return { success: false, error: 'A keeper run is already in progress' };
+        }
+        this.busy = true;
+
+        const run = new KeeperRun({ dryRun, trigger, requestedBy });
+        try {
+            const microLoan = blockchainService.getContract('MicroLoan', operator || undefined);
+            if (this.gracePeriod === null) {
+                this.gracePeriod = Number(await microLoan.GRACE_PERIOD());
+            }
+
+            // Grace is checked against block time, which is what markDefault compares with
+            const latest = await blockchainService.provider.getBlock('latest');
+            run.chainTime = new Date(latest.timestamp * 1000);
+
+            const overdue = await Loan.find({
+                status: 'ACTIVE',
+                dueDate: { $lt: new Date((latest.timestamp - this.gracePeriod) * 1000) }
+            }).sort({ dueDate: 1 });
+            run.scanned = await Loan.countDocuments({ status: 'ACTIVE' });
+
+            for (const loan of overdue) {
+                const action = await this._process(microLoan, loan, dryRun);
+                if (action) run.actions.push(action);
+            }
+        } catch (error) {
+            run.error = error.message;
+        } finally {
+            this.busy = false;
+        }
+
+        run.finishedAt = new Date();
+        try {
+            await run.save();
+        } catch (error) {
+            return { success: false, error: `Failed to save the run report: ${error.message}` };
+        }
+        return { success: true, run };
+    }
+
+    /**
+     * Default one overdue loan, or simulate it in a dry run
+     * @returns {Promise<Object|null>} Report entry, null when the loan is no longer ACTIVE on-chain
+     */
+    async _process(microLoan, loan, dryRun) {
+        const consequence = CONSEQUENCES[loan.loanType] || CONSEQUENCES.UNSECURED;
+        const action = {
+            loanId: loan.loanId,
+            borrower: loan.borrower,
+            loanType: loan.loanType,
+            dueDate: loan.dueDate,
+            expectedEvent: consequence.event,
+            coSigner: loan.coSigner || undefined
+        };
+
+        try {
+            // The indexer may not have caught up with a repayment or another caller's markDefault yet
+            const onChain = await microLoan.getLoanInfo(loan.loanId);
+            if (onChain.status !== ACTIVE) return null;
+
+            // Surfaces the revert reason without spending gas
+            await microLoan.markDefault.staticCall(loan.loanId);
+
+            if (dryRun) {
+                const totalOwed = await microLoan.calculateTotalOwed(loan.loanId);
+                const amount = loan.loanType === 'COLLATERALIZED' ? onChain.collateralAmount : totalOwed - onChain.amountRepaid;
+                return { ...action, outcome: 'WOULD_DEFAULT', amount: ethers.formatEther(amount) };
+            }
+
+            const tx = await microLoan.markDefault(loan.loanId);
+            const receipt = await tx.wait();
+            action.txHash = receipt.hash;
+
+            const events = (await blockchainService.getTransactionEvents(receipt.hash, 'MicroLoan'))
+                .filter((event) => event.args.loanId === BigInt(loan.loanId));
+            action.events = events.map((event) => event.name);
+
+            const emitted = events.find((event) => event.name === consequence.event);
+            if (emitted && emitted.args.amount !== undefined) {
+                action.amount = ethers.formatEther(emitted.args.amount);
+            }
+
+            await indexerService.ingestTransaction(receipt.hash);
+            const updated = await Loan.findOne({ loanId: loan.loanId }, 'status');
+            action.status = updated && updated.status;
+
+            if (!emitted || action.status !== consequence.status) {
+                return {
+                    ...action,
+                    outcome: 'UNCONFIRMED',
+                    error: emitted
+                        ? `Loan is ${action.status}, expected ${consequence.status}`
+                        : `markDefault did not emit ${consequence.event}`
+                };
+            }
+            return { ...action, outcome: 'DEFAULTED' };
+        } catch (error) {
+            return { ...action, outcome: 'FAILED', error: error.shortMessage || error.message };
+        }
+    }
+
+    /**
+     * Keeper configuration and the latest report
+     */
+    async getStatus() {
+        const lastRun = await KeeperRun.findOne().sort({ startedAt: -1 });
+        return {
+            running: this.running,
+            busy: this.busy,
+            dryRun: this.dryRun,
+            intervalMs: this.intervalMs,
+            operator: blockchainService.getOperator() ? blockchainService.getOperator().address : null,
+            lastRun
+        };
+    }
+}
+
+module.exports = new KeeperService();
@@ -0,0 +1,274 @@
+/**
+ * KYC Service
+ * Applicants upload identity documents to the vault, encrypted for every KYC verifier,
+ * and register the bundle on-chain with UserRegistry.registerUser. Verifiers decide
+ * from their own wallets:
+ *
+ *   approve -> UserRegistry.verifyKYC  (KYCVerified)
+ *   reject  -> UserRegistry.revokeKYC  (KYCRevoked; REVOKED if the wallet was verified)
+ *
+ * The indexer mirrors both events into KycApplication and User.isKYCVerified together
+ * with the reviewing verifier.
+ */
+
+const blockchainService = require('./blockchainService');
+const ipfsService = require('./ipfsService');
+const vaultService = require('./vaultService');
+const KycApplication = require('../models/KycApplication');
+const VaultDocument = require('../models/VaultDocument');
+const User = require('../models/User');
+const { ROLES, adminWallets } = require('../middleware/auth');
+
+const MAX_DOCUMENTS = 5;
+const DECISIONS = ['APPROVED', 'REJECTED', 'REVOKED'];
+
+class KycService {
+    /**
+     * Wallets that review applications (KYC verifiers and platform admins)
+     */
+    async getVerifiers() {
+        const users = await User.find({ roles: { $in: [ROLES.KYC_VERIFIER, ROLES.ADMIN] } }, 'walletAddress');
+        return [...new Set([...users.map((user) => user.walletAddress), ...adminWallets])];
+    }
+
+    /**
+     * Vault keys applicants encrypt their documents to
+     */
+    async getRecipients() {
+        const { keys, missing } = await vaultService.getRecipients({ addresses: await this.getVerifiers() });
+        return { keys, missing };
+    }
+
+    /**
+     * Open or resubmit an application with vault documents the applicant owns
+     * @param {string} walletAddress - Applicant (lowercase)
+     * @param {Array<string>} cids - Vault document CIDs
+     */
+    async submit(walletAddress, cids) {
+        if (!Array.isArray(cids) || cids.length === 0) {
+            return { success: false, error: 'No documents provided' };
+        }
+        const unique = [...new Set(cids)];
+        if (unique.length > MAX_DOCUMENTS) {
+            return { success: false, error: `At most ${MAX_DOCUMENTS} documents per application` };
+        }
+
+        const existing = await KycApplication.findOne({ walletAddress });
+        if (existing && existing.status === 'APPROVED') {
+            return { success: false, error: 'Wallet is already KYC verified' };
+        }
+
+        const documents = await VaultDocument.find({ cid: { $in: unique }, owner: walletAddress, purpose: 'kyc' });
+        if (documents.length !== unique.length) {
+            return { success: false, error: 'Documents must be KYC vault documents you own' };
+        }
+
+        const bundle = await ipfsService.uploadJSON({
+            type: 'kyc-documents',
+            encrypted: true,
+            uploadedBy: walletAddress,
+            uploadedAt: new Date().toISOString(),
+            files: unique.map((cid) => ({ ipfsHash: cid, encrypted: true }))
+        });
+        if (!bundle.success) {
+            return { success: false, error: 'Failed to upload document bundle' };
+        }
+
+        const submittedAt = new Date();
+        const application = await KycApplication.findOneAndUpdate(
+            { walletAddress },
+            {
+                $set: {
+                    status: 'PENDING',
+                    documents: unique,
+                    bundleHash: bundle.ipfsHash,
+                    submittedAt
+                },
+                $unset: { reason: 1, documentsErasedAt: 1 },
+                $push: { history: { action: 'SUBMITTED', actor: walletAddress, at: submittedAt } }
+            },
+            { upsert: true, new: true }
+        );
+
+        await User.updateOne({ walletAddress }, { $set: { kycDocuments: bundle.ipfsHash } });
+
+        return { success: true, application };
+    }
+
+    /**
+     * On-chain registration and verification state of a wallet
+     * @param {string} walletAddress - Wallet address
+     */
+    async getChainStatus(walletAddress) {
+        const registry = blockchainService.getContract('UserRegistry');
+        const info = await registry.getUserInfo(walletAddress);
+        return {
+            registered: info.isRegistered,
+            verified: info.isKYCVerified,
+            ipfsHash: info.ipfsHash || null
+        };
+    }
+
+    /**
+     * Whether a wallet may call verifyKYC / revokeKYC
+     * @param {string} walletAddress - Wallet address
+     */
+    async isChainVerifier(walletAddress) {
+        return blockchainService.getContract('UserRegistry').kycVerifiers(walletAddress);
+    }
+
+    /**
+     * Keep UserRegistry's verifier list in line with the kyc_verifier role, using
+     * the operator wallet (the UserRegistry owner)
+     * @param {string} walletAddress - Wallet whose role changed
+     * @param {boolean} enabled - Whether it now reviews KYC
+     */
+    async syncVerifier(walletAddress, enabled) {
+        const operator = blockchainService.getOperator();
+        if (!operator) {
+            return { success: false, error: 'OPERATOR_PRIVATE_KEY is not configured' };
+        }
+
+        const registry = blockchainService.getContract('UserRegistry', operator);
+        if (Boolean(await registry.kycVerifiers(walletAddress)) === enabled) {
+            return { success: true, changed: false };
+        }
+
+        const tx = enabled
+            ? await registry.addKYCVerifier(walletAddress)
+            : await registry.removeKYCVerifier(walletAddress);
+        await tx.wait();
+        return { success: true, changed: true, txHash: tx.hash };
+    }
+
+    /**
+     * Attach the verifier's reason to a decision the indexer recorded from txHash
+     */
+    async recordReason(walletAddress, txHash, reason) {
+        await KycApplication.updateOne(
+            { walletAddress, 'history.txHash': txHash },
+            { $set: { reason, 'history.$.reason': reason } }
+        );
+    }
+
+    /**
+     * Reject an applicant who never registered on-chain (revokeKYC would revert)
+     */
+    async rejectUnregistered(walletAddress, reviewer, reason) {
+        const reviewedAt = new Date();
+        await User.updateOne({ walletAddress }, { $set: { kycReviewedBy: reviewer, kycReviewedAt: reviewedAt } });
+        return KycApplication.findOneAndUpdate(
+            { walletAddress, status: 'PENDING' },
+            {
+                $set: { status: 'REJECTED', reviewedBy: reviewer, reviewedAt, reason },
+                $unset: { decisionTxHash: 1 },
+                $push: { history: { action: 'REJECTED', actor: reviewer, reason, at: reviewedAt } }
+            },
+            { new: true }
+        );
+    }
+
+    // ===== Indexer handlers (UserRegistry events) =====
+
+    async onKYCVerified(args, ctx) {
+        await this._onDecision(args, ctx, 'APPROVED');
+    }
+
+    async onKYCRevoked(args, ctx) {
+        const application = await KycApplication.findOne({ walletAddress: args.userAddress.toLowerCase() }, 'status');
+        await this._onDecision(args, ctx, application && application.status === 'APPROVED' ? 'REVOKED' : 'REJECTED');
+    }
+
+    async _onDecision(args, ctx, action) {
+        const walletAddress = args.userAddress.toLowerCase();
+
+        await KycApplication.updateOne(
+            { walletAddress },
+            { $setOnInsert: { status: 'PENDING', createdBlock: ctx.blockNumber } },
+            { upsert: true }
+        );
+        await KycApplication.updateOne(
+            { walletAddress, 'history.eventId': { $ne: ctx.eventId } },
+            {
+                $push: {
+                    history: {
+                        action,
+                        actor: args.verifier.toLowerCase(),
+                        txHash: ctx.txHash,
+                        eventId: ctx.eventId,
+                        blockNumber: ctx.blockNumber,
+                        at: ctx.timestamp
+                    }
+                }
+            }
+        );
+
+        await this.refresh(walletAddress, ctx);
+    }
+
+    /**
+     * Derive an application's status from its latest decision and mirror the
+     * on-chain verification flag into User
+     * @param {string} walletAddress - Applicant (lowercase)
+     * @param {Object} ctx - { blockNumber }
+     */
+    async refresh(walletAddress, ctx) {
+        const verified = await blockchainService.getContract('UserRegistry').isUserKYCVerified(walletAddress);
+        const application = await KycApplication.findOne({ walletAddress });
+        if (!application) return;
+
+        const latest = [...application.history].reverse().find((entry) => entry.action === 'SUBMITTED' || DECISIONS.includes(entry.action));
+        const decided = latest && DECISIONS.includes(latest.action) ? latest : null;
+
+        if (!decided) {
+            await KycApplication.updateOne(
+                { walletAddress },
+                {
+                    $set: { status: 'PENDING', syncedBlock: ctx.blockNumber },
+                    $unset: { reviewedBy: 1, reviewedAt: 1, decisionTxHash: 1, reason: 1 }
+                }
+            );
+            await User.updateOne(
+                { walletAddress },
+                { $set: { isKYCVerified: verified }, $unset: { kycReviewedBy: 1, kycReviewedAt: 1 } }
+            );
+            return;
+        }
+
+        await KycApplication.updateOne(
+            { walletAddress },
+            {
+                $set: {
+                    status: decided.action,
+                    reviewedBy: decided.actor,
+                    reviewedAt: decided.at,
+                    syncedBlock: ctx.blockNumber,
+                    ...(decided.txHash && { decisionTxHash: decided.txHash })
+                }
+            }
+        );
+        await User.updateOne(
+            { walletAddress },
+            { $set: { isKYCVerified: verified, kycReviewedBy: decided.actor, kycReviewedAt: decided.at } }
+        );
+    }
+
+    describe(application, chain) {
+        return {
+            walletAddress: application.walletAddress,
+            status: application.status,
+            documents: application.documents,
+            bundleHash: application.bundleHash,
+            documentsErasedAt: application.documentsErasedAt,
+            submittedAt: application.submittedAt,
+            reviewedBy: application.reviewedBy,
+            reviewedAt: application.reviewedAt,
+            decisionTxHash: application.decisionTxHash,
+            reason: application.reason,
+            history: application.history,
+            chain: chain || null
+        };
+    }
+}
+
+module.exports = new KycService();
@@ -0,0 +1,498 @@
+/**
+ * Loan Service
+ * Checks MicroLoan requests before the borrower sends them and quotes their terms.
+ * Every rule mirrors what MicroLoan enforces, so a request that passes here is only
+ * refused on-chain if the state changed in between. The loan itself is recorded by the
+ * chain indexer once the transaction is mined.
+ *
+ * Co-signed loans need the co-signer's consent first: the borrower invites them with the
+ * terms, and they accept by sending MicroLoan.approveCoSigning or decline.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchainService');
+const CoSignerInvitation = require('../models/CoSignerInvitation');
+
+// MicroLoan.LoanType, in declaration order
+const LOAN_TYPES = ['UNSECURED', 'COLLATERALIZED', 'COSIGNED', 'POOL_BACKED'];
+
+// MicroLoan request function per loan type
+const REQUEST_METHODS = {
+    UNSECURED: 'requestLoan',
+    COLLATERALIZED: 'requestCollateralizedLoan',
+    COSIGNED: 'requestCoSignedLoan',
+    POOL_BACKED: 'requestPoolBackedLoan'
+};
+
+// Share of the base rate charged per loan type (MicroLoan._calculateInterestRateByType)
+const RATE_PERCENT = {
+    UNSECURED: 100n,
+    COLLATERALIZED: 65n,
+    COSIGNED: 80n,
+    POOL_BACKED: 75n
+};
+
+// Literals in MicroLoan: requestCoSignedLoan, requestPoolBackedLoan and _createLoan
+const MIN_COSIGNER_SCORE = 600;
+const POOL_COVERAGE_PERCENT = 120n;
+const MIN_DURATION_DAYS = 7;
+const MAX_DURATION_DAYS = 365;
+const DEFAULT_CREDIT_SCORE = 500; // assigned by _createLoan to wallets without a score
+
+// MicroLoan.LoanStatus, in declaration order
+const LOAN_STATUSES = ['PENDING', 'ACTIVE', 'REPAID', 'DEFAULTED', 'LIQUIDATED'];
+
+// How long a co-signer's approval holds for the borrower to request the loan
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class LoanService {
+    constructor() {
+        this.limits = null; // Cached MicroLoan constants
+    }
+
+    /**
+     * Amount bounds, minimum credit score and collateral ratio, read once from MicroLoan
+     */
+    async getLimits() {
+        if (!this.limits) {
+            const contract = blockchainService.getContract('MicroLoan');
+            const [minAmount, maxAmount, minCreditScore, collateralRatio] = await Promise.all([
+                contract.MIN_LOAN_AMOUNT(),
+                contract.MAX_LOAN_AMOUNT(),
+                contract.MIN_CREDIT_SCORE(),
+                contract.COLLATERAL_RATIO()
+            ]);
+            this.limits = { minAmount, maxAmount, minCreditScore: Number(minCreditScore), collateralRatio };
+        }
+        return this.limits;
+    }
+
+    /**
+     * Origination terms per loan type, for display before applying
+     */
+    async getTerms() {
+        const limits = await this.getLimits();
+        return {
+            minAmount: ethers.formatEther(limits.minAmount),
+            maxAmount: ethers.formatEther(limits.maxAmount),
+            minDuration: MIN_DURATION_DAYS,
+            maxDuration: MAX_DURATION_DAYS,
+            minCreditScore: limits.minCreditScore,
+            loanTypes: LOAN_TYPES.map((loanType) => ({
+                loanType,
+                ratePercent: Number(RATE_PERCENT[loanType]),
+                ...(loanType === 'COLLATERALIZED' && { collateralPercent: Number(limits.collateralRatio) }),
+                ...(loanType === 'COSIGNED' && { minCoSignerScore: MIN_COSIGNER_SCORE }),
+                ...(loanType === 'POOL_BACKED' && { poolCoveragePercent: Number(POOL_COVERAGE_PERCENT) })
+            }))
+        };
+    }
+
+    /**
+     * Credit score MicroLoan will use for a wallet
+     */
+    async getEffectiveScore(address) {
+        const score = Number(await blockchainService.getContract('CreditScore').getCreditScore(address));
+        return score === 0 ? DEFAULT_CREDIT_SCORE : score;
+    }
+
+    /**
+     * Interest rate in basis points, as MicroLoan._calculateInterestRateByType computes it
+     * @param {number} creditScore - Borrower's credit score
+     * @param {string} loanType - One of LOAN_TYPES
+     */
+    async getInterestRate(creditScore, loanType) {
+        const baseRate = await blockchainService.getContract('MicroLoan').calculateInterestRate(creditScore);
+        return (baseRate * RATE_PERCENT[loanType]) / 100n;
+    }
+
+    /**
+     * Validate a loan request and quote it
+     * @param {string} borrower - Borrower wallet
+     * @param {Object} request
+     * @param {string} request.loanType - UNSECURED, COLLATERALIZED, COSIGNED or POOL_BACKED
+     * @param {string} request.amount - Principal in ETH
+     * @param {number} request.duration - Term in days
+     * @param {string} [request.purpose] - Stated purpose
+     * @param {string} [request.documents] - IPFS hash of supporting documents
+     * @param {string} [request.coSigner] - COSIGNED: co-signer wallet
+     * @param {number} [request.poolId] - POOL_BACKED: insurance pool backing the loan
+     * @param {Object} [options]
+     * @param {boolean} [options.invitation] - Quoting a co-signer invitation: the co-signer
+     *   has not approved yet
+     * @returns {Promise<Object>} { success, quote, submission } or { success: false, error }
+     */
+    async quote(borrower, { loanType, amount, duration, purpose = '', documents = '', coSigner, poolId }, { invitation = false } = {}) {
+        if (!LOAN_TYPES.includes(loanType)) {
+            return { success: false, error: `loanType must be one of ${LOAN_TYPES.join(', ')}` };
+        }
+
+        let principal;
+        try {
+            principal = ethers.parseEther(String(amount));
+        } catch (error) {
+            return { success: false, error: 'amount must be an ETH amount' };
+        }
+
+        const limits = await this.getLimits();
+        if (principal < limits.minAmount || principal > limits.maxAmount) {
+            return {
+                success: false,
+                error: `amount must be between ${ethers.formatEther(limits.minAmount)} and ${ethers.formatEther(limits.maxAmount)} ETH`
+            };
+        }
+
+        const days = Number(duration);
+        if (!Number.isInteger(days) || days < MIN_DURATION_DAYS || days > MAX_DURATION_DAYS) {
+            return { success: false, error: `duration must be ${MIN_DURATION_DAYS}-${MAX_DURATION_DAYS} days` };
+        }
+        if (typeof purpose !== 'string' || typeof documents !== 'string') {
+            return { success: false, error: 'purpose and documents must be strings' };
+        }
+
+        const userRegistry = blockchainService.getContract('UserRegistry');
+        if (!(await userRegistry.isUserKYCVerified(borrower))) {
+            return { success: false, error: 'KYC verification required' };
+        }
+
+        const creditScore = await this.getEffectiveScore(borrower);
+        if (creditScore < limits.minCreditScore) {
+            return { success: false, error: `Credit score ${creditScore} is below the minimum of ${limits.minCreditScore}` };
+        }
+
+        const microLoan = blockchainService.getContract('MicroLoan');
+        const args = [principal.toString(), days, purpose, documents];
+        const details = {};
+        let value = 0n;
+
+        if (loanType === 'COLLATERALIZED') {
+            value = (principal * limits.collateralRatio) / 100n;
+            details.collateralAmount = ethers.formatEther(value);
+        }
+
+        if (loanType === 'COSIGNED') {
+            if (!ethers.isAddress(coSigner) || coSigner.toLowerCase() === borrower.toLowerCase()) {
+                return { success: false, error: 'coSigner must be another wallet address' };
+            }
+            if (!(await userRegistry.isUserKYCVerified(coSigner))) {
+                return { success: false, error: 'Co-signer is not KYC verified' };
+            }
+            const coSignerScore = Number(await blockchainService.getContract('CreditScore').getCreditScore(coSigner));
+            if (coSignerScore < MIN_COSIGNER_SCORE) {
+                return { success: false, error: `Co-signer credit score must be at least ${MIN_COSIGNER_SCORE}` };
+            }
+            if (!invitation) {
+                const approval = await microLoan.coSignerApprovals(coSigner, borrower);
+                if (Number(approval.expiresAt) * 1000 < Date.now()) {
+                    return { success: false, error: 'Co-signer has not approved this loan: invite them first' };
+                }
+                if (principal > approval.maxAmount || BigInt(days) > approval.maxDuration) {
+                    return { success: false, error: 'Loan exceeds the terms the co-signer approved' };
+                }
+            }
+            args.push(ethers.getAddress(coSigner));
+            details.coSigner = coSigner.toLowerCase();
+        }
+
+        if (loanType === 'POOL_BACKED') {
+            const id = Number(poolId);
+            if (!Number.isInteger(id) || id < 1) {
+                return { success: false, error: 'poolId is required' };
+            }
+            if (await microLoan.blacklistedFromPoolLoans(borrower)) {
+                return { success: false, error: 'Blacklisted from pool-backed loans after a default' };
+            }
+            const pool = await blockchainService.getContract('InsurancePool').getPoolInfo(id);
+            const coverage = (principal * POOL_COVERAGE_PERCENT) / 100n;
+            if (pool.id === 0n) {
+                return { success: false, error: 'Pool not found' };
+            }
+            if (pool.totalContributed < coverage) {
+                return { success: false, error: `Pool ${id} cannot cover ${ethers.formatEther(coverage)} ETH` };
+            }
+            args.push(id);
+            details.insurancePoolId = id;
+            details.insuranceReserve = ethers.formatEther(coverage);
+        }
+
+        const interestRate = await this.getInterestRate(creditScore, loanType);
+        const interest = (principal * interestRate * BigInt(days)) / (365n * 10000n);
+        const poolBalance = await microLoan.poolBalance();
+
+        return {
+            success: true,
+            quote: {
+                loanType,
+                amount: ethers.formatEther(principal),
+                duration: days,
+                creditScore,
+                interestRate: Number(interestRate),
+                interest: ethers.formatEther(interest),
+                totalOwed: ethers.formatEther(principal + interest),
+                // MicroLoan approves and disburses in the same transaction when it can fund the loan
+                fundedImmediately: poolBalance >= principal,
+                ...details
+            },
+            submission: {
+                contract: 'MicroLoan',
+                method: REQUEST_METHODS[loanType],
+                args,
+                value: value.toString()
+            }
+        };
+    }
+
+    /**
+     * Invite a wallet to co-sign a loan on the given terms
+     * @param {string} borrower - Borrower wallet
+     * @param {Object} request - { coSigner, amount, duration, purpose?, message? }
+     */
+    async createInvitation(borrower, { coSigner, amount, duration, purpose = '', message }) {
+        if (message !== undefined && (typeof message !== 'string' || message.length > 500)) {
+            return { success: false, error: 'message must be at most 500 characters' };
+        }
+
+        const quoted = await this.quote(borrower, { loanType: 'COSIGNED', amount, duration, purpose, coSigner }, { invitation: true });
+        if (!quoted.success) return quoted;
+
+        const open = await CoSignerInvitation.exists({
+            borrower: borrower.toLowerCase(),
+            coSigner: quoted.quote.coSigner,
+            status: { $in: ['PENDING', 'ACCEPTED'] },
+            expiresAt: { $gt: new Date() }
+        });
+        if (open) {
+            return { success: false, error: 'You already have an open invitation for this co-signer' };
+        }
+
+        const invitation = await CoSignerInvitation.create({
+            invitationId: crypto.randomBytes(16).toString('base64url'),
+            borrower,
+            coSigner: quoted.quote.coSigner,
+            amount: quoted.quote.amount,
+            duration: quoted.quote.duration,
+            purpose,
+            message,
+            interestRate: quoted.quote.interestRate,
+            totalOwed: quoted.quote.totalOwed,
+            expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+        });
+        return { success: true, invitation };
+    }
+
+    /**
+     * Invitations a wallet sent as borrower and received as co-signer
+     * @param {string} address - Wallet address
+     */
+    async getInvitations(address) {
+        const wallet = address.toLowerCase();
+        const [sent, received] = await Promise.all([
+            CoSignerInvitation.find({ borrower: wallet }).sort({ createdAt: -1 }),
+            CoSignerInvitation.find({ coSigner: wallet }).sort({ createdAt: -1 })
+        ]);
+        return {
+            sent: sent.map((invitation) => this.serializeInvitation(invitation)),
+            received: received.map((invitation) => this.serializeInvitation(invitation))
+        };
+    }
+
+    /**
+     * Accept an invitation with a mined MicroLoan.approveCoSigning transaction
+     * @param {string} invitationId - Invitation
+     * @param {string} coSigner - Caller, who must be the invited co-signer
+     * @param {string} txHash - approveCoSigning transaction
+     */
+    async acceptInvitation(invitationId, coSigner, txHash) {
+        const invitation = await CoSignerInvitation.findOne({ invitationId, coSigner: coSigner.toLowerCase() });
+        if (!invitation) {
+            return { success: false, notFound: true, error: 'Invitation not found' };
+        }
+        if (invitation.status !== 'PENDING' || invitation.expiresAt <= new Date()) {
+            return { success: false, error: `Invitation is ${this.serializeInvitation(invitation).status.toLowerCase()}` };
+        }
+
+        const events = await blockchainService.getTransactionEvents(txHash, 'MicroLoan');
+        const approved = events.find((event) =>
+            event.name === 'CoSignerApproved' &&
+            event.args.coSigner.toLowerCase() === invitation.coSigner &&
+            event.args.borrower.toLowerCase() === invitation.borrower
+        );
+        if (!approved) {
+            return { success: false, error: 'Transaction did not approve this borrower from your wallet' };
+        }
+        if (approved.args.maxAmount < ethers.parseEther(invitation.amount) || approved.args.maxDuration < BigInt(invitation.duration)) {
+            return { success: false, error: 'The approval does not cover the invited terms' };
+        }
+
+        invitation.status = 'ACCEPTED';
+        invitation.respondedAt = new Date();
+        invitation.approvalTxHash = txHash;
+        invitation.expiresAt = new Date(Number(approved.args.expiresAt) * 1000);
+        await invitation.save();
+        return { success: true, invitation };
+    }
+
+    /**
+     * Decline an invitation. An accepted one is declined by revoking the approval on-chain
+     * (MicroLoan.revokeCoSigning) and passing that transaction.
+     * @param {string} invitationId - Invitation
+     * @param {string} coSigner - Caller, who must be the invited co-signer
+     * @param {string} [txHash] - revokeCoSigning transaction, for an accepted invitation
+     */
+    async declineInvitation(invitationId, coSigner, txHash) {
+        const invitation = await CoSignerInvitation.findOne({ invitationId, coSigner: coSigner.toLowerCase() });
+        if (!invitation) {
+            return { success: false, notFound: true, error: 'Invitation not found' };
+        }
+        if (!['PENDING', 'ACCEPTED'].includes(invitation.status)) {
+            return { success: false, error: `Invitation is ${invitation.status.toLowerCase()}` };
+        }
+
+        if (invitation.status === 'ACCEPTED') {
+            if (!txHash) {
+                return { success: false, error: 'Revoke your approval with MicroLoan.revokeCoSigning and pass its txHash' };
+            }
+            const events = await blockchainService.getTransactionEvents(txHash, 'MicroLoan');
+            const revoked = events.some((event) =>
+                event.name === 'CoSignerApprovalRevoked' &&
+                event.args.coSigner.toLowerCase() === invitation.coSigner &&
+                event.args.borrower.toLowerCase() === invitation.borrower
+            );
+            if (!revoked) {
+                return { success: false, error: 'Transaction did not revoke your approval for this borrower' };
+            }
+        }
+
+        invitation.status = 'DECLINED';
+        invitation.respondedAt = new Date();
+        await invitation.save();
+        return { success: true, invitation };
+    }
+
+    /**
+     * Withdraw an invitation that has not been used
+     * @param {string} invitationId - Invitation
+     * @param {string} borrower - Caller, who must have sent it
+     */
+    async cancelInvitation(invitationId, borrower) {
+        const invitation = await CoSignerInvitation.findOne({ invitationId, borrower: borrower.toLowerCase() });
+        if (!invitation) {
+            return { success: false, notFound: true, error: 'Invitation not found' };
+        }
+        if (!['PENDING', 'ACCEPTED'].includes(invitation.status)) {
+            return { success: false, error: `Invitation is ${invitation.status.toLowerCase()}` };
+        }
+
+        invitation.status = 'CANCELLED';
+        await invitation.save();
+        return { success: true, invitation };
+    }
+
+    /**
+     * Close the accepted invitation a co-signed loan was requested under
+     * @param {Object} loan - { loanId, borrower, coSigner } of the new loan
+     */
+    async markInvitationUsed({ loanId, borrower, coSigner }) {
+        await CoSignerInvitation.findOneAndUpdate(
+            { borrower, coSigner, status: 'ACCEPTED' },
+            { $set: { status: 'USED', loanId } },
+            { sort: { respondedAt: -1 } }
+        );
+    }
+
+    /**
+     * Public form of an invitation. Expired invitations report EXPIRED; pending ones carry
+     * the MicroLoan call the co-signer sends to accept.
+     */
+    serializeInvitation(invitation) {
+        const expired = invitation.expiresAt <= new Date() && ['PENDING', 'ACCEPTED'].includes(invitation.status);
+        const status = expired ? 'EXPIRED' : invitation.status;
+
+        return {
+            invitationId: invitation.invitationId,
+            borrower: invitation.borrower,
+            coSigner: invitation.coSigner,
+            amount: invitation.amount,
+            duration: invitation.duration,
+            purpose: invitation.purpose,
+            message: invitation.message,
+            interestRate: invitation.interestRate,
+            totalOwed: invitation.totalOwed,
+            // Called on default: the remaining balance, at most the full amount owed
+            maxLiability: invitation.totalOwed,
+            status,
+            expiresAt: invitation.expiresAt,
+            respondedAt: invitation.respondedAt,
+            approvalTxHash: invitation.approvalTxHash,
+            loanId: invitation.loanId,
+            createdAt: invitation.createdAt,
+            ...(status === 'PENDING' && {
+                submission: {
+                    contract: 'MicroLoan',
+                    method: 'approveCoSigning',
+                    args: [
+                        ethers.getAddress(invitation.borrower),
+                        ethers.parseEther(invitation.amount).toString(),
+                        invitation.duration,
+                        Math.floor(invitation.expiresAt.getTime() / 1000)
+                    ],
+                    value: '0'
+                }
+            })
+        };
+    }
+
+    /**
+     * Loans a wallet co-signed (MicroLoan.getCoSignerLoans), what it could still be called
+     * for, and obligations already called after a default
+     * @param {string} address - Co-signer wallet
+     */
+    async getCoSignerExposure(address) {
+        const microLoan = blockchainService.getContract('MicroLoan');
+        const loanIds = await microLoan.getCoSignerLoans(address);
+
+        const loans = await Promise.all(loanIds.map(async (loanId) => {
+            const [loan, totalOwed] = await Promise.all([
+                microLoan.getLoanInfo(loanId),
+                microLoan.calculateTotalOwed(loanId)
+            ]);
+            const status = LOAN_STATUSES[Number(loan.status)];
+            const remaining = totalOwed > loan.amountRepaid ? totalOwed - loan.amountRepaid : 0n;
+            // What the co-signer would owe if the loan defaulted now
+            const exposure = ['PENDING', 'ACTIVE'].includes(status) ? remaining : 0n;
+            return { loanId, loan, status, totalOwed, remaining, exposure };
+        }));
+
+        let totalExposure = 0n;
+        let totalLiability = 0n;
+        for (const { exposure, loan } of loans) {
+            totalExposure += exposure;
+            totalLiability += loan.coSignerLiability;
+        }
+
+        return {
+            coSigner: address.toLowerCase(),
+            totalExposure: ethers.formatEther(totalExposure),
+            totalLiability: ethers.formatEther(totalLiability),
+            activeCount: loans.filter(({ exposure }) => exposure > 0n).length,
+            calledCount: loans.filter(({ loan }) => loan.coSignerLiability > 0n).length,
+            loans: loans.map(({ loanId, loan, status, totalOwed, remaining, exposure }) => ({
+                loanId: Number(loanId),
+                borrower: loan.borrower.toLowerCase(),
+                status,
+                principal: ethers.formatEther(loan.principal),
+                interestRate: Number(loan.interestRate),
+                totalOwed: ethers.formatEther(totalOwed),
+                remaining: ethers.formatEther(remaining),
+                dueDate: loan.dueDate > 0n ? new Date(Number(loan.dueDate) * 1000) : null,
+                exposure: ethers.formatEther(exposure),
+                // Called after a default and still unpaid; paid with MicroLoan.coSignerPayment
+                liability: ethers.formatEther(loan.coSignerLiability),
+                called: loan.coSignerLiability > 0n
+            }))
+        };
+    }
+}
+
+module.exports = new LoanService();
@@ -1,157 +1,607 @@
 /**
  * Oracle Service
- * Handles Chainlink oracle integration and claim verification requests
+ * Queues claim verification requests for ClaimOracle and tracks them until the oracle answers:
+ *
+ *   PENDING   -> queued; the worker sends ClaimOracle.requestVerification from the operator wallet
+ *   VERIFYING -> requested on-chain, waiting for the oracle (or an authorized verifier in simulation mode)
+ *   VERIFIED / REJECTED -> ClaimOracle recorded the result
+ *   FAILED    -> sending failed MAX_ATTEMPTS times, or the oracle did not answer before the timeout
+ *
+ * Jobs live in MongoDB (OracleRequest), so a restart resumes where the worker stopped.
+ * Failed sends are retried with exponential backoff.
+ *
+ * When the claim's document bundle names an attestation provider (see attestationService),
+ * the worker checks the documents with that adapter and answers ClaimOracle itself.
  */
 
-const ethers = require('ethers');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchainService');
+const attestationService = require('./attestationService');
+const OracleRequest = require('../models/OracleRequest');
+const Claim = require('../models/Claim');
+
+// ClaimOracle enums, in declaration order
+const VERIFICATION_STATUSES = ['PENDING', 'VERIFYING', 'VERIFIED', 'REJECTED', 'FAILED'];
+const VERIFICATION_METHODS = ['CHAINLINK_API', 'ZK_EMAIL', 'SIMULATION'];
+
+// Method names accepted by the API
+const METHODS = {
+    chainlink: 'CHAINLINK_API',
+    'zk-email': 'ZK_EMAIL',
+    simulation: 'SIMULATION'
+};
+
+const MAX_ATTEMPTS = 5;
+
+// Signed callbacks older or newer than this are refused
+const CALLBACK_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Registered oracle nodes from ORACLE_NODE_SECRETS ("node-id:secret,other-node:secret")
+ */
+const parseNodeSecrets = (value) => Object.fromEntries(
+    value.split(',')
+        .map((entry) => entry.trim())
+        .filter((entry) => entry.includes(':'))
+        .map((entry) => [entry.slice(0, entry.indexOf(':')), entry.slice(entry.indexOf(':') + 1)])
+);
+
+const toDate = (seconds) => (seconds > 0n ? new Date(Number(seconds) * 1000) : null);
 
 class OracleService {
     constructor() {
         this.simulationMode = process.env.ORACLE_SIMULATION_MODE !== 'false';
-        this.chainlinkNodeUrl = process.env.CHAINLINK_NODE_URL || '';
         this.linkTokenAddress = process.env.LINK_TOKEN_ADDRESS || '';
+        this.nodeSecrets = parseNodeSecrets(process.env.ORACLE_NODE_SECRETS || '');
+
+        this.pollIntervalMs = parseInt(process.env.ORACLE_WORKER_INTERVAL_MS || '10000', 10);
+        // First retry after this long, doubling with every failed attempt
+        this.retryBaseMs = parseInt(process.env.ORACLE_RETRY_BASE_MS || '30000', 10);
+        // How long a dispatched request may wait for the oracle before it is marked FAILED
+        this.requestTimeoutMs = parseInt(process.env.ORACLE_REQUEST_TIMEOUT_MS || String(24 * 60 * 60 * 1000), 10);
+
+        this.running = false;
+        this.ticking = false;
+        this.timer = null;
+    }
+
+    /**
+     * Start working through the queue
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        const loop = async () => {
+            if (!this.running) return;
+            await this.tick();
+            this.timer = setTimeout(loop, this.pollIntervalMs);
+        };
+        loop();
+        console.log(`[Oracle] Verification worker started (timeout ${this.requestTimeoutMs}ms)`);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Send due requests to ClaimOracle and check in-flight ones for an answer
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const waiting = [{ status: 'VERIFYING' }];
+            // Only the operator wallet (the ClaimOracle owner) can send requests
+            if (blockchainService.getOperator()) {
+                waiting.push({ status: 'PENDING', nextAttemptAt: { $lte: new Date() } });
+            }
+
+            const requests = await OracleRequest.find({ $or: waiting }, 'claimId').sort({ nextAttemptAt: 1 });
+            for (const { claimId } of requests) {
+                await this.processRequest(claimId);
+            }
+        } catch (error) {
+            console.error('[Oracle] Worker error:', error.message);
+        } finally {
+            this.ticking = false;
+        }
     }
 
     /**
-     * Request claim verification via oracle
+     * Queue verification of a claim's documents
      * @param {number} claimId - Claim ID to verify
-     * @param {string} ipfsHash - IPFS hash of medical documents
+     * @param {string} [ipfsHash] - IPFS hash of medical documents, the claim's own by default
      * @param {string} method - Verification method (chainlink, zk-email, simulation)
+     * @param {string} requestedBy - Wallet queueing the request
      */
-    async requestVerification(claimId, ipfsHash, method = 'simulation') {
-        if (this.simulationMode || method === 'simulation') {
-            return this._simulateVerification(claimId, ipfsHash);
+    async requestVerification(claimId, ipfsHash, method = 'simulation', requestedBy) {
+        const verificationMethod = this.simulationMode ? 'SIMULATION' : METHODS[method];
+        if (!verificationMethod) {
+            return { success: false, error: `method must be one of ${Object.keys(METHODS).join(', ')}` };
         }
 
-        if (method === 'chainlink') {
-            return this._requestChainlinkVerification(claimId, ipfsHash);
+        const claim = await Claim.findOne({ claimId }, 'claimant documents');
+        if (!claim) {
+            return { success: false, error: 'Claim not found' };
         }
 
-        if (method === 'zk-email') {
-            return this._requestZKEmailVerification(claimId, ipfsHash);
+        const documents = ipfsHash || claim.documents;
+        if (!documents) {
+            return { success: false, error: 'Claim has no documents to verify' };
         }
 
-        throw new Error('Invalid verification method');
+        const existing = await OracleRequest.findOne({ claimId });
+        if (existing && existing.status !== 'FAILED') {
+            return { success: false, error: `Verification already ${existing.status.toLowerCase()}` };
+        }
+
+        // zkEmail proofs have their own verifier; other methods can be answered by an adapter
+        const route = verificationMethod !== 'ZK_EMAIL' ? await attestationService.resolve(documents) : null;
+        if (!route && verificationMethod === 'CHAINLINK_API' && Object.keys(this.nodeSecrets).length === 0) {
+            return { success: false, error: 'No oracle node registered (ORACLE_NODE_SECRETS)' };
+        }
+
+        const job = {
+            claimant: claim.claimant,
+            ipfsHash: documents,
+            method: verificationMethod,
+            status: 'PENDING',
+            requestedBy,
+            attempts: 0,
+            attestationAttempts: 0,
+            nextAttemptAt: new Date()
+        };
+        const unset = { lastError: 1 };
+        if (route) job.adapter = route.adapter.name;
+        else unset.adapter = 1;
+
+        const entry = {
+            action: 'QUEUED',
+            detail: route ? `${verificationMethod} via ${route.adapter.name}` : verificationMethod,
+            at: new Date()
+        };
+
+        // A FAILED job is queued again with a fresh attempt budget
+        const request = await OracleRequest.findOneAndUpdate(
+            { claimId },
+            { $set: job, $unset: unset, $push: { history: entry } },
+            { upsert: true, new: true }
+        );
+        await this._syncClaim(request);
+        console.log(`[Oracle] Queued ${verificationMethod} verification of claim ${claimId}`);
+
+        return { success: true, request };
     }
 
     /**
-     * Simulation mode verification (for development)
+     * Run the next step of a job: send it to ClaimOracle, or check for the oracle's answer
+     * @param {number} claimId - Claim ID
      */
-    async _simulateVerification(claimId, ipfsHash) {
-        console.log(`[Oracle Simulation] Verifying claim ${claimId} with IPFS: ${ipfsHash}`);
+    async processRequest(claimId) {
+        const request = await OracleRequest.findOne({ claimId });
+        if (!request) return null;
 
-        // Simulate verification process
-        return {
-            requestId: `sim_${claimId}_${Date.now()}`,
-            claimId,
-            status: 'pending',
-            method: 'simulation',
-            message: 'Verification request queued for manual admin approval'
-        };
+        if (request.status === 'PENDING') return this._syncClaim(await this._dispatch(request));
+        if (request.status === 'VERIFYING') return this._syncClaim(await this._poll(request));
+        return request;
     }
 
     /**
-     * Chainlink oracle verification (production)
-     * NOTE: Requires LINK tokens and Chainlink node subscription
+     * Wallet that submits oracle answers: ORACLE_VERIFIER_PRIVATE_KEY (an authorized
+     * ClaimOracle verifier), or the operator wallet (the owner) when not configured
      */
-    async _requestChainlinkVerification(claimId, ipfsHash) {
-        if (!this.chainlinkNodeUrl) {
-            throw new Error('Chainlink node URL not configured');
+    getVerifier() {
+        if (!process.env.ORACLE_VERIFIER_PRIVATE_KEY) return blockchainService.getOperator();
+        if (!this.verifier) {
+            this.verifier = new ethers.Wallet(process.env.ORACLE_VERIFIER_PRIVATE_KEY, blockchainService.provider);
         }
+        return this.verifier;
+    }
 
-        // STUB: In production, this would:
-        // 1. Create Chainlink job request
-        // 2. Fund with LINK tokens
-        // 3. Call hospital API to verify medical documents
-        // 4. Wait for oracle callback
+    /**
+     * Send ClaimOracle.requestVerification from the operator wallet
+     */
+    async _dispatch(request) {
+        const { claimId } = request;
+        const attempts = request.attempts + 1;
 
-        console.log(`[Chainlink Oracle] Requesting verification for claim ${claimId}`);
+        try {
+            const contract = blockchainService.getContract('ClaimOracle', blockchainService.getOperator());
+            const details = await contract.getVerificationDetails(claimId);
 
-        // Placeholder for Chainlink request
-        const requestId = ethers.utils.id(`chainlink_${claimId}_${Date.now()}`);
+            const sent = {};
+            // A request already on-chain (e.g. sent by an attempt that timed out locally) is adopted
+            if (details.requestedAt === 0n || VERIFICATION_STATUSES[Number(details.status)] === 'PENDING') {
+                const tx = await contract.requestVerification(
+                    claimId,
+                    request.claimant,
+                    request.ipfsHash,
+                    VERIFICATION_METHODS.indexOf(request.method)
+                );
+                const receipt = await tx.wait();
+                sent.requestTxHash = receipt.hash;
 
-        return {
-            requestId,
-            claimId,
-            status: 'verifying',
-            method: 'chainlink',
-            message: 'Chainlink oracle request sent (stub implementation)'
-        };
+                // Chainlink requests carry the id the oracle answers with
+                const event = receipt.logs
+                    .map((log) => {
+                        try {
+                            return contract.interface.parseLog(log);
+                        } catch (error) {
+                            return null;
+                        }
+                    })
+                    .find((parsed) => parsed && parsed.name === 'OracleRequestSent');
+                if (event) sent.requestId = event.args.requestId;
+            }
+
+            const dispatchedAt = new Date();
+            const updated = await OracleRequest.findOneAndUpdate(
+                { claimId },
+                {
+                    $set: {
+                        ...sent,
+                        status: 'VERIFYING',
+                        attempts,
+                        dispatchedAt,
+                        timeoutAt: new Date(dispatchedAt.getTime() + this.requestTimeoutMs)
+                    },
+                    $unset: { lastError: 1 },
+                    $push: {
+                        history: {
+                            action: 'DISPATCHED',
+                            detail: sent.requestTxHash ? sent.requestId : 'Already requested on-chain',
+                            txHash: sent.requestTxHash,
+                            at: dispatchedAt
+                        }
+                    }
+                },
+                { new: true }
+            );
+            return this._poll(updated);
+        } catch (error) {
+            console.error(`[Oracle] Dispatch of claim ${claimId} failed:`, error.message);
+
+            const failed = attempts >= MAX_ATTEMPTS;
+            const nextAttemptAt = new Date(Date.now() + this.retryBaseMs * 2 ** (attempts - 1));
+            return OracleRequest.findOneAndUpdate(
+                { claimId },
+                {
+                    $set: {
+                        attempts,
+                        lastError: error.message,
+                        ...(failed ? { status: 'FAILED' } : { nextAttemptAt })
+                    },
+                    $push: {
+                        history: {
+                            action: failed ? 'FAILED' : 'RETRY_SCHEDULED',
+                            detail: failed ? error.message : `Attempt ${attempts + 1} at ${nextAttemptAt.toISOString()}`
+                        }
+                    }
+                },
+                { new: true }
+            );
+        }
     }
 
     /**
-     * ZK-Email verification (emerging technology)
-     * Verifies hospital email digital signatures using zero-knowledge proofs
+     * Copy the oracle's answer from ClaimOracle, or fail the job once it times out
      */
-    async _requestZKEmailVerification(claimId, ipfsHash) {
-        console.log(`[ZK-Email] Requesting verification for claim ${claimId}`);
+    async _poll(request) {
+        const { claimId } = request;
+        const details = await blockchainService.getContract('ClaimOracle').getVerificationDetails(claimId);
+        const status = VERIFICATION_STATUSES[Number(details.status)];
 
-        // STUB: In production, this would:
-        // 1. Download email with medical records from IPFS
-        // 2. Extract DKIM signature from email headers
-        // 3. Verify hospital domain signature
-        // 4. Generate ZK proof of valid signature without revealing email content
+        if (status === 'VERIFIED' || status === 'REJECTED') {
+            return OracleRequest.findOneAndUpdate(
+                { claimId },
+                {
+                    $set: {
+                        status,
+                        verifiedAt: toDate(details.verifiedAt),
+                        verificationProof: details.verificationProof,
+                        verifier: details.verifier.toLowerCase()
+                    },
+                    $push: { history: { action: 'FULFILLED', detail: status } }
+                },
+                { new: true }
+            );
+        }
 
-        const requestId = ethers.utils.id(`zkemail_${claimId}_${Date.now()}`);
+        if (request.adapter && !request.callbackAt && request.nextAttemptAt <= new Date()) {
+            return this._attest(request);
+        }
 
-        return {
-            requestId,
-            claimId,
-            status: 'verifying',
-            method: 'zk-email',
-            message: 'ZK-Email verification initiated (stub implementation)'
-        };
+        if (request.timeoutAt && request.timeoutAt <= new Date()) {
+            const message = 'Oracle did not respond before the timeout';
+            return OracleRequest.findOneAndUpdate(
+                { claimId },
+                {
+                    $set: { status: 'FAILED', lastError: message },
+                    $push: { history: { action: 'TIMED_OUT', detail: message } }
+                },
+                { new: true }
+            );
+        }
+
+        return request;
     }
 
     /**
-     * Admin manually verifies claim in simulation mode
+     * Check the claim's documents with its attestation adapter and submit the result.
+     * Adapter errors (hospital API down, IPFS unreachable) are retried with backoff
+     * until MAX_ATTEMPTS, the request timeout still applying.
+     */
+    async _attest(request) {
+        const { claimId } = request;
+        const verifier = this.getVerifier();
+        if (!verifier) return request;
+
+        // Claimed like a node callback, so whichever answer comes first is the only one
+        const claimed = await OracleRequest.findOneAndUpdate(
+            { claimId, status: 'VERIFYING', callbackAt: { $exists: false } },
+            { $set: { callbackAt: new Date(), callbackNode: `adapter:${request.adapter}` } },
+            { new: true }
+        );
+        if (!claimed) return request;
+
+        let result;
+        let receipt;
+        try {
+            const claim = await Claim.findOne({ claimId }, 'claimId claimant');
+            result = await attestationService.attest(claim, claimed.ipfsHash);
+            receipt = await this._submitAnswer(claimed, result.verified, result.proof);
+        } catch (error) {
+            console.error(`[Oracle] Attestation of claim ${claimId} failed:`, error.message);
+
+            const attempts = claimed.attestationAttempts + 1;
+            const failed = attempts >= MAX_ATTEMPTS;
+            const nextAttemptAt = new Date(Date.now() + this.retryBaseMs * 2 ** (attempts - 1));
+            return OracleRequest.findOneAndUpdate(
+                { claimId },
+                {
+                    $set: {
+                        attestationAttempts: attempts,
+                        lastError: error.message,
+                        ...(failed ? { status: 'FAILED' } : { nextAttemptAt })
+                    },
+                    $unset: { callbackAt: 1, callbackNode: 1 },
+                    $push: {
+                        history: {
+                            action: failed ? 'FAILED' : 'RETRY_SCHEDULED',
+                            detail: failed ? error.message : `Attestation ${attempts + 1} at ${nextAttemptAt.toISOString()}`
+                        }
+                    }
+                },
+                { new: true }
+            );
+        }
+
+        console.log(`[Oracle] ${result.adapter} ${result.verified ? 'verified' : 'rejected'} claim ${claimId}`);
+        const attested = await OracleRequest.findOneAndUpdate(
+            { claimId },
+            {
+                $set: { fulfillTxHash: receipt.hash },
+                $unset: { lastError: 1 },
+                $push: {
+                    history: {
+                        action: 'ATTESTED',
+                        detail: `${result.adapter}: ${result.verified ? 'verified' : result.reason || 'rejected'}`,
+                        txHash: receipt.hash
+                    }
+                }
+            },
+            { new: true }
+        );
+        return this._poll(attested);
+    }
+
+    /**
+     * Record an answer on ClaimOracle from the verifier wallet: fulfillVerification for
+     * requests with a Chainlink request id, simulateVerification in simulation mode
+     */
+    async _submitAnswer(request, verified, proof) {
+        const contract = blockchainService.getContract('ClaimOracle', this.getVerifier());
+        const tx = request.requestId
+            ? await contract.fulfillVerification(request.requestId, verified, proof)
+            : await contract.simulateVerification(request.claimId, verified, proof);
+        return tx.wait();
+    }
+
+    /**
+     * Mirror a job's state onto its Claim document
+     */
+    async _syncClaim(request) {
+        if (!request) return request;
+
+        await Claim.updateOne(
+            { claimId: request.claimId },
+            {
+                $set: {
+                    oracleVerification: {
+                        status: request.status,
+                        method: request.method,
+                        adapter: request.adapter,
+                        requestId: request.requestId,
+                        proof: request.verificationProof,
+                        verifier: request.verifier,
+                        verifiedAt: request.verifiedAt
+                    }
+                }
+            }
+        );
+        return request;
+    }
+
+    /**
+     * Record an authorized verifier's decision on-chain in simulation mode
+     * (ClaimOracle.simulateVerification from the operator wallet)
      */
     async simulateManualVerification(claimId, isVerified, proof = '') {
         if (!this.simulationMode) {
-            throw new Error('Not in simulation mode');
+            return { success: false, error: 'Not in simulation mode' };
+        }
+
+        const operator = blockchainService.getOperator();
+        if (!operator) {
+            return { success: false, error: 'OPERATOR_PRIVATE_KEY is not configured' };
+        }
+
+        const request = await OracleRequest.findOne({ claimId });
+        if (!request || request.status !== 'VERIFYING') {
+            return { success: false, error: 'Claim has no verification in progress' };
         }
 
         console.log(`[Oracle Simulation] Manual verification: Claim ${claimId} - ${isVerified ? 'VERIFIED' : 'REJECTED'}`);
 
-        return {
-            claimId,
-            isVerified,
-            proof: proof || 'Manual verification by admin',
-            verifiedAt: new Date(),
-            method: 'simulation'
-        };
+        const contract = blockchainService.getContract('ClaimOracle', operator);
+        const tx = await contract.simulateVerification(claimId, isVerified, proof || 'Manual verification by admin');
+        await tx.wait();
+
+        await this._syncClaim(await this._poll(request));
+        return { success: true, ...(await this.getVerificationStatus(claimId)) };
     }
 
     /**
-     * Get verification status
+     * Verification status of a claim, with ClaimOracle's record once the oracle answered
+     * @param {number} claimId - Claim ID
+     * @returns {Promise<Object|null>} null when verification was never requested
      */
     async getVerificationStatus(claimId) {
-        // This would query the ClaimOracle contract on-chain
-        // For now, return placeholder
+        const request = await OracleRequest.findOne({ claimId: Number(claimId) });
+        if (!request) return null;
+
+        const status = {
+            claimId: request.claimId,
+            claimant: request.claimant,
+            status: request.status,
+            method: request.method,
+            adapter: request.adapter,
+            requestId: request.requestId,
+            requestTxHash: request.requestTxHash,
+            requestedAt: request.createdAt,
+            dispatchedAt: request.dispatchedAt,
+            timeoutAt: request.timeoutAt,
+            attempts: request.attempts,
+            nextAttemptAt: request.status === 'PENDING' ? request.nextAttemptAt : undefined,
+            lastError: request.lastError,
+            history: request.history
+        };
+
+        if (request.status !== 'VERIFIED' && request.status !== 'REJECTED') {
+            return status;
+        }
+
+        const details = await blockchainService.getContract('ClaimOracle').getVerificationDetails(request.claimId);
         return {
-            claimId,
-            status: 'pending',
-            message: 'Query blockchain for verification status'
+            ...status,
+            status: VERIFICATION_STATUSES[Number(details.status)],
+            method: VERIFICATION_METHODS[Number(details.method)],
+            ipfsHash: details.ipfsHash,
+            verifiedAt: toDate(details.verifiedAt),
+            verificationProof: details.verificationProof,
+            verifier: details.verifier.toLowerCase()
         };
     }
 
     /**
-     * Chainlink fulfillment webhook handler
-     * Called by Chainlink node when verification completes
+     * Check that a callback comes from a registered oracle node. The node signs
+     * `${timestamp}.${rawBody}` with HMAC-SHA256 under its secret.
+     * @param {Object} headers - { node, timestamp, signature } from X-Oracle-Node,
+     *   X-Oracle-Timestamp (unix seconds) and X-Oracle-Signature (hex, optionally "sha256=" prefixed)
+     * @param {Buffer|string} rawBody - Request body exactly as received
      */
-    async handleChainlinkCallback(requestId, data) {
-        console.log(`[Chainlink Callback] Request ${requestId}:`, data);
+    authenticateCallback({ node, timestamp, signature }, rawBody = '') {
+        const secret = node && this.nodeSecrets[node];
+        if (!secret) {
+            return { success: false, error: 'Unknown oracle node' };
+        }
+
+        const sentAt = Number(timestamp) * 1000;
+        if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > CALLBACK_TOLERANCE_MS) {
+            return { success: false, error: 'Callback timestamp outside the allowed window' };
+        }
+
+        const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest();
+        const given = Buffer.from(String(signature || '').replace(/^sha256=/, ''), 'hex');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return { success: false, error: 'Invalid callback signature' };
+        }
+
+        return { success: true, node };
+    }
+
+    /**
+     * Submit an authenticated oracle node's answer through ClaimOracle.fulfillVerification.
+     * Each request is answered once: later callbacks for it are refused as replays.
+     * @param {string} requestId - bytes32 id from OracleRequestSent
+     * @param {Object} data - { verified: boolean, proof?: string }
+     * @param {string} node - Oracle node that sent the callback
+     */
+    async handleChainlinkCallback(requestId, data, node) {
+        if (!/^0x[0-9a-fA-F]{64}$/.test(requestId || '')) {
+            return { success: false, error: 'Valid requestId is required' };
+        }
+        if (!data || typeof data.verified !== 'boolean') {
+            return { success: false, error: 'data.verified must be a boolean' };
+        }
+        if (data.proof !== undefined && typeof data.proof !== 'string') {
+            return { success: false, error: 'data.proof must be a string' };
+        }
+
+        const verifier = this.getVerifier();
+        if (!verifier) {
+            throw new Error('ORACLE_VERIFIER_PRIVATE_KEY is not configured');
+        }
+
+        const id = requestId.toLowerCase();
+        const request = await OracleRequest.findOneAndUpdate(
+            { requestId: id, status: 'VERIFYING', callbackAt: { $exists: false } },
+            {
+                $set: { callbackAt: new Date(), callbackNode: node },
+                $push: { history: { action: 'CALLBACK', detail: `${node}: ${data.verified ? 'verified' : 'rejected'}` } }
+            },
+            { new: true }
+        );
+        if (!request) {
+            const known = await OracleRequest.exists({ requestId: id });
+            return known
+                ? { success: false, replay: true, error: 'Request already answered' }
+                : { success: false, error: 'Unknown request ID' };
+        }
+
+        console.log(`[Oracle] ${node} answered request ${id} (claim ${request.claimId}): ${data.verified}`);
+
+        let receipt;
+        try {
+            receipt = await this._submitAnswer(request, data.verified, data.proof || '');
+        } catch (error) {
+            // Release the request so the node can deliver its answer again
+            await OracleRequest.updateOne(
+                { claimId: request.claimId },
+                {
+                    $set: { lastError: error.message },
+                    $unset: { callbackAt: 1, callbackNode: 1 },
+                    $push: { history: { action: 'FULFILL_FAILED', detail: error.message } }
+                }
+            );
+            throw error;
+        }
 
-        // STUB: In production, this would:
-        // 1. Verify the callback is from authorized Chainlink node
-        // 2. Parse verification result from data
-        // 3. Call ClaimOracle.fulfillVerification() on blockchain
-        // 4. Update database with verification result
+        await OracleRequest.updateOne({ claimId: request.claimId }, { $set: { fulfillTxHash: receipt.hash } });
+        const fulfilled = await this._syncClaim(await this._poll(request));
 
         return {
-            requestId,
-            processed: true,
-            message: 'Callback processed (stub)'
+            success: true,
+            requestId: id,
+            claimId: request.claimId,
+            status: fulfilled.status,
+            txHash: receipt.hash
         };
     }
 }
@@ -0,0 +1,216 @@
+/**
+ * Payment Plan Service
+ * Mirrors BNPL/SNPL plans from the PaymentPlan contract and derives
+ * installment schedules, late-fee exposure and savings progress
+ */
+
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchainService');
+const PaymentPlan = require('../models/PaymentPlan');
+
+// PaymentPlan advances nextDueDate by 30 days per installment
+const INSTALLMENT_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+const BPS = 10000n;
+
+const toDate = (seconds) => (Number(seconds) > 0 ? new Date(Number(seconds) * 1000) : undefined);
+const sumEther = (entries) => entries.reduce((sum, entry) => sum + ethers.parseEther(entry.amount || '0'), 0n);
+
+class PaymentPlanService {
+    constructor() {
+        this.lateFeeBps = null; // Cached PaymentPlan.LATE_FEE_PERCENT (constant)
+    }
+
+    /**
+     * Late fee in basis points, read once from the contract
+     */
+    async getLateFeeBps() {
+        if (this.lateFeeBps === null) {
+            this.lateFeeBps = await blockchainService.getContract('PaymentPlan').LATE_FEE_PERCENT();
+        }
+        return this.lateFeeBps;
+    }
+
+    /**
+     * Re-read a plan from the contract and upsert it
+     * @param {string} planType - 'BNPL' or 'SNPL'
+     * @param {number|bigint} planId - On-chain plan ID
+     * @param {Object} ctx - { blockNumber } of the data being written
+     */
+    async refreshPlan(planType, planId, ctx) {
+        const id = Number(planId);
+        const contract = blockchainService.getContract('PaymentPlan');
+        const plan = planType === 'BNPL' ? await contract.getBNPLInfo(id) : await contract.getSNPLInfo(id);
+
+        if (plan.id === 0n) {
+            await PaymentPlan.deleteOne({ planType, planId: id });
+            return;
+        }
+
+        const fields = planType === 'BNPL'
+            ? {
+                ipfsHash: plan.ipfsHash,
+                totalAmount: ethers.formatEther(plan.totalAmount),
+                paidAmount: ethers.formatEther(plan.paidAmount),
+                installmentAmount: ethers.formatEther(plan.installmentAmount),
+                numberOfInstallments: Number(plan.numberOfInstallments),
+                paidInstallments: Number(plan.paidInstallments),
+                nextDueDate: toDate(plan.nextDueDate),
+                interestRate: Number(plan.interestRate),
+                isActive: plan.isActive
+            }
+            : {
+                targetAmount: ethers.formatEther(plan.targetAmount),
+                savedAmount: ethers.formatEther(plan.savedAmount),
+                monthlyDeposit: ethers.formatEther(plan.monthlyDeposit),
+                targetDate: toDate(plan.targetDate),
+                lastDepositDate: toDate(plan.lastDepositDate),
+                isCompleted: plan.isCompleted
+            };
+
+        await PaymentPlan.findOneAndUpdate(
+            { planType, planId: id },
+            {
+                $set: {
+                    user: plan.user.toLowerCase(),
+                    purpose: plan.purpose,
+                    startDate: toDate(plan.startDate),
+                    ...fields,
+                    syncedBlock: ctx.blockNumber
+                },
+                $setOnInsert: { createdBlock: ctx.blockNumber }
+            },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * Pull every plan a user holds on-chain into MongoDB
+     * @param {string} userAddress - Wallet address
+     * @param {string} planType - 'BNPL' or 'SNPL'
+     */
+    async syncUserPlans(userAddress, planType) {
+        const contract = blockchainService.getContract('PaymentPlan');
+        const [planIds, blockNumber] = await Promise.all([
+            planType === 'BNPL' ? contract.getUserBNPLPlans(userAddress) : contract.getUserSNPLPlans(userAddress),
+            blockchainService.provider.getBlockNumber()
+        ]);
+
+        for (const planId of planIds) {
+            await this.refreshPlan(planType, planId, { blockNumber });
+        }
+    }
+
+    /**
+     * List a user's plans with derived schedule / progress data.
+     * Falls back to indexed data when the chain is unreachable.
+     * @param {string} userAddress - Wallet address
+     * @param {string} planType - 'BNPL' or 'SNPL'
+     */
+    async getUserPlans(userAddress, planType) {
+        try {
+            await this.syncUserPlans(userAddress, planType);
+            if (planType === 'BNPL') await this.getLateFeeBps();
+        } catch (error) {
+            console.error(`[PaymentPlan] Chain read failed, serving indexed ${planType} plans:`, error.message);
+        }
+
+        const plans = await PaymentPlan.find({ user: userAddress.toLowerCase(), planType }).sort({ planId: -1 });
+        const now = new Date();
+
+        return plans.map((plan) => (
+            planType === 'BNPL' ? this.describeBNPL(plan, this.lateFeeBps, now) : this.describeSNPL(plan, now)
+        ));
+    }
+
+    /**
+     * Installment schedule, next payment and late-fee exposure of a BNPL plan
+     * @param {Object} plan - PaymentPlan document
+     * @param {bigint|null} lateFeeBps - LATE_FEE_PERCENT, null when unknown
+     * @param {Date} now - Reference time
+     */
+    describeBNPL(plan, lateFeeBps, now) {
+        const installment = ethers.parseEther(plan.installmentAmount || '0');
+        const total = ethers.parseEther(plan.totalAmount || '0');
+        const paid = ethers.parseEther(plan.paidAmount || '0');
+        const feePerInstallment = lateFeeBps === null ? null : (installment * lateFeeBps) / BPS;
+
+        // Due dates stay on the original 30-day grid no matter when installments are paid
+        const schedule = [];
+        for (let number = 1; number <= plan.numberOfInstallments; number++) {
+            const dueDate = new Date(plan.startDate.getTime() + number * INSTALLMENT_PERIOD_MS);
+
+            let status = 'UPCOMING';
+            if (number <= plan.paidInstallments || !plan.isActive) {
+                status = 'PAID';
+            } else if (now > dueDate) {
+                status = 'OVERDUE';
+            } else if (number === plan.paidInstallments + 1) {
+                status = 'DUE';
+            }
+
+            schedule.push({ number, dueDate, amount: plan.installmentAmount, status });
+        }
+
+        const overdueCount = schedule.filter((entry) => entry.status === 'OVERDUE').length;
+        const nextIsOverdue = plan.isActive && now > plan.nextDueDate;
+
+        return {
+            ...plan.toObject(),
+            remainingAmount: ethers.formatEther(total > paid ? total - paid : 0n),
+            schedule,
+            nextPayment: plan.isActive
+                ? {
+                    dueDate: plan.nextDueDate,
+                    isOverdue: nextIsOverdue,
+                    amount: ethers.formatEther(
+                        installment + (nextIsOverdue && feePerInstallment !== null ? feePerInstallment : 0n)
+                    )
+                }
+                : null,
+            lateFee: {
+                percent: lateFeeBps === null ? null : Number(lateFeeBps) / 100,
+                perInstallment: feePerInstallment === null ? null : ethers.formatEther(feePerInstallment),
+                // Fees owed if every overdue installment were paid now
+                accrued: feePerInstallment === null ? null : ethers.formatEther(feePerInstallment * BigInt(overdueCount)),
+                charged: ethers.formatEther(sumEther(plan.lateFees))
+            }
+        };
+    }
+
+    /**
+     * Progress of an SNPL plan toward its target
+     * @param {Object} plan - PaymentPlan document
+     * @param {Date} now - Reference time
+     */
+    describeSNPL(plan, now) {
+        const target = ethers.parseEther(plan.targetAmount || '0');
+        const saved = ethers.parseEther(plan.savedAmount || '0');
+        const monthly = ethers.parseEther(plan.monthlyDeposit || '0');
+
+        // withdrawSNPL zeroes savedAmount once a completed plan is paid out
+        const withdrawn = plan.isCompleted && saved === 0n;
+        const remaining = plan.isCompleted || saved >= target ? 0n : target - saved;
+
+        const monthsElapsed = Math.max(Math.floor((now - plan.startDate) / INSTALLMENT_PERIOD_MS), 0);
+        const monthsRemaining = Math.max(Math.ceil((plan.targetDate - now) / INSTALLMENT_PERIOD_MS), 0);
+        const expected = monthly * BigInt(monthsElapsed) < target ? monthly * BigInt(monthsElapsed) : target;
+
+        return {
+            ...plan.toObject(),
+            progress: {
+                percent: plan.isCompleted || target === 0n ? 100 : Number((saved * BPS) / target) / 100,
+                remainingAmount: ethers.formatEther(remaining),
+                expectedSaved: ethers.formatEther(expected),
+                onTrack: plan.isCompleted || saved >= expected,
+                monthsElapsed,
+                monthsRemaining,
+                requiredMonthlyDeposit: ethers.formatEther(
+                    monthsRemaining > 0 ? remaining / BigInt(monthsRemaining) : remaining
+                ),
+                withdrawn
+            }
+        };
+    }
+}
+
+module.exports = new PaymentPlanService();
@@ -0,0 +1,437 @@
+/**
+ * Privacy Service
+ * Fulfils GDPR Article 17 erasure requests raised on-chain through
+ * PrivacyCompliance.requestDataDeletion:
+ *
+ *   REQUESTED  -> the indexer saw DataDeletionRequested
+ *   PROCESSING -> the worker is unpinning content and scrubbing MongoDB
+ *   SCRUBBED   -> off-chain data is gone, confirmOffChainDeletion not yet mined
+ *   CONFIRMED  -> OffChainDataDeleted is on-chain
+ *   FAILED     -> a step failed; retried up to MAX_ATTEMPTS times, then by an admin
+ *
+ * Every step is appended to the request's audit log. Erasure is idempotent, so a
+ * request interrupted halfway is simply processed again.
+ */
+
+const blockchainService = require('./blockchainService');
+const ipfsService = require('./ipfsService');
+const DataDeletionRequest = require('../models/DataDeletionRequest');
+const User = require('../models/User');
+const Claim = require('../models/Claim');
+const VaultDocument = require('../models/VaultDocument');
+const KycApplication = require('../models/KycApplication');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+// Profile fields erased for USER_REGISTRATION records
+const PROFILE_FIELDS = ['fullName', 'email', 'phone', 'dateOfBirth', 'profileImage', 'kycDocuments'];
+
+const toDate = (seconds) => new Date(Number(seconds) * 1000);
+
+class PrivacyService {
+    constructor() {
+        // GDPR Art. 12(3): respond within one month
+        this.slaDays = parseInt(process.env.PRIVACY_DELETION_SLA_DAYS || '30', 10);
+        this.pollIntervalMs = parseInt(process.env.PRIVACY_WORKER_INTERVAL_MS || '15000', 10);
+
+        this.running = false;
+        this.ticking = false;
+        this.timer = null;
+    }
+
+    /**
+     * Start working through open requests
+     */
+    async start() {
+        if (this.running) return;
+        this.running = true;
+
+        // A request left PROCESSING by a crash is picked up again
+        await DataDeletionRequest.updateMany({ status: 'PROCESSING' }, { $set: { status: 'REQUESTED' } });
+
+        const loop = async () => {
+            if (!this.running) return;
+            await this.tick();
+            this.timer = setTimeout(loop, this.pollIntervalMs);
+        };
+        loop();
+        console.log(`[Privacy] Deletion worker started (SLA ${this.slaDays} days)`);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Process every request that is waiting for the next step
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const waiting = [
+                { status: 'REQUESTED' },
+                { status: 'FAILED', attempts: { $lt: MAX_ATTEMPTS } }
+            ];
+            if (blockchainService.getOperator()) {
+                waiting.push({ status: 'SCRUBBED' });
+            }
+
+            const requests = await DataDeletionRequest.find({ $or: waiting }, 'recordId').sort({ requestedAt: 1 });
+            for (const { recordId } of requests) {
+                await this.processRequest(recordId);
+            }
+        } catch (error) {
+            console.error('[Privacy] Worker error:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    // ===== Indexer handlers (PrivacyCompliance events) =====
+
+    async onDeletionRequested(args, ctx) {
+        const recordId = args.recordId;
+        const record = await blockchainService.getContract('PrivacyCompliance').getDataRecord(recordId);
+        const user = args.user.toLowerCase();
+        const requestedAt = toDate(args.timestamp);
+
+        await DataDeletionRequest.findOneAndUpdate(
+            { recordId },
+            {
+                $set: { syncedBlock: ctx.blockNumber },
+                $setOnInsert: {
+                    user,
+                    dataType: record.dataType,
+                    ipfsHash: record.ipfsHash,
+                    status: record.offChainDeleted ? 'CONFIRMED' : 'REQUESTED',
+                    requestedAt,
+                    requestTxHash: ctx.txHash,
+                    dueAt: new Date(requestedAt.getTime() + this.slaDays * DAY_MS),
+                    auditLog: [{
+                        action: 'REQUESTED',
+                        detail: `${record.dataType} ${record.ipfsHash}`,
+                        actor: user,
+                        txHash: ctx.txHash,
+                        at: requestedAt
+                    }],
+                    createdBlock: ctx.blockNumber
+                }
+            },
+            { upsert: true }
+        );
+    }
+
+    async onOffChainDeleted(args, ctx) {
+        const confirmedAt = toDate(args.timestamp);
+
+        // Also covers confirmations sent by hand from the owner wallet
+        await DataDeletionRequest.updateOne(
+            { recordId: args.recordId, status: { $ne: 'CONFIRMED' } },
+            {
+                $set: {
+                    status: 'CONFIRMED',
+                    confirmedAt,
+                    confirmTxHash: ctx.txHash,
+                    syncedBlock: ctx.blockNumber
+                },
+                $unset: { lastError: 1 },
+                $push: { auditLog: { action: 'CONFIRMED', actor: 'chain', txHash: ctx.txHash, at: confirmedAt } }
+            }
+        );
+    }
+
+    /**
+     * Re-read a request's on-chain record after a reorg: a confirmation that
+     * was orphaned sends the request back to SCRUBBED to be confirmed again
+     * @param {string} recordId - PrivacyCompliance record id
+     * @param {Object} ctx - { blockNumber }
+     */
+    async refreshRequest(recordId, ctx) {
+        const record = await blockchainService.getContract('PrivacyCompliance').getDataRecord(recordId);
+
+        if (record.offChainDeleted) {
+            await DataDeletionRequest.updateOne({ recordId }, { $set: { syncedBlock: ctx.blockNumber } });
+            return;
+        }
+
+        await DataDeletionRequest.updateOne(
+            { recordId, status: 'CONFIRMED' },
+            {
+                $set: { status: 'SCRUBBED', syncedBlock: ctx.blockNumber },
+                $unset: { confirmedAt: 1, confirmTxHash: 1 },
+                $push: { auditLog: { action: 'CONFIRMATION_REORGED', actor: 'chain' } }
+            }
+        );
+    }
+
+    // ===== Workflow =====
+
+    /**
+     * Run the next step of a request: erase off-chain data, then confirm on-chain
+     * @param {string} recordId - PrivacyCompliance record id
+     */
+    async processRequest(recordId) {
+        const request = await DataDeletionRequest.findOneAndUpdate(
+            { recordId, status: { $in: ['REQUESTED', 'FAILED', 'SCRUBBED'] } },
+            { $set: { status: 'PROCESSING' }, $inc: { attempts: 1 } },
+            { new: true }
+        );
+        if (!request) return null;
+
+        try {
+            if (!request.scrubbedAt) {
+                const erased = await this._erase(request);
+                await this._audit(recordId, {
+                    action: 'SCRUBBED',
+                    detail: `Unpinned ${erased.unpinned.length} CIDs, erased ${erased.fields.length} profile fields, ` +
+                        `${erased.claims.length} claim document sets and ${erased.vaultDocuments} vault documents`,
+                    actor: 'system'
+                }, { erased, scrubbedAt: new Date() });
+            }
+
+            return await this._confirm(request);
+        } catch (error) {
+            console.error(`[Privacy] Deletion ${recordId} failed:`, error.message);
+            await this._audit(recordId, { action: 'FAILED', detail: error.message, actor: 'system' }, {
+                status: 'FAILED',
+                lastError: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Queue a failed or stalled request for the worker again with a fresh attempt budget
+     * @param {string} recordId - PrivacyCompliance record id
+     * @param {string} actor - Admin wallet
+     */
+    async retry(recordId, actor) {
+        const request = await DataDeletionRequest.findOne({ recordId });
+        if (!request) {
+            return { success: false, error: 'Deletion request not found' };
+        }
+        if (request.status === 'CONFIRMED') {
+            return { success: false, error: 'Deletion already confirmed' };
+        }
+        if (request.status === 'PROCESSING') {
+            return { success: false, error: 'Deletion is being processed' };
+        }
+
+        const queued = await this._audit(recordId, { action: 'RETRY', actor }, {
+            status: request.scrubbedAt ? 'SCRUBBED' : 'REQUESTED',
+            attempts: 0
+        });
+        return { success: true, request: queued };
+    }
+
+    /**
+     * Unpin and scrub everything the record points at that belongs to its user
+     */
+    async _erase(request) {
+        const { user, ipfsHash } = request;
+        const erased = { unpinned: [], fields: [], claims: [], vaultDocuments: 0 };
+
+        const unpin = async (cid) => {
+            if (!cid || erased.unpinned.includes(cid)) return;
+            const result = await ipfsService.unpin(cid);
+            if (!result.success) {
+                throw new Error(`Failed to unpin ${cid}: ${result.error}`);
+            }
+            erased.unpinned.push(cid);
+        };
+
+        // Claim evidence: the bundle and the encrypted files it lists
+        const claims = await Claim.find({ claimant: user, documents: ipfsHash }, 'claimId');
+        if (claims.length > 0) {
+            const bundle = await ipfsService.getContent(ipfsHash);
+            let files = [];
+            if (bundle.success) {
+                try {
+                    const parsed = JSON.parse(bundle.data.toString('utf8'));
+                    if (parsed.type === 'claim-documents') files = parsed.files || [];
+                } catch (error) {
+                    // Not a bundle - the hash is the document itself
+                }
+            }
+
+            const cids = files.map((file) => file.ipfsHash);
+            for (const cid of cids) {
+                await unpin(cid);
+            }
+            const removed = await VaultDocument.deleteMany({ owner: user, cid: { $in: cids } });
+            erased.vaultDocuments += removed.deletedCount;
+
+            await Claim.updateMany(
+                { claimId: { $in: claims.map((claim) => claim.claimId) } },
+                { $set: { documents: '', documentsErasedAt: new Date() } }
+            );
+            erased.claims = claims.map((claim) => claim.claimId);
+        }
+
+        // A vault document recorded directly
+        const removed = await VaultDocument.deleteMany({ owner: user, cid: ipfsHash });
+        erased.vaultDocuments += removed.deletedCount;
+
+        const profile = await User.findOne({ walletAddress: user });
+        if (profile) {
+            const fields = request.dataType === 'USER_REGISTRATION'
+                ? PROFILE_FIELDS.filter((field) => profile[field] !== undefined && profile[field] !== null)
+                : (profile.kycDocuments === ipfsHash ? ['kycDocuments'] : []);
+
+            if (fields.includes('kycDocuments')) {
+                await unpin(profile.kycDocuments);
+
+                // The bundle only lists CIDs; the encrypted files live in the vault
+                const application = await KycApplication.findOne({ walletAddress: user, bundleHash: profile.kycDocuments });
+                if (application) {
+                    for (const cid of application.documents) {
+                        await unpin(cid);
+                    }
+                    const removed = await VaultDocument.deleteMany({ owner: user, cid: { $in: application.documents } });
+                    erased.vaultDocuments += removed.deletedCount;
+                    await KycApplication.updateOne(
+                        { walletAddress: user },
+                        { $set: { documents: [], documentsErasedAt: new Date() }, $unset: { bundleHash: 1 } }
+                    );
+                }
+            }
+            if (fields.length > 0) {
+                await User.updateOne(
+                    { walletAddress: user },
+                    { $unset: Object.fromEntries(fields.map((field) => [field, 1])) }
+                );
+            }
+            erased.fields = fields;
+        }
+
+        await unpin(ipfsHash);
+        return erased;
+    }
+
+    /**
+     * Send confirmOffChainDeletion from the operator wallet (the PrivacyCompliance owner)
+     */
+    async _confirm(request) {
+        const { recordId } = request;
+        const contract = blockchainService.getContract('PrivacyCompliance');
+        const record = await contract.getDataRecord(recordId);
+
+        if (record.offChainDeleted) {
+            await this.onOffChainDeleted({ recordId, timestamp: Math.floor(Date.now() / 1000) }, {
+                txHash: request.confirmTxHash,
+                blockNumber: request.syncedBlock
+            });
+            return DataDeletionRequest.findOne({ recordId });
+        }
+
+        const operator = blockchainService.getOperator();
+        if (!operator) {
+            return this._audit(recordId, {
+                action: 'AWAITING_CONFIRMATION',
+                detail: 'OPERATOR_PRIVATE_KEY is not set; call confirmOffChainDeletion from the owner wallet',
+                actor: 'system'
+            }, { status: 'SCRUBBED' });
+        }
+
+        const tx = await contract.connect(operator).confirmOffChainDeletion(recordId);
+        await this._audit(recordId, { action: 'CONFIRMATION_SENT', actor: operator.address.toLowerCase(), txHash: tx.hash });
+
+        const receipt = await tx.wait();
+        const [event] = receipt.logs
+            .map((log) => {
+                try {
+                    return contract.interface.parseLog(log);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter((parsed) => parsed && parsed.name === 'OffChainDataDeleted');
+
+        await this.onOffChainDeleted(
+            { recordId, timestamp: event ? event.args.timestamp : Math.floor(Date.now() / 1000) },
+            { txHash: receipt.hash, blockNumber: receipt.blockNumber }
+        );
+        return DataDeletionRequest.findOne({ recordId });
+    }
+
+    async _audit(recordId, entry, set = {}) {
+        return DataDeletionRequest.findOneAndUpdate(
+            { recordId },
+            { $set: set, $push: { auditLog: { ...entry, at: new Date() } } },
+            { new: true }
+        );
+    }
+
+    // ===== Reporting =====
+
+    /**
+     * Deadline status of a request
+     * @param {Object} request - DataDeletionRequest
+     */
+    getSla(request, now = Date.now()) {
+        const due = request.dueAt ? request.dueAt.getTime() : null;
+        const done = request.status === 'CONFIRMED';
+
+        return {
+            dueAt: request.dueAt,
+            overdue: !done && due !== null && now > due,
+            remainingHours: done || due === null ? null : Math.round((due - now) / (60 * 60 * 1000)),
+            metSla: done && due !== null && request.confirmedAt ? request.confirmedAt.getTime() <= due : null
+        };
+    }
+
+    /**
+     * Request with its deadline status
+     */
+    describe(request) {
+        return { ...request.toObject(), sla: this.getSla(request) };
+    }
+
+    /**
+     * Counts by status, open requests past or near their deadline, and completion times
+     */
+    async getSummary() {
+        const requests = await DataDeletionRequest.find({}, 'status requestedAt dueAt confirmedAt');
+        const now = Date.now();
+
+        const byStatus = { REQUESTED: 0, PROCESSING: 0, SCRUBBED: 0, CONFIRMED: 0, FAILED: 0 };
+        let overdue = 0;
+        let dueSoon = 0;
+        let metSla = 0;
+        let completionMs = 0;
+
+        for (const request of requests) {
+            byStatus[request.status] += 1;
+            const sla = this.getSla(request, now);
+
+            if (sla.overdue) overdue += 1;
+            else if (sla.remainingHours !== null && sla.remainingHours <= 7 * 24) dueSoon += 1;
+
+            if (request.status === 'CONFIRMED' && request.confirmedAt && request.requestedAt) {
+                completionMs += request.confirmedAt - request.requestedAt;
+                if (sla.metSla) metSla += 1;
+            }
+        }
+
+        const completed = byStatus.CONFIRMED;
+        return {
+            slaDays: this.slaDays,
+            total: requests.length,
+            open: requests.length - completed,
+            byStatus,
+            overdue,
+            dueSoon,
+            completed,
+            slaComplianceRate: completed > 0 ? Math.round((metSla * 100) / completed) : null,
+            averageCompletionHours: completed > 0 ? Math.round(completionMs / completed / (60 * 60 * 1000)) : null,
+            operatorConfigured: Boolean(blockchainService.getOperator())
+        };
+    }
+}
+
+module.exports = new PrivacyService();
@@ -0,0 +1,163 @@
+/**
+ * Sign-In With Ethereum Service
+ * Builds and verifies EIP-4361 challenge messages for wallet login
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const STATEMENT = 'Sign in to Nishkama. This request will not trigger a blockchain transaction or cost any gas fees.';
+
+class SiweService {
+    constructor() {
+        this.allowedDomains = (process.env.SIWE_DOMAIN || 'localhost:3000')
+            .split(',')
+            .map((domain) => domain.trim())
+            .filter(Boolean);
+        this.chainId = parseInt(process.env.CHAIN_ID || '1337', 10);
+        this.challengeTtlMs = parseInt(process.env.SIWE_CHALLENGE_TTL_MS || `${5 * 60 * 1000}`, 10);
+    }
+
+    /**
+     * Generate a random alphanumeric nonce (EIP-4361 requires at least 8 characters)
+     */
+    generateNonce() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    /**
+     * Check whether a domain is one the frontend is served from
+     * @param {string} domain - RFC 3986 authority (host[:port])
+     */
+    isAllowedDomain(domain) {
+        return this.allowedDomains.includes(domain);
+    }
+
+    /**
+     * Build an EIP-4361 challenge for a wallet
+     * @param {Object} params
+     * @param {string} params.address - Wallet address (any case)
+     * @param {string} params.domain - Domain requesting the signature
+     * @param {string} params.uri - Origin of the requesting page
+     */
+    createChallenge({ address, domain, uri }) {
+        const issuedAt = new Date();
+        const expiresAt = new Date(issuedAt.getTime() + this.challengeTtlMs);
+        const nonce = this.generateNonce();
+
+        const message = this.formatMessage({
+            domain,
+            address: ethers.getAddress(address),
+            statement: STATEMENT,
+            uri,
+            version: '1',
+            chainId: this.chainId,
+            nonce,
+            issuedAt: issuedAt.toISOString(),
+            expirationTime: expiresAt.toISOString()
+        });
+
+        return { message, nonce, expiresAt };
+    }
+
+    /**
+     * Serialize fields into the EIP-4361 plaintext format
+     */
+    formatMessage(fields) {
+        return [
+            `${fields.domain} wants you to sign in with your Ethereum account:`,
+            fields.address,
+            '',
+            fields.statement,
+            '',
+            `URI: ${fields.uri}`,
+            `Version: ${fields.version}`,
+            `Chain ID: ${fields.chainId}`,
+            `Nonce: ${fields.nonce}`,
+            `Issued At: ${fields.issuedAt}`,
+            `Expiration Time: ${fields.expirationTime}`
+        ].join('\n');
+    }
+
+    /**
+     * Parse an EIP-4361 message back into its fields
+     * @returns {Object|null} Parsed fields, or null when the message is malformed
+     */
+    parseMessage(message) {
+        if (typeof message !== 'string') return null;
+
+        const header = message.match(/^(.+) wants you to sign in with your Ethereum account:\n(0x[a-fA-F0-9]{40})\n/);
+        if (!header) return null;
+
+        const field = (name) => {
+            const match = message.match(new RegExp(`^${name}: (.+)$`, 'm'));
+            return match ? match[1] : undefined;
+        };
+
+        const fields = {
+            domain: header[1],
+            address: header[2],
+            uri: field('URI'),
+            version: field('Version'),
+            chainId: parseInt(field('Chain ID'), 10),
+            nonce: field('Nonce'),
+            issuedAt: field('Issued At'),
+            expirationTime: field('Expiration Time')
+        };
+
+        if (!fields.uri || !fields.version || !fields.nonce || !fields.issuedAt || Number.isNaN(fields.chainId)) {
+            return null;
+        }
+
+        return fields;
+    }
+
+    /**
+     * Verify a signed challenge
+     * @param {string} message - The exact message that was signed
+     * @param {string} signature - Wallet signature over the message
+     * @param {Object} challenge - Stored challenge the message must match
+     */
+    verify(message, signature, challenge) {
+        const fields = this.parseMessage(message);
+        if (!fields) {
+            return { success: false, error: 'Malformed sign-in message' };
+        }
+
+        if (message !== challenge.message) {
+            return { success: false, error: 'Message does not match issued challenge' };
+        }
+
+        if (!this.isAllowedDomain(fields.domain)) {
+            return { success: false, error: 'Domain not allowed' };
+        }
+
+        if (fields.chainId !== this.chainId) {
+            return { success: false, error: 'Wrong chain ID' };
+        }
+
+        const now = Date.now();
+        if (new Date(fields.issuedAt).getTime() > now) {
+            return { success: false, error: 'Message issued in the future' };
+        }
+
+        if (fields.expirationTime && new Date(fields.expirationTime).getTime() <= now) {
+            return { success: false, error: 'Sign-in message expired' };
+        }
+
+        let recovered;
+        try {
+            recovered = ethers.verifyMessage(message, signature);
+        } catch (error) {
+            return { success: false, error: 'Invalid signature' };
+        }
+
+        if (recovered.toLowerCase() !== fields.address.toLowerCase()) {
+            return { success: false, error: 'Signature does not match address' };
+        }
+
+        return { success: true, address: recovered.toLowerCase(), fields };
+    }
+}
+
+module.exports = new SiweService();
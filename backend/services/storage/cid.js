@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// CIDv1 = <version 0x01><codec><multihash>, multihash = <0x12 sha2-256><length><digest>
+const CID_VERSION = 0x01;
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// RFC 4648 base32, lowercase and unpadded (multibase prefix 'b')
+const base32 = (bytes) => {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * CIDv1 (raw codec, sha2-256) of a buffer, e.g. bafkrei...
+ * Matches `ipfs add --cid-version 1 --raw-leaves` for content that fits in one chunk (256 KiB)
+ */
+const computeCid = (buffer) => {
+  const digest = crypto.createHash('sha256').update(buffer).digest();
+  return 'b' + base32(Buffer.concat([Buffer.from([CID_VERSION, RAW_CODEC, SHA2_256, digest.length]), digest]));
+};
+
+// CIDv0 (base58btc Qm...) or base32 CIDv1; also keeps CIDs safe to use as file names
+const isCid = (value) =>
+  typeof value === 'string' && (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(value) || /^b[a-z2-7]{50,}$/.test(value));
+
+module.exports = { computeCid, isCid };
@@ -0,0 +1,49 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+// Pins on a local Kubo (go-ipfs) node through its RPC API (`ipfs daemon`)
+class KuboProvider {
+  constructor({ apiUrl, gatewayUrl }) {
+    this.name = 'kubo';
+    this.apiUrl = apiUrl || 'http://127.0.0.1:5001';
+    this.gatewayUrl = gatewayUrl || 'http://127.0.0.1:8080/ipfs';
+  }
+
+  async add(buffer, fileName) {
+    const formData = new FormData();
+    formData.append('file', buffer, fileName);
+
+    const res = await axios.post(`${this.apiUrl}/api/v0/add`, formData, {
+      params: { 'cid-version': 1, pin: true },
+      maxBodyLength: Infinity,
+      headers: formData.getHeaders()
+    });
+    return res.data.Hash;
+  }
+
+  async unpin(cid) {
+    try {
+      await axios.post(`${this.apiUrl}/api/v0/pin/rm`, null, { params: { arg: cid } });
+    } catch (error) {
+      const message = error.response && error.response.data && error.response.data.Message;
+      if (message && message.includes('not pinned')) return;
+      throw error;
+    }
+    // Drop the now unpinned blocks so the content is actually gone from this node
+    await axios.post(`${this.apiUrl}/api/v0/repo/gc`, null);
+  }
+
+  async cat(cid) {
+    const res = await axios.post(`${this.apiUrl}/api/v0/cat`, null, {
+      params: { arg: cid },
+      responseType: 'arraybuffer'
+    });
+    return Buffer.from(res.data);
+  }
+
+  getUrl(cid) {
+    return `${this.gatewayUrl}/${cid}`;
+  }
+}
+
+module.exports = KuboProvider;
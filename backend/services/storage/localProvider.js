@@ -0,0 +1,56 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { computeCid, isCid } = require('./cid');
+
+// Content-addressed store on disk for offline development: each file is saved
+// under its CID, with a sidecar <cid>.json holding its name and size.
+// Served by GET /api/ipfs/content/:cid.
+class LocalProvider {
+  constructor({ directory, gatewayUrl }) {
+    this.name = 'local';
+    this.directory = directory;
+    this.gatewayUrl = gatewayUrl;
+  }
+
+  resolve(cid) {
+    if (!isCid(cid)) {
+      throw new Error(`Invalid CID: ${cid}`);
+    }
+    return path.join(this.directory, cid);
+  }
+
+  async add(buffer, fileName) {
+    const cid = computeCid(buffer);
+    const file = this.resolve(cid);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(file, buffer);
+    await fs.writeFile(`${file}.json`, JSON.stringify({
+      name: fileName,
+      size: buffer.length,
+      pinnedAt: new Date().toISOString()
+    }));
+    return cid;
+  }
+
+  async unpin(cid) {
+    const file = this.resolve(cid);
+    await fs.rm(file, { force: true });
+    await fs.rm(`${file}.json`, { force: true });
+  }
+
+  async cat(cid) {
+    return fs.readFile(this.resolve(cid));
+  }
+
+  async stat(cid) {
+    const metadata = await fs.readFile(`${this.resolve(cid)}.json`, 'utf8');
+    return JSON.parse(metadata);
+  }
+
+  getUrl(cid) {
+    return `${this.gatewayUrl}/${cid}`;
+  }
+}
+
+module.exports = LocalProvider;
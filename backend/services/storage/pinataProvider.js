@@ -0,0 +1,55 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+const PINATA_API = 'https://api.pinata.cloud';
+
+// Pins through Pinata's pinning API and reads through its public gateway
+class PinataProvider {
+  constructor({ apiKey, secretKey, gatewayUrl }) {
+    this.name = 'pinata';
+    this.gatewayUrl = gatewayUrl || 'https://gateway.pinata.cloud/ipfs';
+    this.headers = {
+      'pinata_api_key': apiKey,
+      'pinata_secret_api_key': secretKey
+    };
+  }
+
+  async add(buffer, fileName) {
+    const formData = new FormData();
+    formData.append('file', buffer, fileName);
+    formData.append('pinataMetadata', JSON.stringify({
+      name: fileName,
+      keyvalues: {
+        uploadedBy: 'de-medical',
+        timestamp: Date.now().toString()
+      }
+    }));
+
+    const res = await axios.post(`${PINATA_API}/pinning/pinFileToIPFS`, formData, {
+      maxBodyLength: Infinity,
+      headers: { ...formData.getHeaders(), ...this.headers }
+    });
+    return res.data.IpfsHash;
+  }
+
+  async unpin(cid) {
+    try {
+      await axios.delete(`${PINATA_API}/pinning/unpin/${cid}`, { headers: this.headers });
+    } catch (error) {
+      // Already unpinned (or never pinned by this account)
+      if (error.response && [400, 404].includes(error.response.status)) return;
+      throw error;
+    }
+  }
+
+  async cat(cid) {
+    const res = await axios.get(this.getUrl(cid), { responseType: 'arraybuffer' });
+    return Buffer.from(res.data);
+  }
+
+  getUrl(cid) {
+    return `${this.gatewayUrl}/${cid}`;
+  }
+}
+
+module.exports = PinataProvider;
@@ -0,0 +1,251 @@
+/**
+ * Vault Service
+ * Key registry and access grants for client-side encrypted documents.
+ * Browsers encrypt each file with a random AES-256-GCM key, pin only the
+ * ciphertext, and send that key wrapped once per authorized wallet (ECDH on
+ * secp256k1 with an ephemeral key, then AES-256-GCM). Plaintext keys never
+ * reach the server.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const ipfsService = require('./ipfsService');
+const VaultKey = require('../models/VaultKey');
+const VaultDocument = require('../models/VaultDocument');
+const Pool = require('../models/Pool');
+
+const HEX = /^0x[0-9a-fA-F]+$/;
+const GCM_IV_HEX_LENGTH = 2 + 12 * 2;
+const GCM_TAG_LENGTH = 16;
+
+/**
+ * AES-256-GCM decryption of WebCrypto output (ciphertext with the tag appended)
+ */
+const gcmDecrypt = (key, iv, data) => {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, ethers.getBytes(iv));
+    decipher.setAuthTag(data.subarray(data.length - GCM_TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(0, data.length - GCM_TAG_LENGTH)), decipher.final()]);
+};
+
+class VaultService {
+    constructor() {
+        // Lets the oracle open claim evidence it is granted; optional
+        const oracleKey = process.env.VAULT_ORACLE_PRIVATE_KEY;
+        this.oracleKey = oracleKey ? new ethers.SigningKey(oracleKey) : null;
+    }
+
+    /**
+     * The oracle as a grant recipient, or null when no oracle key is configured
+     */
+    getOracleRecipient() {
+        if (!this.oracleKey) return null;
+        return {
+            address: ethers.computeAddress(this.oracleKey.publicKey).toLowerCase(),
+            publicKey: this.oracleKey.compressedPublicKey,
+            role: 'ORACLE'
+        };
+    }
+
+    /**
+     * Decrypt a vault document the owner granted to the oracle, e.g. claim evidence
+     * checked by an attestation adapter. Mirrors unwrapKey/decryptFile in frontend/lib/vault.js.
+     * @param {string} cid - Document CID
+     * @returns {Promise<{success: boolean, data?: Buffer, fileName?: string, mimeType?: string, error?: string}>}
+     */
+    async openAsOracle(cid) {
+        const oracle = this.getOracleRecipient();
+        if (!oracle) {
+            return { success: false, error: 'VAULT_ORACLE_PRIVATE_KEY is not configured' };
+        }
+
+        const document = await VaultDocument.findOne({ cid });
+        const grant = document && this.getActiveGrant(document, oracle.address);
+        if (!grant) {
+            return { success: false, shared: false, error: 'Document is not shared with the oracle' };
+        }
+
+        const content = await ipfsService.getContent(cid);
+        if (!content.success) {
+            return { success: false, error: content.error };
+        }
+
+        try {
+            const { wrappedKey } = grant;
+            const sharedSecret = this.oracleKey.computeSharedSecret(wrappedKey.ephemeralPublicKey);
+            const wrappingKey = ethers.getBytes(ethers.sha256(ethers.dataSlice(sharedSecret, 1, 33)));
+            const rawKey = gcmDecrypt(wrappingKey, wrappedKey.iv, Buffer.from(ethers.getBytes(wrappedKey.ciphertext)));
+
+            await VaultDocument.updateOne(
+                { cid, 'grants.grantee': oracle.address },
+                { $set: { 'grants.$.lastAccessedAt': new Date() } }
+            );
+
+            return {
+                success: true,
+                data: gcmDecrypt(rawKey, document.iv, Buffer.from(content.data)),
+                fileName: document.fileName,
+                mimeType: document.mimeType
+            };
+        } catch (error) {
+            return { success: false, error: 'Document could not be decrypted with the oracle key' };
+        }
+    }
+
+    /**
+     * Validate a secp256k1 public key and return it compressed, or null if invalid
+     * @param {string} publicKey - Compressed or uncompressed hex public key
+     */
+    normalizePublicKey(publicKey) {
+        try {
+            return ethers.SigningKey.computePublicKey(publicKey, true);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Register (or rotate) a wallet's vault public key
+     * @param {string} address - Wallet address
+     * @param {string} publicKey - secp256k1 public key
+     */
+    async registerKey(address, publicKey) {
+        const normalized = this.normalizePublicKey(publicKey);
+        if (!normalized) {
+            return { success: false, error: 'Invalid vault public key' };
+        }
+
+        const key = await VaultKey.findOneAndUpdate(
+            { address: address.toLowerCase() },
+            { $set: { publicKey: normalized } },
+            { upsert: true, new: true }
+        );
+        return { success: true, key };
+    }
+
+    /**
+     * Vault keys of the given wallets and/or every member of a pool,
+     * plus the oracle, so a client can wrap a document key for all of them
+     * @param {Object} params
+     * @param {string[]} [params.addresses] - Wallet addresses
+     * @param {number} [params.poolId] - Include all members of this pool
+     */
+    async getRecipients({ addresses = [], poolId }) {
+        const wanted = new Set(addresses.map((address) => address.toLowerCase()));
+
+        if (poolId !== undefined) {
+            const pool = await Pool.findOne({ poolId }, 'members');
+            (pool ? pool.members : []).forEach((member) => wanted.add(member.address));
+        }
+
+        const keys = await VaultKey.find({ address: { $in: [...wanted] } }, 'address publicKey');
+        const registered = new Set(keys.map((key) => key.address));
+
+        return {
+            keys: keys.map((key) => ({ address: key.address, publicKey: key.publicKey })),
+            // Wallets that cannot be granted access until they unlock their vault once
+            missing: [...wanted].filter((address) => !registered.has(address)),
+            oracle: this.getOracleRecipient()
+        };
+    }
+
+    /**
+     * Check the shape of a wrapped document key
+     * @param {Object} wrappedKey - { ephemeralPublicKey, iv, ciphertext }
+     */
+    isValidWrappedKey(wrappedKey) {
+        return Boolean(
+            wrappedKey &&
+            this.normalizePublicKey(wrappedKey.ephemeralPublicKey) &&
+            HEX.test(wrappedKey.iv || '') && wrappedKey.iv.length === GCM_IV_HEX_LENGTH &&
+            HEX.test(wrappedKey.ciphertext || '')
+        );
+    }
+
+    /**
+     * Validate grant requests and stamp them with role and grantor
+     * @param {Array<{grantee: string, wrappedKey: Object}>} grants - Requested grants
+     * @param {string} owner - Document owner (lowercase)
+     */
+    normalizeGrants(grants, owner) {
+        if (!Array.isArray(grants) || grants.length === 0) {
+            return { success: false, error: 'At least one grant is required' };
+        }
+
+        const oracle = this.getOracleRecipient();
+        const byGrantee = new Map();
+
+        for (const grant of grants) {
+            if (!grant || !ethers.isAddress(grant.grantee)) {
+                return { success: false, error: 'Each grant needs a valid grantee address' };
+            }
+            if (!this.isValidWrappedKey(grant.wrappedKey)) {
+                return { success: false, error: `Invalid wrapped key for ${grant.grantee}` };
+            }
+
+            const grantee = grant.grantee.toLowerCase();
+            let role = 'VIEWER';
+            if (grantee === owner) role = 'OWNER';
+            else if (oracle && grantee === oracle.address) role = 'ORACLE';
+
+            byGrantee.set(grantee, {
+                grantee,
+                role,
+                wrappedKey: {
+                    ephemeralPublicKey: grant.wrappedKey.ephemeralPublicKey,
+                    iv: grant.wrappedKey.iv,
+                    ciphertext: grant.wrappedKey.ciphertext
+                },
+                grantedBy: owner,
+                grantedAt: new Date()
+            });
+        }
+
+        return { success: true, grants: [...byGrantee.values()] };
+    }
+
+    /**
+     * Active (not revoked) grant of a wallet on a document
+     * @param {Object} document - VaultDocument
+     * @param {string} address - Wallet address
+     */
+    getActiveGrant(document, address) {
+        const wallet = address.toLowerCase();
+        return document.grants.find((grant) => grant.grantee === wallet && !grant.revokedAt) || null;
+    }
+
+    /**
+     * Public view of a document: owners see every grant record, grantees only their own.
+     * Wrapped keys are never listed; they are fetched one at a time through the key endpoint.
+     * @param {Object} document - VaultDocument
+     * @param {string} viewer - Wallet address of the caller
+     */
+    serialize(document, viewer) {
+        const wallet = viewer.toLowerCase();
+        const isOwner = document.owner === wallet;
+
+        return {
+            cid: document.cid,
+            owner: document.owner,
+            fileName: document.fileName,
+            mimeType: document.mimeType,
+            size: document.size,
+            algorithm: document.algorithm,
+            iv: document.iv,
+            purpose: document.purpose,
+            poolId: document.poolId,
+            createdAt: document.createdAt,
+            grants: document.grants
+                .filter((grant) => isOwner || grant.grantee === wallet)
+                .map((grant) => ({
+                    grantee: grant.grantee,
+                    role: grant.role,
+                    grantedBy: grant.grantedBy,
+                    grantedAt: grant.grantedAt,
+                    revokedAt: grant.revokedAt,
+                    lastAccessedAt: grant.lastAccessedAt
+                }))
+        };
+    }
+}
+
+module.exports = new VaultService();
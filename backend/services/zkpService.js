@@ -1,39 +1,66 @@
 /**
  * Zero-Knowledge Proof Service
- * Handles ZKP generation and verification (simulation mode)
+ * Generates and verifies Groth16 proofs for the circuits in circuits/ with snarkjs.
+ * ZKP_SIMULATION_MODE (on unless set to 'false') returns mock proofs instead.
+ *
+ * The wasm, proving keys and verification keys are committed in circuits/artifacts
+ * (`npm run circuits`). They come from a single-party development setup and must be
+ * regenerated from a multi-party ceremony before production use.
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const snarkjs = require('snarkjs');
+
+const ARTIFACTS_DIR = process.env.ZKP_ARTIFACTS_DIR || path.join(__dirname, '..', '..', 'circuits', 'artifacts');
+
+// Circuit behind each proof type and its public signals in snarkjs order
+// (outputs first, then public inputs as declared)
+const CIRCUITS = {
+    CREDIT_SCORE_RANGE: {
+        name: 'credit_score_range',
+        signals: ['commitment', 'minThreshold', 'holder']
+    },
+    AGE_RANGE: {
+        name: 'age_range',
+        signals: ['commitment', 'currentDate', 'minAge', 'holder']
+    }
+};
+
 class ZKPService {
     constructor() {
         this.simulationMode = process.env.ZKP_SIMULATION_MODE !== 'false';
+        this.verificationKeys = {};
     }
 
     /**
      * Generate ZK proof for credit score range
-     * 
+     *
      * SIMULATION MODE: Returns mock proof
-     * PRODUCTION MODE: Would use snarkjs to generate real proof
-     * 
+     * PRODUCTION MODE: Groth16 proof of circuits/credit_score_range.circom
+     *
      * @param {number} actualScore - Actual credit score (private)
      * @param {number} minThreshold - Minimum threshold to prove (public)
+     * @param {string} holder - Wallet the proof is bound to (public)
+     * @param {string} [salt] - Salt of an earlier proof, to commit to the score the same way
      */
-    async generateCreditScoreProof(actualScore, minThreshold) {
+    async generateCreditScoreProof(actualScore, minThreshold, holder, salt) {
         if (this.simulationMode) {
             return this._simulateCreditScoreProof(actualScore, minThreshold);
         }
 
-        // PRODUCTION IMPLEMENTATION:
-        // const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-        //     {
-        //         creditScore: actualScore,      // Private input
-        //         minThreshold: minThreshold     // Public input
-        //     },
-        //     'circuits/credit_score_range.wasm',
-        //     'circuits/credit_score_0000.zkey'
-        // );
-        // return { proof, publicSignals };
-
-        throw new Error('Production ZKP not implemented. Use simulation mode.');
+        // The circuit has no witness for a failing score, so there is nothing to prove
+        if (actualScore < minThreshold) {
+            return { proofType: 'CREDIT_SCORE_RANGE', isValid: false, error: 'Credit score is below the threshold' };
+        }
+
+        return this._prove('CREDIT_SCORE_RANGE', {
+            creditScore: actualScore,
+            minThreshold,
+            holder: this._holderSignal(holder)
+        }, salt);
     }
 
     /**
@@ -46,7 +73,8 @@ class ZKPService {
 
         return {
             proofType: 'CREDIT_SCORE_RANGE',
-            proofHash: `0x${Buffer.from(`proof_${actualScore}_${minThreshold}_${Date.now()}`).toString('hex').slice(0, 64)}`,
+            // bytes32, so it can be submitted to ZKPVerifier.submitProof
+            proofHash: ethers.id(`proof_${actualScore}_${minThreshold}_${Date.now()}`),
             metadata: JSON.stringify({
                 minThreshold,
                 meetsThreshold,
@@ -60,15 +88,22 @@ class ZKPService {
 
     /**
      * Generate ZK proof for age range
+     *
+     * PRODUCTION MODE: Groth16 proof of circuits/age_range.circom against today's
+     * date (UTC), which becomes a public signal verifiers should check for freshness
+     *
+     * @param {string|Date} birthdate - Date of birth (private)
+     * @param {number} minAge - Minimum age to prove (public)
+     * @param {string} holder - Wallet the proof is bound to (public)
      */
-    async generateAgeProof(birthdate, minAge) {
+    async generateAgeProof(birthdate, minAge, holder) {
         if (this.simulationMode) {
             const age = this._calculateAge(birthdate);
             const meetsThreshold = age >= minAge;
 
             return {
                 proofType: 'AGE_RANGE',
-                proofHash: `0x${Buffer.from(`age_proof_${Date.now()}`).toString('hex').slice(0, 64)}`,
+                proofHash: ethers.id(`age_proof_${Date.now()}`),
                 metadata: JSON.stringify({
                     minAge,
                     meetsThreshold,
@@ -80,27 +115,128 @@ class ZKPService {
             };
         }
 
-        throw new Error('Production ZKP not implemented');
+        const birthDate = this._toDateNumber(new Date(birthdate));
+        const currentDate = this._toDateNumber(new Date());
+        if (birthDate + minAge * 10000 > currentDate) {
+            return { proofType: 'AGE_RANGE', isValid: false, error: 'Age is below the minimum' };
+        }
+
+        return this._prove('AGE_RANGE', {
+            birthDate,
+            currentDate,
+            minAge,
+            holder: this._holderSignal(holder)
+        });
     }
 
     /**
-     * Verify a ZK proof (simulation)
+     * Verify a ZK proof
+     *
+     * Groth16 proofs ({ proofType, proof, publicSignals }) are always checked against
+     * the circuit's verification key. Simulated proofs are only accepted in simulation mode.
      */
     async verifyProof(proofData) {
+        if (proofData && proofData.proof && proofData.publicSignals) {
+            return this._verifyGroth16(proofData);
+        }
+
         if (this.simulationMode) {
             // In simulation, just check if proof exists and has valid format
             return proofData && proofData.proofHash && proofData.proofHash.startsWith('0x');
         }
 
-        // PRODUCTION IMPLEMENTATION:
-        // const isValid = await snarkjs.groth16.verify(
-        //     verificationKey,
-        //     proofData.publicSignals,
-        //     proofData.proof
-        // );
-        // return isValid;
+        return false;
+    }
+
+    /**
+     * Name the public signals of a proof, e.g. { commitment, minThreshold, holder }
+     * @param {string} proofType - CREDIT_SCORE_RANGE or AGE_RANGE
+     * @param {Array<string>} publicSignals - snarkjs public signals
+     */
+    decodePublicSignals(proofType, publicSignals) {
+        const circuit = CIRCUITS[proofType];
+        if (!circuit) {
+            throw new Error(`No circuit for proof type ${proofType}`);
+        }
 
-        throw new Error('Production ZKP verification not implemented');
+        return Object.fromEntries(circuit.signals.map((signal, index) => {
+            const value = BigInt(publicSignals[index]);
+            if (signal === 'commitment') return [signal, value.toString()];
+            if (signal === 'holder') return [signal, ethers.getAddress(ethers.toBeHex(value, 20))];
+            return [signal, Number(value)];
+        }));
+    }
+
+    /**
+     * Run the circuit for proofType with the given or a fresh commitment salt
+     */
+    async _prove(proofType, inputs, salt = BigInt(`0x${crypto.randomBytes(31).toString('hex')}`).toString()) {
+        const circuit = CIRCUITS[proofType];
+        // The salt opens the commitment; it is returned to the caller, never published
+
+        const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+            { ...inputs, salt },
+            path.join(ARTIFACTS_DIR, `${circuit.name}.wasm`),
+            path.join(ARTIFACTS_DIR, `${circuit.name}.zkey`)
+        );
+
+        // Arguments for an on-chain Groth16 verifier (e.g. ZKPVerifier.submitCreditScoreProof)
+        const [a, b, c, input] = JSON.parse(`[${await snarkjs.groth16.exportSolidityCallData(proof, publicSignals)}]`);
+        const proofHash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ['uint256[2]', 'uint256[2][2]', 'uint256[2]', `uint256[${input.length}]`],
+            [a, b, c, input]
+        ));
+
+        return {
+            proofType,
+            proof,
+            publicSignals,
+            publicInputs: this.decodePublicSignals(proofType, publicSignals),
+            calldata: { a, b, c, input },
+            proofHash,
+            salt,
+            isValid: true,
+            simulation: false
+        };
+    }
+
+    async _verifyGroth16({ proofType, proof, publicSignals }) {
+        const circuit = CIRCUITS[proofType];
+        if (!circuit || !Array.isArray(publicSignals) || publicSignals.length !== circuit.signals.length) {
+            return false;
+        }
+
+        try {
+            return await snarkjs.groth16.verify(this._verificationKey(proofType), publicSignals, proof);
+        } catch (error) {
+            // Malformed proof points
+            return false;
+        }
+    }
+
+    _verificationKey(proofType) {
+        if (!this.verificationKeys[proofType]) {
+            const file = path.join(ARTIFACTS_DIR, `${CIRCUITS[proofType].name}.vkey.json`);
+            this.verificationKeys[proofType] = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+        return this.verificationKeys[proofType];
+    }
+
+    _holderSignal(holder) {
+        if (!ethers.isAddress(holder)) {
+            throw new Error('A holder wallet address is required for production proofs');
+        }
+        return BigInt(holder).toString();
+    }
+
+    /**
+     * Date as the YYYYMMDD number the age circuit compares (UTC)
+     */
+    _toDateNumber(date) {
+        if (Number.isNaN(date.getTime())) {
+            throw new Error('Invalid date');
+        }
+        return date.getUTCFullYear() * 10000 + (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
     }
 
     /**
@@ -111,62 +247,12 @@ class ZKPService {
         const birth = new Date(birthdate);
         let age = today.getFullYear() - birth.getFullYear();
         const monthDiff = today.getMonth() - birth.getMonth();
-        
+
         if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) {
             age--;
         }
-        
-        return age;
-    }
-
-    /**
-     * Production ZKP implementation guide
-     */
-    getProductionGuide() {
-        return {
-            message: 'Production ZKP requires CircomLib and snarkjs',
-            dependencies: [
-                'npm install snarkjs',
-                'npm install circomlib',
-                'npm install -g circom'
-            ],
-            circuitExample: `
-pragma circom 2.0.0;
-
-include "circomlib/comparators.circom";
-
-template CreditScoreRange() {
-    signal input creditScore;      // Private input (hidden)
-    signal input minThreshold;     // Public input (visible)
-    signal output result;
-
-    component isGte = GreaterEqThan(10);
-    isGte.in[0] <== creditScore;
-    isGte.in[1] <== minThreshold;
-    result <== isGte.out;
-}
 
-component main = CreditScoreRange();
-            `,
-            setupCommands: [
-                'circom credit_score_range.circom --r1cs --wasm --sym',
-                'snarkjs groth16 setup credit_score_range.r1cs pot12_final.ptau credit_score_0000.zkey',
-                'snarkjs zkey export verificationkey credit_score_0000.zkey verification_key.json',
-                'snarkjs zkey export solidityverifier credit_score_0000.zkey CreditScoreVerifier.sol'
-            ],
-            frontendExample: `
-import { groth16 } from 'snarkjs';
-
-async function generateProof(creditScore, minThreshold) {
-    const { proof, publicSignals } = await groth16.fullProve(
-        { creditScore, minThreshold },
-        '/circuits/credit_score_range.wasm',
-        '/circuits/credit_score_0000.zkey'
-    );
-    return { proof, publicSignals };
-}
-            `
-        };
+        return age;
     }
 }
 
@@ -0,0 +1,43 @@
+pragma circom 2.1.6;
+
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/poseidon.circom";
+
+// Proves the holder is at least minAge years old on currentDate without revealing
+// the birth date. Dates are YYYYMMDD integers, so turning minAge on the birthday is
+// birthDate + minAge * 10000 <= currentDate.
+//
+// Public signals (snarkjs order): [commitment, currentDate, minAge, holder]
+template AgeRange() {
+    signal input birthDate;     // private, YYYYMMDD
+    signal input salt;          // private
+    signal input currentDate;   // public, YYYYMMDD
+    signal input minAge;        // public
+    signal input holder;        // public
+
+    signal output commitment;
+
+    // 99991231 < 2^27; ages up to 255 keep the sum below 2^27 as well
+    component birthBits = Num2Bits(27);
+    birthBits.in <== birthDate;
+    component currentBits = Num2Bits(27);
+    currentBits.in <== currentDate;
+    component ageBits = Num2Bits(8);
+    ageBits.in <== minAge;
+
+    component lte = LessEqThan(27);
+    lte.in[0] <== birthDate + minAge * 10000;
+    lte.in[1] <== currentDate;
+    lte.out === 1;
+
+    component hash = Poseidon(2);
+    hash.inputs[0] <== birthDate;
+    hash.inputs[1] <== salt;
+    commitment <== hash.out;
+
+    signal holderSquare;
+    holderSquare <== holder * holder;
+}
+
+component main {public [currentDate, minAge, holder]} = AgeRange();
@@ -0,0 +1,45 @@
+pragma circom 2.1.6;
+
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/poseidon.circom";
+
+// Proves creditScore >= minThreshold without revealing the score.
+//
+// Public signals (snarkjs order): [commitment, minThreshold, holder]
+//   commitment   - Poseidon(creditScore, salt), lets a later proof refer to the same score.
+//                  The circuit cannot tell a real score from a made-up one: ZKPVerifier only
+//                  accepts commitments a trusted prover attested for the holder's CreditScore score
+//   minThreshold - threshold being proven
+//   holder       - wallet the proof is issued to, so it cannot be replayed by another account
+template CreditScoreRange(n) {
+    signal input creditScore;   // private
+    signal input salt;          // private
+    signal input minThreshold;  // public
+    signal input holder;        // public
+
+    signal output commitment;
+
+    // The comparator is only sound for n-bit inputs
+    component scoreBits = Num2Bits(n);
+    scoreBits.in <== creditScore;
+    component thresholdBits = Num2Bits(n);
+    thresholdBits.in <== minThreshold;
+
+    component gte = GreaterEqThan(n);
+    gte.in[0] <== creditScore;
+    gte.in[1] <== minThreshold;
+    gte.out === 1;
+
+    component hash = Poseidon(2);
+    hash.inputs[0] <== creditScore;
+    hash.inputs[1] <== salt;
+    commitment <== hash.out;
+
+    // Constrain holder so it stays part of the proof
+    signal holderSquare;
+    holderSquare <== holder * holder;
+}
+
+// Scores are at most CreditScore.MAX_SCORE (900) < 2^10
+component main {public [minThreshold, holder]} = CreditScoreRange(10);
@@ -212,21 +212,25 @@ contract ClaimOracle is Ownable {
     }
     
     /**
-     * @dev Chainlink oracle callback (stub for production)
-     * NOTE: In production, this would be called by Chainlink oracle
+     * @dev Record an oracle's answer to a Chainlink request
+     * NOTE: Sent by the backend from an authorized verifier key once a registered
+     * oracle node's signed callback has been checked
      */
     function fulfillVerification(
         bytes32 _requestId,
         bool _isVerified,
         string memory _proof
     ) external {
-        // STUB: In production, add Chainlink oracle verification
-        // require(msg.sender == chainlinkOracleAddress, "Only oracle can fulfill");
+        require(
+            authorizedVerifiers[msg.sender] || msg.sender == owner(),
+            "Not authorized to fulfill"
+        );
         
         uint256 claimId = oracleRequestToClaim[_requestId];
         require(claimId > 0, "Invalid request ID");
         
         ClaimVerification storage verification = verifications[claimId];
+        require(verification.status == VerificationStatus.VERIFYING, "Already verified");
         
         verification.status = _isVerified ? VerificationStatus.VERIFIED : VerificationStatus.REJECTED;
         verification.verifiedAt = block.timestamp;
@@ -97,13 +97,14 @@ contract CreditScore is ReentrancyGuard {
         // Factor 1: Loan repayment rate (40% weight)
         if (credit.totalLoans > 0) {
             uint256 repaymentRate = (credit.repaidLoans * 100) / credit.totalLoans;
-            score += (repaymentRate * 400) / 100 - 200;
+            // Add before subtracting: a rate below 50% lowers the score instead of underflowing
+            score = score + (repaymentRate * 400) / 100 - 200;
         }
         
         // Factor 2: Payment punctuality (30% weight)
         if (credit.totalPayments > 0) {
             uint256 punctualityRate = ((credit.totalPayments - credit.latePayments) * 100) / credit.totalPayments;
-            score += (punctualityRate * 300) / 100 - 150;
+            score = score + (punctualityRate * 300) / 100 - 150;
         }
         
         // Factor 3: Credit history length (20% weight)
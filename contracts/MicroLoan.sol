@@ -43,9 +43,17 @@ contract MicroLoan is ReentrancyGuard {
     
     enum LoanStatus { PENDING, ACTIVE, REPAID, DEFAULTED, LIQUIDATED }
     
+    // A co-signer's consent to back one loan for a borrower, within these terms
+    struct CoSignerApproval {
+        uint256 maxAmount;
+        uint256 maxDuration; // In days
+        uint256 expiresAt;
+    }
+    
     mapping(uint256 => Loan) public loans;
     mapping(address => uint256[]) public borrowerLoans;
     mapping(address => uint256[]) public coSignerLoans;
+    mapping(address => mapping(address => CoSignerApproval)) public coSignerApprovals; // co-signer => borrower
     mapping(address => bool) public blacklistedFromPoolLoans;
     
     uint256 public loanCount;
@@ -54,6 +62,7 @@ contract MicroLoan is ReentrancyGuard {
     uint256 public constant MIN_LOAN_AMOUNT = 0.01 ether;
     uint256 public constant COLLATERAL_RATIO = 50; // 50% collateral required
     uint256 public constant GRACE_PERIOD = 7 days;
+    uint256 public constant INSTALLMENT_PERIOD = 30 days; // Repayment schedule: one installment per period
     uint256 public poolBalance;
     
     event LoanRequested(uint256 indexed loanId, address indexed borrower, uint256 amount, LoanType loanType);
@@ -63,6 +72,9 @@ contract MicroLoan is ReentrancyGuard {
     event LoanDefaulted(uint256 indexed loanId);
     event CollateralSeized(uint256 indexed loanId, uint256 amount);
     event CoSignerCalled(uint256 indexed loanId, address indexed coSigner, uint256 amount);
+    event CoSignerApproved(address indexed coSigner, address indexed borrower, uint256 maxAmount, uint256 maxDuration, uint256 expiresAt);
+    event CoSignerApprovalRevoked(address indexed coSigner, address indexed borrower);
+    event CoSignerPayment(uint256 indexed loanId, address indexed coSigner, uint256 amount);
     event InsurancePoolClaimed(uint256 indexed loanId, uint256 amount);
     event PoolFunded(address indexed funder, uint256 amount);
     
@@ -101,6 +113,32 @@ contract MicroLoan is ReentrancyGuard {
     }
     
     // 3. CO-SIGNED LOAN
+    // Co-signer consents first: they become liable for the remaining balance if the loan defaults
+    function approveCoSigning(
+        address _borrower,
+        uint256 _maxAmount,
+        uint256 _maxDuration,
+        uint256 _expiresAt
+    ) external {
+        require(_borrower != address(0) && _borrower != msg.sender, "Invalid borrower");
+        require(_maxAmount > 0 && _maxDuration > 0, "Invalid terms");
+        require(_expiresAt > block.timestamp, "Approval already expired");
+        
+        coSignerApprovals[msg.sender][_borrower] = CoSignerApproval({
+            maxAmount: _maxAmount,
+            maxDuration: _maxDuration,
+            expiresAt: _expiresAt
+        });
+        
+        emit CoSignerApproved(msg.sender, _borrower, _maxAmount, _maxDuration, _expiresAt);
+    }
+    
+    function revokeCoSigning(address _borrower) external {
+        require(coSignerApprovals[msg.sender][_borrower].expiresAt > 0, "No approval");
+        delete coSignerApprovals[msg.sender][_borrower];
+        emit CoSignerApprovalRevoked(msg.sender, _borrower);
+    }
+    
     function requestCoSignedLoan(
         uint256 _amount,
         uint256 _duration,
@@ -114,6 +152,12 @@ contract MicroLoan is ReentrancyGuard {
         uint256 coSignerScore = creditScore.getCreditScore(_coSigner);
         require(coSignerScore >= 600, "Co-signer credit score too low");
         
+        // Each approval backs a single loan
+        CoSignerApproval memory approval = coSignerApprovals[_coSigner][msg.sender];
+        require(approval.expiresAt >= block.timestamp, "Co-signer has not approved");
+        require(_amount <= approval.maxAmount && _duration <= approval.maxDuration, "Exceeds co-signer approval");
+        delete coSignerApprovals[_coSigner][msg.sender];
+        
         return _createLoan(_amount, _duration, _purpose, _ipfsHash, LoanType.COSIGNED, _coSigner, 0);
     }
     
@@ -246,11 +290,12 @@ contract MicroLoan is ReentrancyGuard {
         
         require(msg.value <= remaining, "Overpayment");
         
+        // On time when the earliest installment not yet covered is not past due
+        bool onTime = block.timestamp <= _nextInstallmentDueDate(_loanId, totalOwed);
+        
         loan.amountRepaid += msg.value;
         poolBalance += msg.value;
         
-        bool onTime = block.timestamp <= loan.dueDate;
-        
         emit LoanRepayment(_loanId, msg.sender, msg.value);
         
         // Record payment for credit score
@@ -342,6 +387,8 @@ contract MicroLoan is ReentrancyGuard {
         if (loan.coSignerLiability == 0) {
             loan.status = LoanStatus.REPAID;
         }
+        
+        emit CoSignerPayment(_loanId, msg.sender, payment);
     }
     
     function _claimInsurance(uint256 _loanId) internal {
@@ -383,6 +430,48 @@ contract MicroLoan is ReentrancyGuard {
         return loan.principal + interest;
     }
     
+    function getInstallmentCount(uint256 _loanId) public view returns (uint256) {
+        return (loans[_loanId].duration * 1 days + INSTALLMENT_PERIOD - 1) / INSTALLMENT_PERIOD;
+    }
+    
+    /**
+     * @dev Total owed split into equal installments, one per INSTALLMENT_PERIOD from the
+     * loan's start, the last one on its due date. amountsDue are cumulative.
+     */
+    function getRepaymentSchedule(uint256 _loanId) external view returns (
+        uint256[] memory dueDates,
+        uint256[] memory amountsDue
+    ) {
+        Loan storage loan = loans[_loanId];
+        if (loan.startTime == 0) {
+            return (dueDates, amountsDue);
+        }
+        
+        uint256 count = getInstallmentCount(_loanId);
+        uint256 totalOwed = calculateTotalOwed(_loanId);
+        dueDates = new uint256[](count);
+        amountsDue = new uint256[](count);
+        
+        for (uint256 i = 1; i < count; i++) {
+            dueDates[i - 1] = loan.startTime + i * INSTALLMENT_PERIOD;
+            amountsDue[i - 1] = (totalOwed * i) / count;
+        }
+        dueDates[count - 1] = loan.dueDate;
+        amountsDue[count - 1] = totalOwed;
+    }
+    
+    function _nextInstallmentDueDate(uint256 _loanId, uint256 _totalOwed) internal view returns (uint256) {
+        Loan storage loan = loans[_loanId];
+        uint256 count = getInstallmentCount(_loanId);
+        
+        for (uint256 i = 1; i < count; i++) {
+            if (loan.amountRepaid < (_totalOwed * i) / count) {
+                return loan.startTime + i * INSTALLMENT_PERIOD;
+            }
+        }
+        return loan.dueDate;
+    }
+    
     function getLoanInfo(uint256 _loanId) external view returns (Loan memory) {
         return loans[_loanId];
     }
@@ -18,25 +18,45 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  * - Actual score (e.g., 750) never revealed on-chain or to verifier
  * 
  * IMPLEMENTATION STATUS:
- * - This is a STUB/INTERFACE for future ZKP integration
- * - Production implementation requires:
- *   1. Circom circuit design (zk-SNARK circuits)
- *   2. snarkjs library for proof generation
- *   3. Verifier contract generated from circuit
- *   4. Frontend integration for proof generation
- * 
- * CURRENT MODE: Simulation + Research Framework
- * - Provides API for ZKP operations
- * - Simulates proof verification for development
- * - Documents requirements for production ZKP
+ * - CREDIT_SCORE_RANGE: Groth16 proofs of circuits/credit_score_range.circom are
+ *   checked on-chain by the generated CreditScoreRangeVerifier (submitCreditScoreProof).
+ *   The circuit cannot see CreditScore, so the committed score is tied to it by a trusted
+ *   prover that reads the holder's score and attests its commitment (attestScoreCommitment)
+ * - Other proof types: simulation, trusted provers vouch for submitted proof hashes
+ *
+ * Circuits, proving keys and the verifier are built with `npm run circuits`
+ * (scripts/build_circuits.js). The committed keys come from a single-party
+ * development setup and must be replaced after a ceremony before mainnet use.
  */
+interface ICreditScoreRangeVerifier {
+    function verifyProof(
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[3] calldata _pubSignals
+    ) external view returns (bool);
+}
+
+interface ICreditScore {
+    function creditScores(address _user) external view returns (
+        uint256 score,
+        uint256 totalLoans,
+        uint256 repaidLoans,
+        uint256 defaultedLoans,
+        uint256 totalPayments,
+        uint256 latePayments,
+        uint256 lastUpdated
+    );
+}
+
 contract ZKPVerifier is Ownable {
     
     enum ProofType {
         CREDIT_SCORE_RANGE,    // Prove credit score is in range
         AGE_RANGE,             // Prove age is above/below threshold
         MEDICAL_CONDITION,     // Prove presence/absence of condition
-        INCOME_RANGE           // Prove income is in range
+        INCOME_RANGE,          // Prove income is in range
+        NO_RECENT_DEFAULTS     // Attest no loan defaults within a window (trusted prover)
     }
     
     enum VerificationResult {
@@ -63,6 +83,28 @@ contract ZKPVerifier is Ownable {
     // Trusted proof generators (for simulation mode)
     mapping(address => bool) public trustedProvers;
     
+    // What a cryptographically verified credit score proof established.
+    // Public signals of credit_score_range.circom: [commitment, minThreshold, holder]
+    struct CreditScoreClaim {
+        bool snarkVerified;
+        uint256 minThreshold;
+        uint256 commitment;    // Poseidon(creditScore, salt)
+    }
+    
+    ICreditScoreRangeVerifier public creditScoreVerifier;
+    mapping(uint256 => CreditScoreClaim) public creditScoreClaims;
+    mapping(bytes32 => bool) public usedProofs;
+    
+    // Commitment to a holder's actual CreditScore score, attested by a trusted prover.
+    // Only valid while the score is unchanged (CreditScore lastUpdated at attestation).
+    struct ScoreCommitment {
+        uint256 commitment;    // Poseidon(creditScore, salt)
+        uint256 scoreUpdatedAt;
+    }
+    
+    ICreditScore public creditScore;
+    mapping(address => ScoreCommitment) public scoreCommitments;
+    
     // Settings
     bool public simulationMode = true;
     
@@ -78,6 +120,15 @@ contract ZKPVerifier is Ownable {
     );
     event TrustedProverAdded(address indexed prover);
     event TrustedProverRemoved(address indexed prover);
+    event CreditScoreVerifierUpdated(address indexed verifier);
+    event CreditScoreUpdated(address indexed creditScore);
+    event ScoreCommitmentAttested(address indexed holder, uint256 commitment, address indexed attester);
+    event CreditScoreRangeProven(
+        uint256 indexed proofId,
+        address indexed prover,
+        uint256 minThreshold,
+        uint256 commitment
+    );
     
     constructor() Ownable(msg.sender) {
         trustedProvers[msg.sender] = true;
@@ -106,6 +157,41 @@ contract ZKPVerifier is Ownable {
         emit TrustedProverRemoved(_prover);
     }
     
+    /**
+     * @dev Set the Groth16 verifier generated from credit_score_range.circom
+     */
+    function setCreditScoreVerifier(address _verifier) external onlyOwner {
+        require(_verifier != address(0), "Invalid verifier");
+        creditScoreVerifier = ICreditScoreRangeVerifier(_verifier);
+        emit CreditScoreVerifierUpdated(_verifier);
+    }
+    
+    /**
+     * @dev Set the CreditScore contract whose scores credit score proofs are about
+     */
+    function setCreditScore(address _creditScore) external onlyOwner {
+        require(_creditScore != address(0), "Invalid credit score contract");
+        creditScore = ICreditScore(_creditScore);
+        emit CreditScoreUpdated(_creditScore);
+    }
+    
+    /**
+     * @dev Attest that _commitment is Poseidon(score, salt) of _holder's CreditScore score as of
+     * its update at _scoreUpdatedAt, which must still be the latest. Replaces the holder's
+     * previous commitment.
+     */
+    function attestScoreCommitment(address _holder, uint256 _commitment, uint256 _scoreUpdatedAt) external {
+        require(msg.sender == owner() || trustedProvers[msg.sender], "Only owner/trusted can attest");
+        require(address(creditScore) != address(0), "Credit score contract not set");
+        require(_holder != address(0) && _commitment != 0, "Invalid commitment");
+        
+        (, , , , , , uint256 lastUpdated) = creditScore.creditScores(_holder);
+        require(lastUpdated == _scoreUpdatedAt, "Credit score changed since it was read");
+        scoreCommitments[_holder] = ScoreCommitment({ commitment: _commitment, scoreUpdatedAt: lastUpdated });
+        
+        emit ScoreCommitmentAttested(_holder, _commitment, msg.sender);
+    }
+    
     /**
      * @dev Submit a zero-knowledge proof for verification
      * 
@@ -113,10 +199,8 @@ contract ZKPVerifier is Ownable {
      * - Accepts any proof from trusted provers
      * - Automatically verifies as true
      * 
-     * PRODUCTION MODE (future):
-     * - Would verify actual zk-SNARK proof
-     * - Use snarkjs verifier contract
-     * - Cryptographically validate proof
+     * Credit score range proofs can instead be verified cryptographically
+     * with submitCreditScoreProof.
      * 
      * @param _proofType Type of proof being submitted
      * @param _proofHash Hash of the ZK proof data
@@ -157,19 +241,6 @@ contract ZKPVerifier is Ownable {
      * 
      * SIMULATION: Accepts proof if prover is trusted
      * 
-     * PRODUCTION (future implementation):
-     * ```solidity
-     * function verifyProof(
-     *     uint[2] memory a,
-     *     uint[2][2] memory b,
-     *     uint[2] memory c,
-     *     uint[1] memory input  // Public input: min credit score threshold
-     * ) public view returns (bool) {
-     *     // Generated by snarkjs from circom circuit
-     *     return verifier.verifyProof(a, b, c, input);
-     * }
-     * ```
-     * 
      * @param _proofId ID of the proof to verify
      * @param _isValid Whether the proof is valid (for simulation)
      */
@@ -180,11 +251,60 @@ contract ZKPVerifier is Ownable {
                 "Only owner/trusted can verify in simulation"
             );
         }
-        // In production, this would verify actual zk-SNARK proof
-        
         _verifyProof(_proofId, _isValid);
     }
     
+    /**
+     * @dev Submit a Groth16 proof that the caller's credit score is at least a threshold.
+     * Arguments are snarkjs' exportSolidityCallData output for credit_score_range.circom.
+     * The proof is recorded as VERIFIED only if the generated verifier accepts it and its
+     * commitment is the one attested for the caller's current score.
+     */
+    function submitCreditScoreProof(
+        uint256[2] calldata _pA,
+        uint256[2][2] calldata _pB,
+        uint256[2] calldata _pC,
+        uint256[3] calldata _pubSignals
+    ) external returns (uint256) {
+        require(address(creditScoreVerifier) != address(0), "Credit score verifier not set");
+        require(_pubSignals[2] == uint256(uint160(msg.sender)), "Proof issued to another address");
+        
+        // The circuit only proves something about the committed score; the attestation says it is the real one
+        ScoreCommitment storage attested = scoreCommitments[msg.sender];
+        require(attested.commitment != 0 && attested.commitment == _pubSignals[0], "Score commitment not attested");
+        (, , , , , , uint256 lastUpdated) = creditScore.creditScores(msg.sender);
+        require(lastUpdated == attested.scoreUpdatedAt, "Credit score changed since attestation");
+        
+        bytes32 proofHash = keccak256(abi.encode(_pA, _pB, _pC, _pubSignals));
+        require(!usedProofs[proofHash], "Proof already submitted");
+        require(creditScoreVerifier.verifyProof(_pA, _pB, _pC, _pubSignals), "Invalid proof");
+        usedProofs[proofHash] = true;
+        
+        proofCount++;
+        
+        proofs[proofCount] = Proof({
+            proofId: proofCount,
+            prover: msg.sender,
+            proofType: ProofType.CREDIT_SCORE_RANGE,
+            result: VerificationResult.VERIFIED,
+            submittedAt: block.timestamp,
+            verifiedAt: block.timestamp,
+            proofHash: proofHash,
+            metadata: ""
+        });
+        creditScoreClaims[proofCount] = CreditScoreClaim({
+            snarkVerified: true,
+            minThreshold: _pubSignals[1],
+            commitment: _pubSignals[0]
+        });
+        
+        emit ProofSubmitted(proofCount, msg.sender, ProofType.CREDIT_SCORE_RANGE);
+        emit ProofVerified(proofCount, VerificationResult.VERIFIED);
+        emit CreditScoreRangeProven(proofCount, msg.sender, _pubSignals[1], _pubSignals[0]);
+        
+        return proofCount;
+    }
+    
     /**
      * @dev Internal proof verification
      */
@@ -242,68 +362,25 @@ contract ZKPVerifier is Ownable {
     /**
      * @dev Verify credit score range without revealing exact score
      * 
-     * PRODUCTION IMPLEMENTATION GUIDE:
-     * 
-     * 1. CIRCOM CIRCUIT (credit_score_range.circom):
-     * ```
-     * pragma circom 2.0.0;
-     * 
-     * template CreditScoreRange() {
-     *     signal input creditScore;      // Private input (hidden)
-     *     signal input minThreshold;     // Public input (visible)
-     *     signal output result;
-     * 
-     *     // Constraint: creditScore >= minThreshold
-     *     component isGte = GreaterEqThan(10);
-     *     isGte.in[0] <== creditScore;
-     *     isGte.in[1] <== minThreshold;
-     *     result <== isGte.out;
-     * }
-     * ```
-     * 
-     * 2. GENERATE VERIFIER:
-     * ```bash
-     * circom credit_score_range.circom --r1cs --wasm --sym
-     * snarkjs groth16 setup credit_score_range.r1cs pot12_final.ptau credit_score_0000.zkey
-     * snarkjs zkey export verificationkey credit_score_0000.zkey verification_key.json
-     * snarkjs zkey export solidityverifier credit_score_0000.zkey CreditScoreVerifier.sol
-     * ```
-     * 
-     * 3. FRONTEND PROOF GENERATION (JavaScript):
-     * ```javascript
-     * import { groth16 } from 'snarkjs';
-     * 
-     * async function generateCreditScoreProof(actualScore, minThreshold) {
-     *     const input = {
-     *         creditScore: actualScore,      // Private (e.g., 750)
-     *         minThreshold: minThreshold     // Public (e.g., 600)
-     *     };
-     * 
-     *     const { proof, publicSignals } = await groth16.fullProve(
-     *         input,
-     *         'credit_score_range.wasm',
-     *         'credit_score_0000.zkey'
-     *     );
-     * 
-     *     // Submit proof to smart contract
-     *     await zkpVerifier.verifyCreditScoreProof(proof, publicSignals);
-     * }
-     * ```
+     * True if the user has a Groth16-verified proof (submitCreditScoreProof) for
+     * _minThreshold or higher. While simulation mode is on, any verified simulated
+     * CREDIT_SCORE_RANGE proof also counts since those carry no threshold.
      */
     function verifyCreditScoreRange(
         address _user,
         uint256 _minThreshold
     ) external view returns (bool) {
-        // STUB: In production, would verify zk-SNARK proof
-        // For now, just check if user has any verified CREDIT_SCORE_RANGE proof
-        
         for (uint256 i = 1; i <= proofCount; i++) {
             if (
-                proofs[i].prover == _user &&
-                proofs[i].proofType == ProofType.CREDIT_SCORE_RANGE &&
-                proofs[i].result == VerificationResult.VERIFIED
+                proofs[i].prover != _user ||
+                proofs[i].proofType != ProofType.CREDIT_SCORE_RANGE ||
+                proofs[i].result != VerificationResult.VERIFIED
             ) {
-                // In production, would also verify the threshold matches
+                continue;
+            }
+            
+            CreditScoreClaim storage claim = creditScoreClaims[i];
+            if (claim.snarkVerified ? claim.minThreshold >= _minThreshold : simulationMode) {
                 return true;
             }
         }
@@ -312,18 +389,16 @@ contract ZKPVerifier is Ownable {
     }
     
     /**
-     * @dev Documentation: Required libraries for production ZKP
+     * @dev Documentation: ZKP toolchain
      * 
-     * DEPENDENCIES:
-     * - circom: Circuit compiler
+     * DEPENDENCIES (root devDependencies):
+     * - circom2: Circuit compiler (WebAssembly build)
      * - snarkjs: JavaScript/Solidity ZK toolkit
      * - circomlib: Standard circuit library
      * 
-     * INSTALLATION:
+     * REBUILDING CIRCUITS AND KEYS:
      * ```bash
-     * npm install -g circom
-     * npm install snarkjs
-     * npm install circomlib
+     * npm run circuits
      * ```
      * 
      * SECURITY CONSIDERATIONS:
@@ -0,0 +1,256 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useAuth } from '@/components/providers/AuthProvider';
+import { FaCheckCircle, FaClock, FaExclamationTriangle, FaTimes, FaRedo, FaUserShield } from 'react-icons/fa';
+import axios from 'axios';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+const REFRESH_INTERVAL_MS = 15000;
+
+const shortHex = (value) => (value ? `${value.slice(0, 8)}...${value.slice(-6)}` : '—');
+
+const statusConfig = {
+  REQUESTED: { className: 'bg-yellow-100 text-yellow-700', icon: <FaClock />, label: 'Requested' },
+  PROCESSING: { className: 'bg-blue-100 text-blue-700', icon: <FaClock />, label: 'Processing' },
+  SCRUBBED: { className: 'bg-purple-100 text-purple-700', icon: <FaClock />, label: 'Awaiting confirmation' },
+  CONFIRMED: { className: 'bg-green-100 text-green-700', icon: <FaCheckCircle />, label: 'Confirmed' },
+  FAILED: { className: 'bg-red-100 text-red-700', icon: <FaTimes />, label: 'Failed' }
+};
+
+function Deadline({ request }) {
+  const { sla } = request;
+
+  if (request.status === 'CONFIRMED') {
+    return sla.metSla
+      ? <span className="text-green-600 text-sm font-semibold">Met SLA</span>
+      : <span className="text-red-600 text-sm font-semibold">Completed late</span>;
+  }
+  if (sla.overdue) {
+    return (
+      <span className="text-red-600 text-sm font-semibold flex items-center">
+        <FaExclamationTriangle className="mr-1" />
+        {Math.ceil(-sla.remainingHours / 24)}d overdue
+      </span>
+    );
+  }
+  return (
+    <span className={`text-sm ${sla.remainingHours <= 7 * 24 ? 'text-yellow-600 font-semibold' : 'text-dark-600'}`}>
+      {Math.floor(sla.remainingHours / 24)}d {sla.remainingHours % 24}h left
+    </span>
+  );
+}
+
+export default function PrivacyDashboard() {
+  const { user } = useAuth();
+  const [summary, setSummary] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [filter, setFilter] = useState('open');
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadData = useCallback(async () => {
+    try {
+      const params = filter === 'overdue' ? { overdue: 'true' } : filter === 'open' || filter === 'all' ? {} : { status: filter };
+      const [summaryRes, requestsRes] = await Promise.all([
+        axios.get(`${API_URL}/privacy/deletions/summary`),
+        axios.get(`${API_URL}/privacy/deletions`, { params })
+      ]);
+      setSummary(summaryRes.data);
+      setRequests(filter === 'open'
+        ? requestsRes.data.filter((request) => request.status !== 'CONFIRMED')
+        : requestsRes.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.status === 403 ? 'Admin access required' : 'Failed to load deletion requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    if (!user) return;
+    loadData();
+    const interval = setInterval(loadData, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [user, loadData]);
+
+  const handleRetry = async (recordId) => {
+    try {
+      await axios.post(`${API_URL}/privacy/deletions/${recordId}/retry`);
+      await loadData();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to retry deletion');
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="max-w-7xl mx-auto py-8">
+        <div className="card text-center py-20">
+          <FaUserShield className="text-6xl text-dark-400 mx-auto mb-4" />
+          <p className="text-dark-600">Sign in with an admin wallet to view data deletion requests</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto py-8">
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold gradient-text mb-2">Data Deletion Requests</h1>
+        <p className="text-dark-600">
+          GDPR erasure requests from PrivacyCompliance, unpinned and scrubbed off-chain, then confirmed on-chain
+        </p>
+      </div>
+
+      {error && (
+        <div className="card text-center py-8 mb-8">
+          <p className="text-red-600">{error}</p>
+        </div>
+      )}
+
+      {summary && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+          <div className="card">
+            <p className="text-dark-600 text-sm mb-1">Open</p>
+            <p className="text-3xl font-bold text-dark-900">{summary.open}</p>
+            <p className="text-xs text-dark-500 mt-1">{summary.byStatus.FAILED} failed</p>
+          </div>
+          <div className="card">
+            <p className="text-dark-600 text-sm mb-1">Overdue</p>
+            <p className={`text-3xl font-bold ${summary.overdue > 0 ? 'text-red-600' : 'text-dark-900'}`}>{summary.overdue}</p>
+            <p className="text-xs text-dark-500 mt-1">{summary.dueSoon} due within 7 days</p>
+          </div>
+          <div className="card">
+            <p className="text-dark-600 text-sm mb-1">SLA Compliance</p>
+            <p className="text-3xl font-bold gradient-text">
+              {summary.slaComplianceRate === null ? '—' : `${summary.slaComplianceRate}%`}
+            </p>
+            <p className="text-xs text-dark-500 mt-1">{summary.completed} completed within {summary.slaDays} days target</p>
+          </div>
+          <div className="card">
+            <p className="text-dark-600 text-sm mb-1">Avg. Completion</p>
+            <p className="text-3xl font-bold text-dark-900">
+              {summary.averageCompletionHours === null ? '—' : `${summary.averageCompletionHours}h`}
+            </p>
+            <p className={`text-xs mt-1 ${summary.operatorConfigured ? 'text-dark-500' : 'text-yellow-600'}`}>
+              {summary.operatorConfigured ? 'On-chain confirmation automatic' : 'No operator key: confirm manually'}
+            </p>
+          </div>
+        </div>
+      )}
+
+      <div className="flex space-x-4 mb-6">
+        {[
+          { key: 'open', label: 'Open' },
+          { key: 'overdue', label: 'Overdue' },
+          { key: 'FAILED', label: 'Failed' },
+          { key: 'CONFIRMED', label: 'Confirmed' },
+          { key: 'all', label: 'All' }
+        ].map((tab) => (
+          <button
+            key={tab.key}
+            onClick={() => setFilter(tab.key)}
+            className={`px-6 py-3 rounded-xl font-semibold transition-all ${
+              filter === tab.key
+                ? 'bg-primary-500 text-white'
+                : 'bg-dark-100 text-dark-700 hover:bg-dark-200'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-20">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+        </div>
+      ) : requests.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-dark-600">No deletion requests</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {requests.map((request, index) => {
+            const status = statusConfig[request.status];
+            const canRetry = request.status === 'FAILED' || request.status === 'SCRUBBED';
+
+            return (
+              <motion.div
+                key={request.recordId}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: index * 0.05 }}
+                className="card"
+              >
+                <div className="flex items-start justify-between">
+                  <div>
+                    <div className="flex items-center space-x-3 mb-2">
+                      <span className={`px-3 py-1 rounded-full text-xs font-semibold flex items-center space-x-1 ${status.className}`}>
+                        {status.icon}
+                        <span>{status.label}</span>
+                      </span>
+                      <span className="font-semibold text-dark-900">{request.dataType}</span>
+                      <span className="font-mono text-xs text-dark-500">{shortHex(request.recordId)}</span>
+                    </div>
+                    <div className="flex items-center space-x-4 text-xs text-dark-500">
+                      <span>User: {shortHex(request.user)}</span>
+                      <span>Requested {new Date(request.requestedAt).toLocaleString()}</span>
+                      <span>Due {new Date(request.sla.dueAt).toLocaleDateString()}</span>
+                      {request.attempts > 0 && <span>{request.attempts} attempt{request.attempts === 1 ? '' : 's'}</span>}
+                    </div>
+                    {request.lastError && request.status === 'FAILED' && (
+                      <p className="text-xs text-red-600 mt-2">{request.lastError}</p>
+                    )}
+                  </div>
+                  <div className="text-right space-y-2">
+                    <Deadline request={request} />
+                    <div className="flex items-center justify-end space-x-3">
+                      <button
+                        onClick={() => setExpanded(expanded === request.recordId ? null : request.recordId)}
+                        className="text-sm text-primary-600 hover:text-primary-700 font-semibold"
+                      >
+                        {expanded === request.recordId ? 'Hide audit log' : 'Audit log'}
+                      </button>
+                      {canRetry && (
+                        <button
+                          onClick={() => handleRetry(request.recordId)}
+                          className="btn-secondary text-sm flex items-center"
+                        >
+                          <FaRedo className="mr-2" />
+                          Retry
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+
+                {expanded === request.recordId && (
+                  <div className="mt-4 border-t border-dark-200 pt-4">
+                    <ol className="space-y-2">
+                      {request.auditLog.map((entry, entryIndex) => (
+                        <li key={entryIndex} className="flex items-start space-x-3 text-sm">
+                          <span className="text-dark-500 w-44 shrink-0">{new Date(entry.at).toLocaleString()}</span>
+                          <span className="font-semibold text-dark-900 w-48 shrink-0">{entry.action}</span>
+                          <span className="text-dark-600 flex-1">
+                            {entry.detail}
+                            {entry.txHash && <span className="font-mono text-xs text-dark-400 ml-2">{shortHex(entry.txHash)}</span>}
+                          </span>
+                          <span className="text-dark-400 text-xs">{entry.actor && entry.actor.startsWith('0x') ? shortHex(entry.actor) : entry.actor}</span>
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+              </motion.div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
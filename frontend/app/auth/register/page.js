@@ -5,12 +5,14 @@ import { useRouter } from 'next/navigation';
 import { motion } from 'framer-motion';
 import { useWeb3 } from '@/components/providers/Web3Provider';
 import { useAuth } from '@/components/providers/AuthProvider';
+import { useConsent } from '@/components/providers/ConsentProvider';
 import { FaWallet, FaUser, FaEnvelope, FaPhone } from 'react-icons/fa';
 
 export default function Register() {
   const router = useRouter();
   const { account, connectWallet } = useWeb3();
   const { register } = useAuth();
+  const { ensureConsent } = useConsent();
   
   const [formData, setFormData] = useState({
     fullName: '',
@@ -32,6 +34,8 @@ export default function Register() {
       return;
     }
 
+    if (!(await ensureConsent())) return;
+
     setLoading(true);
     
     const success = await register({
@@ -3,6 +3,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { useWeb3 } from '@/components/providers/Web3Provider';
+import { useContractTx } from '@/hooks/useContracts';
 import { FaBug, FaTrophy, FaCheckCircle, FaClock, FaTimes, FaShieldAlt } from 'react-icons/fa';
 import axios from 'axios';
 import Link from 'next/link';
@@ -11,6 +12,7 @@ const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
 export default function BugBounty() {
   const { account } = useWeb3();
+  const bugBounty = useContractTx('BugBounty');
   const [loading, setLoading] = useState(true);
   const [researcher, setResearcher] = useState(null);
   const [reports, setReports] = useState([]);
@@ -46,11 +48,11 @@ export default function BugBounty() {
 
   const handleRegister = async () => {
     try {
-      await axios.post(`${API_URL}/bug-bounty/register`, { address: account });
+      await bugBounty.send('registerResearcher');
       await loadData();
     } catch (error) {
       console.error('Failed to register:', error);
-      alert('Registration failed. Please try again.');
+      alert(`Registration failed: ${error.message}`);
     }
   };
 
@@ -1,36 +1,131 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { useWeb3 } from '@/components/providers/Web3Provider';
+import { useConsent } from '@/components/providers/ConsentProvider';
+import { useInsurancePool } from '@/hooks/useContracts';
+import { useVault } from '@/hooks/useVault';
+import TxStatus from '@/components/TxStatus';
+import ClaimReviewQueue from '@/components/ClaimReviewQueue';
+import VotingRewards from '@/components/VotingRewards';
 import { FaCheckCircle, FaClock, FaTimes, FaFileAlt } from 'react-icons/fa';
 import axios from 'axios';
+import { ethers } from 'ethers';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
+// Hospital records the claim oracle can check documents against, by attestation adapter
+const hospitalRecords = [
+  {
+    value: 'encounter',
+    adapter: 'hospital-ehr',
+    label: 'Hospital EHR encounter',
+    attestation: (id) => ({ provider: 'hospital-ehr', encounterId: id })
+  },
+  {
+    value: 'fhir-claim',
+    adapter: 'fhir',
+    label: 'FHIR Claim',
+    attestation: (id) => ({ provider: 'fhir', resourceType: 'Claim', resourceId: id })
+  },
+  {
+    value: 'fhir-eob',
+    adapter: 'fhir',
+    label: 'FHIR Explanation of Benefit',
+    attestation: (id) => ({ provider: 'fhir', resourceType: 'ExplanationOfBenefit', resourceId: id })
+  }
+];
+
+const emptyClaimForm = { poolId: '', amount: '', description: '', files: [], recordType: '', recordId: '' };
+
 export default function Claims() {
   const { account } = useWeb3();
   const [claims, setClaims] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [activeTab, setActiveTab] = useState('mine'); // 'mine', 'review' or 'rewards'
+  const [memberPools, setMemberPools] = useState([]);
+  const [showClaimForm, setShowClaimForm] = useState(false);
+  const [claimForm, setClaimForm] = useState(emptyClaimForm);
+  const [adapters, setAdapters] = useState([]);
+  const insurancePool = useInsurancePool();
+  const vault = useVault();
+  const { ensureConsent } = useConsent();
 
-  useEffect(() => {
-    const loadClaims = async () => {
-      try {
-        const response = await axios.get(`${API_URL}/claims?claimant=${account}`);
-        setClaims(response.data);
-      } catch (error) {
-        console.error('Failed to load claims:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
+  const loadClaims = useCallback(async () => {
+    try {
+      const [claimsRes, poolsRes] = await Promise.all([
+        axios.get(`${API_URL}/claims?claimant=${account}`),
+        axios.get(`${API_URL}/pools`)
+      ]);
+      setClaims(claimsRes.data);
+      setMemberPools(poolsRes.data.filter((pool) =>
+        (pool.members || []).some((member) => member.address === account.toLowerCase())
+      ));
+    } catch (error) {
+      console.error('Failed to load claims:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [account]);
 
+  useEffect(() => {
     if (account) {
       loadClaims();
     }
-  }, [account]);
+  }, [account, loadClaims]);
 
+  useEffect(() => {
+    axios.get(`${API_URL}/oracle/adapters`)
+      .then((response) => setAdapters(response.data.adapters))
+      .catch(() => setAdapters([]));
+  }, []);
+
+  const availableRecords = hospitalRecords.filter((record) => adapters.includes(record.adapter));
+
+  const handleSubmitClaim = async (e) => {
+    e.preventDefault();
+    if (!(await ensureConsent())) return;
+
+    try {
+      let ipfsHash = '';
+      if (claimForm.files.length > 0) {
+        // Encrypt each file for the pool's members and the oracle; only the bundle of CIDs goes on-chain
+        const { keys, oracle } = await vault.getRecipients({ poolId: claimForm.poolId });
+        const recipients = oracle ? [...keys, oracle] : keys;
+        const documents = [];
+        for (const file of claimForm.files) {
+          const document = await vault.uploadEncrypted(file, {
+            recipients,
+            purpose: 'claim-evidence',
+            poolId: Number(claimForm.poolId)
+          });
+          documents.push(document.cid);
+        }
 
+        // Lets the oracle confirm the claim with the hospital instead of waiting for manual review
+        const record = hospitalRecords.find((option) => option.value === claimForm.recordType);
+        const attestation = record && claimForm.recordId ? record.attestation(claimForm.recordId.trim()) : undefined;
+
+        const uploadRes = await axios.post(`${API_URL}/claims/documents`, { documents, attestation });
+        ipfsHash = uploadRes.data.ipfsHash;
+      }
+
+      const receipt = await insurancePool.submitClaim(
+        claimForm.poolId,
+        ethers.parseEther(claimForm.amount),
+        claimForm.description,
+        ipfsHash
+      );
+      await axios.post(`${API_URL}/claims`, { txHash: receipt.hash });
+
+      setShowClaimForm(false);
+      setClaimForm(emptyClaimForm);
+      await loadClaims();
+    } catch (error) {
+      console.error('Failed to submit claim:', error);
+    }
+  };
 
   const statusConfig = {
     PENDING: { color: 'yellow', icon: <FaClock />, label: 'Pending' },
@@ -43,13 +138,147 @@ export default function Claims() {
     <div className="max-w-7xl mx-auto py-8">
       <div className="flex justify-between items-center mb-8">
         <div>
-          <h1 className="text-4xl font-bold gradient-text mb-2">My Claims</h1>
-          <p className="text-dark-600">Track and manage your insurance claims</p>
+          <h1 className="text-4xl font-bold gradient-text mb-2">Claims</h1>
+          <p className="text-dark-600">Track your claims and review claims from your pools</p>
         </div>
-        <button className="btn-primary">Submit New Claim</button>
+        <button
+          onClick={() => {
+            setActiveTab('mine');
+            setShowClaimForm(!showClaimForm);
+          }}
+          className="btn-primary"
+        >
+          Submit New Claim
+        </button>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex space-x-4 mb-8">
+        {[
+          { key: 'mine', label: `My Claims (${claims.length})` },
+          { key: 'review', label: 'Claims to Review' },
+          { key: 'rewards', label: 'Voting Rewards' }
+        ].map((tab) => (
+          <button
+            key={tab.key}
+            onClick={() => setActiveTab(tab.key)}
+            className={`px-6 py-3 rounded-xl font-semibold transition-all ${
+              activeTab === tab.key
+                ? 'bg-primary-500 text-white'
+                : 'bg-dark-100 text-dark-700 hover:bg-dark-200'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
       </div>
 
-      {loading? (
+      {activeTab === 'review' && account && <ClaimReviewQueue account={account} />}
+      {activeTab === 'rewards' && account && <VotingRewards account={account} />}
+
+      {activeTab === 'mine' && showClaimForm && (
+        <motion.form
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          onSubmit={handleSubmitClaim}
+          className="card mb-8 space-y-4"
+        >
+          <h2 className="text-2xl font-bold text-dark-900">New Claim</h2>
+          {memberPools.length === 0 ? (
+            <p className="text-dark-600">You need to join a pool before you can submit a claim.</p>
+          ) : (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-dark-700 font-semibold mb-2">Pool *</label>
+                  <select
+                    required
+                    value={claimForm.poolId}
+                    onChange={(e) => setClaimForm({ ...claimForm, poolId: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                  >
+                    <option value="">Select a pool</option>
+                    {memberPools.map((pool) => (
+                      <option key={pool.poolId} value={pool.poolId}>
+                        #{pool.poolId} {pool.name} ({pool.currentAmount} ETH)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-dark-700 font-semibold mb-2">Amount (ETH) *</label>
+                  <input
+                    type="number"
+                    required
+                    step="0.001"
+                    min="0.001"
+                    value={claimForm.amount}
+                    onChange={(e) => setClaimForm({ ...claimForm, amount: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-dark-700 font-semibold mb-2">Description *</label>
+                <textarea
+                  required
+                  rows={3}
+                  value={claimForm.description}
+                  onChange={(e) => setClaimForm({ ...claimForm, description: e.target.value })}
+                  className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                />
+              </div>
+              <div>
+                <label className="block text-dark-700 font-semibold mb-2">Supporting Documents</label>
+                <input
+                  type="file"
+                  multiple
+                  onChange={(e) => setClaimForm({ ...claimForm, files: Array.from(e.target.files) })}
+                  className="w-full text-dark-700"
+                />
+                <p className="text-xs text-dark-500 mt-1">
+                  Encrypted in your browser for pool members who have unlocked their vault and the claim oracle
+                </p>
+              </div>
+              {claimForm.files.length > 0 && availableRecords.length > 0 && (
+                <div>
+                  <label className="block text-dark-700 font-semibold mb-2">Hospital Record</label>
+                  <div className="grid grid-cols-2 gap-4">
+                    <select
+                      value={claimForm.recordType}
+                      onChange={(e) => setClaimForm({ ...claimForm, recordType: e.target.value })}
+                      className="input-field"
+                    >
+                      <option value="">None</option>
+                      {availableRecords.map((record) => (
+                        <option key={record.value} value={record.value}>{record.label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      placeholder="Record ID"
+                      value={claimForm.recordId}
+                      onChange={(e) => setClaimForm({ ...claimForm, recordId: e.target.value })}
+                      disabled={!claimForm.recordType}
+                      required={Boolean(claimForm.recordType)}
+                      className="input-field"
+                    />
+                  </div>
+                  <p className="text-xs text-dark-500 mt-1">
+                    The claim oracle confirms the visit with your hospital; only the record ID is shared
+                  </p>
+                </div>
+              )}
+              <button type="submit" disabled={insurancePool.isPending} className="btn-primary w-full">
+                {insurancePool.isPending ? 'Submitting...' : 'Submit Claim'}
+              </button>
+            </>
+          )}
+          <TxStatus tx={insurancePool} />
+        </motion.form>
+      )}
+
+      {activeTab === 'mine' && (loading ? (
         <div className="flex justify-center py-20">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
         </div>
@@ -58,7 +287,7 @@ export default function Claims() {
           <FaFileAlt className="text-6xl text-dark-400 mx-auto mb-4" />
           <h3 className="text-xl font-semibold text-dark-900 mb-2">No Claims Yet</h3>
           <p className="text-dark-600 mb-6">You haven&apos;t submitted any claims</p>
-          <button className="btn-primary">Submit Your First Claim</button>
+          <button onClick={() => setShowClaimForm(true)} className="btn-primary">Submit Your First Claim</button>
         </div>
       ) : (
         <div className="space-y-4">
@@ -93,7 +322,7 @@ export default function Claims() {
             </motion.div>
           ))}
         </div>
-      )}
+      ))}
     </div>
   );
 }
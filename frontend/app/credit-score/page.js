@@ -3,7 +3,9 @@
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { useWeb3 } from '@/components/providers/Web3Provider';
-import { FaChartLine, FaTrophy, FaArrowUp, FaArrowDown } from 'react-icons/fa';
+import CredentialBadges from '@/components/CredentialBadges';
+import CreditFactorChart from '@/components/CreditFactorChart';
+import { FaChartLine, FaTrophy, FaArrowUp, FaArrowDown, FaSlidersH } from 'react-icons/fa';
 import axios from 'axios';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
@@ -11,8 +13,17 @@ const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 export default function CreditScore() {
   const { account } = useWeb3();
   const [creditData, setCreditData] = useState(null);
+  const [explanation, setExplanation] = useState(null);
+  const [activeLoans, setActiveLoans] = useState([]);
   const [loading, setLoading] = useState(true);
 
+  // What-if scenario
+  const [payments, setPayments] = useState(0);
+  const [latePayments, setLatePayments] = useState(0);
+  const [repayLoans, setRepayLoans] = useState([]);
+  const [simulation, setSimulation] = useState(null);
+  const [simulationError, setSimulationError] = useState(null);
+
   useEffect(() => {
     const loadCreditData = async () => {
       try {
@@ -25,11 +36,54 @@ export default function CreditScore() {
       }
     };
 
+    // The breakdown is read from the chain, so it is loaded apart from the indexed score
+    const loadExplanation = async () => {
+      try {
+        const [explainRes, loansRes] = await Promise.all([
+          axios.get(`${API_URL}/credit/${account}/explain`),
+          axios.get(`${API_URL}/loans?borrower=${account}`)
+        ]);
+        setExplanation(explainRes.data);
+        setActiveLoans(loansRes.data.filter((loan) => loan.status === 'ACTIVE'));
+      } catch (error) {
+        console.error('Failed to load credit breakdown:', error);
+      }
+    };
+
     if (account) {
       loadCreditData();
+      loadExplanation();
     }
   }, [account]);
 
+  // Re-simulate once the controls settle
+  useEffect(() => {
+    if (!account || (payments === 0 && latePayments === 0 && repayLoans.length === 0)) {
+      setSimulation(null);
+      setSimulationError(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${API_URL}/credit/${account}/simulate`, {
+          params: { payments, latePayments, repayLoans: repayLoans.join(',') }
+        });
+        setSimulation(response.data);
+        setSimulationError(null);
+      } catch (error) {
+        setSimulationError(error.response?.data?.error || 'Failed to simulate score');
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [account, payments, latePayments, repayLoans]);
+
+  const toggleRepayLoan = (loanId) => {
+    setRepayLoans((current) =>
+      current.includes(loanId) ? current.filter((id) => id !== loanId) : [...current, loanId]
+    );
+  };
+
 
 
   const getTierColor = (tier) => {
@@ -85,47 +139,11 @@ export default function CreditScore() {
       <div className="card mb-8">
         <h2 className="text-2xl font-bold text-dark-900 mb-6">Score Factors</h2>
         <div className="space-y-4">
-          <div>
-            <div className="flex justify-between mb-2">
-              <span className="text-dark-700">Loan Repayment Rate (40%)</span>
-              <span className="font-semibold text-dark-900">
-                {factors.totalLoans > 0 
-                  ? `${Math.round((factors.repaidLoans / factors.totalLoans) * 100)}%`
-                  : 'N/A'}
-              </span>
-            </div>
-            <div className="w-full bg-dark-200 rounded-full h-2">
-              <div
-                className="bg-gradient-to-r from-primary-500 to-secondary-500 h-2 rounded-full"
-                style={{
-                  width: factors.totalLoans > 0 
-                    ? `${(factors.repaidLoans / factors.totalLoans) * 100}%`
-                    : '0%'
-                }}
-              />
-            </div>
-          </div>
-
-          <div>
-            <div className="flex justify-between mb-2">
-              <span className="text-dark-700">Payment Punctuality (30%)</span>
-              <span className="font-semibold text-dark-900">
-                {factors.totalPayments > 0
-                  ? `${Math.round(((factors.totalPayments - factors.latePayments) / factors.totalPayments) * 100)}%`
-                  : 'N/A'}
-              </span>
-            </div>
-            <div className="w-full bg-dark-200 rounded-full h-2">
-              <div
-                className="bg-gradient-to-r from-primary-500 to-secondary-500 h-2 rounded-full"
-                style={{
-                  width: factors.totalPayments > 0
-                    ? `${((factors.totalPayments - factors.latePayments) / factors.totalPayments) * 100}%`
-                    : '0%'
-                }}
-              />
-            </div>
-          </div>
+          {explanation ? (
+            <CreditFactorChart explanation={explanation} simulated={simulation?.simulated} />
+          ) : (
+            <p className="text-dark-600 text-sm">The factor breakdown is unavailable right now.</p>
+          )}
 
           <div className="grid grid-cols-2 gap-4 pt-4">
             <div className="bg-dark-100 rounded-xl p-4">
@@ -148,6 +166,108 @@ export default function CreditScore() {
         </div>
       </div>
 
+      {/* What If */}
+      {explanation && (
+        <div className="card mb-8">
+          <div className="flex items-center mb-2">
+            <FaSlidersH className="text-2xl text-purple-500 mr-3" />
+            <h2 className="text-2xl font-bold text-dark-900">What If</h2>
+          </div>
+          <p className="text-dark-600 text-sm mb-6">
+            See how your score would change if you paid off a loan or made more payments today.
+          </p>
+
+          <div className="grid md:grid-cols-2 gap-8">
+            <div className="space-y-6">
+              <div>
+                <div className="flex justify-between mb-2">
+                  <label className="text-sm font-medium text-dark-700">More on-time payments</label>
+                  <span className="font-semibold text-dark-900">{payments}</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="24"
+                  value={payments}
+                  onChange={(e) => setPayments(Number(e.target.value))}
+                  className="w-full accent-primary-500"
+                />
+              </div>
+
+              <div>
+                <div className="flex justify-between mb-2">
+                  <label className="text-sm font-medium text-dark-700">More late payments</label>
+                  <span className="font-semibold text-dark-900">{latePayments}</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="12"
+                  value={latePayments}
+                  onChange={(e) => setLatePayments(Number(e.target.value))}
+                  className="w-full accent-red-500"
+                />
+              </div>
+
+              {activeLoans.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-dark-700 mb-2">Pay off now</p>
+                  <div className="space-y-2">
+                    {activeLoans.map((loan) => {
+                      const step = simulation?.steps.find((s) => s.action === 'REPAY_LOAN' && s.loanId === loan.loanId);
+                      return (
+                        <label key={loan.loanId} className="flex items-start space-x-3 text-sm text-dark-700">
+                          <input
+                            type="checkbox"
+                            checked={repayLoans.includes(loan.loanId)}
+                            onChange={() => toggleRepayLoan(loan.loanId)}
+                            className="mt-1"
+                          />
+                          <span>
+                            Loan #{loan.loanId} · {loan.principal} ETH
+                            {step && !step.onTime && (
+                              <span className="block text-xs text-red-600">
+                                Counts as late: installment {step.installment} is already past due
+                              </span>
+                            )}
+                          </span>
+                        </label>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="flex flex-col items-center justify-center p-6 bg-dark-100 rounded-xl text-center">
+              {simulation ? (
+                <motion.div key={simulation.simulated.score} initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }}>
+                  <p className="text-dark-600 text-sm mb-1">Your score would be</p>
+                  <p className="text-5xl font-bold gradient-text">{simulation.simulated.score}</p>
+                  <p className="font-semibold text-dark-900 mb-2">{simulation.simulated.tier}</p>
+                  <p className={`flex items-center justify-center font-semibold ${
+                    simulation.change > 0 ? 'text-green-600' : simulation.change < 0 ? 'text-red-600' : 'text-dark-600'
+                  }`}>
+                    {simulation.change > 0 && <FaArrowUp className="mr-1" />}
+                    {simulation.change < 0 && <FaArrowDown className="mr-1" />}
+                    {simulation.change === 0 ? 'No change' : `${Math.abs(simulation.change)} points`}
+                  </p>
+                </motion.div>
+              ) : (
+                <p className="text-dark-600 text-sm">Move a slider or pick a loan to see your projected score.</p>
+              )}
+            </div>
+          </div>
+
+          <p className="text-xs text-dark-500 mt-4">
+            Projections assume every change happens today. Spacing payments more than 180 days apart adds history points.
+          </p>
+          {simulationError && <p className="text-red-600 text-sm mt-3">{simulationError}</p>}
+        </div>
+      )}
+
+      {account && <CredentialBadges account={account} />}
+
       {/* Improvement Tips */}
       <div className="card">
         <h2 className="text-2xl font-bold text-dark-900 mb-6">How to Improve Your Score</h2>
@@ -3,6 +3,9 @@
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { useWeb3 } from '@/components/providers/Web3Provider';
+import { useCrowdFunding } from '@/hooks/useContracts';
+import TxStatus from '@/components/TxStatus';
+import { ipfsUrl } from '@/lib/ipfs';
 import { useParams, useRouter } from 'next/navigation';
 import { 
   FaHeart, 
@@ -30,7 +33,8 @@ const categories = {
 
 export default function CampaignDetails() {
   const { id } = useParams();
-  const { account, contract } = useWeb3();
+  const { account } = useWeb3();
+  const crowdFunding = useCrowdFunding();
   const router = useRouter();
   const [campaign, setCampaign] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -64,23 +68,14 @@ export default function CampaignDetails() {
     try {
       setContributing(true);
 
-      const amountWei = ethers.parseEther(contributionAmount);
-      const tx = await contract.crowdFunding.contribute(id, { value: amountWei });
-      const receipt = await tx.wait();
-
-      // Record in backend
-      await axios.post(`${API_URL}/crowdfunding/${id}/contribute`, {
-        contributor: account,
-        amount: contributionAmount,
-        transactionHash: receipt.hash
-      });
+      await crowdFunding.contribute(id, ethers.parseEther(contributionAmount));
 
       alert('Contribution successful! Thank you for your support! 💚');
       setContributionAmount('');
       await loadCampaign();
     } catch (error) {
       console.error('Error contributing:', error);
-      alert('Failed to contribute. Please try again.');
+      alert(`Failed to contribute: ${error.message}`);
     } finally {
       setContributing(false);
     }
@@ -88,19 +83,13 @@ export default function CampaignDetails() {
 
   const handleVoteApprove = async (approve) => {
     try {
-      const tx = await contract.crowdFunding.voteForCampaignApproval(id, approve);
-      await tx.wait();
-
-      await axios.post(`${API_URL}/crowdfunding/${id}/approve`, {
-        voter: account,
-        approved: approve
-      });
+      await crowdFunding.voteForCampaignApproval(id, approve);
 
       alert(approve ? 'Voted to approve!' : 'Voted to reject');
       await loadCampaign();
     } catch (error) {
       console.error('Error voting:', error);
-      alert('Failed to vote. You may have already voted or the campaign is not pending approval.');
+      alert(`Failed to vote: ${error.message}`);
     }
   };
 
@@ -283,7 +272,7 @@ export default function CampaignDetails() {
                 {campaign.documents.map((doc, index) => (
                   <a
                     key={index}
-                    href={`https://gateway.pinata.cloud/ipfs/${doc}`}
+                    href={ipfsUrl(doc)}
                     target="_blank"
                     rel="noopener noreferrer"
                     className="flex items-center space-x-3 p-3 bg-dark-50 rounded-xl hover:bg-dark-100 transition-colors"
@@ -365,7 +354,7 @@ export default function CampaignDetails() {
 
                 <button
                   onClick={handleContribute}
-                  disabled={contributing || !account}
+                  disabled={contributing || crowdFunding.isPending || !account}
                   className="btn-primary w-full text-lg py-4"
                 >
                   {contributing ? 'Processing...' : (
@@ -381,6 +370,7 @@ export default function CampaignDetails() {
                     Please connect your wallet to contribute
                   </p>
                 )}
+                <TxStatus tx={crowdFunding} />
               </div>
             )}
 
@@ -394,12 +384,14 @@ export default function CampaignDetails() {
                 <div className="flex gap-3">
                   <button
                     onClick={() => handleVoteApprove(true)}
+                    disabled={crowdFunding.isPending}
                     className="flex-1 py-2 bg-green-500 hover:bg-green-600 text-white rounded-xl font-semibold"
                   >
                     Approve
                   </button>
                   <button
                     onClick={() => handleVoteApprove(false)}
+                    disabled={crowdFunding.isPending}
                     className="flex-1 py-2 bg-red-500 hover:bg-red-600 text-white rounded-xl font-semibold"
                   >
                     Reject
@@ -408,6 +400,7 @@ export default function CampaignDetails() {
                 <p className="text-sm text-dark-600 mt-3">
                   Votes: {campaign.approvalVotes?.length || 0}
                 </p>
+                <TxStatus tx={crowdFunding} />
               </div>
             )}
 
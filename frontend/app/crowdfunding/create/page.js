@@ -3,6 +3,9 @@
 import { useState } from 'react';
 import { motion } from 'framer-motion';
 import { useWeb3 } from '@/components/providers/Web3Provider';
+import { useConsent } from '@/components/providers/ConsentProvider';
+import { useCrowdFunding } from '@/hooks/useContracts';
+import TxStatus from '@/components/TxStatus';
 import { useRouter } from 'next/navigation';
 import { FaUpload, FaPlus, FaTrash } from 'react-icons/fa';
 import axios from 'axios';
@@ -21,7 +24,9 @@ const categories = [
 ];
 
 export default function CreateCampaign() {
-  const { account, contract } = useWeb3();
+  const { account } = useWeb3();
+  const crowdFunding = useCrowdFunding();
+  const { ensureConsent } = useConsent();
   const router = useRouter();
   const [step, setStep] = useState(1);
   const [loading, setLoading] = useState(false);
@@ -67,7 +72,8 @@ export default function CreateCampaign() {
 
   const handleDocumentUpload = async (e) => {
     const files = Array.from(e.target.files);
-    
+    if (!(await ensureConsent())) return;
+
     try {
       const uploadPromises = files.map(async (file) => {
         const formData = new FormData();
@@ -145,61 +151,35 @@ export default function CreateCampaign() {
     try {
       setLoading(true);
 
-      // Convert milestone amounts to wei
+      // Milestone structs as expected by the contract
       const milestonesWei = milestones.map(m => ({
         description: m.description,
-        amount: ethers.parseEther(m.amount).toString(),
-        isReleased: false
+        amount: ethers.parseEther(m.amount),
+        isReleased: false,
+        releaseDate: 0,
+        proofIpfsHash: ''
       }));
 
-      // Call smart contract
-      const goalWei = ethers.parseEther(formData.goalAmount);
-      const tx = await contract.crowdFunding.createCampaign(
+      const receipt = await crowdFunding.createCampaign(
         formData.title,
         formData.description,
         categories.findIndex(c => c.value === formData.category),
-        goalWei,
+        ethers.parseEther(formData.goalAmount),
         parseInt(formData.durationDays),
         formData.documents,
         formData.allOrNothing,
         milestonesWei
       );
 
-      const receipt = await tx.wait();
-      
       // Get campaign ID from event
-      const event = receipt.logs.find(log => {
-        try {
-          return contract.crowdFunding.interface.parseLog(log).name === 'CampaignCreated';
-        } catch {
-          return false;
-        }
-      });
-      
-      const campaignId = event ? contract.crowdFunding.interface.parseLog(event).args.campaignId.toString() : null;
-
-      // Save to backend
-      const deadline = new Date();
-      deadline.setDate(deadline.getDate() + parseInt(formData.durationDays));
-
-      await axios.post(`${API_URL}/crowdfunding/create`, {
-        campaignId: campaignId || Date.now(),
-        creator: account,
-        title: formData.title,
-        description: formData.description,
-        category: formData.category,
-        goalAmount: formData.goalAmount,
-        deadline: deadline.toISOString(),
-        documents: formData.documents,
-        allOrNothing: formData.allOrNothing,
-        milestones: milestones
-      });
+      const event = crowdFunding.parseEvent(receipt, 'CampaignCreated');
+      const campaignId = event ? event.args.campaignId.toString() : null;
 
       alert('Campaign created successfully!');
-      router.push(`/crowdfunding/${campaignId || Date.now()}`);
+      router.push(campaignId ? `/crowdfunding/${campaignId}` : '/crowdfunding/my-campaigns');
     } catch (error) {
       console.error('Error creating campaign:', error);
-      alert('Failed to create campaign. Please try again.');
+      alert(`Failed to create campaign: ${error.message}`);
     } finally {
       setLoading(false);
     }
@@ -514,6 +494,7 @@ export default function CreateCampaign() {
             </button>
           )}
         </div>
+        <TxStatus tx={crowdFunding} />
       </div>
     </div>
   );
@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { useWeb3 } from '@/components/providers/Web3Provider';
+import { useCrowdFunding } from '@/hooks/useContracts';
 import { FaHeart, FaTrophy, FaClock, FaCheckCircle } from 'react-icons/fa';
 import axios from 'axios';
 import Link from 'next/link';
@@ -11,7 +12,8 @@ import { ethers } from 'ethers';
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
 export default function MyCampaigns() {
-  const { account, contract } = useWeb3();
+  const { account } = useWeb3();
+  const crowdFunding = useCrowdFunding();
   const [activeTab, setActiveTab] = useState('created'); // 'created' or 'contributed'
   const [createdCampaigns, setCreatedCampaigns] = useState([]);
   const [contributedCampaigns, setContributedCampaigns] = useState([]);
@@ -49,24 +51,13 @@ export default function MyCampaigns() {
       // Upload proof (optional - you could add a form for this)
       const proofHash = ''; // TODO: Add proof upload functionality
 
-      const tx = await contract.crowdFunding.releaseMilestone(
-        campaignId,
-        milestoneIndex,
-        proofHash
-      );
-      await tx.wait();
-
-      // Update backend
-      await axios.post(
-        `${API_URL}/crowdfunding/${campaignId}/milestone/${milestoneIndex}/release`,
-        { proofIpfsHash: proofHash }
-      );
+      await crowdFunding.releaseMilestone(campaignId, milestoneIndex, proofHash);
 
       alert('Milestone funds released successfully!');
       await loadData();
     } catch (error) {
       console.error('Error releasing milestone:', error);
-      alert('Failed to release milestone. Please try again.');
+      alert(`Failed to release milestone: ${error.message}`);
     } finally {
       setReleasingMilestone(null);
     }
@@ -5,6 +5,7 @@ import { useRouter } from 'next/navigation';
 import { motion } from 'framer-motion';
 import { useWeb3 } from '@/components/providers/Web3Provider';
 import { useAuth } from '@/components/providers/AuthProvider';
+import DataExportCard from '@/components/DataExportCard';
 import { FaShieldAlt, FaCoins, FaCreditCard, FaChartLine, FaExclamationTriangle } from 'react-icons/fa';
 import axios from 'axios';
 
@@ -146,6 +147,8 @@ export default function Dashboard() {
           </div>
         </div>
 
+        <DataExportCard account={account} />
+
         {/* Recommendations */}
         {recommendations.length > 0 && (
           <div className="card-gradient">
@@ -0,0 +1,234 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useWeb3 } from '@/components/providers/Web3Provider';
+import { useConsent } from '@/components/providers/ConsentProvider';
+import { useUserRegistry } from '@/hooks/useContracts';
+import { useVault } from '@/hooks/useVault';
+import TxStatus from '@/components/TxStatus';
+import { FaIdCard, FaCheckCircle, FaClock, FaTimes, FaBan } from 'react-icons/fa';
+import axios from 'axios';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+const shortAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '—');
+
+const statusConfig = {
+  PENDING: { className: 'bg-yellow-100 text-yellow-700', icon: <FaClock />, label: 'Under review' },
+  APPROVED: { className: 'bg-green-100 text-green-700', icon: <FaCheckCircle />, label: 'Verified' },
+  REJECTED: { className: 'bg-red-100 text-red-700', icon: <FaTimes />, label: 'Rejected' },
+  REVOKED: { className: 'bg-red-100 text-red-700', icon: <FaBan />, label: 'Revoked' }
+};
+
+const documentSlots = [
+  { key: 'identity', label: 'Government-issued ID', required: true },
+  { key: 'address', label: 'Proof of address', required: true },
+  { key: 'other', label: 'Other supporting document', required: false }
+];
+
+export default function KYC() {
+  const { account } = useWeb3();
+  const { ensureConsent } = useConsent();
+  const registry = useUserRegistry();
+  const vault = useVault();
+  const [application, setApplication] = useState(null);
+  const [chain, setChain] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [files, setFiles] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadApplication = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/kyc/applications/${account}`);
+      setApplication(response.data);
+      setChain(response.data.chain);
+    } catch (err) {
+      if (err.response?.status === 404) {
+        setApplication(null);
+        setChain(err.response.data.chain);
+      } else {
+        console.error('Error loading KYC application:', err);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    if (account) {
+      loadApplication();
+    }
+  }, [account, loadApplication]);
+
+  const registerOnChain = async (bundleHash) => {
+    await registry.registerUser(bundleHash);
+    await loadApplication();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (!(await ensureConsent())) return;
+
+    setSubmitting(true);
+    try {
+      // Documents are encrypted in the browser for the applicant and every verifier
+      const { keys } = (await axios.get(`${API_URL}/kyc/recipients`)).data;
+      if (keys.length === 0) {
+        setError('No KYC verifier can receive documents yet, please try again later');
+        return;
+      }
+
+      const documents = [];
+      for (const slot of documentSlots) {
+        if (!files[slot.key]) continue;
+        const document = await vault.uploadEncrypted(files[slot.key], { recipients: keys, purpose: 'kyc' });
+        documents.push(document.cid);
+      }
+
+      const response = await axios.post(`${API_URL}/kyc/applications`, { documents });
+      setApplication(response.data);
+      setFiles({});
+
+      // Verifiers can only approve wallets registered in UserRegistry
+      if (!response.data.chain.registered) {
+        await registerOnChain(response.data.bundleHash);
+      } else {
+        setChain(response.data.chain);
+      }
+    } catch (err) {
+      console.error('Failed to submit KYC application:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to submit KYC application');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!account) {
+    return (
+      <div className="max-w-3xl mx-auto py-8">
+        <div className="card text-center py-20">
+          <FaIdCard className="text-6xl text-dark-400 mx-auto mb-4" />
+          <p className="text-dark-600">Connect your wallet to verify your identity</p>
+        </div>
+      </div>
+    );
+  }
+
+  const status = application ? statusConfig[application.status] : null;
+  const canSubmit = !application || application.status === 'REJECTED' || application.status === 'REVOKED';
+  const missingRequired = documentSlots.some((slot) => slot.required && !files[slot.key]);
+
+  return (
+    <div className="max-w-3xl mx-auto py-8">
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold gradient-text mb-2">Identity Verification</h1>
+        <p className="text-dark-600">
+          KYC verification is required to join pools, request loans, start campaigns and create payment plans
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-20">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+        </div>
+      ) : (
+        <>
+          {application && (
+            <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="card mb-8">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold text-dark-900">Your Application</h2>
+                <span className={`px-3 py-1 rounded-full text-xs font-semibold flex items-center space-x-1 ${status.className}`}>
+                  {status.icon}
+                  <span>{status.label}</span>
+                </span>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4 text-sm mb-4">
+                <div>
+                  <p className="text-dark-500">Submitted</p>
+                  <p className="text-dark-900">{application.submittedAt ? new Date(application.submittedAt).toLocaleString() : '—'}</p>
+                </div>
+                <div>
+                  <p className="text-dark-500">Documents</p>
+                  <p className="text-dark-900">{application.documents.length} encrypted</p>
+                </div>
+                {application.reviewedBy && (
+                  <>
+                    <div>
+                      <p className="text-dark-500">Reviewed by</p>
+                      <p className="font-mono text-dark-900">{shortAddress(application.reviewedBy)}</p>
+                    </div>
+                    <div>
+                      <p className="text-dark-500">Reviewed</p>
+                      <p className="text-dark-900">{new Date(application.reviewedAt).toLocaleString()}</p>
+                    </div>
+                  </>
+                )}
+              </div>
+
+              {application.reason && application.status !== 'APPROVED' && (
+                <p className="text-sm text-red-600 mb-4">Reason: {application.reason}</p>
+              )}
+
+              {chain && !chain.registered && application.bundleHash && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4">
+                  <p className="text-sm text-yellow-800 mb-3">
+                    Your wallet is not registered on-chain yet, so verifiers cannot approve it.
+                  </p>
+                  <button
+                    onClick={() => registerOnChain(application.bundleHash).catch(() => {})}
+                    disabled={registry.isPending}
+                    className="btn-secondary text-sm"
+                  >
+                    Register on-chain
+                  </button>
+                </div>
+              )}
+              <TxStatus tx={registry} />
+            </motion.div>
+          )}
+
+          {canSubmit && (
+            <motion.form
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              onSubmit={handleSubmit}
+              className="card space-y-4"
+            >
+              <h2 className="text-2xl font-bold text-dark-900">
+                {application ? 'Resubmit Documents' : 'Submit Documents'}
+              </h2>
+              {documentSlots.map((slot) => (
+                <div key={slot.key}>
+                  <label className="block text-dark-700 font-semibold mb-2">
+                    {slot.label}{slot.required ? '' : ' (optional)'}
+                  </label>
+                  <input
+                    type="file"
+                    accept="image/*,application/pdf"
+                    onChange={(e) => setFiles({ ...files, [slot.key]: e.target.files[0] })}
+                    className="w-full text-dark-700"
+                  />
+                </div>
+              ))}
+              <p className="text-xs text-dark-500">
+                Files are encrypted in your browser; only you and the platform&apos;s KYC verifiers can open them
+              </p>
+              {error && <p className="text-sm text-red-600">{error}</p>}
+              <button
+                type="submit"
+                disabled={submitting || missingRequired}
+                className="btn-primary w-full disabled:opacity-50"
+              >
+                {submitting ? 'Submitting...' : 'Submit for Verification'}
+              </button>
+            </motion.form>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useAuth } from '@/components/providers/AuthProvider';
+import { useUserRegistry } from '@/hooks/useContracts';
+import { useVault } from '@/hooks/useVault';
+import EncryptedDocument from '@/components/EncryptedDocument';
+import TxStatus from '@/components/TxStatus';
+import { FaCheck, FaTimes, FaUserShield, FaExclamationTriangle } from 'react-icons/fa';
+import axios from 'axios';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+const shortAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '—');
+
+function ApplicationCard({ application, index, canDecide, onDecided }) {
+  const registry = useUserRegistry();
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+  const { walletAddress, chain } = application;
+
+  const approve = async () => {
+    setError(null);
+    try {
+      const receipt = await registry.verifyKYC(walletAddress);
+      await axios.post(`${API_URL}/kyc/applications/${walletAddress}/approve`, { txHash: receipt.hash });
+      await onDecided();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const reject = async () => {
+    setError(null);
+    if (!reason.trim()) {
+      setError('Give the applicant a reason');
+      return;
+    }
+    try {
+      // revokeKYC records the decision on-chain; it reverts for wallets that never registered
+      const receipt = chain.registered ? await registry.revokeKYC(walletAddress) : null;
+      await axios.post(`${API_URL}/kyc/applications/${walletAddress}/reject`, {
+        txHash: receipt?.hash,
+        reason
+      });
+      await onDecided();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: index * 0.05 }}
+      className="card"
+    >
+      <div className="flex items-start justify-between mb-4">
+        <div>
+          <p className="font-mono text-dark-900 font-semibold">{walletAddress}</p>
+          <div className="flex items-center space-x-4 text-xs text-dark-500 mt-1">
+            <span>Submitted {application.submittedAt ? new Date(application.submittedAt).toLocaleString() : '—'}</span>
+            <span className={chain.registered ? 'text-green-600' : 'text-yellow-600'}>
+              {chain.registered ? 'Registered on-chain' : 'Not registered on-chain'}
+            </span>
+            {chain.verified && <span className="text-green-600">Verified on-chain</span>}
+          </div>
+        </div>
+        {application.reviewedBy && (
+          <div className="text-right text-xs text-dark-500">
+            <p>{application.status} by {shortAddress(application.reviewedBy)}</p>
+            <p>{new Date(application.reviewedAt).toLocaleString()}</p>
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-2 mb-4">
+        {application.documentsErasedAt ? (
+          <p className="text-sm text-dark-500">Documents erased at the applicant&apos;s request</p>
+        ) : (
+          application.documents.map((cid) => (
+            <EncryptedDocument
+              key={cid}
+              cid={cid}
+              deniedMessage="Not encrypted for you: submitted before you first opened this console"
+            />
+          ))
+        )}
+      </div>
+
+      {application.reason && <p className="text-sm text-dark-600 mb-4">Reason: {application.reason}</p>}
+
+      {canDecide && (application.status === 'PENDING' || application.status === 'APPROVED') && (
+        <div className="border-t border-dark-200 pt-4">
+          <div className="flex items-center space-x-3">
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder={application.status === 'APPROVED' ? 'Reason for revoking' : 'Reason if rejecting'}
+              className="flex-1 px-4 py-2 rounded-xl border border-dark-200 text-sm"
+            />
+            {application.status === 'PENDING' && (
+              <button
+                onClick={approve}
+                disabled={registry.isPending || !chain.registered}
+                title={chain.registered ? undefined : 'The applicant must register on-chain first'}
+                className="btn-primary text-sm flex items-center disabled:opacity-50"
+              >
+                <FaCheck className="mr-2" />
+                Approve
+              </button>
+            )}
+            <button
+              onClick={reject}
+              disabled={registry.isPending}
+              className="btn-secondary text-sm flex items-center"
+            >
+              <FaTimes className="mr-2" />
+              {application.status === 'APPROVED' ? 'Revoke' : 'Reject'}
+            </button>
+          </div>
+          <TxStatus tx={registry} />
+          {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
+export default function KYCReview() {
+  const { user } = useAuth();
+  const { unlock } = useVault();
+  const [applications, setApplications] = useState([]);
+  const [isChainVerifier, setIsChainVerifier] = useState(true);
+  const [filter, setFilter] = useState('PENDING');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadApplications = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/kyc/applications`, {
+        params: { status: filter === 'all' ? undefined : filter }
+      });
+      setApplications(response.data.applications);
+      setIsChainVerifier(response.data.reviewerIsChainVerifier);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.status === 403 ? 'KYC verifier access required' : 'Failed to load KYC applications');
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    if (user) {
+      setLoading(true);
+      loadApplications();
+    }
+  }, [user, loadApplications]);
+
+  // Applicants can only encrypt documents for verifiers whose vault key is registered
+  useEffect(() => {
+    if (user) {
+      unlock().catch(() => {});
+    }
+  }, [user, unlock]);
+
+  if (!user) {
+    return (
+      <div className="max-w-7xl mx-auto py-8">
+        <div className="card text-center py-20">
+          <FaUserShield className="text-6xl text-dark-400 mx-auto mb-4" />
+          <p className="text-dark-600">Sign in with a KYC verifier wallet to review applications</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto py-8">
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold gradient-text mb-2">KYC Review</h1>
+        <p className="text-dark-600">
+          Decrypt applicants&apos; documents and record your decision in UserRegistry
+        </p>
+      </div>
+
+      {!isChainVerifier && (
+        <div className="card mb-8 flex items-center text-yellow-700">
+          <FaExclamationTriangle className="mr-3 shrink-0" />
+          <p className="text-sm">
+            Your wallet is not on UserRegistry&apos;s verifier list, so decisions would revert. Ask an admin to re-save your roles.
+          </p>
+        </div>
+      )}
+
+      <div className="flex space-x-4 mb-6">
+        {[
+          { key: 'PENDING', label: 'Pending' },
+          { key: 'APPROVED', label: 'Approved' },
+          { key: 'REJECTED', label: 'Rejected' },
+          { key: 'REVOKED', label: 'Revoked' },
+          { key: 'all', label: 'All' }
+        ].map((tab) => (
+          <button
+            key={tab.key}
+            onClick={() => setFilter(tab.key)}
+            className={`px-6 py-3 rounded-xl font-semibold transition-all ${
+              filter === tab.key
+                ? 'bg-primary-500 text-white'
+                : 'bg-dark-100 text-dark-700 hover:bg-dark-200'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {error ? (
+        <div className="card text-center py-12">
+          <p className="text-red-600">{error}</p>
+        </div>
+      ) : loading ? (
+        <div className="flex justify-center py-20">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+        </div>
+      ) : applications.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-dark-600">No applications</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {applications.map((application, index) => (
+            <ApplicationCard
+              key={application.walletAddress}
+              application={application}
+              index={index}
+              canDecide={isChainVerifier}
+              onDecided={loadApplications}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
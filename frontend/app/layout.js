@@ -2,6 +2,7 @@ import { Inter } from 'next/font/google';
 import './globals.css';
 import { Web3Provider } from '@/components/providers/Web3Provider';
 import { AuthProvider } from '@/components/providers/AuthProvider';
+import { ConsentProvider } from '@/components/providers/ConsentProvider';
 import Navbar from '@/components/Navbar';
 import AIAssistant from '@/components/AIAssistant';
 
@@ -18,13 +19,15 @@ export default function RootLayout({ children }) {
       <body className={inter.className}>
         <Web3Provider>
           <AuthProvider>
-            <div className="min-h-screen bg-gradient-to-br from-dark-50 via-primary-900/10 to-secondary-900/10">
-              <Navbar />
-              <main className="container mx-auto px-4 py-8">
-                {children}
-              </main>
-              <AIAssistant />
-            </div>
+            <ConsentProvider>
+              <div className="min-h-screen bg-gradient-to-br from-dark-50 via-primary-900/10 to-secondary-900/10">
+                <Navbar />
+                <main className="container mx-auto px-4 py-8">
+                  {children}
+                </main>
+                <AIAssistant />
+              </div>
+            </ConsentProvider>
           </AuthProvider>
         </Web3Provider>
       </body>
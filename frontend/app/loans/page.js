@@ -1,13 +1,29 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { useWeb3 } from '@/components/providers/Web3Provider';
+import { useMicroLoan } from '@/hooks/useContracts';
+import TxStatus from '@/components/TxStatus';
+import CoSignerInvitations from '@/components/CoSignerInvitations';
+import CoSignerDashboard from '@/components/CoSignerDashboard';
+import LoanSchedule from '@/components/LoanSchedule';
 import { FaCoins, FaCheckCircle, FaClock, FaTimes, FaLock, FaUnlock, FaUsers, FaShieldAlt } from 'react-icons/fa';
 import axios from 'axios';
+import { ethers } from 'ethers';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
+// MicroLoan.LoanType of each option
+const loanTypeIds = {
+  unsecured: 'UNSECURED',
+  collateralized: 'COLLATERALIZED',
+  cosigned: 'COSIGNED',
+  poolBacked: 'POOL_BACKED'
+};
+
+const emptyLoanForm = { amount: '', duration: '30', purpose: '', coSigner: '', message: '', poolId: '' };
+
 export default function Loans() {
   const { account } = useWeb3();
   const [loans, setLoans] = useState([]);
@@ -15,30 +31,113 @@ export default function Loans() {
   const [loading, setLoading] = useState(true);
   const [selectedLoanType, setSelectedLoanType] = useState('unsecured');
   const [showLoanForm, setShowLoanForm] = useState(false);
+  const [loanForm, setLoanForm] = useState(emptyLoanForm);
+  const [quote, setQuote] = useState(null);
+  const [applyError, setApplyError] = useState(null);
+  const [activeLoanId, setActiveLoanId] = useState(null);
+  const [invitationsKey, setInvitationsKey] = useState(0);
+  const [scheduleLoanId, setScheduleLoanId] = useState(null);
+  const microLoan = useMicroLoan();
+
+  const loadData = useCallback(async () => {
+    try {
+      const [loansRes, creditRes] = await Promise.all([
+        axios.get(`${API_URL}/loans?borrower=${account}`),
+        axios.get(`${API_URL}/credit/${account}`)
+      ]);
+      
+      setLoans(loansRes.data);
+      setCreditScore(creditRes.data.currentScore || 450);
+    } catch (error) {
+      console.error('Failed to load data:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [account]);
 
   useEffect(() => {
-    const loadData = async () => {
+    if (account) {
+      loadData();
+    }
+  }, [account, loadData]);
+
+  // Any change invalidates the quote
+  const updateLoanForm = (changes) => {
+    setLoanForm({ ...loanForm, ...changes });
+    setQuote(null);
+  };
+
+  const selectLoanType = (key) => {
+    setSelectedLoanType(key);
+    setQuote(null);
+  };
+
+  // First submit quotes the request, the second sends the quoted MicroLoan call.
+  // Co-signed loans start with an invitation; the loan is requested once the co-signer accepts.
+  const handleApply = async (e) => {
+    e.preventDefault();
+    setActiveLoanId(null);
+    setApplyError(null);
+
+    if (selectedLoanType === 'cosigned') {
       try {
-        const [loansRes, creditRes] = await Promise.all([
-          axios.get(`${API_URL}/loans?borrower=${account}`),
-          axios.get(`${API_URL}/credit/${account}`)
-        ]);
-        
-        setLoans(loansRes.data);
-        setCreditScore(creditRes.data.currentScore || 450);
+        await axios.post(`${API_URL}/loans/invitations`, {
+          coSigner: loanForm.coSigner,
+          amount: loanForm.amount,
+          duration: parseInt(loanForm.duration),
+          purpose: loanForm.purpose,
+          message: loanForm.message || undefined
+        });
+        setShowLoanForm(false);
+        setLoanForm(emptyLoanForm);
+        setInvitationsKey(invitationsKey + 1);
       } catch (error) {
-        console.error('Failed to load data:', error);
-      } finally {
-        setLoading(false);
+        setApplyError(error.response?.data?.error || 'Failed to invite co-signer');
       }
-    };
+      return;
+    }
 
-    if (account) {
-      loadData();
+    if (!quote) {
+      try {
+        const response = await axios.post(`${API_URL}/loans/quote`, {
+          loanType: loanTypeIds[selectedLoanType],
+          amount: loanForm.amount,
+          duration: parseInt(loanForm.duration),
+          purpose: loanForm.purpose,
+          coSigner: loanForm.coSigner || undefined,
+          poolId: loanForm.poolId ? parseInt(loanForm.poolId) : undefined
+        });
+        setQuote(response.data);
+      } catch (error) {
+        setApplyError(error.response?.data?.error || 'Failed to quote loan');
+      }
+      return;
     }
-  }, [account]);
 
+    try {
+      const { method, args, value } = quote.submission;
+      const receipt = await microLoan.send(method, args, { value: BigInt(value) });
+      await axios.post(`${API_URL}/loans`, { txHash: receipt.hash });
+
+      setShowLoanForm(false);
+      setLoanForm(emptyLoanForm);
+      setQuote(null);
+      await loadData();
+    } catch (error) {
+      console.error('Failed to request loan:', error);
+    }
+  };
 
+  const handleRepay = async (loanId) => {
+    setActiveLoanId(loanId);
+    try {
+      const remaining = await microLoan.getRemainingOwed(loanId);
+      await microLoan.repayLoan(loanId, remaining);
+      await loadData();
+    } catch (error) {
+      console.error('Failed to repay loan:', error);
+    }
+  };
 
   const getBaseInterestRate = (score) => {
     if (score >= 800) return 5;
@@ -149,7 +248,7 @@ export default function Loans() {
                     ? `border-${type.color}-500 bg-${type.color}-500/10`
                     : 'border-dark-200 hover:border-dark-300'
                 }`}
-                onClick={() => setSelectedLoanType(key)}
+                onClick={() => selectLoanType(key)}
               >
                 <div className={`w-12 h-12 bg-${type.color}-500/20 rounded-xl flex items-center justify-center text-${type.color}-600 text-2xl mb-4`}>
                   {type.icon}
@@ -220,9 +319,138 @@ export default function Loans() {
           >
             Apply for {selectedType.name} Loan
           </button>
+
+          {showLoanForm && (
+            <form onSubmit={handleApply} className="mt-6 space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-dark-700 font-semibold mb-2">Amount (ETH) *</label>
+                  <input
+                    type="number"
+                    required
+                    step="0.01"
+                    min="0.01"
+                    max="10"
+                    value={loanForm.amount}
+                    onChange={(e) => updateLoanForm({ amount: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-dark-700 font-semibold mb-2">Duration (days) *</label>
+                  <input
+                    type="number"
+                    required
+                    min="7"
+                    max="365"
+                    value={loanForm.duration}
+                    onChange={(e) => updateLoanForm({ duration: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-dark-700 font-semibold mb-2">Purpose *</label>
+                <input
+                  type="text"
+                  required
+                  value={loanForm.purpose}
+                  onChange={(e) => updateLoanForm({ purpose: e.target.value })}
+                  className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                  placeholder="e.g., Surgery costs"
+                />
+              </div>
+              {selectedLoanType === 'cosigned' && (
+                <div>
+                  <label className="block text-dark-700 font-semibold mb-2">Co-signer Address *</label>
+                  <input
+                    type="text"
+                    required
+                    pattern="^0x[a-fA-F0-9]{40}$"
+                    value={loanForm.coSigner}
+                    onChange={(e) => updateLoanForm({ coSigner: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                    placeholder="0x..."
+                  />
+                  <label className="block text-dark-700 font-semibold mt-4 mb-2">Message to Co-signer</label>
+                  <textarea
+                    maxLength={500}
+                    rows={2}
+                    value={loanForm.message}
+                    onChange={(e) => updateLoanForm({ message: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                  />
+                  <p className="text-sm text-dark-500 mt-2">
+                    Your co-signer reviews these terms and approves them from their wallet before you can request the loan.
+                  </p>
+                </div>
+              )}
+              {selectedLoanType === 'poolBacked' && (
+                <div>
+                  <label className="block text-dark-700 font-semibold mb-2">Pool ID *</label>
+                  <input
+                    type="number"
+                    required
+                    min="1"
+                    value={loanForm.poolId}
+                    onChange={(e) => updateLoanForm({ poolId: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                  />
+                </div>
+              )}
+              {quote && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 p-4 bg-dark-100 rounded-xl text-sm">
+                  <div>
+                    <p className="text-dark-500">Interest Rate</p>
+                    <p className="font-bold text-dark-900">{(quote.quote.interestRate / 100).toFixed(2)}%</p>
+                  </div>
+                  <div>
+                    <p className="text-dark-500">Interest</p>
+                    <p className="font-bold text-dark-900">{parseFloat(quote.quote.interest).toFixed(4)} ETH</p>
+                  </div>
+                  <div>
+                    <p className="text-dark-500">Total Owed</p>
+                    <p className="font-bold text-dark-900">{parseFloat(quote.quote.totalOwed).toFixed(4)} ETH</p>
+                  </div>
+                  {quote.quote.collateralAmount && (
+                    <div>
+                      <p className="text-dark-500">Collateral Sent</p>
+                      <p className="font-bold text-dark-900">{quote.quote.collateralAmount} ETH</p>
+                    </div>
+                  )}
+                  {quote.quote.insuranceReserve && (
+                    <div>
+                      <p className="text-dark-500">Pool Reserve</p>
+                      <p className="font-bold text-dark-900">{quote.quote.insuranceReserve} ETH</p>
+                    </div>
+                  )}
+                  <p className="col-span-2 md:col-span-4 text-dark-600">
+                    {quote.quote.fundedImmediately
+                      ? 'The loan pool can fund this loan right away.'
+                      : 'The loan stays pending until the loan pool has enough funds.'}
+                  </p>
+                </div>
+              )}
+              {applyError && <p className="text-red-600 text-sm">{applyError}</p>}
+              <div className="flex space-x-4">
+                <button type="submit" disabled={microLoan.isPending} className="btn-primary flex-1">
+                  {microLoan.isPending
+                    ? 'Submitting...'
+                    : selectedLoanType === 'cosigned' ? 'Invite Co-signer' : quote ? 'Submit Request' : 'Get Quote'}
+                </button>
+                <button type="button" onClick={() => setShowLoanForm(false)} className="btn-secondary flex-1">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+          {activeLoanId === null && <TxStatus tx={microLoan} />}
         </div>
       </div>
 
+      <CoSignerInvitations account={account} refreshKey={invitationsKey} onLoanRequested={loadData} />
+      <CoSignerDashboard account={account} />
+
       {/* Interest Comparison Table */}
       <div className="card mb-8">
         <h3 className="text-xl font-bold text-dark-900 mb-4">Interest Rate Comparison</h3>
@@ -335,10 +563,28 @@ export default function Loans() {
                     </div>
                   </div>
                 </div>
-                {loan.status === 'ACTIVE' && (
-                  <button className="btn-primary ml-4">Make Payment</button>
-                )}
+                <div className="flex flex-col gap-2 ml-4">
+                  {loan.status === 'ACTIVE' && (
+                    <button
+                      onClick={() => handleRepay(loan.loanId)}
+                      disabled={microLoan.isPending}
+                      className="btn-primary"
+                    >
+                      {microLoan.isPending && activeLoanId === loan.loanId ? 'Paying...' : 'Pay Off'}
+                    </button>
+                  )}
+                  {loan.startDate && new Date(loan.startDate).getTime() > 0 && (
+                    <button
+                      onClick={() => setScheduleLoanId(scheduleLoanId === loan.loanId ? null : loan.loanId)}
+                      className="btn-secondary"
+                    >
+                      {scheduleLoanId === loan.loanId ? 'Hide Schedule' : 'Schedule'}
+                    </button>
+                  )}
+                </div>
               </div>
+              {activeLoanId === loan.loanId && <TxStatus tx={microLoan} />}
+              {scheduleLoanId === loan.loanId && <LoanSchedule loanId={loan.loanId} onRepaid={loadData} />}
             </motion.div>
           ))}
         </div>
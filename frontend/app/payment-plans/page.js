@@ -1,11 +1,56 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { FaCreditCard, FaPiggyBank, FaCalendarAlt } from 'react-icons/fa';
+import { useWeb3 } from '@/components/providers/Web3Provider';
+import { FaCreditCard, FaPiggyBank, FaCalendarAlt, FaExclamationTriangle } from 'react-icons/fa';
+import axios from 'axios';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+const installmentStatus = {
+  PAID: 'bg-green-500/20 text-green-700',
+  DUE: 'bg-blue-500/20 text-blue-700',
+  OVERDUE: 'bg-red-500/20 text-red-700',
+  UPCOMING: 'bg-dark-200 text-dark-600'
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '—');
 
 export default function PaymentPlans() {
+  const { account } = useWeb3();
   const [activeTab, setActiveTab] = useState('bnpl');
+  const [bnplPlans, setBnplPlans] = useState([]);
+  const [snplPlans, setSnplPlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadPlans = async () => {
+      try {
+        const [bnplRes, snplRes] = await Promise.all([
+          axios.get(`${API_URL}/payments/bnpl/${account}`),
+          axios.get(`${API_URL}/payments/snpl/${account}`)
+        ]);
+
+        setBnplPlans(bnplRes.data.plans || []);
+        setSnplPlans(snplRes.data.plans || []);
+      } catch (error) {
+        console.error('Failed to load payment plans:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (account) {
+      loadPlans();
+    }
+  }, [account]);
+
+  const renderLoading = () => (
+    <div className="flex justify-center py-20">
+      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+    </div>
+  );
 
   return (
     <div className="max-w-6xl mx-auto py-8">
@@ -53,11 +98,109 @@ export default function PaymentPlans() {
             </ul>
           </div>
 
-          {/* Create BNPL */}
-          <div className="card">
-            <h3 className="text-xl font-bold text-dark-900 mb-6">Create New BNPL Plan</h3>
-            <button className="btn-primary w-full">Create Plan</button>
-          </div>
+          {/* Your BNPL Plans */}
+          <h3 className="text-2xl font-bold text-dark-900 mb-4">Your BNPL Plans</h3>
+          {loading ? renderLoading() : bnplPlans.length === 0 ? (
+            <div className="card text-center py-12">
+              <FaCreditCard className="text-6xl text-dark-400 mx-auto mb-4" />
+              <p className="text-dark-600">No BNPL plans yet</p>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {bnplPlans.map((plan, index) => (
+                <motion.div
+                  key={plan.planId}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.1 }}
+                  className="card"
+                >
+                  <div className="flex items-start justify-between mb-4">
+                    <div>
+                      <div className="flex items-center space-x-3 mb-1">
+                        <h4 className="font-semibold text-dark-900">Plan #{plan.planId}</h4>
+                        <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                          plan.isActive ? 'bg-blue-500/20 text-blue-700' : 'bg-green-500/20 text-green-700'
+                        }`}>
+                          {plan.isActive ? 'Active' : 'Completed'}
+                        </span>
+                      </div>
+                      <p className="text-dark-600 text-sm">{plan.purpose}</p>
+                    </div>
+                    {plan.nextPayment && (
+                      <div className="text-right">
+                        <p className="text-sm text-dark-500">Next Payment</p>
+                        <p className={`text-2xl font-bold ${plan.nextPayment.isOverdue ? 'text-red-600' : 'gradient-text'}`}>
+                          {plan.nextPayment.amount} ETH
+                        </p>
+                        <p className="text-xs text-dark-500">
+                          <FaCalendarAlt className="inline mr-1" />
+                          Due {formatDate(plan.nextPayment.dueDate)}
+                        </p>
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-4">
+                    <div>
+                      <p className="text-dark-500">Total (incl. interest)</p>
+                      <p className="font-semibold text-dark-900">{plan.totalAmount} ETH</p>
+                    </div>
+                    <div>
+                      <p className="text-dark-500">Paid</p>
+                      <p className="font-semibold text-dark-900">{plan.paidAmount} ETH</p>
+                    </div>
+                    <div>
+                      <p className="text-dark-500">Remaining</p>
+                      <p className="font-semibold text-dark-900">{plan.remainingAmount} ETH</p>
+                    </div>
+                    <div>
+                      <p className="text-dark-500">Interest Rate</p>
+                      <p className="font-semibold text-dark-900">{(plan.interestRate / 100).toFixed(2)}%</p>
+                    </div>
+                  </div>
+
+                  {plan.lateFee?.percent !== null && plan.lateFee?.percent !== undefined && (
+                    <div className={`p-3 rounded-xl text-sm mb-4 ${
+                      parseFloat(plan.lateFee.accrued) > 0 ? 'bg-red-500/10 text-red-700' : 'bg-dark-100 text-dark-600'
+                    }`}>
+                      <FaExclamationTriangle className="inline mr-2" />
+                      Late fee: {plan.lateFee.percent}% ({plan.lateFee.perInstallment} ETH per late installment).
+                      {parseFloat(plan.lateFee.accrued) > 0 && ` Currently accrued: ${plan.lateFee.accrued} ETH.`}
+                      {parseFloat(plan.lateFee.charged) > 0 && ` Charged so far: ${plan.lateFee.charged} ETH.`}
+                    </div>
+                  )}
+
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b-2 border-dark-200">
+                          <th className="text-left py-2 px-3">#</th>
+                          <th className="text-left py-2 px-3">Due Date</th>
+                          <th className="text-left py-2 px-3">Amount</th>
+                          <th className="text-right py-2 px-3">Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {plan.schedule.map((installment) => (
+                          <tr key={installment.number} className="border-b border-dark-100">
+                            <td className="py-2 px-3">{installment.number}</td>
+                            <td className="py-2 px-3">{formatDate(installment.dueDate)}</td>
+                            <td className="py-2 px-3">{installment.amount} ETH</td>
+                            <td className="py-2 px-3 text-right">
+                              <span className={`px-3 py-1 rounded-full text-xs font-semibold ${installmentStatus[installment.status]}`}>
+                                {installment.status}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </motion.div>
+              ))}
+            </div>
+          )}
         </div>
       ) : (
         <div>
@@ -75,11 +218,90 @@ export default function PaymentPlans() {
             </ul>
           </div>
 
-          {/* Create SNPL */}
-          <div className="card">
-            <h3 className="text-xl font-bold text-dark-900 mb-6">Create New SNPL Plan</h3>
-            <button className="btn-primary w-full">Start Saving</button>
-          </div>
+          {/* Your SNPL Plans */}
+          <h3 className="text-2xl font-bold text-dark-900 mb-4">Your Savings Plans</h3>
+          {loading ? renderLoading() : snplPlans.length === 0 ? (
+            <div className="card text-center py-12">
+              <FaPiggyBank className="text-6xl text-dark-400 mx-auto mb-4" />
+              <p className="text-dark-600">No savings plans yet</p>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {snplPlans.map((plan, index) => (
+                <motion.div
+                  key={plan.planId}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.1 }}
+                  className="card"
+                >
+                  <div className="flex items-start justify-between mb-4">
+                    <div>
+                      <div className="flex items-center space-x-3 mb-1">
+                        <h4 className="font-semibold text-dark-900">Plan #{plan.planId}</h4>
+                        <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                          plan.isCompleted
+                            ? 'bg-green-500/20 text-green-700'
+                            : plan.progress.onTrack
+                              ? 'bg-blue-500/20 text-blue-700'
+                              : 'bg-yellow-500/20 text-yellow-700'
+                        }`}>
+                          {plan.progress.withdrawn
+                            ? 'Withdrawn'
+                            : plan.isCompleted
+                              ? 'Target Reached'
+                              : plan.progress.onTrack ? 'On Track' : 'Behind Schedule'}
+                        </span>
+                      </div>
+                      <p className="text-dark-600 text-sm">{plan.purpose}</p>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-sm text-dark-500">Saved</p>
+                      <p className="text-2xl font-bold gradient-text">
+                        {plan.savedAmount} / {plan.targetAmount} ETH
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="w-full bg-dark-200 rounded-full h-3 mb-4">
+                    <div
+                      className="bg-gradient-to-r from-primary-500 to-secondary-500 h-3 rounded-full"
+                      style={{ width: `${Math.min(plan.progress.percent, 100)}%` }}
+                    />
+                  </div>
+
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                    <div>
+                      <p className="text-dark-500">Progress</p>
+                      <p className="font-semibold text-dark-900">{plan.progress.percent.toFixed(2)}%</p>
+                    </div>
+                    <div>
+                      <p className="text-dark-500">Remaining</p>
+                      <p className="font-semibold text-dark-900">{plan.progress.remainingAmount} ETH</p>
+                    </div>
+                    <div>
+                      <p className="text-dark-500">Monthly Deposit</p>
+                      <p className="font-semibold text-dark-900">
+                        {plan.monthlyDeposit} ETH
+                        {!plan.isCompleted && plan.progress.requiredMonthlyDeposit !== plan.monthlyDeposit && (
+                          <span className="block text-xs text-dark-500">
+                            {plan.progress.requiredMonthlyDeposit} ETH needed to hit target
+                          </span>
+                        )}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-dark-500">Target Date</p>
+                      <p className="font-semibold text-dark-900">
+                        <FaCalendarAlt className="inline mr-1" />
+                        {formatDate(plan.targetDate)}
+                      </p>
+                    </div>
+                  </div>
+                </motion.div>
+              ))}
+            </div>
+          )}
         </div>
       )}
     </div>
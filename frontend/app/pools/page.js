@@ -3,16 +3,37 @@
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { useWeb3 } from '@/components/providers/Web3Provider';
+import { useInsurancePool } from '@/hooks/useContracts';
+import { useVault } from '@/hooks/useVault';
+import TxStatus from '@/components/TxStatus';
 import { FaPlus, FaUsers, FaCoins, FaShieldAlt } from 'react-icons/fa';
 import axios from 'axios';
+import { ethers } from 'ethers';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
+// Order matches InsurancePool.PoolType
+const POOL_TYPES = ['HEALTH', 'LIFE', 'ACCIDENT', 'CRITICAL_ILLNESS'];
+
+const EMPTY_POOL_FORM = {
+  name: '',
+  description: '',
+  targetAmount: '',
+  minContribution: '',
+  maxMembers: 50,
+  poolType: 'HEALTH'
+};
+
 export default function Pools() {
   const { account } = useWeb3();
   const [pools, setPools] = useState([]);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [poolForm, setPoolForm] = useState(EMPTY_POOL_FORM);
+  const [amounts, setAmounts] = useState({});
+  const [activePoolId, setActivePoolId] = useState(null);
+  const insurancePool = useInsurancePool();
+  const vault = useVault();
 
   useEffect(() => {
     loadPools();
@@ -29,6 +50,50 @@ export default function Pools() {
     }
   };
 
+  const handleCreatePool = async (e) => {
+    e.preventDefault();
+    try {
+      await insurancePool.createPool(
+        poolForm.name,
+        poolForm.description,
+        ethers.parseEther(poolForm.targetAmount),
+        ethers.parseEther(poolForm.minContribution),
+        parseInt(poolForm.maxMembers),
+        POOL_TYPES.indexOf(poolForm.poolType)
+      );
+      setShowCreateModal(false);
+      setPoolForm(EMPTY_POOL_FORM);
+      await loadPools();
+    } catch (error) {
+      console.error('Failed to create pool:', error);
+    }
+  };
+
+  const isMember = (pool) =>
+    !!account && (pool.members || []).some((member) => member.address === account.toLowerCase());
+
+  const handleJoinOrContribute = async (pool) => {
+    const amount = amounts[pool.poolId] || pool.minContribution;
+    if (!amount || parseFloat(amount) <= 0) {
+      alert('Please enter a valid amount');
+      return;
+    }
+
+    try {
+      setActivePoolId(pool.poolId);
+      if (isMember(pool)) {
+        await insurancePool.addContribution(pool.poolId, ethers.parseEther(amount));
+      } else {
+        await insurancePool.joinPool(pool.poolId, ethers.parseEther(amount));
+        // Register a vault key so claim evidence in this pool can be encrypted for the new member
+        await vault.unlock().catch((error) => console.warn('Vault not unlocked:', error.message));
+      }
+      await loadPools();
+    } catch (error) {
+      console.error('Failed to join pool:', error);
+    }
+  };
+
   const poolTypeColors = {
     HEALTH: 'from-blue-500 to-cyan-500',
     LIFE: 'from-purple-500 to-pink-500',
@@ -59,7 +124,10 @@ export default function Pools() {
           <p className="text-dark-600">Join a pool and get covered with proportional contributions</p>
         </div>
         <button
-          onClick={() => setShowCreateModal(true)}
+          onClick={() => {
+            setActivePoolId(null);
+            setShowCreateModal(true);
+          }}
           className="btn-primary flex items-center space-x-2"
         >
           <FaPlus />
@@ -69,7 +137,7 @@ export default function Pools() {
 
       {/* Pool Categories */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
-        {['HEALTH', 'LIFE', 'ACCIDENT', 'CRITICAL_ILLNESS'].map((type) => (
+        {POOL_TYPES.map((type) => (
           <div
             key={type}
             className="card text-center cursor-pointer hover:scale-105 transition-transform"
@@ -90,7 +158,13 @@ export default function Pools() {
         {pools.length === 0 ? (
           <div className="col-span-full text-center py-20">
             <p className="text-dark-600 text-lg mb-4">No pools available yet</p>
-            <button onClick={() => setShowCreateModal(true)} className="btn-primary">
+            <button
+              onClick={() => {
+                setActivePoolId(null);
+                setShowCreateModal(true);
+              }}
+              className="btn-primary"
+            >
               Create First Pool
             </button>
           </div>
@@ -101,7 +175,7 @@ export default function Pools() {
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
               transition={{ delay: index * 0.1 }}
-              className="card hover:scale-105 transition-transform cursor-pointer"
+              className="card"
             >
               <div className="flex items-start justify-between mb-4">
                 <div className={`w-12 h-12 bg-gradient-to-br ${poolTypeColors[pool.poolType]} rounded-xl flex items-center justify-center text-white`}>
@@ -141,15 +215,38 @@ export default function Pools() {
                 />
               </div>
 
-              <button className="btn-primary w-full">
-                View Details
-              </button>
+              {pool.isActive && (
+                <div className="flex space-x-2">
+                  <input
+                    type="number"
+                    step="0.01"
+                    min={isMember(pool) ? '0' : pool.minContribution}
+                    value={amounts[pool.poolId] ?? pool.minContribution ?? ''}
+                    onChange={(e) => setAmounts({ ...amounts, [pool.poolId]: e.target.value })}
+                    className="w-28 px-3 py-2 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                    placeholder="ETH"
+                  />
+                  <button
+                    onClick={() => handleJoinOrContribute(pool)}
+                    disabled={!account || insurancePool.isPending}
+                    className="btn-primary flex-1"
+                  >
+                    {insurancePool.isPending && activePoolId === pool.poolId
+                      ? 'Processing...'
+                      : isMember(pool) ? 'Add Contribution' : 'Join Pool'}
+                  </button>
+                </div>
+              )}
+              {pool.minContribution && (
+                <p className="text-xs text-dark-500 mt-2">Minimum contribution: {pool.minContribution} ETH</p>
+              )}
+              {activePoolId === pool.poolId && <TxStatus tx={insurancePool} />}
             </motion.div>
           ))
         )}
       </div>
 
-      {/* Create Pool Modal Placeholder */}
+      {/* Create Pool Modal */}
       {showCreateModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
           <motion.div
@@ -166,17 +263,88 @@ export default function Pools() {
                 ✕
               </button>
             </div>
-            <p className="text-dark-600 text-center py-8">
-              Pool creation functionality will be connected to smart contracts.
-              <br />
-              This requires contract interaction implementation.
-            </p>
-            <button
-              onClick={() => setShowCreateModal(false)}
-              className="btn-secondary w-full"
-            >
-              Close
-            </button>
+            <form onSubmit={handleCreatePool} className="space-y-4">
+              <div>
+                <label className="block text-dark-700 font-semibold mb-2">Pool Name *</label>
+                <input
+                  type="text"
+                  required
+                  value={poolForm.name}
+                  onChange={(e) => setPoolForm({ ...poolForm, name: e.target.value })}
+                  className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                />
+              </div>
+              <div>
+                <label className="block text-dark-700 font-semibold mb-2">Description *</label>
+                <textarea
+                  required
+                  rows={3}
+                  value={poolForm.description}
+                  onChange={(e) => setPoolForm({ ...poolForm, description: e.target.value })}
+                  className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-dark-700 font-semibold mb-2">Target Amount (ETH) *</label>
+                  <input
+                    type="number"
+                    required
+                    step="0.01"
+                    min="0.01"
+                    value={poolForm.targetAmount}
+                    onChange={(e) => setPoolForm({ ...poolForm, targetAmount: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-dark-700 font-semibold mb-2">Min Contribution (ETH) *</label>
+                  <input
+                    type="number"
+                    required
+                    step="0.001"
+                    min="0"
+                    value={poolForm.minContribution}
+                    onChange={(e) => setPoolForm({ ...poolForm, minContribution: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-dark-700 font-semibold mb-2">Max Members *</label>
+                  <input
+                    type="number"
+                    required
+                    min="1"
+                    value={poolForm.maxMembers}
+                    onChange={(e) => setPoolForm({ ...poolForm, maxMembers: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                  />
+                </div>
+                <div>
+                  <label className="block text-dark-700 font-semibold mb-2">Pool Type *</label>
+                  <select
+                    value={poolForm.poolType}
+                    onChange={(e) => setPoolForm({ ...poolForm, poolType: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-dark-200 rounded-xl focus:border-primary-500 focus:outline-none"
+                  >
+                    {POOL_TYPES.map((type) => (
+                      <option key={type} value={type}>{type.replace('_', ' ')}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <button
+                type="submit"
+                disabled={!account || insurancePool.isPending}
+                className="btn-primary w-full"
+              >
+                {insurancePool.isPending ? 'Creating...' : 'Create Pool'}
+              </button>
+              {!account && (
+                <p className="text-sm text-center text-dark-600">Please connect your wallet to create a pool</p>
+              )}
+              {activePoolId === null && <TxStatus tx={insurancePool} />}
+            </form>
           </motion.div>
         </div>
       )}
@@ -0,0 +1,151 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { useParams } from 'next/navigation';
+import { describeStatement } from '@/components/CredentialBadges';
+import { FaCheckCircle, FaTimesCircle, FaShieldAlt, FaExclamationTriangle } from 'react-icons/fa';
+import axios from 'axios';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+const shortAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '—');
+
+/**
+ * Why a badge does not verify, most specific first
+ */
+const invalidReason = (badge) => {
+  if (badge.revoked) return 'The holder revoked this badge';
+  if (badge.expired) return `This badge expired on ${new Date(badge.expiresAt).toLocaleDateString()}`;
+  if (!badge.proof) return 'The proof behind this badge is not on ZKPVerifier';
+  if (!badge.proof.verified) return `The proof behind this badge is ${badge.proof.status.toLowerCase()} on ZKPVerifier`;
+  return 'The proof on ZKPVerifier does not establish this statement';
+};
+
+/**
+ * Public check of a shared credential badge. Shows the proven statement, never the underlying value.
+ */
+export default function VerifyBadge() {
+  const { badgeId } = useParams();
+  const [badge, setBadge] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadBadge = async () => {
+      try {
+        const response = await axios.get(`${API_URL}/zkp/badges/${badgeId}`);
+        setBadge(response.data);
+      } catch (err) {
+        setError(err.response?.status === 404 ? 'No badge exists at this link' : 'Failed to verify badge');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadBadge();
+  }, [badgeId]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-2xl mx-auto py-8">
+        <div className="card text-center py-20">
+          <FaTimesCircle className="text-6xl text-dark-400 mx-auto mb-4" />
+          <p className="text-dark-600">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { proof } = badge;
+
+  return (
+    <div className="max-w-2xl mx-auto py-8">
+      <h1 className="text-4xl font-bold gradient-text mb-8">Credential Verification</h1>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className={`card mb-8 text-center border-2 ${badge.valid ? 'border-green-500' : 'border-red-500'}`}
+      >
+        {badge.valid ? (
+          <FaCheckCircle className="text-6xl text-green-500 mx-auto mb-4" />
+        ) : (
+          <FaTimesCircle className="text-6xl text-red-500 mx-auto mb-4" />
+        )}
+        <h2 className="text-3xl font-bold text-dark-900 mb-2">{describeStatement(badge.proofType, badge.statement)}</h2>
+        <p className="text-dark-600 mb-4">for wallet {shortAddress(badge.holder)}</p>
+        <span className={`px-4 py-1 rounded-full text-sm font-semibold ${
+          badge.valid ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
+        }`}>
+          {badge.valid ? 'Verified' : 'Not valid'}
+        </span>
+        {!badge.valid && <p className="text-red-600 text-sm mt-4">{invalidReason(badge)}</p>}
+      </motion.div>
+
+      <div className="card mb-8">
+        <div className="flex items-center mb-4">
+          <FaShieldAlt className="text-xl text-primary-500 mr-2" />
+          <h2 className="text-xl font-bold text-dark-900">On-chain Proof</h2>
+        </div>
+        <div className="grid grid-cols-2 gap-4 text-sm">
+          <div>
+            <p className="text-dark-500">Holder</p>
+            <p className="font-mono text-dark-900 break-all">{badge.holder}</p>
+          </div>
+          <div>
+            <p className="text-dark-500">Proof ID</p>
+            <p className="font-semibold text-dark-900">{proof ? `#${proof.proofId}` : '—'}</p>
+          </div>
+          <div>
+            <p className="text-dark-500">ZKPVerifier status</p>
+            <p className="font-semibold text-dark-900">{proof?.status || '—'}</p>
+          </div>
+          <div>
+            <p className="text-dark-500">Verified</p>
+            <p className="font-semibold text-dark-900">
+              {proof?.verifiedAt ? new Date(proof.verifiedAt).toLocaleString() : '—'}
+            </p>
+          </div>
+          <div>
+            <p className="text-dark-500">Issued</p>
+            <p className="font-semibold text-dark-900">{new Date(badge.issuedAt).toLocaleDateString()}</p>
+          </div>
+          <div>
+            <p className="text-dark-500">Expires</p>
+            <p className="font-semibold text-dark-900">{new Date(badge.expiresAt).toLocaleDateString()}</p>
+          </div>
+          <div className="col-span-2">
+            <p className="text-dark-500">Proof hash</p>
+            <p className="font-mono text-dark-900 break-all">{proof?.proofHash || '—'}</p>
+          </div>
+        </div>
+      </div>
+
+      {proof && (
+        <div className="bg-dark-100 rounded-xl p-4 flex items-start text-sm text-dark-700">
+          {proof.snarkVerified ? (
+            <FaShieldAlt className="text-green-500 mr-3 mt-0.5 shrink-0" />
+          ) : (
+            <FaExclamationTriangle className="text-yellow-500 mr-3 mt-0.5 shrink-0" />
+          )}
+          <p>
+            {proof.snarkVerified
+              ? 'ZKPVerifier checked this Groth16 proof on-chain. It reveals that the statement holds, not the underlying value.'
+              : proof.simulation
+                ? 'This proof was simulated in development mode and is not cryptographically secure.'
+                : 'This statement was attested by the platform as a trusted prover and recorded on ZKPVerifier.'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
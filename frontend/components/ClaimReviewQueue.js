@@ -0,0 +1,237 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useInsurancePool } from '@/hooks/useContracts';
+import TxStatus from '@/components/TxStatus';
+import EncryptedDocument from '@/components/EncryptedDocument';
+import { FaThumbsUp, FaThumbsDown, FaFileAlt, FaInbox } from 'react-icons/fa';
+import axios from 'axios';
+import { ipfsUrl } from '@/lib/ipfs';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+const REFRESH_INTERVAL_MS = 10000;
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * Links to a claim's evidence; bundles pinned by POST /claims/documents are expanded into their files
+ */
+function ClaimEvidence({ ipfsHash }) {
+  const [open, setOpen] = useState(false);
+  const [files, setFiles] = useState(null);
+
+  if (!ipfsHash) {
+    return <p className="text-xs text-dark-500">No documents attached</p>;
+  }
+
+  const toggle = async () => {
+    setOpen(!open);
+    if (files) return;
+
+    try {
+      const response = await axios.get(ipfsUrl(ipfsHash));
+      setFiles(response.data?.type === 'claim-documents' ? response.data.files : [{ name: 'Document', ipfsHash }]);
+    } catch (error) {
+      setFiles([{ name: 'Document', ipfsHash }]);
+    }
+  };
+
+  return (
+    <div>
+      <button onClick={toggle} className="text-sm text-primary-600 hover:text-primary-700 font-semibold flex items-center">
+        <FaFileAlt className="mr-2" />
+        {open ? 'Hide evidence' : 'View evidence'}
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          {!files ? (
+            <p className="text-xs text-dark-500">Loading documents...</p>
+          ) : (
+            files.map((file) => file.encrypted ? (
+              <EncryptedDocument
+                key={file.ipfsHash}
+                cid={file.ipfsHash}
+                deniedMessage="The claimant has not shared this document with you"
+              />
+            ) : (
+              <a
+                key={file.ipfsHash}
+                href={ipfsUrl(file.ipfsHash)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center space-x-3 p-3 bg-dark-50 rounded-xl hover:bg-dark-100 transition-colors"
+              >
+                <FaFileAlt className="text-primary-500" />
+                <span className="text-dark-700 text-sm">{file.name}</span>
+                <span className="text-dark-400 font-mono text-xs">{file.ipfsHash.slice(0, 12)}...</span>
+              </a>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Approval share against the 60% threshold and votes still needed to resolve
+ */
+function TallyBar({ tally }) {
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-dark-600 mb-1">
+        <span>{tally.approvals} approve · {tally.rejections} reject</span>
+        <span>{tally.approvalPercent}% approval (needs {tally.threshold}%)</span>
+      </div>
+      <div className="relative w-full bg-red-500/20 rounded-full h-3">
+        <div
+          className="bg-green-500 h-3 rounded-full transition-all"
+          style={{ width: `${tally.totalVotes > 0 ? tally.approvalPercent : 0}%` }}
+        />
+        <div className="absolute top-0 h-3 w-0.5 bg-dark-900" style={{ left: `${tally.threshold}%` }} />
+      </div>
+      <p className="text-xs text-dark-500 mt-1">
+        {tally.votesNeeded > 0
+          ? `${tally.votesNeeded} more vote${tally.votesNeeded === 1 ? '' : 's'} needed to resolve`
+          : 'The next vote resolves this claim'}
+        {tally.leading && ` · currently ${tally.leading === 'APPROVED' ? 'approving' : 'rejecting'}`}
+      </p>
+    </div>
+  );
+}
+
+export default function ClaimReviewQueue({ account }) {
+  const [pools, setPools] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [votingClaimId, setVotingClaimId] = useState(null);
+  const insurancePool = useInsurancePool();
+
+  const loadQueue = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/claims/review/${account}`);
+      setPools(response.data);
+    } catch (error) {
+      console.error('Failed to load review queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [account]);
+
+  // Poll so tallies move as other members vote
+  useEffect(() => {
+    loadQueue();
+    const interval = setInterval(loadQueue, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadQueue]);
+
+  const handleVote = async (claimId, approve) => {
+    setVotingClaimId(claimId);
+    try {
+      const receipt = await insurancePool.voteClaim(claimId, approve);
+      await axios.post(`${API_URL}/claims/${claimId}/votes`, { txHash: receipt.hash });
+      await loadQueue();
+    } catch (error) {
+      console.error('Failed to vote:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-20">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  if (pools.length === 0) {
+    return (
+      <div className="card text-center py-20">
+        <FaInbox className="text-6xl text-dark-400 mx-auto mb-4" />
+        <h3 className="text-xl font-semibold text-dark-900 mb-2">No Pools Yet</h3>
+        <p className="text-dark-600">Join a pool to review claims from other members</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {pools.map((pool) => (
+        <div key={pool.poolId}>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-bold text-dark-900">
+              Pool #{pool.poolId} · {pool.name}
+            </h2>
+            <span className="text-sm text-dark-600">
+              {pool.claims.length} pending · {pool.memberCount} members
+            </span>
+          </div>
+
+          {pool.claims.length === 0 ? (
+            <div className="card text-center py-8">
+              <p className="text-dark-600">No claims waiting for review</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {pool.claims.map((claim, index) => (
+                <motion.div
+                  key={claim.claimId}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.1 }}
+                  className="card"
+                >
+                  <div className="flex items-start justify-between mb-4">
+                    <div>
+                      <h3 className="font-semibold text-dark-900 mb-1">Claim #{claim.claimId}</h3>
+                      <p className="text-dark-600 text-sm mb-2">{claim.description}</p>
+                      <div className="flex items-center space-x-4 text-xs text-dark-500">
+                        <span>Claimant: {shortAddress(claim.claimant)}</span>
+                        {claim.submittedAt && <span>Submitted {new Date(claim.submittedAt).toLocaleDateString()}</span>}
+                      </div>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-2xl font-bold gradient-text">{claim.amount} ETH</p>
+                    </div>
+                  </div>
+
+                  <div className="mb-4">
+                    <ClaimEvidence ipfsHash={claim.documents} />
+                  </div>
+
+                  <TallyBar tally={claim.tally} />
+
+                  <div className="mt-4">
+                    {claim.eligibility.eligible ? (
+                      <div className="flex space-x-4">
+                        <button
+                          onClick={() => handleVote(claim.claimId, true)}
+                          disabled={insurancePool.isPending}
+                          className="btn-primary flex-1 flex items-center justify-center"
+                        >
+                          <FaThumbsUp className="mr-2" />
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => handleVote(claim.claimId, false)}
+                          disabled={insurancePool.isPending}
+                          className="btn-secondary flex-1 flex items-center justify-center"
+                        >
+                          <FaThumbsDown className="mr-2" />
+                          Reject
+                        </button>
+                      </div>
+                    ) : (
+                      <p className="text-sm text-dark-500">{claim.eligibility.reason}</p>
+                    )}
+                    {votingClaimId === claim.claimId && <TxStatus tx={insurancePool} />}
+                  </div>
+                </motion.div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useMicroLoan } from '@/hooks/useContracts';
+import TxStatus from '@/components/TxStatus';
+import { invitationStatus, shortAddress } from '@/components/CoSignerInvitations';
+import { FaHandshake, FaExclamationTriangle } from 'react-icons/fa';
+import axios from 'axios';
+import { ethers } from 'ethers';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+/**
+ * What the connected wallet has co-signed: requests to review, exposure on active loans
+ * (MicroLoan.getCoSignerLoans) and obligations called after a borrower defaulted
+ */
+export default function CoSignerDashboard({ account }) {
+  const microLoan = useMicroLoan();
+  const [requests, setRequests] = useState([]);
+  const [exposure, setExposure] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadData = useCallback(async () => {
+    try {
+      const [invitationsRes, exposureRes] = await Promise.all([
+        axios.get(`${API_URL}/loans/invitations`),
+        axios.get(`${API_URL}/loans/cosigner/${account}`)
+      ]);
+      setRequests(invitationsRes.data.received);
+      setExposure(exposureRes.data);
+    } catch (err) {
+      console.error('Failed to load co-signer data:', err);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    if (account) {
+      loadData();
+    }
+  }, [account, loadData]);
+
+  // Run a step for one row, tracking which row the transaction status belongs to
+  const run = async (id, action, fallback) => {
+    setActiveId(id);
+    setError(null);
+    try {
+      await action();
+      await loadData();
+    } catch (err) {
+      console.error(fallback, err);
+      setError(err.response?.data?.error || err.message || fallback);
+    }
+  };
+
+  // Approve the borrower on-chain with the invited terms, then record the acceptance
+  const handleAccept = (invitation) => run(invitation.invitationId, async () => {
+    const { method, args } = invitation.submission;
+    const receipt = await microLoan.send(method, args);
+    await axios.post(`${API_URL}/loans/invitations/${invitation.invitationId}/accept`, { txHash: receipt.hash });
+  }, 'Failed to accept invitation');
+
+  // An accepted invitation is declined by revoking the on-chain approval
+  const handleDecline = (invitation) => run(invitation.invitationId, async () => {
+    let txHash;
+    if (invitation.status === 'ACCEPTED') {
+      txHash = (await microLoan.revokeCoSigning(invitation.borrower)).hash;
+    }
+    await axios.post(`${API_URL}/loans/invitations/${invitation.invitationId}/decline`, { txHash });
+  }, 'Failed to decline invitation');
+
+  const handlePay = (loan) => run(`loan-${loan.loanId}`, async () => {
+    await microLoan.coSignerPayment(loan.loanId, ethers.parseEther(loan.liability));
+  }, 'Failed to pay obligation');
+
+  const openRequests = requests.filter((invitation) => ['PENDING', 'ACCEPTED'].includes(invitation.status));
+  const called = exposure?.loans.filter((loan) => loan.called) || [];
+  const active = exposure?.loans.filter((loan) => parseFloat(loan.exposure) > 0) || [];
+
+  if (openRequests.length === 0 && (!exposure || exposure.loans.length === 0)) return null;
+
+  return (
+    <div className="card mb-8">
+      <div className="flex items-center mb-2">
+        <FaHandshake className="text-2xl text-purple-500 mr-3" />
+        <h2 className="text-2xl font-bold text-dark-900">Co-signing</h2>
+      </div>
+      <p className="text-dark-600 text-sm mb-6">
+        If a borrower you co-signed for defaults, you owe the rest of their loan and your credit score drops.
+      </p>
+
+      {exposure && exposure.loans.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="p-4 bg-dark-100 rounded-xl">
+            <p className="text-sm text-dark-500">Active Loans</p>
+            <p className="text-2xl font-bold text-dark-900">{exposure.activeCount}</p>
+          </div>
+          <div className="p-4 bg-dark-100 rounded-xl">
+            <p className="text-sm text-dark-500">Exposure</p>
+            <p className="text-2xl font-bold text-dark-900">{parseFloat(exposure.totalExposure).toFixed(4)} ETH</p>
+          </div>
+          <div className="p-4 bg-dark-100 rounded-xl">
+            <p className="text-sm text-dark-500">Called Obligations</p>
+            <p className="text-2xl font-bold text-dark-900">{exposure.calledCount}</p>
+          </div>
+          <div className="p-4 bg-red-500/10 rounded-xl">
+            <p className="text-sm text-dark-500">Amount Due</p>
+            <p className="text-2xl font-bold text-red-600">{parseFloat(exposure.totalLiability).toFixed(4)} ETH</p>
+          </div>
+        </div>
+      )}
+
+      {called.length > 0 && (
+        <div className="mb-6">
+          <h3 className="font-semibold text-dark-900 mb-3">Called Obligations</h3>
+          <div className="space-y-3">
+            {called.map((loan) => (
+              <div key={loan.loanId} className="p-4 bg-red-500/5 border-2 border-red-500/20 rounded-xl">
+                <div className="flex items-center justify-between gap-4">
+                  <div className="flex items-center">
+                    <FaExclamationTriangle className="text-red-500 mr-3" />
+                    <div>
+                      <p className="font-semibold text-dark-900">
+                        Loan #{loan.loanId} defaulted · {parseFloat(loan.liability).toFixed(4)} ETH due
+                      </p>
+                      <p className="text-sm text-dark-600">Borrower {shortAddress(loan.borrower)}</p>
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handlePay(loan)}
+                    disabled={microLoan.isPending}
+                    className="btn-primary text-sm shrink-0"
+                  >
+                    {microLoan.isPending && activeId === `loan-${loan.loanId}` ? 'Paying...' : 'Pay'}
+                  </button>
+                </div>
+                {activeId === `loan-${loan.loanId}` && <TxStatus tx={microLoan} />}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {openRequests.length > 0 && (
+        <div className="mb-6">
+          <h3 className="font-semibold text-dark-900 mb-3">Requests to Co-sign</h3>
+          <div className="space-y-3">
+            {openRequests.map((invitation) => {
+              const status = invitationStatus[invitation.status];
+              const isActive = activeId === invitation.invitationId;
+              return (
+                <motion.div
+                  key={invitation.invitationId}
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  className="p-4 bg-dark-100 rounded-xl"
+                >
+                  <div className="flex items-center space-x-3 mb-2">
+                    <p className="font-semibold text-dark-900">{shortAddress(invitation.borrower)} asks you to co-sign</p>
+                    <span className={`px-3 py-1 rounded-full text-xs font-semibold bg-${status.color}-500/20 text-${status.color}-700`}>
+                      {status.label}
+                    </span>
+                  </div>
+                  {invitation.message && <p className="text-sm text-dark-600 italic mb-2">&ldquo;{invitation.message}&rdquo;</p>}
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm mb-3">
+                    <div>
+                      <p className="text-dark-500">Amount</p>
+                      <p className="font-semibold text-dark-900">{invitation.amount} ETH</p>
+                    </div>
+                    <div>
+                      <p className="text-dark-500">Duration</p>
+                      <p className="font-semibold text-dark-900">{invitation.duration} days</p>
+                    </div>
+                    <div>
+                      <p className="text-dark-500">Interest Rate</p>
+                      <p className="font-semibold text-dark-900">{(invitation.interestRate / 100).toFixed(2)}%</p>
+                    </div>
+                    <div>
+                      <p className="text-dark-500">Your Liability</p>
+                      <p className="font-semibold text-red-600">up to {parseFloat(invitation.maxLiability).toFixed(4)} ETH</p>
+                    </div>
+                    <div>
+                      <p className="text-dark-500">Expires</p>
+                      <p className="font-semibold text-dark-900">{new Date(invitation.expiresAt).toLocaleDateString()}</p>
+                    </div>
+                  </div>
+                  {invitation.purpose && <p className="text-sm text-dark-600 mb-3">Purpose: {invitation.purpose}</p>}
+                  <div className="flex gap-2">
+                    {invitation.status === 'PENDING' && (
+                      <button
+                        onClick={() => handleAccept(invitation)}
+                        disabled={microLoan.isPending}
+                        className="btn-primary text-sm"
+                      >
+                        {microLoan.isPending && isActive ? 'Approving...' : 'Accept'}
+                      </button>
+                    )}
+                    <button
+                      onClick={() => handleDecline(invitation)}
+                      disabled={microLoan.isPending}
+                      className="btn-secondary text-sm"
+                    >
+                      {invitation.status === 'ACCEPTED' ? 'Revoke Approval' : 'Decline'}
+                    </button>
+                  </div>
+                  {isActive && <TxStatus tx={microLoan} />}
+                </motion.div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {active.length > 0 && (
+        <div>
+          <h3 className="font-semibold text-dark-900 mb-3">Loans You Back</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b-2 border-dark-200">
+                  <th className="text-left py-2 px-3">Loan</th>
+                  <th className="text-left py-2 px-3">Borrower</th>
+                  <th className="text-left py-2 px-3">Status</th>
+                  <th className="text-left py-2 px-3">Due</th>
+                  <th className="text-right py-2 px-3">Exposure</th>
+                </tr>
+              </thead>
+              <tbody>
+                {active.map((loan) => (
+                  <tr key={loan.loanId} className="border-b border-dark-100">
+                    <td className="py-2 px-3 font-semibold">#{loan.loanId}</td>
+                    <td className="py-2 px-3">{shortAddress(loan.borrower)}</td>
+                    <td className="py-2 px-3">{loan.status}</td>
+                    <td className="py-2 px-3">{loan.dueDate ? new Date(loan.dueDate).toLocaleDateString() : '—'}</td>
+                    <td className="py-2 px-3 text-right font-semibold">{parseFloat(loan.exposure).toFixed(4)} ETH</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      {error && <p className="text-red-600 text-sm mt-3">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useMicroLoan } from '@/hooks/useContracts';
+import TxStatus from '@/components/TxStatus';
+import { FaUserFriends } from 'react-icons/fa';
+import axios from 'axios';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+export const invitationStatus = {
+  PENDING: { color: 'yellow', label: 'Awaiting co-signer' },
+  ACCEPTED: { color: 'green', label: 'Accepted' },
+  DECLINED: { color: 'red', label: 'Declined' },
+  CANCELLED: { color: 'gray', label: 'Cancelled' },
+  EXPIRED: { color: 'gray', label: 'Expired' },
+  USED: { color: 'blue', label: 'Loan requested' }
+};
+
+export const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * Co-signer invitations the borrower sent. Once a co-signer accepts, the loan can be
+ * requested on the approved terms.
+ */
+export default function CoSignerInvitations({ account, refreshKey, onLoanRequested }) {
+  const microLoan = useMicroLoan();
+  const [invitations, setInvitations] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/loans/invitations`);
+      setInvitations(response.data.sent);
+    } catch (err) {
+      console.error('Failed to load invitations:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (account) {
+      loadInvitations();
+    }
+  }, [account, refreshKey, loadInvitations]);
+
+  const handleRequestLoan = async (invitation) => {
+    setActiveId(invitation.invitationId);
+    setError(null);
+    try {
+      const quoted = (await axios.post(`${API_URL}/loans/quote`, {
+        loanType: 'COSIGNED',
+        amount: invitation.amount,
+        duration: invitation.duration,
+        purpose: invitation.purpose,
+        coSigner: invitation.coSigner
+      })).data;
+
+      const { method, args, value } = quoted.submission;
+      const receipt = await microLoan.send(method, args, { value: BigInt(value) });
+      await axios.post(`${API_URL}/loans`, { txHash: receipt.hash });
+
+      await loadInvitations();
+      onLoanRequested?.();
+    } catch (err) {
+      console.error('Failed to request co-signed loan:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to request loan');
+    }
+  };
+
+  const handleCancel = async (invitationId) => {
+    setActiveId(invitationId);
+    setError(null);
+    try {
+      await axios.delete(`${API_URL}/loans/invitations/${invitationId}`);
+      await loadInvitations();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to cancel invitation');
+    }
+  };
+
+  if (invitations.length === 0) return null;
+
+  return (
+    <div className="card mb-8">
+      <div className="flex items-center mb-4">
+        <FaUserFriends className="text-2xl text-purple-500 mr-3" />
+        <h2 className="text-2xl font-bold text-dark-900">Co-signer Invitations</h2>
+      </div>
+
+      <div className="space-y-3">
+        {invitations.map((invitation) => {
+          const status = invitationStatus[invitation.status];
+          const isActive = activeId === invitation.invitationId;
+          return (
+            <motion.div
+              key={invitation.invitationId}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="p-4 bg-dark-100 rounded-xl"
+            >
+              <div className="flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-3 mb-1">
+                    <p className="font-semibold text-dark-900">
+                      {invitation.amount} ETH for {invitation.duration} days
+                    </p>
+                    <span className={`px-3 py-1 rounded-full text-xs font-semibold bg-${status.color}-500/20 text-${status.color}-700`}>
+                      {status.label}
+                    </span>
+                  </div>
+                  <p className="text-sm text-dark-600">
+                    Co-signer {shortAddress(invitation.coSigner)} · {(invitation.interestRate / 100).toFixed(2)}% ·
+                    {' '}{parseFloat(invitation.totalOwed).toFixed(4)} ETH owed
+                    {['PENDING', 'ACCEPTED'].includes(invitation.status) &&
+                      ` · expires ${new Date(invitation.expiresAt).toLocaleDateString()}`}
+                    {invitation.loanId && ` · Loan #${invitation.loanId}`}
+                  </p>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  {invitation.status === 'ACCEPTED' && (
+                    <button
+                      onClick={() => handleRequestLoan(invitation)}
+                      disabled={microLoan.isPending}
+                      className="btn-primary text-sm"
+                    >
+                      {microLoan.isPending && isActive ? 'Submitting...' : 'Request Loan'}
+                    </button>
+                  )}
+                  {['PENDING', 'ACCEPTED'].includes(invitation.status) && (
+                    <button
+                      onClick={() => handleCancel(invitation.invitationId)}
+                      disabled={microLoan.isPending}
+                      className="btn-secondary text-sm"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </div>
+              {isActive && <TxStatus tx={microLoan} />}
+            </motion.div>
+          );
+        })}
+      </div>
+      {error && <p className="text-red-600 text-sm mt-3">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { QRCodeSVG } from 'qrcode.react';
+import { useConsent } from '@/components/providers/ConsentProvider';
+import { useZKPVerifier } from '@/hooks/useContracts';
+import TxStatus from '@/components/TxStatus';
+import { FaShieldAlt, FaCopy, FaCheck, FaBan } from 'react-icons/fa';
+import axios from 'axios';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+const statements = {
+  CREDIT_SCORE_RANGE: { label: 'Credit score is at least', body: (threshold) => ({ minThreshold: threshold }) },
+  NO_RECENT_DEFAULTS: { label: 'No loan defaults in the last 12 months', body: () => ({ windowMonths: 12 }) }
+};
+
+const expiryOptions = [7, 30, 90, 365];
+
+/**
+ * Human readable form of what a badge proves, e.g. "Credit score ≥ 700"
+ */
+export const describeStatement = (proofType, statement = {}) => {
+  if (proofType === 'CREDIT_SCORE_RANGE') return `Credit score ≥ ${statement.minThreshold}`;
+  if (proofType === 'NO_RECENT_DEFAULTS') return `No loan defaults in the last ${statement.windowMonths} months`;
+  if (proofType === 'AGE_RANGE') return `Age ≥ ${statement.minAge}`;
+  return proofType;
+};
+
+export const badgeUrl = (badgeId) => `${window.location.origin}/verify/${badgeId}`;
+
+/**
+ * Mint shareable, expiring proofs of a statement about the wallet's credit without disclosing the score
+ */
+export default function CredentialBadges({ account }) {
+  const { ensureConsent } = useConsent();
+  const zkpVerifier = useZKPVerifier();
+  const [badges, setBadges] = useState([]);
+  const [proofType, setProofType] = useState('CREDIT_SCORE_RANGE');
+  const [threshold, setThreshold] = useState(700);
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  const [minting, setMinting] = useState(false);
+  const [step, setStep] = useState(null);
+  const [error, setError] = useState(null);
+  const [latest, setLatest] = useState(null);
+  const [copied, setCopied] = useState(null);
+
+  const loadBadges = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/zkp/badges`);
+      setBadges(response.data);
+    } catch (err) {
+      console.error('Failed to load badges:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (account) {
+      loadBadges();
+    }
+  }, [account, loadBadges]);
+
+  const handleMint = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (!(await ensureConsent())) return;
+
+    setMinting(true);
+    try {
+      setStep('Generating proof...');
+      const generated = (await axios.post(`${API_URL}/zkp/proofs`, {
+        proofType,
+        ...statements[proofType].body(Number(threshold))
+      })).data;
+
+      setStep('Submitting proof to ZKPVerifier...');
+      const { method, args } = generated.submission;
+      const receipt = await zkpVerifier.send(method, args);
+
+      setStep('Verifying proof...');
+      const proof = (await axios.post(`${API_URL}/zkp/proofs/submit`, { txHash: receipt.hash })).data;
+      if (!proof.verified) {
+        setError('Your proof was submitted and is awaiting verification, mint the badge once it is verified');
+        return;
+      }
+
+      setStep('Issuing badge...');
+      const badge = (await axios.post(`${API_URL}/zkp/badges`, { proofId: proof.proofId, expiresInDays })).data;
+      setLatest(badge);
+      await loadBadges();
+    } catch (err) {
+      console.error('Failed to mint badge:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to mint badge');
+    } finally {
+      setMinting(false);
+      setStep(null);
+    }
+  };
+
+  const handleCopy = async (badgeId) => {
+    await navigator.clipboard.writeText(badgeUrl(badgeId));
+    setCopied(badgeId);
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  const handleRevoke = async (badgeId) => {
+    try {
+      await axios.delete(`${API_URL}/zkp/badges/${badgeId}`);
+      if (latest?.badgeId === badgeId) setLatest(null);
+      await loadBadges();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke badge');
+    }
+  };
+
+  return (
+    <div className="card mb-8">
+      <div className="flex items-center mb-2">
+        <FaShieldAlt className="text-2xl text-primary-500 mr-3" />
+        <h2 className="text-2xl font-bold text-dark-900">Share a Credential</h2>
+      </div>
+      <p className="text-dark-600 text-sm mb-6">
+        Prove a statement about your credit with a zero-knowledge proof checked by ZKPVerifier. Whoever opens
+        the link sees that the statement holds, never your score.
+      </p>
+
+      <form onSubmit={handleMint} className="grid md:grid-cols-3 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-dark-700 mb-2">Statement</label>
+          <select
+            value={proofType}
+            onChange={(e) => setProofType(e.target.value)}
+            className="input-field"
+          >
+            {Object.entries(statements).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {proofType === 'CREDIT_SCORE_RANGE' ? (
+          <div>
+            <label className="block text-sm font-medium text-dark-700 mb-2">Minimum score</label>
+            <input
+              type="number"
+              min="0"
+              max="900"
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+              className="input-field"
+              required
+            />
+          </div>
+        ) : (
+          <div />
+        )}
+        <div>
+          <label className="block text-sm font-medium text-dark-700 mb-2">Expires after</label>
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(Number(e.target.value))}
+            className="input-field"
+          >
+            {expiryOptions.map((days) => (
+              <option key={days} value={days}>{days} days</option>
+            ))}
+          </select>
+        </div>
+        <button type="submit" disabled={minting} className="btn-primary md:col-span-3">
+          {minting ? step : 'Mint Badge'}
+        </button>
+      </form>
+
+      <TxStatus tx={zkpVerifier} />
+      {error && <p className="text-red-600 text-sm mt-3">{error}</p>}
+
+      {latest && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="flex flex-col md:flex-row items-center gap-6 bg-dark-100 rounded-xl p-6 mt-6"
+        >
+          <div className="bg-white p-3 rounded-xl">
+            <QRCodeSVG value={badgeUrl(latest.badgeId)} size={160} />
+          </div>
+          <div className="min-w-0">
+            <p className="text-lg font-semibold text-dark-900 mb-1">
+              {describeStatement(latest.proofType, latest.statement)}
+            </p>
+            <p className="text-dark-600 text-sm mb-3">
+              Valid until {new Date(latest.expiresAt).toLocaleDateString()}
+            </p>
+            <div className="flex items-center gap-2">
+              <code className="text-xs text-dark-700 truncate">{badgeUrl(latest.badgeId)}</code>
+              <button onClick={() => handleCopy(latest.badgeId)} className="btn-secondary text-sm shrink-0">
+                {copied === latest.badgeId ? <FaCheck /> : <FaCopy />}
+              </button>
+            </div>
+          </div>
+        </motion.div>
+      )}
+
+      {badges.length > 0 && (
+        <div className="mt-6">
+          <h3 className="font-semibold text-dark-900 mb-3">Your Badges</h3>
+          <div className="space-y-2">
+            {badges.map((badge) => {
+              const expired = new Date(badge.expiresAt) <= new Date();
+              const active = !badge.revoked && !expired;
+              return (
+                <div key={badge.badgeId} className="flex items-center justify-between bg-dark-100 rounded-xl px-4 py-3">
+                  <div>
+                    <p className="font-medium text-dark-900">{describeStatement(badge.proofType, badge.statement)}</p>
+                    <p className="text-xs text-dark-500">
+                      {badge.revoked
+                        ? 'Revoked'
+                        : `${expired ? 'Expired' : 'Expires'} ${new Date(badge.expiresAt).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                  {active && (
+                    <div className="flex items-center gap-2">
+                      <button onClick={() => handleCopy(badge.badgeId)} className="btn-secondary text-sm">
+                        {copied === badge.badgeId ? <FaCheck /> : <FaCopy />}
+                      </button>
+                      <button
+                        onClick={() => handleRevoke(badge.badgeId)}
+                        className="btn-secondary text-sm text-red-600 flex items-center"
+                      >
+                        <FaBan className="mr-1" />
+                        Revoke
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+'use client';
+
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ReferenceLine,
+  Legend
+} from 'recharts';
+
+const formatPoints = (points) => `${points > 0 ? '+' : ''}${points}`;
+
+/**
+ * Points each CreditScore factor adds to or takes from the base score, optionally next to
+ * the points after a what-if scenario
+ */
+export default function CreditFactorChart({ explanation, simulated }) {
+  const data = explanation.factors.map((factor, index) => ({
+    label: `${factor.label} (${factor.weight}%)`,
+    current: factor.points,
+    simulated: simulated ? simulated.factors[index].points : undefined
+  }));
+
+  return (
+    <div>
+      <ResponsiveContainer width="100%" height={280}>
+        <BarChart data={data} layout="vertical" margin={{ left: 24, right: 24 }}>
+          <XAxis type="number" domain={[-200, 200]} tickFormatter={formatPoints} />
+          <YAxis type="category" dataKey="label" width={180} tick={{ fontSize: 12 }} />
+          <Tooltip formatter={(value) => `${formatPoints(value)} points`} />
+          <ReferenceLine x={0} stroke="#64748b" />
+          <Bar dataKey="current" name="Current" radius={4}>
+            {data.map((entry) => (
+              <Cell key={entry.label} fill={entry.current < 0 ? '#ef4444' : '#22c55e'} />
+            ))}
+          </Bar>
+          {simulated && <Bar dataKey="simulated" name="What if" fill="#8b5cf6" radius={4} />}
+          {simulated && <Legend />}
+        </BarChart>
+      </ResponsiveContainer>
+
+      <div className="space-y-2 mt-4 text-sm">
+        <div className="flex justify-between text-dark-700">
+          <span>Base score</span>
+          <span className="font-semibold">{explanation.base}</span>
+        </div>
+        {explanation.factors.map((factor) => (
+          <div key={factor.key} className="flex justify-between gap-4 text-dark-700">
+            <span>
+              {factor.label}
+              <span className="block text-xs text-dark-500">{factor.detail}</span>
+            </span>
+            <span className={`font-semibold ${factor.points < 0 ? 'text-red-600' : factor.points > 0 ? 'text-green-600' : ''}`}>
+              {formatPoints(factor.points)}
+            </span>
+          </div>
+        ))}
+        {explanation.clamped !== 0 && (
+          <div className="flex justify-between text-dark-700">
+            <span>Kept within 0-900</span>
+            <span className="font-semibold">{formatPoints(explanation.clamped)}</span>
+          </div>
+        )}
+        <div className="flex justify-between pt-2 border-t border-dark-200 font-semibold text-dark-900">
+          <span>Score</span>
+          <span>{explanation.score}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+'use client';
+
+import { useState } from 'react';
+import { FaDownload } from 'react-icons/fa';
+import axios from 'axios';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+/**
+ * Download everything the platform holds about the wallet (GDPR Art. 20)
+ */
+export default function DataExportCard({ account }) {
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      const response = await axios.get(`${API_URL}/privacy/export/${account}`, { responseType: 'blob' });
+      const fileName = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '')?.[1]
+        || `nishkama-export-${account}.zip`;
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to build your export, please try again');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="card mb-8">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-dark-900 mb-2">Your Data</h2>
+          <p className="text-dark-600 text-sm">
+            Download your profile, credit history, loans, claims, pool memberships, contributions, bug reports
+            and on-chain privacy records as a signed archive of JSON and CSV files.
+          </p>
+          {error && <p className="text-red-600 text-sm mt-2">{error}</p>}
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="btn-secondary flex items-center shrink-0 ml-6"
+        >
+          <FaDownload className="mr-2" />
+          {exporting ? 'Preparing...' : 'Download My Data'}
+        </button>
+      </div>
+    </div>
+  );
+}
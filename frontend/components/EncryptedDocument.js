@@ -0,0 +1,43 @@
+'use client';
+
+import { useState } from 'react';
+import { useVault } from '@/hooks/useVault';
+import { FaLock } from 'react-icons/fa';
+
+/**
+ * Decrypts a vault document with the reader's grant and opens it in a new tab
+ * @param {string} cid - Vault document CID
+ * @param {string} [deniedMessage] - Shown when the reader holds no grant
+ */
+export default function EncryptedDocument({ cid, deniedMessage = 'This document has not been shared with you' }) {
+  const vault = useVault();
+  const [state, setState] = useState({ status: 'locked', fileName: null, error: null });
+
+  const open = async () => {
+    setState((previous) => ({ ...previous, status: 'decrypting', error: null }));
+    try {
+      const { blob, fileName } = await vault.openDocument(cid);
+      window.open(URL.createObjectURL(blob), '_blank', 'noopener');
+      setState({ status: 'open', fileName, error: null });
+    } catch (error) {
+      const message = error.response?.status === 403 ? deniedMessage : 'Could not decrypt this document';
+      setState({ status: 'locked', fileName: null, error: message });
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-3 p-3 bg-dark-50 rounded-xl">
+      <FaLock className="text-primary-500" />
+      <span className="text-dark-700 text-sm">{state.fileName || 'Encrypted document'}</span>
+      <span className="text-dark-400 font-mono text-xs">{cid.slice(0, 12)}...</span>
+      <button
+        onClick={open}
+        disabled={state.status === 'decrypting'}
+        className="ml-auto text-sm text-primary-600 hover:text-primary-700 font-semibold"
+      >
+        {state.status === 'decrypting' ? 'Decrypting...' : 'Decrypt & open'}
+      </button>
+      {state.error && <span className="text-xs text-red-600">{state.error}</span>}
+    </div>
+  );
+}
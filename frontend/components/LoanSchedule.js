@@ -0,0 +1,221 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { useMicroLoan } from '@/hooks/useContracts';
+import TxStatus from '@/components/TxStatus';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import axios from 'axios';
+import { ethers } from 'ethers';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+const installmentStatus = {
+  PAID: { color: 'green', label: 'Paid' },
+  PAID_LATE: { color: 'orange', label: 'Paid late' },
+  PARTIAL: { color: 'blue', label: 'Partly paid' },
+  DUE: { color: 'blue', label: 'Next due' },
+  OVERDUE: { color: 'red', label: 'Overdue' },
+  UPCOMING: { color: 'gray', label: 'Upcoming' }
+};
+
+const formatEth = (value) => `${parseFloat(value).toFixed(4)} ETH`;
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+/**
+ * Repayment schedule of a loan: installments with what was paid against each, late payments,
+ * and a payoff projection for a chosen payment per period
+ */
+export default function LoanSchedule({ loanId, onRepaid }) {
+  const microLoan = useMicroLoan();
+  const [schedule, setSchedule] = useState(null);
+  const [payment, setPayment] = useState('');
+  const [error, setError] = useState(null);
+
+  const loadSchedule = useCallback(async (amount) => {
+    try {
+      const response = await axios.get(`${API_URL}/loans/${loanId}/schedule`, {
+        params: amount ? { payment: amount } : {}
+      });
+      setSchedule(response.data);
+      setError(null);
+      return response.data;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load schedule');
+      return null;
+    }
+  }, [loanId]);
+
+  // Project the next installment by default
+  useEffect(() => {
+    loadSchedule().then((loaded) => {
+      const next = loaded?.nextInstallment;
+      if (next) {
+        setPayment(next.outstanding);
+        loadSchedule(next.outstanding);
+      }
+    });
+  }, [loadSchedule]);
+
+  const updatePayment = (value) => {
+    setPayment(value);
+    if (parseFloat(value) > 0) loadSchedule(value);
+  };
+
+  // Capped at the on-chain balance: repayLoan refuses overpayments
+  const handlePay = async (amount) => {
+    setError(null);
+    try {
+      const remaining = await microLoan.getRemainingOwed(loanId);
+      const value = amount ? ethers.parseEther(amount) : remaining;
+      await microLoan.repayLoan(loanId, value < remaining ? value : remaining);
+      await loadSchedule(payment);
+      onRepaid?.();
+    } catch (err) {
+      console.error('Failed to repay loan:', err);
+    }
+  };
+
+  if (!schedule) {
+    return error ? <p className="text-red-600 text-sm mt-4">{error}</p> : null;
+  }
+
+  const projection = schedule.projection;
+  const catchUp = parseFloat(schedule.amountToCatchUp) > 0 ? schedule.amountToCatchUp : null;
+
+  return (
+    <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="mt-4 pt-4 border-t border-dark-200">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-semibold text-dark-900">Repayment Schedule</h4>
+        <p className="text-sm text-dark-600">
+          {formatEth(schedule.amountRepaid)} of {formatEth(schedule.totalOwed)} repaid
+          {schedule.latePayments > 0 && ` · ${schedule.latePayments} late payment${schedule.latePayments > 1 ? 's' : ''}`}
+        </p>
+      </div>
+
+      <div className="w-full bg-dark-200 rounded-full h-2 mb-4">
+        <div
+          className="bg-gradient-to-r from-primary-500 to-secondary-500 h-2 rounded-full"
+          style={{ width: `${Math.min((parseFloat(schedule.amountRepaid) / parseFloat(schedule.totalOwed)) * 100, 100)}%` }}
+        />
+      </div>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b-2 border-dark-200">
+              <th className="text-left py-2 px-3">#</th>
+              <th className="text-left py-2 px-3">Due</th>
+              <th className="text-right py-2 px-3">Amount</th>
+              <th className="text-right py-2 px-3">Paid</th>
+              <th className="text-right py-2 px-3">Outstanding</th>
+              <th className="text-left py-2 px-3">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedule.installments.map((installment) => {
+              const status = installmentStatus[installment.status];
+              return (
+                <tr key={installment.number} className="border-b border-dark-100">
+                  <td className="py-2 px-3 font-semibold">{installment.number}</td>
+                  <td className="py-2 px-3">{formatDate(installment.dueDate)}</td>
+                  <td className="py-2 px-3 text-right">{formatEth(installment.amount)}</td>
+                  <td className="py-2 px-3 text-right">{formatEth(installment.paid)}</td>
+                  <td className="py-2 px-3 text-right">{formatEth(installment.outstanding)}</td>
+                  <td className="py-2 px-3">
+                    <span className={`px-2 py-1 rounded-full text-xs font-semibold bg-${status.color}-500/20 text-${status.color}-700`}>
+                      {status.label}
+                    </span>
+                    {installment.paidAt && (
+                      <span className="text-xs text-dark-500 ml-2">{formatDate(installment.paidAt)}</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {schedule.nextInstallment && (
+        <>
+          {catchUp && (
+            <div className="flex items-center justify-between gap-4 p-3 bg-red-500/10 rounded-xl mb-4">
+              <p className="text-sm text-red-700 flex items-center">
+                <FaExclamationTriangle className="mr-2 shrink-0" />
+                {schedule.overdueInstallments} installment{schedule.overdueInstallments > 1 ? 's are' : ' is'} overdue.
+                Payments count as late for your credit score until {formatEth(catchUp)} is repaid.
+              </p>
+              <button onClick={() => handlePay(catchUp)} disabled={microLoan.isPending} className="btn-primary text-sm shrink-0">
+                Catch Up
+              </button>
+            </div>
+          )}
+
+          <div className="grid md:grid-cols-3 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-dark-700 mb-2">Payment per {schedule.installmentPeriodDays} days (ETH)</label>
+              <input
+                type="number"
+                step="0.0001"
+                min="0"
+                value={payment}
+                onChange={(e) => updatePayment(e.target.value)}
+                className="input-field"
+              />
+            </div>
+            {projection ? (
+              <div className="md:col-span-2 grid grid-cols-3 gap-4 text-sm">
+                <div>
+                  <p className="text-dark-500">Payoff</p>
+                  <p className="font-semibold text-dark-900">
+                    {projection.paidOff ? formatDate(projection.payoffDate) : 'Not within 10 years'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-dark-500">Payments</p>
+                  <p className="font-semibold text-dark-900">{projection.payments.length}</p>
+                </div>
+                <div>
+                  <p className="text-dark-500">Late</p>
+                  <p className={`font-semibold ${projection.latePayments > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {projection.latePayments}
+                  </p>
+                </div>
+              </div>
+            ) : (
+              <div className="md:col-span-2" />
+            )}
+          </div>
+
+          {projection?.defaultRisk && (
+            <p className="text-sm text-red-600 mt-3">
+              At this rate the loan is still unpaid 7 days after its due date and can be marked as defaulted.
+            </p>
+          )}
+
+          <div className="flex gap-2 mt-4">
+            <button
+              onClick={() => handlePay(schedule.nextInstallment.outstanding)}
+              disabled={microLoan.isPending}
+              className="btn-primary text-sm"
+            >
+              {microLoan.isPending ? 'Paying...' : `Pay Installment ${schedule.nextInstallment.number} (${formatEth(schedule.nextInstallment.outstanding)})`}
+            </button>
+            {parseFloat(payment) > 0 && (
+              <button onClick={() => handlePay(payment)} disabled={microLoan.isPending} className="btn-secondary text-sm">
+                Pay {formatEth(payment)} Now
+              </button>
+            )}
+            <button onClick={() => handlePay()} disabled={microLoan.isPending} className="btn-secondary text-sm">
+              Pay Off ({formatEth(schedule.remaining)})
+            </button>
+          </div>
+          <p className="text-xs text-dark-500 mt-2">Interest is fixed when the loan starts, so paying early does not reduce it.</p>
+        </>
+      )}
+      <TxStatus tx={microLoan} />
+      {error && <p className="text-red-600 text-sm mt-3">{error}</p>}
+    </motion.div>
+  );
+}
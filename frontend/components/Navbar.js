@@ -27,6 +27,9 @@ export default function Navbar() {
     { href: '/loans', label: 'Loans' },
     { href: '/credit-score', label: 'Credit Score' },
     { href: '/payment-plans', label: 'Payments' },
+    { href: '/kyc', label: 'KYC' },
+    ...(user?.roles?.some((role) => role === 'kyc_verifier' || role === 'admin') ? [{ href: '/kyc/review', label: 'KYC Review' }] : []),
+    ...(user?.roles?.includes('admin') ? [{ href: '/admin/privacy', label: 'Privacy' }] : []),
   ];
 
   return (
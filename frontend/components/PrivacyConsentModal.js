@@ -0,0 +1,131 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FaUserShield, FaExternalLinkAlt } from 'react-icons/fa';
+import { usePrivacyCompliance } from '@/hooks/useContracts';
+import { ipfsUrl } from '@/lib/ipfs';
+import TxStatus from '@/components/TxStatus';
+
+/**
+ * Shows the latest PrivacyCompliance policy (fetched from IPFS by its policyHash) and
+ * records acceptance on-chain. acceptPrivacyPolicy always accepts the latest version,
+ * so that is the text shown even while it is not yet in force.
+ */
+export default function PrivacyConsentModal({ status, onAccepted, onDismiss }) {
+  const privacy = usePrivacyCompliance();
+  const policy = status.latest;
+  const [text, setText] = useState(null);
+  const [loadError, setLoadError] = useState(false);
+  const [agreed, setAgreed] = useState(false);
+
+  useEffect(() => {
+    if (!policy) return;
+    let cancelled = false;
+
+    fetch(ipfsUrl(policy.policyHash))
+      .then((response) => {
+        if (!response.ok) throw new Error(`Gateway returned ${response.status}`);
+        return response.text();
+      })
+      .then((content) => {
+        if (!cancelled) setText(content);
+      })
+      .catch(() => {
+        if (!cancelled) setLoadError(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [policy]);
+
+  if (!policy) return null;
+
+  const alreadyAccepted = status.acceptedVersion >= policy.version;
+  const effective = new Date(policy.effectiveDate);
+  const notYetEffective = effective.getTime() > Date.now();
+
+  const handleAccept = async () => {
+    try {
+      await privacy.acceptPrivacyPolicy();
+      await onAccepted();
+    } catch (error) {
+      // Shown by TxStatus
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 px-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="card max-w-2xl w-full max-h-[90vh] flex flex-col"
+      >
+        <div className="flex items-center mb-2">
+          <FaUserShield className="text-3xl text-primary-500 mr-3" />
+          <h2 className="text-2xl font-bold text-dark-900">
+            {status.acceptedVersion > 0 && !alreadyAccepted ? 'Our Privacy Policy Has Changed' : 'Privacy Policy'}
+          </h2>
+        </div>
+        <p className="text-sm text-dark-600 mb-4">
+          Version {policy.version}
+          {notYetEffective ? `, takes effect ${effective.toLocaleDateString()}` : `, effective since ${effective.toLocaleDateString()}`}.
+          {' '}Registration, claims and document uploads need your on-chain acceptance of the policy in force.
+        </p>
+
+        <div className="flex-1 overflow-y-auto bg-dark-50 border border-dark-200 rounded-xl p-4 mb-4 min-h-[12rem]">
+          {text !== null ? (
+            <pre className="whitespace-pre-wrap font-sans text-sm text-dark-800">{text}</pre>
+          ) : loadError ? (
+            <p className="text-sm text-red-600">The policy document could not be loaded from IPFS.</p>
+          ) : (
+            <div className="flex justify-center py-10">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500"></div>
+            </div>
+          )}
+        </div>
+
+        <a
+          href={ipfsUrl(policy.policyHash)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-sm text-primary-600 hover:text-primary-700 flex items-center mb-4"
+        >
+          <FaExternalLinkAlt className="mr-2" />
+          Open on IPFS ({policy.policyHash.slice(0, 12)}...)
+        </a>
+
+        {alreadyAccepted ? (
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-green-700">You accepted this version.</p>
+            <button onClick={onDismiss} className="btn-secondary">Close</button>
+          </div>
+        ) : (
+          <>
+            <label className="flex items-start space-x-2 text-sm text-dark-700 mb-4">
+              <input
+                type="checkbox"
+                checked={agreed}
+                onChange={(e) => setAgreed(e.target.checked)}
+                className="mt-1"
+              />
+              <span>I have read the privacy policy and consent to the processing of my data as described.</span>
+            </label>
+            <div className="flex items-center justify-end space-x-3">
+              <button onClick={onDismiss} className="btn-secondary">Not now</button>
+              <button
+                onClick={handleAccept}
+                disabled={!agreed || privacy.isPending}
+                className="btn-primary disabled:opacity-50"
+              >
+                {privacy.isPending ? 'Confirming...' : 'Accept Policy'}
+              </button>
+            </div>
+            <TxStatus tx={privacy} />
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+'use client';
+
+import { FaCheckCircle, FaSpinner, FaTimesCircle } from 'react-icons/fa';
+
+/**
+ * Inline status line for a transaction tracked by useContractTx
+ */
+export default function TxStatus({ tx }) {
+  if (!tx || tx.status === 'idle') return null;
+
+  const shortHash = tx.hash ? `${tx.hash.slice(0, 10)}...${tx.hash.slice(-8)}` : null;
+
+  if (tx.status === 'pending') {
+    return (
+      <p className="text-sm text-blue-700 mt-3 flex items-center">
+        <FaSpinner className="animate-spin mr-2" />
+        {shortHash ? `Waiting for confirmation (${shortHash})` : 'Confirm the transaction in your wallet'}
+      </p>
+    );
+  }
+
+  if (tx.status === 'confirmed') {
+    return (
+      <p className="text-sm text-green-700 mt-3 flex items-center">
+        <FaCheckCircle className="mr-2" />
+        Confirmed {shortHash && `(${shortHash})`}
+      </p>
+    );
+  }
+
+  return (
+    <p className="text-sm text-red-700 mt-3 flex items-center">
+      <FaTimesCircle className="mr-2" />
+      {tx.error}
+    </p>
+  );
+}
@@ -0,0 +1,154 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useInsurancePool } from '@/hooks/useContracts';
+import TxStatus from '@/components/TxStatus';
+import { FaAward } from 'react-icons/fa';
+import axios from 'axios';
+import { ethers } from 'ethers';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+export default function VotingRewards({ account }) {
+  const [rewards, setRewards] = useState(null);
+  const [claimable, setClaimable] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [withdrawingClaimId, setWithdrawingClaimId] = useState(null);
+  const insurancePool = useInsurancePool();
+  const { contract } = insurancePool;
+
+  const loadRewards = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/claims/rewards/${account}`);
+      setRewards(response.data);
+
+      // Read what is still withdrawable straight from the contract
+      if (contract) {
+        const entries = await Promise.all(
+          response.data.claims
+            .filter((entry) => !entry.claimed)
+            .map(async (entry) => [
+              entry.claimId,
+              ethers.formatEther(await contract.calculateVotingReward(entry.claimId, account))
+            ])
+        );
+        setClaimable(Object.fromEntries(entries));
+      }
+    } catch (error) {
+      console.error('Failed to load voting rewards:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [account, contract]);
+
+  useEffect(() => {
+    loadRewards();
+  }, [loadRewards]);
+
+  const handleWithdraw = async (claimId) => {
+    setWithdrawingClaimId(claimId);
+    try {
+      await insurancePool.claimVotingReward(claimId);
+      await loadRewards();
+    } catch (error) {
+      console.error('Failed to withdraw reward:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-20">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  if (!rewards || rewards.claims.length === 0) {
+    return (
+      <div className="card text-center py-20">
+        <FaAward className="text-6xl text-dark-400 mx-auto mb-4" />
+        <h3 className="text-xl font-semibold text-dark-900 mb-2">No Votes Yet</h3>
+        <p className="text-dark-600">
+          Vote with the pool&apos;s consensus on other members&apos; claims to earn a share of the reward pool
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+        <div className="card">
+          <p className="text-dark-600 text-sm mb-1">Total Earned</p>
+          <p className="text-3xl font-bold gradient-text">{rewards.totals.earned} ETH</p>
+        </div>
+        <div className="card">
+          <p className="text-dark-600 text-sm mb-1">Withdrawn</p>
+          <p className="text-3xl font-bold text-dark-900">{rewards.totals.claimed} ETH</p>
+        </div>
+        <div className="card">
+          <p className="text-dark-600 text-sm mb-1">Available</p>
+          <p className="text-3xl font-bold text-green-600">{rewards.totals.unclaimed} ETH</p>
+        </div>
+      </div>
+
+      <div className="card overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="border-b-2 border-dark-200">
+              <th className="text-left py-3 px-4">Claim</th>
+              <th className="text-left py-3 px-4">Your Vote</th>
+              <th className="text-left py-3 px-4">Outcome</th>
+              <th className="text-right py-3 px-4">Reward</th>
+              <th className="text-right py-3 px-4"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rewards.claims.map((entry) => {
+              const available = claimable[entry.claimId] ?? entry.reward;
+              const canWithdraw = !entry.claimed && parseFloat(available) > 0;
+
+              return (
+                <tr key={entry.claimId} className="border-b border-dark-100 hover:bg-dark-50">
+                  <td className="py-3 px-4 font-semibold">
+                    #{entry.claimId}
+                    <span className="text-xs text-dark-500 ml-2">Pool #{entry.poolId}</span>
+                  </td>
+                  <td className="py-3 px-4">{entry.approve ? 'Approve' : 'Reject'}</td>
+                  <td className="py-3 px-4">
+                    {entry.status === 'PENDING' ? (
+                      <span className="text-dark-500">Voting open</span>
+                    ) : entry.votedWithConsensus ? (
+                      <span className="text-green-600 font-semibold">With consensus</span>
+                    ) : (
+                      <span className="text-red-600">Against consensus</span>
+                    )}
+                  </td>
+                  <td className="py-3 px-4 text-right font-semibold">
+                    {entry.claimed ? entry.reward : available} ETH
+                  </td>
+                  <td className="py-3 px-4 text-right">
+                    {entry.claimed ? (
+                      <span className="text-sm text-dark-500">Withdrawn</span>
+                    ) : canWithdraw ? (
+                      <button
+                        onClick={() => handleWithdraw(entry.claimId)}
+                        disabled={insurancePool.isPending}
+                        className="btn-primary"
+                      >
+                        {insurancePool.isPending && withdrawingClaimId === entry.claimId ? 'Withdrawing...' : 'Withdraw'}
+                      </button>
+                    ) : (
+                      <span className="text-sm text-dark-400">—</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {withdrawingClaimId !== null && <TxStatus tx={insurancePool} />}
+      </div>
+    </div>
+  );
+}
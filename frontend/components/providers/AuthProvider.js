@@ -8,11 +8,22 @@ const AuthContext = createContext();
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
 
+// Attach the session token to every backend request made through axios
+if (typeof window !== 'undefined') {
+  axios.interceptors.request.use((config) => {
+    const storedToken = localStorage.getItem('token');
+    if (storedToken && config.url?.startsWith(API_URL) && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${storedToken}`;
+    }
+    return config;
+  });
+}
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
   const [loading, setLoading] = useState(true);
-  const { account } = useWeb3();
+  const { account, signer, provider } = useWeb3();
 
   useEffect(() => {
     // Load token from localStorage
@@ -59,18 +70,38 @@ export function AuthProvider({ children }) {
     }
   }, [account, logout]);
 
+  // Sign-In With Ethereum: fetch a challenge for the wallet and sign it
+  const signChallenge = async (walletAddress) => {
+    const { data: challenge } = await axios.post(`${API_URL}/auth/nonce`, {
+      walletAddress,
+      domain: window.location.host,
+      uri: window.location.origin,
+    });
+
+    const activeSigner = signer || (provider && await provider.getSigner(walletAddress));
+    if (!activeSigner) {
+      throw new Error('Wallet not connected');
+    }
+
+    const signature = await activeSigner.signMessage(challenge.message);
+    return { message: challenge.message, signature };
+  };
+
+  const startSession = (newToken, userData, walletAddress) => {
+    setToken(newToken);
+    setUser(userData);
+    localStorage.setItem('token', newToken);
+    localStorage.setItem('walletAddress', walletAddress);
+  };
+
   const login = async (walletAddress) => {
     try {
-      const response = await axios.post(`${API_URL}/auth/login/wallet`, {
-        walletAddress,
-      });
+      // Exchange a signed challenge for a JWT
+      const signed = await signChallenge(walletAddress);
+      const response = await axios.post(`${API_URL}/auth/login/verify`, signed);
       
       const { token: newToken, user: userData } = response.data;
-      
-      setToken(newToken);
-      setUser(userData);
-      localStorage.setItem('token', newToken);
-      localStorage.setItem('walletAddress', walletAddress);
+      startSession(newToken, userData, walletAddress);
       
       return true;
     } catch (error) {
@@ -79,16 +110,14 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const register = async (userData) => {
+  const register = async ({ walletAddress, ...profile }) => {
     try {
-      const response = await axios.post(`${API_URL}/auth/register`, userData);
+      // The profile is created for the wallet that signed the challenge
+      const signed = await signChallenge(walletAddress);
+      const response = await axios.post(`${API_URL}/auth/register`, { ...profile, ...signed });
       
       const { token: newToken, user: newUser } = response.data;
-      
-      setToken(newToken);
-      setUser(newUser);
-      localStorage.setItem('token', newToken);
-      localStorage.setItem('walletAddress', userData.walletAddress);
+      startSession(newToken, newUser, walletAddress);
       
       return true;
     } catch (error) {
@@ -0,0 +1,130 @@
+'use client';
+
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import { useWeb3 } from './Web3Provider';
+import PrivacyConsentModal from '@/components/PrivacyConsentModal';
+
+const ConsentContext = createContext();
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+// setTimeout overflows past ~24.8 days; later effective dates are caught by the interval
+const MAX_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Tracks whether the connected wallet has accepted the PrivacyCompliance policy in force
+ * and shows the consent modal whenever it has not (first visit, or a new version took effect).
+ * Data-processing actions call ensureConsent() first; API calls rejected with
+ * POLICY_CONSENT_REQUIRED open the modal too.
+ */
+export function ConsentProvider({ children }) {
+  const { account } = useWeb3();
+  const [status, setStatus] = useState(null);
+  const [open, setOpen] = useState(false);
+  const pending = useRef([]);
+
+  const settle = useCallback((accepted) => {
+    pending.current.forEach((resolve) => resolve(accepted));
+    pending.current = [];
+  }, []);
+
+  const refresh = useCallback(async () => {
+    if (!account) {
+      setStatus(null);
+      return null;
+    }
+
+    try {
+      const response = await axios.get(`${API_URL}/privacy/consent/${account}`);
+      setStatus(response.data);
+      if (response.data.enforced && !response.data.hasConsent) {
+        setOpen(true);
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Failed to load consent status:', error);
+      return null;
+    }
+  }, [account]);
+
+  useEffect(() => {
+    setOpen(false);
+    settle(false);
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [refresh, settle]);
+
+  // Prompt again the moment an upcoming version takes effect
+  useEffect(() => {
+    const next = status?.upcoming?.[0];
+    if (!next) return;
+
+    const delay = new Date(next.effectiveDate).getTime() - Date.now() + 1000;
+    if (delay > MAX_TIMEOUT_MS) return;
+    const timer = setTimeout(refresh, Math.max(delay, 0));
+    return () => clearTimeout(timer);
+  }, [status, refresh]);
+
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(undefined, (error) => {
+      if (error.response?.status === 403 && error.response.data?.code === 'POLICY_CONSENT_REQUIRED') {
+        setOpen(true);
+      }
+      return Promise.reject(error);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  /**
+   * Resolve true once the wallet has consented, opening the modal if it still has to.
+   * Resolves false when the user dismisses the modal.
+   */
+  const ensureConsent = useCallback(async () => {
+    const current = status || await refresh();
+    // The API enforces consent itself; never block the UI on a status we could not load
+    if (!current || !current.enforced || current.hasConsent) return true;
+
+    setOpen(true);
+    return new Promise((resolve) => {
+      pending.current.push(resolve);
+    });
+  }, [status, refresh]);
+
+  const handleAccepted = useCallback(async () => {
+    await refresh();
+    setOpen(false);
+    settle(true);
+  }, [refresh, settle]);
+
+  const handleDismiss = useCallback(() => {
+    setOpen(false);
+    settle(false);
+  }, [settle]);
+
+  const value = {
+    status,
+    hasConsent: !status || !status.enforced || status.hasConsent,
+    ensureConsent,
+    reviewPolicy: () => setOpen(true),
+    refresh
+  };
+
+  return (
+    <ConsentContext.Provider value={value}>
+      {children}
+      {open && status && (
+        <PrivacyConsentModal status={status} onAccepted={handleAccepted} onDismiss={handleDismiss} />
+      )}
+    </ConsentContext.Provider>
+  );
+}
+
+export const useConsent = () => {
+  const context = useContext(ConsentContext);
+  if (!context) {
+    throw new Error('useConsent must be used within ConsentProvider');
+  }
+  return context;
+};
@@ -0,0 +1,186 @@
+'use client';
+
+import { useState, useMemo, useCallback } from 'react';
+import axios from 'axios';
+import { useWeb3 } from '@/components/providers/Web3Provider';
+import { getContractInstance, decodeContractError } from '@/lib/contracts';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+const IDLE = { status: 'idle', hash: null, receipt: null, error: null };
+
+/**
+ * Contract instance bound to the connected signer (or the read-only provider before connecting)
+ * @param {string} name - Contract name from lib/contracts
+ */
+export function useContract(name) {
+  const { signer, provider } = useWeb3();
+  return useMemo(() => getContractInstance(name, signer || provider), [name, signer, provider]);
+}
+
+/**
+ * Send transactions to a contract and track their lifecycle.
+ * status: idle -> pending (awaiting signature / mining) -> confirmed | failed
+ * @param {string} name - Contract name from lib/contracts
+ */
+export function useContractTx(name) {
+  const { signer } = useWeb3();
+  const contract = useContract(name);
+  const [tx, setTx] = useState(IDLE);
+
+  const send = useCallback(async (method, args = [], overrides) => {
+    if (!contract || !signer) {
+      const message = contract ? 'Connect your wallet first' : `${name} contract address not configured`;
+      setTx({ ...IDLE, status: 'failed', error: message });
+      throw new Error(message);
+    }
+
+    setTx({ ...IDLE, status: 'pending' });
+
+    try {
+      const response = await contract[method](...args, ...(overrides ? [overrides] : []));
+      setTx({ ...IDLE, status: 'pending', hash: response.hash });
+
+      const receipt = await response.wait();
+      setTx({ status: 'confirmed', hash: response.hash, receipt, error: null });
+
+      // Let the backend index the events now so a reload sees them (the poller catches up otherwise)
+      await axios.post(`${API_URL}/indexer/sync`, { txHash: receipt.hash }).catch(() => {});
+
+      return receipt;
+    } catch (error) {
+      const message = decodeContractError(error, contract.interface);
+      setTx((previous) => ({ ...previous, status: 'failed', error: message }));
+      throw new Error(message);
+    }
+  }, [contract, signer, name]);
+
+  /**
+   * Find and decode the first event with the given name in a receipt
+   */
+  const parseEvent = useCallback((receipt, eventName) => {
+    for (const log of receipt?.logs || []) {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === eventName) return parsed;
+      } catch (error) {
+        // Log from another contract
+      }
+    }
+    return null;
+  }, [contract]);
+
+  const reset = useCallback(() => setTx(IDLE), []);
+
+  return {
+    contract,
+    send,
+    parseEvent,
+    reset,
+    ...tx,
+    isPending: tx.status === 'pending'
+  };
+}
+
+export function useInsurancePool() {
+  const base = useContractTx('InsurancePool');
+  const { send } = base;
+
+  return {
+    ...base,
+    createPool: (name, description, targetAmount, minContribution, maxMembers, poolType) =>
+      send('createPool', [name, description, targetAmount, minContribution, maxMembers, poolType]),
+    joinPool: (poolId, value) => send('joinPool', [poolId], { value }),
+    addContribution: (poolId, value) => send('addContribution', [poolId], { value }),
+    submitClaim: (poolId, amount, description, ipfsHash) =>
+      send('submitClaim', [poolId, amount, description, ipfsHash]),
+    voteClaim: (claimId, approve) => send('voteClaim', [claimId, approve]),
+    processClaim: (claimId) => send('processClaim', [claimId]),
+    claimVotingReward: (claimId) => send('claimVotingReward', [claimId])
+  };
+}
+
+export function useMicroLoan() {
+  const base = useContractTx('MicroLoan');
+  const { send, contract } = base;
+
+  return {
+    ...base,
+    requestLoan: (amount, durationDays, purpose, ipfsHash) =>
+      send('requestLoan', [amount, durationDays, purpose, ipfsHash]),
+    requestCollateralizedLoan: (amount, durationDays, purpose, ipfsHash, collateral) =>
+      send('requestCollateralizedLoan', [amount, durationDays, purpose, ipfsHash], { value: collateral }),
+    requestCoSignedLoan: (amount, durationDays, purpose, ipfsHash, coSigner) =>
+      send('requestCoSignedLoan', [amount, durationDays, purpose, ipfsHash, coSigner]),
+    requestPoolBackedLoan: (amount, durationDays, purpose, ipfsHash, poolId) =>
+      send('requestPoolBackedLoan', [amount, durationDays, purpose, ipfsHash, poolId]),
+    repayLoan: (loanId, value) => send('repayLoan', [loanId], { value }),
+    coSignerPayment: (loanId, value) => send('coSignerPayment', [loanId], { value }),
+    approveCoSigning: (borrower, maxAmount, maxDurationDays, expiresAt) =>
+      send('approveCoSigning', [borrower, maxAmount, maxDurationDays, expiresAt]),
+    revokeCoSigning: (borrower) => send('revokeCoSigning', [borrower]),
+    // Outstanding balance in wei (principal + interest - repaid)
+    getRemainingOwed: async (loanId) => {
+      if (!contract) throw new Error('MicroLoan contract address not configured');
+      const [totalOwed, loan] = await Promise.all([
+        contract.calculateTotalOwed(loanId),
+        contract.getLoanInfo(loanId)
+      ]);
+      return totalOwed - loan.amountRepaid;
+    }
+  };
+}
+
+export function useCrowdFunding() {
+  const base = useContractTx('CrowdFunding');
+  const { send } = base;
+
+  return {
+    ...base,
+    createCampaign: (title, description, category, goalAmount, durationDays, documents, allOrNothing, milestones) =>
+      send('createCampaign', [title, description, category, goalAmount, durationDays, documents, allOrNothing, milestones]),
+    contribute: (campaignId, value) => send('contribute', [campaignId], { value }),
+    voteForCampaignApproval: (campaignId, approve) => send('voteForCampaignApproval', [campaignId, approve]),
+    releaseMilestone: (campaignId, milestoneIndex, proofIpfsHash) =>
+      send('releaseMilestone', [campaignId, milestoneIndex, proofIpfsHash]),
+    requestRefund: (campaignId) => send('requestRefund', [campaignId])
+  };
+}
+
+export function usePrivacyCompliance() {
+  const base = useContractTx('PrivacyCompliance');
+  const { send } = base;
+
+  return {
+    ...base,
+    acceptPrivacyPolicy: () => send('acceptPrivacyPolicy'),
+    requestDataDeletion: (recordId) => send('requestDataDeletion', [recordId])
+  };
+}
+
+export function useUserRegistry() {
+  const base = useContractTx('UserRegistry');
+  const { send, contract } = base;
+
+  return {
+    ...base,
+    registerUser: (ipfsHash) => send('registerUser', [ipfsHash]),
+    verifyKYC: (user) => send('verifyKYC', [user]),
+    revokeKYC: (user) => send('revokeKYC', [user]),
+    isUserRegistered: async (user) => {
+      if (!contract) throw new Error('UserRegistry contract address not configured');
+      return contract.isUserRegistered(user);
+    }
+  };
+}
+
+export function useZKPVerifier() {
+  const base = useContractTx('ZKPVerifier');
+  const { send } = base;
+
+  return {
+    ...base,
+    submitProof: (proofType, proofHash, metadata) => send('submitProof', [proofType, proofHash, metadata]),
+    submitCreditScoreProof: (a, b, c, input) => send('submitCreditScoreProof', [a, b, c, input])
+  };
+}
@@ -0,0 +1,128 @@
+'use client';
+
+import { useCallback } from 'react';
+import axios from 'axios';
+import { useWeb3 } from '@/components/providers/Web3Provider';
+import { ipfsUrl } from '@/lib/ipfs';
+import {
+  deriveVaultKey,
+  encryptFile,
+  decryptFile,
+  wrapKey,
+  unwrapKey
+} from '@/lib/vault';
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+// Vault keys unlocked this session, by wallet, so the signature prompt appears once per page load
+const unlockedKeys = new Map();
+
+const wrapFor = (rawKey, recipients) =>
+  Promise.all(recipients.map(async (recipient) => ({
+    grantee: recipient.address,
+    wrappedKey: await wrapKey(rawKey, recipient.publicKey)
+  })));
+
+/**
+ * Client-side encrypted document vault: upload, open, share and revoke documents
+ * whose keys only the owner and their grantees can unwrap
+ */
+export function useVault() {
+  const { account, signer } = useWeb3();
+
+  /**
+   * Derive the wallet's vault key (one signature) and register its public key
+   */
+  const unlock = useCallback(async () => {
+    if (!account || !signer) throw new Error('Connect your wallet first');
+
+    const wallet = account.toLowerCase();
+    if (unlockedKeys.has(wallet)) return unlockedKeys.get(wallet);
+
+    const vaultKey = await deriveVaultKey(signer, account);
+    await axios.put(`${API_URL}/ipfs/vault/key`, { publicKey: vaultKey.compressedPublicKey });
+    unlockedKeys.set(wallet, vaultKey);
+    return vaultKey;
+  }, [account, signer]);
+
+  /**
+   * Vault public keys of the given wallets and/or pool members, plus the oracle
+   */
+  const getRecipients = useCallback(async ({ addresses = [], poolId } = {}) => {
+    const response = await axios.get(`${API_URL}/ipfs/vault/recipients`, {
+      params: { addresses: addresses.join(',') || undefined, poolId }
+    });
+    return response.data;
+  }, []);
+
+  /**
+   * Encrypt a file, pin the ciphertext and grant the owner plus each recipient
+   * @param {File} file - Plaintext file
+   * @param {Object} options
+   * @param {Array<{address: string, publicKey: string}>} [options.recipients] - Wallets to grant
+   * @param {string} [options.purpose] - What the document is for (e.g. claim-evidence)
+   * @param {number} [options.poolId] - Pool the document belongs to
+   */
+  const uploadEncrypted = useCallback(async (file, { recipients = [], purpose, poolId } = {}) => {
+    const vaultKey = await unlock();
+    const { rawKey, iv, ciphertext } = await encryptFile(file);
+
+    const owner = { address: account.toLowerCase(), publicKey: vaultKey.compressedPublicKey };
+    const unique = new Map([owner, ...recipients].map((recipient) => [recipient.address.toLowerCase(), recipient]));
+    const grants = await wrapFor(rawKey, [...unique.values()]);
+
+    const formData = new FormData();
+    formData.append('file', ciphertext, 'document.bin');
+    formData.append('metadata', JSON.stringify({
+      fileName: file.name,
+      mimeType: file.type,
+      size: file.size,
+      iv,
+      purpose,
+      poolId,
+      grants
+    }));
+
+    const response = await axios.post(`${API_URL}/ipfs/vault/documents`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  }, [account, unlock]);
+
+  const readDocumentKey = useCallback(async (cid) => {
+    const vaultKey = await unlock();
+    const response = await axios.get(`${API_URL}/ipfs/vault/documents/${cid}/key`);
+    return { ...response.data, rawKey: await unwrapKey(response.data.wrappedKey, vaultKey) };
+  }, [unlock]);
+
+  /**
+   * Fetch and decrypt a document this wallet has been granted
+   * @returns {Promise<{blob: Blob, fileName: string, mimeType: string}>}
+   */
+  const openDocument = useCallback(async (cid) => {
+    const document = await readDocumentKey(cid);
+    const response = await axios.get(ipfsUrl(cid), { responseType: 'arraybuffer' });
+    const blob = await decryptFile(response.data, document.rawKey, document.iv, document.mimeType);
+    return { blob, fileName: document.fileName, mimeType: document.mimeType };
+  }, [readDocumentKey]);
+
+  /**
+   * Share a document the caller owns with more wallets (re-granting replaces revoked grants)
+   * @param {string} cid - Document CID
+   * @param {Array<{address: string, publicKey: string}>} recipients - Wallets to grant
+   */
+  const grantAccess = useCallback(async (cid, recipients) => {
+    const { rawKey } = await readDocumentKey(cid);
+    const response = await axios.post(`${API_URL}/ipfs/vault/documents/${cid}/grants`, {
+      grants: await wrapFor(rawKey, recipients)
+    });
+    return response.data;
+  }, [readDocumentKey]);
+
+  const revokeAccess = useCallback(async (cid, grantee) => {
+    const response = await axios.delete(`${API_URL}/ipfs/vault/documents/${cid}/grants/${grantee}`);
+    return response.data;
+  }, []);
+
+  return { unlock, getRecipients, uploadEncrypted, openDocument, grantAccess, revokeAccess };
+}
@@ -0,0 +1,61 @@
+import { ethers } from 'ethers';
+import deployment from '@deployment';
+
+// Addresses and ABIs come from the deployment manifest (aliased in next.config.js)
+export const CONTRACT_ABIS = Object.fromEntries(
+  Object.entries(deployment.contracts).map(([name, contract]) => [name, contract.abi])
+);
+
+export const CONTRACT_ADDRESSES = Object.fromEntries(
+  Object.entries(deployment.contracts).map(([name, contract]) => [name, contract.address])
+);
+
+/**
+ * Build a contract instance for a known contract name
+ * @param {string} name - e.g. "InsurancePool"
+ * @param {ethers.Signer|ethers.Provider} runner - Signer for writes, provider for reads
+ * @returns {ethers.Contract|null} null when the address is not configured or there is no runner
+ */
+export function getContractInstance(name, runner) {
+  const address = CONTRACT_ADDRESSES[name];
+  if (!runner || !address || !ethers.isAddress(address)) return null;
+  return new ethers.Contract(address, CONTRACT_ABIS[name], runner);
+}
+
+/**
+ * Turn a wallet / RPC error into a human readable revert reason
+ * @param {Error} error - Error thrown by ethers or the wallet
+ * @param {ethers.Interface} [iface] - Contract interface used to decode custom errors
+ */
+export function decodeContractError(error, iface) {
+  if (!error) return 'Transaction failed';
+
+  if (error.code === 'ACTION_REJECTED' || error.info?.error?.code === 4001) {
+    return 'Transaction rejected in wallet';
+  }
+
+  // require(..., "reason") decoded by ethers
+  if (error.reason) return error.reason;
+
+  // Custom errors (e.g. OpenZeppelin's OwnableUnauthorizedAccount)
+  const data = error.data || error.info?.error?.data?.data || error.info?.error?.data;
+  if (iface && typeof data === 'string' && data.length >= 10) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        return parsed.args.length > 0 ? `${parsed.name}(${parsed.args.join(', ')})` : parsed.name;
+      }
+    } catch (parseError) {
+      // Not an error defined on this contract
+    }
+  }
+
+  // Some wallets only surface the node's message, e.g. "execution reverted: Pool is full"
+  const nested = error.info?.error?.message || error.error?.message;
+  const match = nested && nested.match(/reverted(?: with reason string)?:?\s*'?([^']+)'?$/);
+  if (match) return match[1];
+
+  if (error.code === 'INSUFFICIENT_FUNDS') return 'Insufficient funds for transaction';
+
+  return error.shortMessage || nested || error.message || 'Transaction failed';
+}
@@ -0,0 +1,5 @@
+// Gateway for reading pinned content; match the backend's storage provider
+// (e.g. http://localhost:5000/api/ipfs/content for STORAGE_PROVIDER=local)
+export const IPFS_GATEWAY = process.env.NEXT_PUBLIC_IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs';
+
+export const ipfsUrl = (cid) => `${IPFS_GATEWAY}/${cid}`;
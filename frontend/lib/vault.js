@@ -0,0 +1,101 @@
+import { ethers } from 'ethers';
+
+// Envelope encryption for the document vault (see backend/services/vaultService.js):
+// files are encrypted with a random AES-256-GCM key, and that key is wrapped for
+// each reader with AES-256-GCM under SHA-256 of an ECDH (secp256k1) shared secret.
+
+/**
+ * Message signed to derive a wallet's vault key. Wallet signatures are
+ * deterministic (RFC 6979), so the same wallet always derives the same key.
+ */
+export const vaultKeyMessage = (address) =>
+  'Unlock your Nishkama document vault\n\n' +
+  'This signature derives the key that encrypts your medical documents. ' +
+  'It does not send a transaction or cost gas.\n\n' +
+  `Wallet: ${ethers.getAddress(address)}`;
+
+/**
+ * Derive the wallet's vault key pair from a signature
+ * @param {ethers.Signer} signer - Connected wallet
+ * @param {string} address - Wallet address
+ * @returns {Promise<ethers.SigningKey>}
+ */
+export async function deriveVaultKey(signer, address) {
+  const signature = await signer.signMessage(vaultKeyMessage(address));
+  return new ethers.SigningKey(ethers.keccak256(signature));
+}
+
+const subtle = () => globalThis.crypto.subtle;
+
+const importAesKey = (rawKey, usages) => subtle().importKey('raw', rawKey, 'AES-GCM', false, usages);
+
+// Wrapping key = SHA-256 of the shared point's x-coordinate
+const deriveWrappingKey = (sharedSecret, usages) =>
+  importAesKey(ethers.getBytes(ethers.sha256(ethers.dataSlice(sharedSecret, 1, 33))), usages);
+
+/**
+ * Encrypt a file under a fresh document key
+ * @param {Blob} file - Plaintext file
+ * @returns {Promise<{rawKey: Uint8Array, iv: string, ciphertext: Blob}>}
+ */
+export async function encryptFile(file) {
+  const rawKey = globalThis.crypto.getRandomValues(new Uint8Array(32));
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+
+  const key = await importAesKey(rawKey, ['encrypt']);
+  const ciphertext = await subtle().encrypt({ name: 'AES-GCM', iv }, key, await file.arrayBuffer());
+
+  return {
+    rawKey,
+    iv: ethers.hexlify(iv),
+    ciphertext: new Blob([ciphertext], { type: 'application/octet-stream' })
+  };
+}
+
+/**
+ * Decrypt a document with its unwrapped key
+ * @param {ArrayBuffer} ciphertext - Bytes fetched from IPFS
+ * @param {Uint8Array} rawKey - Document key
+ * @param {string} iv - Hex iv stored with the document
+ * @param {string} [mimeType] - Original content type
+ */
+export async function decryptFile(ciphertext, rawKey, iv, mimeType) {
+  const key = await importAesKey(rawKey, ['decrypt']);
+  const plaintext = await subtle().decrypt({ name: 'AES-GCM', iv: ethers.getBytes(iv) }, key, ciphertext);
+  return new Blob([plaintext], { type: mimeType || 'application/octet-stream' });
+}
+
+/**
+ * Wrap a document key for a recipient's vault public key
+ * @param {Uint8Array} rawKey - Document key
+ * @param {string} publicKey - Recipient's secp256k1 public key
+ * @returns {Promise<{ephemeralPublicKey: string, iv: string, ciphertext: string}>}
+ */
+export async function wrapKey(rawKey, publicKey) {
+  const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+  const wrappingKey = await deriveWrappingKey(ephemeral.computeSharedSecret(publicKey), ['encrypt']);
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await subtle().encrypt({ name: 'AES-GCM', iv }, wrappingKey, rawKey);
+
+  return {
+    ephemeralPublicKey: ephemeral.compressedPublicKey,
+    iv: ethers.hexlify(iv),
+    ciphertext: ethers.hexlify(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Recover a document key wrapped for this vault key
+ * @param {Object} wrappedKey - { ephemeralPublicKey, iv, ciphertext }
+ * @param {ethers.SigningKey} vaultKey - The reader's vault key
+ * @returns {Promise<Uint8Array>}
+ */
+export async function unwrapKey(wrappedKey, vaultKey) {
+  const wrappingKey = await deriveWrappingKey(vaultKey.computeSharedSecret(wrappedKey.ephemeralPublicKey), ['decrypt']);
+  const rawKey = await subtle().decrypt(
+    { name: 'AES-GCM', iv: ethers.getBytes(wrappedKey.iv) },
+    wrappingKey,
+    ethers.getBytes(wrappedKey.ciphertext)
+  );
+  return new Uint8Array(rawKey);
+}
@@ -1,3 +1,13 @@
+const fs = require('fs');
+const path = require('path');
+
+// Manifest written by scripts/deploy.js; an empty one keeps the build working before the first deploy
+const deploymentNetwork = process.env.DEPLOYMENT_NETWORK || 'localhost';
+const manifestPath = path.resolve(__dirname, '../deployments', `${deploymentNetwork}.json`);
+const deploymentPath = fs.existsSync(manifestPath)
+  ? manifestPath
+  : path.resolve(__dirname, 'lib/emptyDeployment.json');
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
@@ -11,6 +21,7 @@ const nextConfig = {
       net: false,
       tls: false,
     };
+    config.resolve.alias['@deployment'] = deploymentPath;
     return config;
   },
 };
@@ -24,15 +24,19 @@ module.exports = {
     localhost: {
       url: "http://127.0.0.1:8545"
     },
-    // Uncomment and configure for testnet deployment
-    // sepolia: {
-    //   url: process.env.SEPOLIA_RPC_URL || "",
-    //   accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
-    // },
-    // mumbai: {
-    //   url: process.env.MUMBAI_RPC_URL || "",
-    //   accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
-    // }
+    // Public networks are only added when their RPC URL is configured
+    ...(process.env.SEPOLIA_RPC_URL && {
+      sepolia: {
+        url: process.env.SEPOLIA_RPC_URL,
+        accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
+      }
+    }),
+    ...(process.env.MUMBAI_RPC_URL && {
+      mumbai: {
+        url: process.env.MUMBAI_RPC_URL,
+        accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
+      }
+    })
   },
   paths: {
     sources: "./contracts",
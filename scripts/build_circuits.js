@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { execFileSync } = require("child_process");
+
+// Compiles the circom circuits and runs a local Groth16 setup. The outputs are
+// committed so the backend and the tests can prove without circom installed:
+//
+//   circuits/artifacts/<circuit>.wasm       witness generator
+//   circuits/artifacts/<circuit>.zkey       proving key
+//   circuits/artifacts/<circuit>.vkey.json  verification key
+//   contracts/verifiers/<Contract>.sol      Solidity verifier (on-chain circuits only)
+//
+// The setup has a single contributor, whoever runs this script, who could forge
+// proofs if they kept the entropy. Replace the keys with the output of a multi-party
+// ceremony before relying on them on a public network.
+
+const ROOT = path.join(__dirname, "..");
+const CIRCUITS_DIR = path.join(ROOT, "circuits");
+const BUILD_DIR = path.join(CIRCUITS_DIR, "build");
+const ARTIFACTS_DIR = path.join(CIRCUITS_DIR, "artifacts");
+const VERIFIERS_DIR = path.join(ROOT, "contracts", "verifiers");
+
+// 2^10 constraints covers both circuits (~620 each)
+const PTAU_POWER = 10;
+
+const CIRCUITS = [
+  { name: "credit_score_range", verifier: "CreditScoreRangeVerifier" },
+  { name: "age_range" }
+];
+
+const bin = (name) => path.join(ROOT, "node_modules", ".bin", name);
+
+function run(command, args) {
+  // circom2 runs under WASI and only sees paths relative to the working directory
+  execFileSync(bin(command), args, { cwd: ROOT, stdio: ["ignore", "inherit", "inherit"] });
+}
+
+const entropy = () => crypto.randomBytes(32).toString("hex");
+const rel = (file) => path.relative(ROOT, file);
+
+function powersOfTau() {
+  const initial = path.join(BUILD_DIR, `pot${PTAU_POWER}_0000.ptau`);
+  const contributed = path.join(BUILD_DIR, `pot${PTAU_POWER}_0001.ptau`);
+  const final = path.join(BUILD_DIR, `pot${PTAU_POWER}_final.ptau`);
+  if (fs.existsSync(final)) return final;
+
+  console.log(`Powers of tau (2^${PTAU_POWER})...`);
+  run("snarkjs", ["powersoftau", "new", "bn128", String(PTAU_POWER), rel(initial)]);
+  run("snarkjs", ["powersoftau", "contribute", rel(initial), rel(contributed), "--name=local", `-e=${entropy()}`]);
+  run("snarkjs", ["powersoftau", "prepare", "phase2", rel(contributed), rel(final)]);
+  return final;
+}
+
+function buildCircuit({ name, verifier }, ptau) {
+  console.log(`\n${name}`);
+  const source = path.join(CIRCUITS_DIR, `${name}.circom`);
+  run("circom2", [rel(source), "--r1cs", "--wasm", "-l", "node_modules", "-o", rel(BUILD_DIR)]);
+
+  const r1cs = path.join(BUILD_DIR, `${name}.r1cs`);
+  const initialZkey = path.join(BUILD_DIR, `${name}_0000.zkey`);
+  const zkey = path.join(ARTIFACTS_DIR, `${name}.zkey`);
+  const vkey = path.join(ARTIFACTS_DIR, `${name}.vkey.json`);
+
+  run("snarkjs", ["groth16", "setup", rel(r1cs), rel(ptau), rel(initialZkey)]);
+  run("snarkjs", ["zkey", "contribute", rel(initialZkey), rel(zkey), "--name=local", `-e=${entropy()}`]);
+  run("snarkjs", ["zkey", "export", "verificationkey", rel(zkey), rel(vkey)]);
+  fs.copyFileSync(path.join(BUILD_DIR, `${name}_js`, `${name}.wasm`), path.join(ARTIFACTS_DIR, `${name}.wasm`));
+
+  if (verifier) {
+    const file = path.join(VERIFIERS_DIR, `${verifier}.sol`);
+    run("snarkjs", ["zkey", "export", "solidityverifier", rel(zkey), rel(file)]);
+    const source = fs.readFileSync(file, "utf8").replace(/contract Groth16Verifier\b/, `contract ${verifier}`);
+    fs.writeFileSync(file, source);
+    console.log(`   → ${rel(file)}`);
+  }
+}
+
+function main() {
+  for (const dir of [BUILD_DIR, ARTIFACTS_DIR, VERIFIERS_DIR]) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const ptau = powersOfTau();
+  for (const circuit of CIRCUITS) {
+    buildCircuit(circuit, ptau);
+  }
+
+  console.log(`\nCircuit artifacts written to ${rel(ARTIFACTS_DIR)}`);
+}
+
+main();
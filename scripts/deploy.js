@@ -1,111 +1,217 @@
+const fs = require("fs");
+const path = require("path");
 const hre = require("hardhat");
 
+// Manifests are read by backend/services/blockchainService.js and frontend/next.config.js
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const LOCAL_CHAIN_IDS = [1337, 31337];
+
+const INITIAL_BOUNTY_REWARDS = [
+  hre.ethers.parseEther("0.1"), // INFORMATIONAL
+  hre.ethers.parseEther("0.5"), // LOW
+  hre.ethers.parseEther("2.5"), // MEDIUM
+  hre.ethers.parseEther("5"),   // HIGH
+  hre.ethers.parseEther("25")   // CRITICAL
+];
+
+// Deployment order. `args` receives the addresses deployed so far, so a
+// dependency that gets redeployed changes the args of everything built on it.
+const CONTRACTS = [
+  { name: "UserRegistry", args: () => [] },
+  { name: "CreditScore", args: (a) => [a.UserRegistry] },
+  { name: "InsurancePool", args: (a) => [a.UserRegistry, a.CreditScore] },
+  { name: "MicroLoan", args: (a) => [a.UserRegistry, a.CreditScore, a.InsurancePool] },
+  { name: "PaymentPlan", args: (a) => [a.UserRegistry, a.CreditScore] },
+  { name: "BugBounty", args: () => [INITIAL_BOUNTY_REWARDS] },
+  { name: "CrowdFunding", args: (a) => [a.UserRegistry, a.CreditScore] },
+  { name: "ClaimOracle", args: () => [] },
+  { name: "CreditScoreRangeVerifier", args: () => [] },
+  { name: "ZKPVerifier", args: () => [] },
+  { name: "PrivacyCompliance", args: () => [] }
+];
+
+const toJson = (value) => JSON.parse(JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v)));
+
+function loadManifest(file, chainId) {
+  if (fs.existsSync(file)) {
+    const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (manifest.chainId === chainId) return manifest;
+    console.log(`Existing manifest is for chain ${manifest.chainId}, starting a fresh one`);
+  }
+  return { network: hre.network.name, chainId, contracts: {}, setup: {} };
+}
+
+function saveManifest(file, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+// Reuse the recorded deployment when bytecode and constructor args are unchanged
+// and the contract still exists on chain (a restarted local node loses everything)
+async function deployOrReuse(manifest, file, name, args) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const bytecodeHash = hre.ethers.keccak256(artifact.bytecode);
+  const jsonArgs = toJson(args);
+  const existing = manifest.contracts[name];
+
+  if (
+    existing &&
+    existing.bytecodeHash === bytecodeHash &&
+    JSON.stringify(existing.args) === JSON.stringify(jsonArgs) &&
+    (await hre.ethers.provider.getCode(existing.address)) !== "0x"
+  ) {
+    console.log(`${name} unchanged at ${existing.address}`);
+    // Keep the ABI in sync with the current artifact (e.g. NatSpec-only changes)
+    existing.abi = artifact.abi;
+    return hre.ethers.getContractAt(name, existing.address);
+  }
+
+  const factory = await hre.ethers.getContractFactory(name);
+  const contract = await factory.deploy(...args);
+  await contract.waitForDeployment();
+  const deployTx = contract.deploymentTransaction();
+  const receipt = await deployTx.wait();
+  const address = await contract.getAddress();
+
+  manifest.contracts[name] = {
+    address,
+    deployBlock: receipt.blockNumber,
+    txHash: deployTx.hash,
+    args: jsonArgs,
+    bytecodeHash,
+    abi: artifact.abi
+  };
+  saveManifest(file, manifest);
+
+  console.log(`${name} deployed to: ${address} (tx ${deployTx.hash})`);
+  return contract;
+}
+
+// Run a setup transaction only if `isDone` reports it has not been applied yet
+async function ensure(manifest, file, label, isDone, send) {
+  if (await isDone()) {
+    console.log(`   ✓ ${label}`);
+    return;
+  }
+  const tx = await send();
+  const receipt = await tx.wait();
+  manifest.setup[label] = { txHash: tx.hash, block: receipt.blockNumber };
+  saveManifest(file, manifest);
+  console.log(`   → ${label} (tx ${tx.hash})`);
+}
+
 async function main() {
-  console.log("Starting deployment...");
-  
-  // Deploy UserRegistry
-  console.log("\n1. Deploying UserRegistry...");
-  const UserRegistry = await hre.ethers.getContractFactory("UserRegistry");
-  const userRegistry = await UserRegistry.deploy();
-  await userRegistry.waitForDeployment();
-  const userRegistryAddress = await userRegistry.getAddress();
-  console.log("UserRegistry deployed to:", userRegistryAddress);
-  
-  // Deploy CreditScore
-  console.log("\n2. Deploying CreditScore...");
-  const CreditScore = await hre.ethers.getContractFactory("CreditScore");
-  const creditScore = await CreditScore.deploy(userRegistryAddress);
-  await creditScore.waitForDeployment();
-  const creditScoreAddress = await creditScore.getAddress();
-  console.log("CreditScore deployed to:", creditScoreAddress);
-  
-  // Deploy InsurancePool
-  console.log("\n3. Deploying InsurancePool...");
-  const InsurancePool = await hre.ethers.getContractFactory("InsurancePool");
-  const insurancePool = await InsurancePool.deploy(userRegistryAddress, creditScoreAddress);
-  await insurancePool.waitForDeployment();
-  const insurancePoolAddress = await insurancePool.getAddress();
-  console.log("InsurancePool deployed to:", insurancePoolAddress);
-  
-  // Deploy MicroLoan (NOW WITH INSURANCE POOL)
-  console.log("\n4. Deploying MicroLoan...");
-  const MicroLoan = await hre.ethers.getContractFactory("MicroLoan");
-  const microLoan = await MicroLoan.deploy(userRegistryAddress, creditScoreAddress, insurancePoolAddress);
-  await microLoan.waitForDeployment();
-  const microLoanAddress = await microLoan.getAddress();
-  console.log("MicroLoan deployed to:", microLoanAddress);
-  
-  // Deploy PaymentPlan
-  console.log("\n5. Deploying PaymentPlan...");
-  const PaymentPlan = await hre.ethers.getContractFactory("PaymentPlan");
-  const paymentPlan = await PaymentPlan.deploy(userRegistryAddress, creditScoreAddress);
-  await paymentPlan.waitForDeployment();
-  const paymentPlanAddress = await paymentPlan.getAddress();
-  console.log("PaymentPlan deployed to:", paymentPlanAddress);
-  
-  // Deploy BugBounty
-  console.log("\n6. Deploying BugBounty...");
-  const BugBounty = await hre.ethers.getContractFactory("BugBounty");
-  const initialRewards = [
-    hre.ethers.parseEther("0.1"), // INFORMATIONAL
-    hre.ethers.parseEther("0.5"), // LOW
-    hre.ethers.parseEther("2.5"), // MEDIUM
-    hre.ethers.parseEther("5"),   // HIGH
-    hre.ethers.parseEther("25")   // CRITICAL
-  ];
-  const bugBounty = await BugBounty.deploy(initialRewards);
-  await bugBounty.waitForDeployment();
-  const bugBountyAddress = await bugBounty.getAddress();
-  console.log("BugBounty deployed to:", bugBountyAddress);
-  
-  // Deploy CrowdFunding
-  console.log("\n7. Deploying CrowdFunding...");
-  const CrowdFunding = await hre.ethers.getContractFactory("CrowdFunding");
-  const crowdFunding = await CrowdFunding.deploy(userRegistryAddress, creditScoreAddress);
-  await crowdFunding.waitForDeployment();
-  const crowdFundingAddress = await crowdFunding.getAddress();
-  console.log("CrowdFunding deployed to:", crowdFundingAddress);
-  
-  // Authorize contracts in CreditScore
-  console.log("\n8. Authorizing contracts in CreditScore...");
-  await creditScore.authorizeContract(microLoanAddress);
-  await creditScore.authorizeContract(paymentPlanAddress);
-  await creditScore.authorizeContract(insurancePoolAddress);
-  await creditScore.authorizeContract(crowdFundingAddress);
-  console.log("Contracts authorized");
-  
-  // Fund pools
-  console.log("\n9. Funding pools...");
-  const fundAmount = hre.ethers.parseEther("100");
-  await microLoan.fundPool({ value: fundAmount });
-  await paymentPlan.fundPool({ value: fundAmount });
-  console.log("Loan and Payment pools funded with 100 ETH each");
-  
-  // Fund bug bounty pool
-  console.log("\n10. Funding Bug Bounty pool...");
-  const bountyFund = hre.ethers.parseEther("50");
-  await bugBounty.fundBountyPool({ value: bountyFund });
-  console.log("Bug Bounty pool funded with 50 ETH");
-  
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const network = hre.network.name;
+  const file = path.join(DEPLOYMENTS_DIR, `${network}.json`);
+  const manifest = loadManifest(file, Number(chainId));
+
+  console.log(`Starting deployment to ${network} (chain ${chainId})...`);
+
+  const addresses = {};
+  const instances = {};
+  for (const [index, { name, args }] of CONTRACTS.entries()) {
+    console.log(`\n${index + 1}. ${name}`);
+    const contract = await deployOrReuse(manifest, file, name, args(addresses));
+    instances[name] = contract;
+    addresses[name] = await contract.getAddress();
+  }
+
+  // Drop contracts that are no longer part of the deployment
+  for (const name of Object.keys(manifest.contracts)) {
+    if (!addresses[name]) delete manifest.contracts[name];
+  }
+
+  const { CreditScore, MicroLoan, PaymentPlan, BugBounty, ClaimOracle, ZKPVerifier } = instances;
+
+  console.log("\nAuthorizing contracts in CreditScore...");
+  for (const name of ["MicroLoan", "PaymentPlan", "InsurancePool", "CrowdFunding"]) {
+    await ensure(
+      manifest, file,
+      `CreditScore.authorizeContract(${name})`,
+      () => CreditScore.authorizedContracts(addresses[name]),
+      () => CreditScore.authorizeContract(addresses[name])
+    );
+  }
+
+  console.log("\nWiring ClaimOracle...");
+  await ensure(
+    manifest, file,
+    "ClaimOracle.setInsurancePoolContract(InsurancePool)",
+    async () => (await ClaimOracle.insurancePoolContract()) === addresses.InsurancePool,
+    () => ClaimOracle.setInsurancePoolContract(addresses.InsurancePool)
+  );
+  // Chainlink request ids (and so oracle webhooks) only exist outside simulation mode
+  const oracleSimulation = process.env.ORACLE_SIMULATION_MODE !== "false";
+  await ensure(
+    manifest, file,
+    `ClaimOracle.setSimulationMode(${oracleSimulation})`,
+    async () => (await ClaimOracle.simulationMode()) === oracleSimulation,
+    () => ClaimOracle.setSimulationMode(oracleSimulation)
+  );
+  if (process.env.ORACLE_VERIFIER_PRIVATE_KEY) {
+    const verifier = new hre.ethers.Wallet(process.env.ORACLE_VERIFIER_PRIVATE_KEY).address;
+    await ensure(
+      manifest, file,
+      `ClaimOracle.addAuthorizedVerifier(${verifier})`,
+      () => ClaimOracle.authorizedVerifiers(verifier),
+      () => ClaimOracle.addAuthorizedVerifier(verifier)
+    );
+  }
+
+  console.log("\nWiring ZKPVerifier...");
+  await ensure(
+    manifest, file,
+    "ZKPVerifier.setCreditScoreVerifier(CreditScoreRangeVerifier)",
+    async () => (await ZKPVerifier.creditScoreVerifier()) === addresses.CreditScoreRangeVerifier,
+    () => ZKPVerifier.setCreditScoreVerifier(addresses.CreditScoreRangeVerifier)
+  );
+  await ensure(
+    manifest, file,
+    "ZKPVerifier.setCreditScore(CreditScore)",
+    async () => (await ZKPVerifier.creditScore()) === addresses.CreditScore,
+    () => ZKPVerifier.setCreditScore(addresses.CreditScore)
+  );
+
+  // Seed liquidity only where ETH is free; set DEPLOY_FUND_POOLS=true to fund elsewhere
+  if (LOCAL_CHAIN_IDS.includes(Number(chainId)) || process.env.DEPLOY_FUND_POOLS === "true") {
+    console.log("\nFunding pools...");
+    const fundAmount = hre.ethers.parseEther(process.env.DEPLOY_POOL_FUNDING || "100");
+    const bountyFund = hre.ethers.parseEther(process.env.DEPLOY_BOUNTY_FUNDING || "50");
+
+    await ensure(
+      manifest, file,
+      "MicroLoan.fundPool",
+      async () => (await MicroLoan.poolBalance()) > 0n,
+      () => MicroLoan.fundPool({ value: fundAmount })
+    );
+    await ensure(
+      manifest, file,
+      "PaymentPlan.fundPool",
+      async () => (await PaymentPlan.poolBalance()) > 0n,
+      () => PaymentPlan.fundPool({ value: fundAmount })
+    );
+    await ensure(
+      manifest, file,
+      "BugBounty.fundBountyPool",
+      async () => (await hre.ethers.provider.getBalance(addresses.BugBounty)) > 0n,
+      () => BugBounty.fundBountyPool({ value: bountyFund })
+    );
+  } else {
+    console.log("\nSkipping pool funding on a public network (set DEPLOY_FUND_POOLS=true to override)");
+  }
+
+  saveManifest(file, manifest);
+
   console.log("\n✅ Deployment Complete!");
   console.log("\n📋 Contract Addresses:");
   console.log("====================");
-  console.log("UserRegistry:  ", userRegistryAddress);
-  console.log("CreditScore:   ", creditScoreAddress);
-  console.log("InsurancePool: ", insurancePoolAddress);
-  console.log("MicroLoan:     ", microLoanAddress);
-  console.log("PaymentPlan:   ", paymentPlanAddress);
-  console.log("BugBounty:     ", bugBountyAddress);
-  console.log("CrowdFunding:  ", crowdFundingAddress);
-  
-  console.log("\n📝 Add these to your .env file:");
-  console.log(`NEXT_PUBLIC_CONTRACT_ADDRESS_REGISTRY=${userRegistryAddress}`);
-  console.log(`NEXT_PUBLIC_CONTRACT_ADDRESS_CREDIT=${creditScoreAddress}`);
-  console.log(`NEXT_PUBLIC_CONTRACT_ADDRESS_POOL=${insurancePoolAddress}`);
-  console.log(`NEXT_PUBLIC_CONTRACT_ADDRESS_LOAN=${microLoanAddress}`);
-  console.log(`NEXT_PUBLIC_CONTRACT_ADDRESS_PAYMENT=${paymentPlanAddress}`);
-  console.log(`NEXT_PUBLIC_CONTRACT_ADDRESS_BUGBOUNTY=${bugBountyAddress}`);
-  console.log(`NEXT_PUBLIC_CONTRACT_ADDRESS_CROWDFUNDING=${crowdFundingAddress}`);
+  for (const { name } of CONTRACTS) {
+    console.log(`${name.padEnd(26)} ${addresses[name]}`);
+  }
+  console.log(`\n📝 Manifest written to ${path.relative(process.cwd(), file)}`);
+  console.log("   The backend and frontend load it automatically (DEPLOYMENT_NETWORK, default: localhost)");
 }
 
 main()
@@ -228,6 +228,55 @@ describe("ClaimOracle Contract", function () {
     });
   });
   
+  describe("Chainlink Fulfillment", function () {
+    let requestId;
+
+    beforeEach(async function () {
+      await claimOracle.setSimulationMode(false);
+      const receipt = await (await claimOracle.requestVerification(1, claimant.address, "QmDoc1", 0)).wait();
+      const sent = receipt.logs
+        .map((log) => claimOracle.interface.parseLog(log))
+        .find((event) => event && event.name === "OracleRequestSent");
+      requestId = sent.args.requestId;
+    });
+
+    it("Should record the oracle's answer from an authorized verifier", async function () {
+      await expect(claimOracle.connect(verifier1).fulfillVerification(requestId, true, "QmOracleProof"))
+        .to.emit(claimOracle, "OracleResponseReceived")
+        .withArgs(requestId, 1);
+
+      const verification = await claimOracle.getVerificationDetails(1);
+      expect(verification.status).to.equal(2); // VERIFIED
+      expect(verification.verificationProof).to.equal("QmOracleProof");
+      expect(verification.verifier).to.equal(verifier1.address);
+    });
+
+    it("Should record a rejection", async function () {
+      await claimOracle.fulfillVerification(requestId, false, "QmOracleProof");
+      const verification = await claimOracle.getVerificationDetails(1);
+      expect(verification.status).to.equal(3); // REJECTED
+    });
+
+    it("Should only allow authorized verifiers to fulfill", async function () {
+      await expect(
+        claimOracle.connect(claimant).fulfillVerification(requestId, true, "QmOracleProof")
+      ).to.be.revertedWith("Not authorized to fulfill");
+    });
+
+    it("Should reject unknown request IDs", async function () {
+      await expect(
+        claimOracle.fulfillVerification(ethers.id("unknown"), true, "QmOracleProof")
+      ).to.be.revertedWith("Invalid request ID");
+    });
+
+    it("Should not fulfill a request twice", async function () {
+      await claimOracle.fulfillVerification(requestId, true, "QmOracleProof");
+      await expect(
+        claimOracle.fulfillVerification(requestId, false, "QmOracleProof")
+      ).to.be.revertedWith("Already verified");
+    });
+  });
+  
   describe("Edge Cases", function () {
     it("Should handle verification of non-existent claim", async function () {
       const [status] = await claimOracle.getVerificationStatus(999);
@@ -223,6 +223,136 @@ describe("Nishkama Insurance Platform", function () {
       const loanInfo = await microLoan.getLoanInfo(1);
       expect(loanInfo.status).to.equal(2); // REPAID
     });
+    
+    it("Should split the total owed into monthly installments", async function () {
+      await microLoan.connect(user1).requestLoan(ethers.parseEther("1"), 90, "Treatment", "QmDoc");
+      
+      const loanInfo = await microLoan.getLoanInfo(1);
+      const totalOwed = await microLoan.calculateTotalOwed(1);
+      const [dueDates, amountsDue] = await microLoan.getRepaymentSchedule(1);
+      
+      expect(await microLoan.getInstallmentCount(1)).to.equal(3);
+      expect(dueDates).to.deep.equal([
+        loanInfo.startTime + 30n * 86400n,
+        loanInfo.startTime + 60n * 86400n,
+        loanInfo.dueDate
+      ]);
+      expect(amountsDue).to.deep.equal([totalOwed / 3n, (totalOwed * 2n) / 3n, totalOwed]);
+    });
+    
+    it("Should record a payment as late while an installment is overdue", async function () {
+      await microLoan.connect(user1).requestLoan(ethers.parseEther("1"), 90, "Treatment", "QmDoc");
+      const [, amountsDue] = await microLoan.getRepaymentSchedule(1);
+      
+      // First installment paid up front, then a partial payment before the second is due
+      await microLoan.connect(user1).repayLoan(1, { value: amountsDue[0] });
+      await ethers.provider.send("evm_increaseTime", [40 * 24 * 60 * 60]);
+      await microLoan.connect(user1).repayLoan(1, { value: ethers.parseEther("0.1") });
+      expect((await creditScore.creditScores(user1.address)).latePayments).to.equal(0);
+      
+      // Day 70: the second installment is past due and still not covered
+      await ethers.provider.send("evm_increaseTime", [30 * 24 * 60 * 60]);
+      await microLoan.connect(user1).repayLoan(1, { value: ethers.parseEther("0.1") });
+      
+      const credit = await creditScore.creditScores(user1.address);
+      expect(credit.totalPayments).to.equal(3);
+      expect(credit.latePayments).to.equal(1);
+    });
+    
+    it("Should default a borrower's first loan after the grace period", async function () {
+      await microLoan.connect(user1).requestLoan(ethers.parseEther("1"), 30, "Treatment", "QmDoc");
+      
+      await ethers.provider.send("evm_increaseTime", [31 * 24 * 60 * 60]);
+      await expect(microLoan.markDefault(1)).to.be.revertedWith("Grace period active");
+      
+      await ethers.provider.send("evm_increaseTime", [7 * 24 * 60 * 60]);
+      await expect(microLoan.markDefault(1)).to.emit(microLoan, "LoanDefaulted").withArgs(1);
+      
+      expect((await microLoan.getLoanInfo(1)).status).to.equal(3); // DEFAULTED
+      // No repaid loans: 450 default score less 200 for the repayment rate
+      expect(await creditScore.getCreditScore(user1.address)).to.equal(250);
+    });
+    
+    describe("Co-signed loans", function () {
+      let expiresAt;
+      
+      beforeEach(async function () {
+        await userRegistry.connect(user2).registerUser("QmCoSigner");
+        await userRegistry.connect(kycVerifier).verifyKYC(user2.address);
+        await creditScore.initializeCreditScore(user2.address);
+        // One repaid loan lifts the co-signer above the 600 minimum
+        await creditScore.authorizeContract(owner.address);
+        await creditScore.recordLoan(user2.address, true);
+        
+        const latest = await ethers.provider.getBlock("latest");
+        expiresAt = latest.timestamp + 7 * 24 * 60 * 60;
+      });
+      
+      it("Should require the co-signer's approval", async function () {
+        await expect(
+          microLoan.connect(user1).requestCoSignedLoan(ethers.parseEther("1"), 30, "Surgery", "QmDoc", user2.address)
+        ).to.be.revertedWith("Co-signer has not approved");
+      });
+      
+      it("Should create a co-signed loan within the approval and consume it", async function () {
+        await expect(
+          microLoan.connect(user2).approveCoSigning(user1.address, ethers.parseEther("1"), 30, expiresAt)
+        ).to.emit(microLoan, "CoSignerApproved");
+        
+        await microLoan.connect(user1).requestCoSignedLoan(ethers.parseEther("1"), 30, "Surgery", "QmDoc", user2.address);
+        
+        const loanInfo = await microLoan.getLoanInfo(1);
+        expect(loanInfo.loanType).to.equal(2); // COSIGNED
+        expect(loanInfo.coSigner).to.equal(user2.address);
+        expect(await microLoan.getCoSignerLoans(user2.address)).to.deep.equal([1n]);
+        
+        await expect(
+          microLoan.connect(user1).requestCoSignedLoan(ethers.parseEther("1"), 30, "Surgery", "QmDoc", user2.address)
+        ).to.be.revertedWith("Co-signer has not approved");
+      });
+      
+      it("Should reject loans beyond the approved terms", async function () {
+        await microLoan.connect(user2).approveCoSigning(user1.address, ethers.parseEther("1"), 30, expiresAt);
+        
+        await expect(
+          microLoan.connect(user1).requestCoSignedLoan(ethers.parseEther("2"), 30, "Surgery", "QmDoc", user2.address)
+        ).to.be.revertedWith("Exceeds co-signer approval");
+        await expect(
+          microLoan.connect(user1).requestCoSignedLoan(ethers.parseEther("1"), 60, "Surgery", "QmDoc", user2.address)
+        ).to.be.revertedWith("Exceeds co-signer approval");
+      });
+      
+      it("Should let the co-signer revoke an unused approval", async function () {
+        await microLoan.connect(user2).approveCoSigning(user1.address, ethers.parseEther("1"), 30, expiresAt);
+        await expect(microLoan.connect(user2).revokeCoSigning(user1.address))
+          .to.emit(microLoan, "CoSignerApprovalRevoked")
+          .withArgs(user2.address, user1.address);
+        
+        await expect(
+          microLoan.connect(user1).requestCoSignedLoan(ethers.parseEther("1"), 30, "Surgery", "QmDoc", user2.address)
+        ).to.be.revertedWith("Co-signer has not approved");
+      });
+      
+      it("Should call the co-signer on default and accept their payment", async function () {
+        await microLoan.connect(user2).approveCoSigning(user1.address, ethers.parseEther("1"), 30, expiresAt);
+        await microLoan.connect(user1).requestCoSignedLoan(ethers.parseEther("1"), 30, "Surgery", "QmDoc", user2.address);
+        
+        // Past the due date and the 7 day grace period
+        await ethers.provider.send("evm_increaseTime", [38 * 24 * 60 * 60]);
+        await microLoan.markDefault(1);
+        
+        const liability = (await microLoan.getLoanInfo(1)).coSignerLiability;
+        expect(liability).to.equal(await microLoan.calculateTotalOwed(1));
+        
+        await expect(microLoan.connect(user2).coSignerPayment(1, { value: liability }))
+          .to.emit(microLoan, "CoSignerPayment")
+          .withArgs(1, user2.address, liability);
+        
+        const loanInfo = await microLoan.getLoanInfo(1);
+        expect(loanInfo.coSignerLiability).to.equal(0);
+        expect(loanInfo.status).to.equal(2); // REPAID
+      });
+    });
   });
   
   describe("PaymentPlan", function () {
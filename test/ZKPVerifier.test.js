@@ -1,6 +1,22 @@
+const path = require("path");
+const snarkjs = require("snarkjs");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
+const CIRCUIT_ARTIFACTS = path.join(__dirname, "..", "circuits", "artifacts");
+
+// Prove with the committed credit_score_range keys and split the result into
+// the arguments of submitCreditScoreProof
+async function proveCreditScore(creditScore, minThreshold, holder, salt = 42) {
+  const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+    { creditScore, salt, minThreshold, holder: BigInt(holder) },
+    path.join(CIRCUIT_ARTIFACTS, "credit_score_range.wasm"),
+    path.join(CIRCUIT_ARTIFACTS, "credit_score_range.zkey")
+  );
+  const calldata = await snarkjs.groth16.exportSolidityCallData(proof, publicSignals);
+  return JSON.parse(`[${calldata}]`);
+}
+
 describe("ZKPVerifier Contract", function () {
   let zkpVerifier;
   let owner, prover1, prover2, untrustedUser;
@@ -128,13 +144,13 @@ describe("ZKPVerifier Contract", function () {
       expect(proof.proofType).to.equal(3);
     });
     
-    it("Should submit IDENTITY_VERIFICATION proof", async function () {
-      const proofHash = ethers.keccak256(ethers.toUtf8Bytes("identity_proof"));
+    it("Should submit NO_RECENT_DEFAULTS proof", async function () {
+      const proofHash = ethers.keccak256(ethers.toUtf8Bytes("no_defaults_attestation"));
       
       await zkpVerifier.connect(prover1).submitProof(
-        4, // IDENTITY_VERIFICATION
+        4, // NO_RECENT_DEFAULTS
         proofHash,
-        "QmIdentityProofMetadata"
+        "QmNoDefaultsProofMetadata"
       );
       
       const proof = await zkpVerifier.getProof(1);
@@ -266,13 +282,176 @@ describe("ZKPVerifier Contract", function () {
     });
   });
   
-  describe("Credit Score Range Verification Stub", function () {
-    it("Should have credit score range verification function", async function () {
-      // This is a stub function - in production would verify actual ZK proof
-      const result = await zkpVerifier.verifyCreditScoreRange(prover1.address, 600);
+  describe("Credit Score Range Verification", function () {
+    it("Should accept a verified simulated proof only in simulation mode", async function () {
+      expect(await zkpVerifier.verifyCreditScoreRange(prover1.address, 600)).to.be.false;
       
-      // Stub returns true if simulation mode is on and prover is trusted
-      expect(result).to.be.true;
+      const hash = ethers.keccak256(ethers.toUtf8Bytes("proof"));
+      await zkpVerifier.connect(prover1).submitProof(0, hash, "QmProof");
+      expect(await zkpVerifier.verifyCreditScoreRange(prover1.address, 600)).to.be.true;
+      
+      await zkpVerifier.setSimulationMode(false);
+      expect(await zkpVerifier.verifyCreditScoreRange(prover1.address, 600)).to.be.false;
+    });
+  });
+  
+  describe("Groth16 Credit Score Proofs", function () {
+    // Witness generation and proving take a few seconds
+    this.timeout(60000);
+    
+    let groth16Verifier;
+    let creditScore;
+    
+    // What the backend does after reading the holder's score: attest the proof's commitment
+    async function attest(holder, commitment) {
+      const { lastUpdated } = await creditScore.getCreditData(holder);
+      await zkpVerifier.attestScoreCommitment(holder, commitment, lastUpdated);
+    }
+    
+    beforeEach(async function () {
+      const Verifier = await ethers.getContractFactory("CreditScoreRangeVerifier");
+      groth16Verifier = await Verifier.deploy();
+      await groth16Verifier.waitForDeployment();
+      
+      const UserRegistry = await ethers.getContractFactory("UserRegistry");
+      const userRegistry = await UserRegistry.deploy();
+      const CreditScore = await ethers.getContractFactory("CreditScore");
+      creditScore = await CreditScore.deploy(await userRegistry.getAddress());
+      await creditScore.waitForDeployment();
+      
+      await zkpVerifier.setCreditScoreVerifier(await groth16Verifier.getAddress());
+      await zkpVerifier.setCreditScore(await creditScore.getAddress());
+      await zkpVerifier.setSimulationMode(false);
+    });
+    
+    it("Should only allow owner to set the verifier", async function () {
+      await expect(
+        zkpVerifier.connect(prover1).setCreditScoreVerifier(await groth16Verifier.getAddress())
+      ).to.be.revertedWithCustomError(zkpVerifier, "OwnableUnauthorizedAccount");
+    });
+    
+    it("Should verify a proof and record the proven threshold", async function () {
+      // No credit activity yet: getCreditScore reports the default of 450
+      const [a, b, c, input] = await proveCreditScore(450, 400, untrustedUser.address);
+      await attest(untrustedUser.address, input[0]);
+      
+      await expect(zkpVerifier.connect(untrustedUser).submitCreditScoreProof(a, b, c, input))
+        .to.emit(zkpVerifier, "CreditScoreRangeProven")
+        .withArgs(1, untrustedUser.address, 400, input[0]);
+      
+      const proof = await zkpVerifier.getProof(1);
+      expect(proof.prover).to.equal(untrustedUser.address);
+      expect(proof.result).to.equal(1); // VERIFIED
+      
+      const claim = await zkpVerifier.creditScoreClaims(1);
+      expect(claim.snarkVerified).to.be.true;
+      expect(claim.minThreshold).to.equal(400);
+      
+      expect(await zkpVerifier.verifyCreditScoreRange(untrustedUser.address, 400)).to.be.true;
+      expect(await zkpVerifier.verifyCreditScoreRange(untrustedUser.address, 350)).to.be.true;
+      expect(await zkpVerifier.verifyCreditScoreRange(untrustedUser.address, 450)).to.be.false;
+    });
+    
+    it("Should reject a proof of a score nobody attested", async function () {
+      // A valid proof about a made-up score: the circuit alone cannot tell
+      const [a, b, c, input] = await proveCreditScore(720, 600, untrustedUser.address);
+      
+      await expect(
+        zkpVerifier.connect(untrustedUser).submitCreditScoreProof(a, b, c, input)
+      ).to.be.revertedWith("Score commitment not attested");
+      
+      // Nor does an attestation of the real score vouch for another commitment
+      const [, , , realInput] = await proveCreditScore(450, 400, untrustedUser.address);
+      await attest(untrustedUser.address, realInput[0]);
+      await expect(
+        zkpVerifier.connect(untrustedUser).submitCreditScoreProof(a, b, c, input)
+      ).to.be.revertedWith("Score commitment not attested");
+      
+      expect(await zkpVerifier.verifyCreditScoreRange(untrustedUser.address, 600)).to.be.false;
+    });
+    
+    it("Should reject a proof once the credit score changed since attestation", async function () {
+      const [a, b, c, input] = await proveCreditScore(450, 400, untrustedUser.address);
+      await attest(untrustedUser.address, input[0]);
+      
+      await creditScore.authorizeContract(owner.address);
+      await creditScore.recordPayment(untrustedUser.address, false);
+      
+      await expect(
+        zkpVerifier.connect(untrustedUser).submitCreditScoreProof(a, b, c, input)
+      ).to.be.revertedWith("Credit score changed since attestation");
+    });
+    
+    it("Should only attest commitments from trusted provers for the current score", async function () {
+      const [, , , input] = await proveCreditScore(450, 400, untrustedUser.address);
+      
+      await expect(
+        zkpVerifier.connect(untrustedUser).attestScoreCommitment(untrustedUser.address, input[0], 0)
+      ).to.be.revertedWith("Only owner/trusted can attest");
+      
+      await creditScore.authorizeContract(owner.address);
+      await creditScore.recordPayment(untrustedUser.address, true);
+      await expect(
+        zkpVerifier.attestScoreCommitment(untrustedUser.address, input[0], 0)
+      ).to.be.revertedWith("Credit score changed since it was read");
+      
+      await expect(zkpVerifier.connect(prover1).attestScoreCommitment(
+        untrustedUser.address, input[0], (await creditScore.getCreditData(untrustedUser.address)).lastUpdated
+      )).to.emit(zkpVerifier, "ScoreCommitmentAttested").withArgs(untrustedUser.address, input[0], prover1.address);
+    });
+    
+    it("Should only allow owner to set the credit score contract", async function () {
+      await expect(
+        zkpVerifier.connect(prover1).setCreditScore(await creditScore.getAddress())
+      ).to.be.revertedWithCustomError(zkpVerifier, "OwnableUnauthorizedAccount");
+    });
+    
+    it("Should not generate a proof for a score below the threshold", async function () {
+      let error;
+      try {
+        await proveCreditScore(550, 600, untrustedUser.address);
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.exist;
+    });
+    
+    it("Should reject a proof with tampered public signals", async function () {
+      const [a, b, c, input] = await proveCreditScore(450, 400, untrustedUser.address);
+      await attest(untrustedUser.address, input[0]);
+      input[1] = ethers.toBeHex(440, 32);
+      
+      await expect(
+        zkpVerifier.connect(untrustedUser).submitCreditScoreProof(a, b, c, input)
+      ).to.be.revertedWith("Invalid proof");
+    });
+    
+    it("Should reject a proof issued to another address", async function () {
+      const [a, b, c, input] = await proveCreditScore(720, 600, untrustedUser.address);
+      
+      await expect(
+        zkpVerifier.connect(prover1).submitCreditScoreProof(a, b, c, input)
+      ).to.be.revertedWith("Proof issued to another address");
+    });
+    
+    it("Should reject a replayed proof", async function () {
+      const [a, b, c, input] = await proveCreditScore(450, 400, untrustedUser.address);
+      await attest(untrustedUser.address, input[0]);
+      await zkpVerifier.connect(untrustedUser).submitCreditScoreProof(a, b, c, input);
+      
+      await expect(
+        zkpVerifier.connect(untrustedUser).submitCreditScoreProof(a, b, c, input)
+      ).to.be.revertedWith("Proof already submitted");
+    });
+    
+    it("Should require a configured verifier", async function () {
+      const ZKPVerifier = await ethers.getContractFactory("ZKPVerifier");
+      const unconfigured = await ZKPVerifier.deploy();
+      const [a, b, c, input] = await proveCreditScore(720, 600, untrustedUser.address);
+      
+      await expect(
+        unconfigured.connect(untrustedUser).submitCreditScoreProof(a, b, c, input)
+      ).to.be.revertedWith("Credit score verifier not set");
     });
   });
   